@@ -0,0 +1,96 @@
+// Packet capture of a run's C2 link for Wireshark.
+// Every MAVLink frame a simulation page recorded (see frontend sim/mavlink.js)
+// becomes one classic libpcap record, wrapped in Ethernet / IPv4 / UDP on the
+// conventional MAVLink port so Wireshark's MAVLink dissector picks it up.
+// The radio link carries no IP, so each sender gets a made-up address.
+
+const MAVLINK_PORT = 14550;
+const LINKTYPE_ETHERNET = 1;
+const SNAPLEN = 65535;
+
+const HOSTS = {
+  gcs: { mac: "02:00:00:00:00:01", ip: "10.0.0.1" },
+  drone: { mac: "02:00:00:00:00:02", ip: "10.0.0.2" },
+  attacker: { mac: "02:00:00:00:00:66", ip: "10.0.0.66" },
+};
+const SOURCES = ["gcs", "attacker"]; // every recorded frame goes to the drone
+
+const macBytes = (mac) => mac.split(":").map((h) => parseInt(h, 16));
+const ipBytes = (ip) => ip.split(".").map(Number);
+
+// Ones' complement sum of 16-bit words
+function ipChecksum(header) {
+  let sum = 0;
+  for (let i = 0; i < header.length; i += 2) sum += (header[i] << 8) | header[i + 1];
+  while (sum > 0xffff) sum = (sum & 0xffff) + (sum >> 16);
+  return ~sum & 0xffff;
+}
+
+// Ethernet + IPv4 + UDP around one payload
+function packet(from, to, payload, ipId) {
+  const udpLength = 8 + payload.length;
+  const ipLength = 20 + udpLength;
+  const buf = Buffer.alloc(14 + ipLength);
+
+  Buffer.from(macBytes(to.mac)).copy(buf, 0);
+  Buffer.from(macBytes(from.mac)).copy(buf, 6);
+  buf.writeUInt16BE(0x0800, 12); // IPv4
+
+  const ip = 14;
+  buf[ip] = 0x45; // version 4, 5-word header
+  buf.writeUInt16BE(ipLength, ip + 2);
+  buf.writeUInt16BE(ipId & 0xffff, ip + 4);
+  buf[ip + 8] = 64; // TTL
+  buf[ip + 9] = 17; // UDP
+  Buffer.from(ipBytes(from.ip)).copy(buf, ip + 12);
+  Buffer.from(ipBytes(to.ip)).copy(buf, ip + 16);
+  buf.writeUInt16BE(ipChecksum(buf.subarray(ip, ip + 20)), ip + 10);
+
+  const udp = ip + 20;
+  buf.writeUInt16BE(MAVLINK_PORT, udp);
+  buf.writeUInt16BE(MAVLINK_PORT, udp + 2);
+  buf.writeUInt16BE(udpLength, udp + 4);
+  // UDP checksum left 0: optional over IPv4
+  payload.copy(buf, udp + 8);
+  return buf;
+}
+
+// Problems with recorded frames, as messages; empty when they can be captured
+function validateFrames(frames) {
+  if (!Array.isArray(frames)) return ["Frames must be an array"];
+  const errors = [];
+  frames.forEach((f, i) => {
+    if (!f || !Number.isFinite(f.time) || f.time < 0) errors.push(`frames[${i}].time must be a non-negative number`);
+    if (!f || !SOURCES.includes(f.source)) errors.push(`frames[${i}].source must be one of ${SOURCES.join(", ")}`);
+    if (!f || typeof f.hex !== "string" || !/^([0-9a-f]{2})+$/i.test(f.hex)) errors.push(`frames[${i}].hex must be hex bytes`);
+  });
+  return errors;
+}
+
+/**
+ * A libpcap file of the frames, timed from `startMs` (UTC ms at sim time 0).
+ * @param {Array<{ time: number, source: string, hex: string }>} frames - Sim time in ms
+ * @returns {Buffer}
+ */
+function buildPcap(frames, startMs) {
+  const header = Buffer.alloc(24);
+  header.writeUInt32LE(0xa1b2c3d4, 0); // microsecond timestamps
+  header.writeUInt16LE(2, 4);
+  header.writeUInt16LE(4, 6);
+  header.writeUInt32LE(SNAPLEN, 16);
+  header.writeUInt32LE(LINKTYPE_ETHERNET, 20);
+
+  const records = frames.map((f, i) => {
+    const data = packet(HOSTS[f.source], HOSTS.drone, Buffer.from(f.hex, "hex"), i + 1);
+    const us = Math.round((startMs + f.time) * 1000);
+    const record = Buffer.alloc(16);
+    record.writeUInt32LE(Math.floor(us / 1e6), 0);
+    record.writeUInt32LE(us % 1e6, 4);
+    record.writeUInt32LE(data.length, 8);
+    record.writeUInt32LE(data.length, 12);
+    return Buffer.concat([record, data]);
+  });
+  return Buffer.concat([header, ...records]);
+}
+
+module.exports = { buildPcap, validateFrames, MAVLINK_PORT };
@@ -1,26 +1,205 @@
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
+const { createStore } = require("./store");
+const { createTelemetryHub } = require("./telemetry");
+const { buildPcap, validateFrames } = require("./pcap");
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: "1mb" }));
 
-let logs = []; // in-memory storage
+const logs = createStore("logs"); // file-backed, survives restarts
+const runs = createStore("runs");
+const captures = createStore("captures"); // MAVLink frames of a run, by run id
+const telemetry = createTelemetryHub();
 
-// Store a new log
+const FOOTPRINT_TYPES = ["AUTH", "WARN", "ATTACK", "SPOOF"];
+const MAX_PAGE_SIZE = 500;
+const NMEA_TRACKS = ["actual", "perceived"];
+
+// Scenario names and run ids come from clients: keep a plain ASCII part of them for a download name
+const safeFileName = (value, fallback) =>
+  String(value ?? "").replace(/[^A-Za-z0-9._-]+/g, "_").replace(/^[._]+|_+$/g, "").slice(0, 64) || fallback;
+
+// Normalise one footprint sent by the client
+const toLogFields = (entry) => ({
+  type: typeof entry.type === "string" ? entry.type : "INFO",
+  message: entry.message,
+  simTime: Number.isFinite(entry.simTime) ? entry.simTime : null,
+  page: typeof entry.page === "string" ? entry.page : null,
+  runId: typeof entry.runId === "string" ? entry.runId : null,
+  clientTime: entry.clientTime || null,
+  time: new Date(),
+});
+
+// Store a new log, or a batch of logs
 app.post("/api/logs", (req, res) => {
-  const { message } = req.body;
-  if (!message) return res.status(400).json({ error: "Message required" });
+  const entries = Array.isArray(req.body) ? req.body : [req.body];
+  if (entries.length === 0 || entries.some((e) => !e || !e.message)) {
+    return res.status(400).json({ error: "Message required" });
+  }
+
+  const stored = entries.map((e) => logs.insert(toLogFields(e)));
 
-  const logEntry = { id: logs.length + 1, message, time: new Date() };
-  logs.push(logEntry);
+  // Mirror new footprints to live viewers of the page that produced them
+  const byPage = {};
+  for (const log of stored) {
+    if (log.page) (byPage[log.page] = byPage[log.page] || []).push(log);
+  }
+  for (const [page, pageLogs] of Object.entries(byPage)) {
+    telemetry.publishFootprints(page, pageLogs);
+  }
 
-  res.json({ success: true, log: logEntry });
+  if (Array.isArray(req.body)) {
+    return res.json({ success: true, logs: stored });
+  }
+  res.json({ success: true, log: stored[0] });
 });
 
-// Get all logs
+// Get all logs, optionally narrowed to one page or run
 app.get("/api/logs", (req, res) => {
-  res.json(logs);
+  const { page, runId } = req.query;
+  let result = logs.all();
+  if (page) result = result.filter((l) => l.page === page);
+  if (runId) result = result.filter((l) => l.runId === runId);
+  res.json(result);
+});
+
+// Open a run (one press of "Start" on a simulation page)
+app.post("/api/runs", (req, res) => {
+  const { id, scenario, params = {}, startedAt } = req.body || {};
+  if (!scenario) return res.status(400).json({ error: "Scenario required" });
+  if (id != null && (typeof id !== "string" || runs.get(id))) {
+    return res.status(400).json({ error: "Run id must be a new string" });
+  }
+
+  const run = runs.insert({
+    id: id != null ? id : crypto.randomUUID(),
+    scenario,
+    params,
+    startedAt: startedAt || new Date(),
+    endedAt: null,
+    outcome: null,
+  });
+
+  res.json({ success: true, run });
+});
+
+// Close a run with its outcome
+app.patch("/api/runs/:id", (req, res) => {
+  const { endedAt, outcome } = req.body || {};
+  const run = runs.update(req.params.id, {
+    endedAt: endedAt || new Date(),
+    ...(outcome !== undefined && { outcome }),
+  });
+  if (!run) return res.status(404).json({ error: "Run not found" });
+  res.json({ success: true, run });
+});
+
+// List runs, newest first, optionally for one scenario
+app.get("/api/runs", (req, res) => {
+  const { scenario } = req.query;
+  const logCounts = {};
+  for (const l of logs.all()) {
+    if (l.runId) logCounts[l.runId] = (logCounts[l.runId] || 0) + 1;
+  }
+
+  let result = runs.all();
+  if (scenario) result = result.filter((r) => r.scenario === scenario);
+  result = result
+    .map((r) => ({ ...r, logCount: logCounts[r.id] || 0 }))
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+
+  res.json(result);
+});
+
+app.get("/api/runs/:id", (req, res) => {
+  const run = runs.get(req.params.id);
+  if (!run) return res.status(404).json({ error: "Run not found" });
+  res.json(run);
+});
+
+// Logs of one run: ?type=ATTACK,SPOOF&since=<ISO time>&limit=100&offset=0
+app.get("/api/runs/:id/logs", (req, res) => {
+  const run = runs.get(req.params.id);
+  if (!run) return res.status(404).json({ error: "Run not found" });
+
+  const types = req.query.type ? String(req.query.type).toUpperCase().split(",") : null;
+  if (types && types.some((t) => !FOOTPRINT_TYPES.includes(t))) {
+    return res.status(400).json({ error: `Type must be one of ${FOOTPRINT_TYPES.join(", ")}` });
+  }
+
+  const since = req.query.since ? new Date(isNaN(req.query.since) ? req.query.since : Number(req.query.since)) : null;
+  if (since && isNaN(since)) return res.status(400).json({ error: "Invalid since timestamp" });
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const matching = logs.all().filter((l) =>
+    l.runId === run.id &&
+    (!types || types.includes(l.type)) &&
+    (!since || new Date(l.time) >= since)
+  );
+
+  res.json({
+    run,
+    total: matching.length,
+    limit,
+    offset,
+    logs: matching.slice(offset, offset + limit),
+  });
+});
+
+// Store the C2 link frames of a run ({ frames: [{ time, source, hex }] }), replacing earlier ones
+app.put("/api/runs/:id/frames", (req, res) => {
+  const run = runs.get(req.params.id);
+  if (!run) return res.status(404).json({ error: "Run not found" });
+  const { frames } = req.body || {};
+  const errors = validateFrames(frames);
+  if (errors.length > 0) return res.status(400).json({ error: errors.join("; ") });
+
+  captures.replace({ id: run.id, frames: frames.map(({ time, source, hex }) => ({ time, source, hex })) });
+  res.json({ success: true, count: frames.length });
+});
+
+// The run's frames as a libpcap file for Wireshark (MAVLink over UDP 14550)
+app.get("/api/runs/:id/pcap", (req, res) => {
+  const run = runs.get(req.params.id);
+  if (!run) return res.status(404).json({ error: "Run not found" });
+  const capture = captures.get(run.id);
+  if (!capture) return res.status(404).json({ error: "No frames recorded for this run" });
+
+  res.attachment(`${safeFileName(run.scenario, "run")}-${safeFileName(run.id, "capture")}.pcap`);
+  res.set("Content-Type", "application/vnd.tcpdump.pcap");
+  res.send(buildPcap(capture.frames, new Date(run.startedAt).getTime()));
+});
+
+// Publish one simulation tick (positions, phase) to live viewers
+app.post("/api/telemetry", (req, res) => {
+  const frame = req.body || {};
+  if (!frame.channel) return res.status(400).json({ error: "Channel required" });
+  telemetry.publishFrame(frame);
+  res.json({ success: true });
+});
+
+// Live stream for a second screen: new EventSource("/api/telemetry/stream?channel=gnss-spoofing")
+app.get("/api/telemetry/stream", (req, res) => {
+  telemetry.subscribe(req, res, req.query.channel || null);
+});
+
+// Raw NMEA 0183 from a page that publishes it: ?channel=gnss-spoofing&track=actual|perceived
+app.get("/api/telemetry/nmea", (req, res) => {
+  const { channel, track = "perceived" } = req.query;
+  if (!channel) return res.status(400).json({ error: "Channel required" });
+  if (!NMEA_TRACKS.includes(track)) {
+    return res.status(400).json({ error: `Track must be one of ${NMEA_TRACKS.join(", ")}` });
+  }
+  telemetry.subscribeNmea(req, res, channel, track);
+});
+
+app.get("/api/telemetry/channels", (req, res) => {
+  res.json(telemetry.channels());
 });
 
 const PORT = 5000;
@@ -0,0 +1,70 @@
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+
+// Append-only JSON-lines collection. Every record is written to disk before
+// insert()/update() returns, and the file is replayed into memory on startup
+// (a later line with the same id replaces the earlier one). replace() compacts
+// the file instead of appending.
+function createStore(name) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const file = path.join(DATA_DIR, `${name}.jsonl`);
+
+  const byId = new Map();
+  if (fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        byId.set(record.id, record);
+      } catch (err) {
+        // A crash mid-write can leave a torn last line; skip it
+        console.warn(`⚠️ Skipping unreadable line in ${file}`);
+      }
+    }
+  }
+
+  let nextId = 1;
+  for (const id of byId.keys()) {
+    if (Number.isInteger(id)) nextId = Math.max(nextId, id + 1);
+  }
+
+  const write = (record) => {
+    fs.appendFileSync(file, JSON.stringify(record) + "\n");
+    byId.set(record.id, record);
+    return record;
+  };
+
+  // Callers may supply their own string id (e.g. client-generated run ids)
+  const insert = (fields) => {
+    const id = fields.id != null ? fields.id : nextId++;
+    return write({ id, ...fields });
+  };
+
+  const update = (id, patch) => {
+    const existing = byId.get(id);
+    if (!existing) return null;
+    return write({ ...existing, ...patch, id });
+  };
+
+  // Store `record` in place of any earlier one with its id and rewrite the file
+  // without the old copy, for large records that are sent again whole
+  const replace = (record) => {
+    byId.set(record.id, record);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, Array.from(byId.values(), (r) => JSON.stringify(r) + "\n").join(""));
+    fs.renameSync(tmp, file);
+    return record;
+  };
+
+  return {
+    all: () => Array.from(byId.values()),
+    get: (id) => byId.get(id) || null,
+    insert,
+    update,
+    replace,
+  };
+}
+
+module.exports = { createStore };
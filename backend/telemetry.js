@@ -0,0 +1,87 @@
+// Live telemetry fan-out over Server-Sent Events.
+// Simulation pages POST one frame per tick; every open EventSource on the
+// same channel (the page id, e.g. "gnss-spoofing") receives it immediately.
+// Frames that carry NMEA sentences (`nmea: { <track>: [sentences] }`) are also
+// fanned out as a raw NMEA 0183 text stream, the way a receiver's serial port
+// would deliver them, for tools that read GNSS receivers.
+
+const HEARTBEAT_MS = 15000;
+
+function createTelemetryHub() {
+  const clients = new Set(); // { res, channel }
+  const nmeaClients = new Set(); // { res, channel, track }
+  const latest = new Map(); // channel -> last frame, replayed to late joiners
+
+  const send = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const broadcast = (channel, event, data) => {
+    for (const client of clients) {
+      if (!client.channel || client.channel === channel) send(client.res, event, data);
+    }
+  };
+
+  const publishFrame = (frame) => {
+    latest.set(frame.channel, { ...frame, receivedAt: Date.now() });
+    broadcast(frame.channel, "frame", frame);
+    if (frame.nmea) {
+      for (const client of nmeaClients) {
+        const sentences = frame.channel === client.channel && frame.nmea[client.track];
+        if (Array.isArray(sentences) && sentences.length > 0) client.res.write(`${sentences.join("\r\n")}\r\n`);
+      }
+    }
+  };
+
+  const publishFootprints = (channel, footprints) => {
+    if (footprints.length > 0) broadcast(channel, "footprints", footprints);
+  };
+
+  // Turn an HTTP response into an SSE stream; channel null = every channel
+  const subscribe = (req, res, channel) => {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write("retry: 2000\n\n");
+
+    const client = { res, channel };
+    clients.add(client);
+
+    for (const frame of latest.values()) {
+      if (!channel || frame.channel === channel) send(res, "frame", frame);
+    }
+
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  };
+
+  // Plain-text NMEA for one track of one channel, e.g. `curl -N .../nmea?channel=gnss-spoofing&track=perceived`
+  const subscribeNmea = (req, res, channel, track) => {
+    res.writeHead(200, {
+      "Content-Type": "text/plain; charset=us-ascii",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    const client = { res, channel, track };
+    nmeaClients.add(client);
+    req.on("close", () => nmeaClients.delete(client));
+  };
+
+  const channels = () =>
+    Array.from(latest.values()).map((f) => ({
+      channel: f.channel,
+      runId: f.runId || null,
+      phase: f.phase || null,
+      lastFrameAt: new Date(f.receivedAt),
+      subscribers: Array.from(clients).filter((c) => !c.channel || c.channel === f.channel).length,
+    }));
+
+  return { publishFrame, publishFootprints, subscribe, subscribeNmea, channels };
+}
+
+module.exports = { createTelemetryHub };
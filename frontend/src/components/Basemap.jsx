@@ -0,0 +1,86 @@
+import React, { useEffect, useMemo, useState } from "react";
+import * as THREE from "three";
+import { basemapImages } from "../lib/basemap.js";
+
+// Between the dark ground plane (-0.05) and the grid (-0.04)
+const HEIGHT = -0.045;
+
+// Share of an image's size its corners may be off a sim-aligned rectangle
+const ALIGN_TOLERANCE = 0.005;
+
+// Axis-aligned images are cropped to the world; rotated ones are drawn whole
+function quadOf(corners, world) {
+  const [tl, tr, br, bl] = corners;
+  const w = tr.x - tl.x, h = bl.y - tl.y;
+  const aligned = Math.abs(tr.y - tl.y) <= Math.abs(h) * ALIGN_TOLERANCE &&
+    Math.abs(bl.x - tl.x) <= Math.abs(w) * ALIGN_TOLERANCE &&
+    Math.abs(br.x - tr.x) <= Math.abs(w) * ALIGN_TOLERANCE;
+  if (!aligned) {
+    return { points: [tl, tr, br, bl], uvs: [[0, 1], [1, 1], [1, 0], [0, 0]] };
+  }
+  const left = Math.max(tl.x, 0), right = Math.min(tr.x, world.width);
+  const top = Math.max(tl.y, 0), bottom = Math.min(bl.y, world.height);
+  if (left >= right || top >= bottom) return null;
+  const u = (x) => (x - tl.x) / w;
+  const v = (y) => 1 - (y - tl.y) / h;
+  return {
+    points: [{ x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }],
+    uvs: [[u(left), v(top)], [u(right), v(top)], [u(right), v(bottom)], [u(left), v(bottom)]],
+  };
+}
+
+function BasemapImage({ url, quad, toWorld, opacity }) {
+  const [texture, setTexture] = useState(null);
+
+  useEffect(() => {
+    let live = true;
+    let loaded = null;
+    new THREE.TextureLoader().load(url, (tex) => {
+      tex.colorSpace = THREE.SRGBColorSpace;
+      loaded = tex;
+      if (live) setTexture(tex);
+      else tex.dispose();
+    });
+    return () => {
+      live = false;
+      if (loaded) loaded.dispose();
+    };
+  }, [url]);
+
+  const geometry = useMemo(() => {
+    const geo = new THREE.BufferGeometry();
+    const positions = quad.points.flatMap((p) => {
+      const [x, , z] = toWorld(p.x, p.y);
+      return [x, HEIGHT, z];
+    });
+    geo.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+    geo.setAttribute("uv", new THREE.Float32BufferAttribute(quad.uvs.flat(), 2));
+    geo.setIndex([0, 2, 1, 0, 3, 2]);
+    return geo;
+  }, [quad, toWorld]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  if (!texture) return null;
+  return (
+    <mesh geometry={geometry}>
+      <meshBasicMaterial map={texture} transparent opacity={opacity} side={THREE.DoubleSide} depthWrite={false} />
+    </mesh>
+  );
+}
+
+/* ── Offline map imagery under a scene, aligned through the scenario's geo-reference ── */
+// Render inside the group that maps sim coordinates through `toWorld`
+export default function Basemap({ source, geo, world, toWorld, opacity = 0.85 }) {
+  const images = useMemo(() => basemapImages(source, geo, world)
+    .map((image) => ({ url: image.url, quad: quadOf(image.corners, world) }))
+    .filter((image) => image.quad), [source, geo, world]);
+
+  return (
+    <group>
+      {images.map(({ url, quad }) => (
+        <BasemapImage key={url} url={url} quad={quad} toWorld={toWorld} opacity={opacity} />
+      ))}
+    </group>
+  );
+}
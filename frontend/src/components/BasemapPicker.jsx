@@ -0,0 +1,74 @@
+import React, { useEffect, useRef, useState } from "react";
+import { bundledTileSets, parseWorldFile } from "../lib/basemap.js";
+
+const WORLD_FILE = /\.(wld|[a-z]{2}w|[a-z]{3}w)$/i;
+const IMAGE_OPTION = "__image__";
+
+// Pixel size of a picked image, needed to place its far corners
+async function imageSize(url) {
+  const img = new Image();
+  img.src = url;
+  await img.decode();
+  return { width: img.naturalWidth, height: img.naturalHeight };
+}
+
+/* ── Basemap choice: none, a bundled tile set, or an image + world file picked from disk ── */
+export default function BasemapPicker({ source, onChange, disabled }) {
+  const fileRef = useRef(null);
+  const [error, setError] = useState(null);
+  const tileSets = bundledTileSets();
+
+  // Picked images live as object URLs until replaced
+  useEffect(() => () => {
+    if (source?.kind === "image") URL.revokeObjectURL(source.url);
+  }, [source]);
+
+  const choose = (value) => {
+    setError(null);
+    if (value === IMAGE_OPTION) fileRef.current.click();
+    else onChange(value ? { kind: "tiles", set: value } : null);
+  };
+
+  const importImage = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = "";
+    if (files.length === 0) return;
+    const image = files.find((f) => f.type.startsWith("image/"));
+    const worldFile = files.find((f) => WORLD_FILE.test(f.name));
+    if (!image || !worldFile) {
+      setError("Pick the image and its world file (e.g. site.png + site.pgw) together");
+      return;
+    }
+    const url = URL.createObjectURL(image);
+    try {
+      const [size, parsed] = await Promise.all([imageSize(url), worldFile.text().then(parseWorldFile)]);
+      onChange({ kind: "image", name: image.name, url, ...size, worldFile: parsed });
+    } catch (err) {
+      URL.revokeObjectURL(url);
+      setError(`Basemap failed: ${err.message}`);
+    }
+  };
+
+  const value = !source ? "" : source.kind === "tiles" ? source.set : IMAGE_OPTION;
+  return (
+    <span className="basemap-picker">
+      <select
+        className="scenario-select"
+        value={value}
+        onChange={(e) => choose(e.target.value)}
+        disabled={disabled}
+        aria-label="Basemap"
+      >
+        <option value="">🗺 No basemap</option>
+        {tileSets.map((set) => (
+          <option key={set} value={set}>🗺 {set} (bundled tiles)</option>
+        ))}
+        <option value={IMAGE_OPTION}>
+          {source?.kind === "image" ? `🗺 ${source.name}` : "🗺 Image + world file…"}
+        </option>
+      </select>
+      <input ref={fileRef} type="file" multiple accept="image/*,.wld,.pgw,.pngw,.jgw,.jpgw,.tfw" hidden onChange={importImage} />
+      {error && <span className="replay-error">{error}</span>}
+    </span>
+  );
+}
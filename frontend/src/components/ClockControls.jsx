@@ -0,0 +1,37 @@
+import React from "react";
+import { CLOCK_SPEEDS } from "../hooks/useSimulationClock.js";
+
+/* ── Pause / single-step / speed controls for a simulation clock ── */
+export default function ClockControls({ clock, disabled = false, showPlayPause = true }) {
+  return (
+    <div className="clock-controls">
+      {showPlayPause && (
+        <button
+          onClick={clock.playing ? clock.pause : clock.play}
+          className="control-button"
+          disabled={disabled}
+        >
+          {clock.playing ? "❚❚ Pause" : "▶ Resume"}
+        </button>
+      )}
+      <button
+        onClick={clock.stepOnce}
+        className="control-button"
+        disabled={disabled || clock.playing}
+        title="Advance one tick"
+      >
+        ⏭ Step
+      </button>
+      <select
+        className="clock-speed"
+        value={clock.speed}
+        onChange={(e) => clock.setSpeed(Number(e.target.value))}
+        aria-label="Simulation speed"
+      >
+        {CLOCK_SPEEDS.map((s) => (
+          <option key={s} value={s}>{s}×</option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import React from 'react';
+
+/* ═══════════════════════════════════════════
+   C/N0 CHART
+   Per-satellite carrier-to-noise density over
+   the last samples, with the tracking threshold.
+   Counterfeit channels collapse onto one line.
+   ═══════════════════════════════════════════ */
+
+const WIDTH = 300;
+const HEIGHT = 130;
+const PAD = { left: 28, right: 6, top: 6, bottom: 14 };
+const CN0_MIN = 20;
+const CN0_MAX = 60;
+
+const PALETTE = ['#00f2ff', '#00ff88', '#ffcc00', '#bb88ff', '#ff8800', '#66aaff', '#ff66cc', '#aaff66'];
+
+const yOf = (cn0) => {
+  const clamped = Math.min(Math.max(cn0, CN0_MIN), CN0_MAX);
+  return PAD.top + (1 - (clamped - CN0_MIN) / (CN0_MAX - CN0_MIN)) * (HEIGHT - PAD.top - PAD.bottom);
+};
+
+// `colorOf(id)` overrides the per-line palette, e.g. to colour by constellation
+export default function Cn0Chart({ history, signals, threshold, colorOf }) {
+  if (history.length === 0) return <p className="phase-description">No signal samples yet.</p>;
+
+  const t0 = history[0].time;
+  const span = Math.max(history[history.length - 1].time - t0, 1);
+  const xOf = (time) => PAD.left + ((time - t0) / span) * (WIDTH - PAD.left - PAD.right);
+  const ids = Object.keys(history[history.length - 1].cn0);
+  const color = (id, i) => (colorOf ? colorOf(id) : PALETTE[i % PALETTE.length]);
+
+  return (
+    <div className="cn0-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none">
+        {[30, 40, 50].map((v) => (
+          <g key={v}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={yOf(v)} y2={yOf(v)} className="cn0-grid" />
+            <text x={PAD.left - 4} y={yOf(v) + 3} className="cn0-axis" textAnchor="end">{v}</text>
+          </g>
+        ))}
+        <line
+          x1={PAD.left}
+          x2={WIDTH - PAD.right}
+          y1={yOf(threshold)}
+          y2={yOf(threshold)}
+          className="cn0-threshold"
+        />
+        {ids.map((id, i) => (
+          <polyline
+            key={id}
+            fill="none"
+            stroke={color(id, i)}
+            strokeWidth="1.2"
+            points={history
+              .filter((sample) => id in sample.cn0)
+              .map((sample) => `${xOf(sample.time).toFixed(1)},${yOf(sample.cn0[id]).toFixed(1)}`)
+              .join(' ')}
+          />
+        ))}
+        <text x={WIDTH - PAD.right} y={HEIGHT - 3} className="cn0-axis" textAnchor="end">
+          T+{(history[history.length - 1].time / 1000).toFixed(1)}s
+        </text>
+      </svg>
+      <div className="cn0-legend">
+        {signals.map((sig, i) => (
+          <span
+            key={sig.id}
+            className={sig.spoofed ? 'spoofed' : sig.cn0 < threshold ? 'lost' : ''}
+            style={{ color: color(sig.id, i) }}
+          >
+            {sig.id} {sig.cn0.toFixed(1)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
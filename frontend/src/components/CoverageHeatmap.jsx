@@ -0,0 +1,78 @@
+import React, { useEffect, useMemo } from "react";
+import * as THREE from "three";
+import { coverageGrid } from "../sim/rf.js";
+
+// Between the basemap (-0.045) and the grid (-0.04)
+const HEIGHT = -0.042;
+
+// Colour stops for a probability of 0 → 1
+const STOPS = [
+  [0, [20, 40, 120]],
+  [0.35, [0, 170, 220]],
+  [0.6, [60, 220, 90]],
+  [0.8, [250, 220, 40]],
+  [1, [255, 60, 60]],
+];
+
+/** RGB of a probability on the heatmap's colour ramp */
+export function heatColor(value) {
+  const v = Math.min(Math.max(value, 0), 1);
+  const i = STOPS.findIndex(([at]) => at >= v);
+  if (i <= 0) return STOPS[0][1];
+  const [a, ca] = STOPS[i - 1], [b, cb] = STOPS[i];
+  const t = (v - a) / (b - a);
+  return ca.map((c, k) => Math.round(c + (cb[k] - c) * t));
+}
+
+const LEGEND_GRADIENT = `linear-gradient(to right, ${STOPS.map(([at, rgb]) => `rgb(${rgb.join(", ")}) ${at * 100}%`).join(", ")})`;
+
+/* ── Colour key for the heatmap, laid over the canvas ── */
+export function CoverageLegend({ label }) {
+  return (
+    <div className="coverage-legend">
+      <span className="coverage-legend-label">{label}</span>
+      <div className="coverage-legend-bar" style={{ background: LEGEND_GRADIENT }} />
+      <div className="coverage-legend-ticks">
+        <span>0%</span>
+        <span>50%</span>
+        <span>100%</span>
+      </div>
+    </div>
+  );
+}
+
+/* ── Probability over the ground plane, sampled from `valueAt(point)` ── */
+// Render inside the group that maps sim coordinates through `toWorld`; pass a
+// memoised valueAt, since the grid is resampled whenever it changes
+export default function CoverageHeatmap({ world, toWorld, valueAt, resolution = 48, opacity = 0.55 }) {
+  const grid = useMemo(() => coverageGrid(world, resolution, valueAt), [world, resolution, valueAt]);
+
+  const texture = useMemo(() => {
+    const { cols, rows, values } = grid;
+    const data = new Uint8Array(cols * rows * 4);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const v = values[r * cols + c];
+        // Texture rows start at the bottom, grid rows at the top
+        const k = ((rows - 1 - r) * cols + c) * 4;
+        const [red, green, blue] = heatColor(v);
+        data.set([red, green, blue, Math.round(255 * (0.1 + 0.9 * v))], k);
+      }
+    }
+    const tex = new THREE.DataTexture(data, cols, rows, THREE.RGBAFormat);
+    tex.magFilter = THREE.LinearFilter;
+    tex.needsUpdate = true;
+    return tex;
+  }, [grid]);
+
+  useEffect(() => () => texture.dispose(), [texture]);
+
+  const [x0, , z0] = toWorld(0, 0);
+  const [x1, , z1] = toWorld(world.width, world.height);
+  return (
+    <mesh position={[(x0 + x1) / 2, HEIGHT, (z0 + z1) / 2]} rotation={[-Math.PI / 2, 0, 0]}>
+      <planeGeometry args={[x1 - x0, z1 - z0]} />
+      <meshBasicMaterial map={texture} transparent opacity={opacity} depthWrite={false} />
+    </mesh>
+  );
+}
@@ -0,0 +1,19 @@
+import React from "react";
+
+/* ── Coverage heatmap choice: off, or one of the page's modes ── */
+// modes: [{ id, label }]; mode is the chosen id or null
+export default function CoveragePicker({ modes, mode, onChange }) {
+  return (
+    <select
+      className="scenario-select"
+      value={mode || ""}
+      onChange={(e) => onChange(e.target.value || null)}
+      aria-label="Coverage heatmap"
+    >
+      <option value="">📶 No coverage map</option>
+      {modes.map(({ id, label }) => (
+        <option key={id} value={id}>📶 {label}</option>
+      ))}
+    </select>
+  );
+}
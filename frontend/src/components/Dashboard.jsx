@@ -1,4 +1,5 @@
 import React from "react";
+import { DEFAULT_GEO, simToEnu, simToGeodetic, formatEnu, formatLatLon } from "../sim/geo.js";
 
 function Dashboard({ state = {} }) {
   // Safe defaults to avoid crashes if a field is missing
@@ -15,7 +16,10 @@ function Dashboard({ state = {} }) {
     safe = { x: 0, y: 0, size: 0 },
     inDanger = false,
     inSafe = false,
+    geo = DEFAULT_GEO,
   } = state ?? {};
+  // Geo-referenced from the drone's centre
+  const centre = { x: x + width / 2, y: y + height / 2 };
 
   return (
     <aside className="panel">
@@ -26,9 +30,17 @@ function Dashboard({ state = {} }) {
           <span>Position</span>
           <strong>{`(${Math.round(x)}, ${Math.round(y)})`}</strong>
         </div>
+        <div>
+          <span>From origin</span>
+          <strong>{formatEnu(simToEnu(centre, geo))}</strong>
+        </div>
+        <div>
+          <span>Lat / Lon</span>
+          <strong>{formatLatLon(simToGeodetic(centre, geo))}</strong>
+        </div>
         <div>
           <span>Velocity</span>
-          <strong>{speed}px/step</strong>
+          <strong>{speed}px/step ({speed * geo.metresPerUnit} m)</strong>
         </div>
         <div>
           <span>Size (w×h)</span>
@@ -56,6 +68,10 @@ function Dashboard({ state = {} }) {
           <span>Top-Left</span>
           <strong>({danger.x}, {danger.y})</strong>
         </div>
+        <div>
+          <span>Lat / Lon</span>
+          <strong>{formatLatLon(simToGeodetic(danger, geo))}</strong>
+        </div>
         <div>
           <span>Size</span>
           <strong>
@@ -76,6 +92,10 @@ function Dashboard({ state = {} }) {
           <span>Top-Left</span>
           <strong>({safe.x}, {safe.y})</strong>
         </div>
+        <div>
+          <span>Lat / Lon</span>
+          <strong>{formatLatLon(simToGeodetic(safe, geo))}</strong>
+        </div>
         <div>
           <span>Size</span>
           <strong>
@@ -0,0 +1,46 @@
+import React, { useState } from "react";
+
+/* ── Layout edit mode toggle, plus save-as-scenario while editing ── */
+// `idleHint` replaces the hint shown while no handle is selected
+export default function EditorBar({ editor, handles, disabled = false, idleHint = "Select a handle in the scene", children }) {
+  const [name, setName] = useState("");
+
+  if (!editor.editing) {
+    return (
+      <button onClick={() => editor.setEditing(true)} className="control-button" disabled={disabled}>
+        ✎ Edit Layout
+      </button>
+    );
+  }
+
+  const selected = handles.find((h) => h.id === editor.selected);
+
+  return (
+    <div className="editor-bar">
+      <span className="editor-hint">
+        {selected ? `${selected.label}: drag, or click the ground to place` : idleHint}
+      </span>
+      {children}
+      <input
+        className="editor-name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Scenario name"
+        aria-label="Scenario name"
+      />
+      <button onClick={() => editor.save(name)} className="control-button">
+        💾 Save Scenario
+      </button>
+      <button
+        onClick={() => {
+          editor.select(null);
+          editor.setEditing(false);
+        }}
+        className="control-button reset"
+      >
+        ✓ Done
+      </button>
+      {editor.error && <span className="scenario-error">{editor.error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+import React from 'react';
+import { simToEnu, simToGeodetic, formatEnu, formatLatLon } from '../sim/geo.js';
+
+/* ── Positions in metres from the geographic origin and in WGS84 ── */
+export default function GeoPositions({ positions, geo }) {
+  return (
+    <div className="geo-positions">
+      <table>
+        <tbody>
+          {positions.map(({ label, x, y }) => (
+            <tr key={label}>
+              <th>{label}</th>
+              <td>{formatEnu(simToEnu({ x, y }, geo))}</td>
+              <td>{formatLatLon(simToGeodetic({ x, y }, geo))}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <small>
+        Origin {formatLatLon(geo)} at sim (0, 0) · {geo.metresPerUnit} m per unit
+      </small>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import React, { useEffect, useRef } from 'react';
+import GeoPositions from './GeoPositions.jsx';
 
 // A simple component to render log entries with different colors based on type
 const LogEntry = ({ log }) => {
@@ -21,7 +22,9 @@ const LogEntry = ({ log }) => {
 };
 
 
-export default function InfoPanel({ attackPhase, status, digitalFootprints }) {
+// Pages can add their own sections (charts, monitors) as children; they sit above the log.
+// `positions` ([{ label, x, y }] in sim units) are shown geo-referenced through `geo`.
+export default function InfoPanel({ attackPhase, status, digitalFootprints, positions, geo, children }) {
   const logContainerRef = useRef(null);
 
   // Auto-scroll only the log container, not the page
@@ -53,6 +56,15 @@ export default function InfoPanel({ attackPhase, status, digitalFootprints }) {
         <p className="status-message">{status}</p>
       </div>
 
+      {positions && geo && (
+        <div className="info-section">
+          <h3>Position</h3>
+          <GeoPositions positions={positions} geo={geo} />
+        </div>
+      )}
+
+      {children}
+
       <div className="info-section">
         <h3>Digital Footprints & Telemetry</h3>
         <div className="footprints-log" ref={logContainerRef}>
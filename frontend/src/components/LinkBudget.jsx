@@ -0,0 +1,28 @@
+import React from 'react';
+
+const signed = (db) => `${db >= 0 ? '+' : ''}${db.toFixed(1)}`;
+
+/** Display helpers for link-budget figures */
+export const formatDbm = (dbm) => (dbm === null || dbm === undefined ? '—' : `${dbm.toFixed(1)} dBm`);
+export const formatDb = (db) => (db === null || db === undefined ? '—' : `${signed(db)} dB`);
+export const formatOdds = (p) => `${(p * 100).toFixed(p < 0.01 && p > 0 ? 2 : 0)}%`;
+export const formatObstruction = (link) =>
+  link.clear ? 'clear' : `−${link.loss} dB (${link.blockers.join(', ')})`;
+
+/* ── RF link-budget figures as label / value rows ── */
+export default function LinkBudget({ rows }) {
+  return (
+    <div className="geo-positions">
+      <table>
+        <tbody>
+          {rows.map(({ label, value }) => (
+            <tr key={label}>
+              <th>{label}</th>
+              <td>{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,212 @@
+import React, { useRef, useState } from 'react';
+import { simToGeodetic, formatLatLon } from '../sim/geo.js';
+import { MISSION_FORMATS, toQgcPlan, toWaypointsFile, parseQgcPlan, parseWaypointsFile } from '../sim/missionPlan.js';
+import { downloadFile } from '../lib/download.js';
+
+/* ═══════════════════════════════════════════
+   MISSION EDITOR
+   The flight plan as a list: altitude, loiter
+   time and speed per waypoint, imported from or
+   exported to QGroundControl mission files.
+   Below it, the attacker's edits to the plan:
+   each inserts an item before, or replaces,
+   mission item #seq. Positions are set in the
+   scene with the layout editor.
+   ═══════════════════════════════════════════ */
+
+const EDIT_ACTIONS = { insert: 'insert before', replace: 'replace' };
+
+// A non-negative number from an input; undefined once the input is cleared
+const numberOf = (value) => (value === '' ? undefined : Math.max(Number(value) || 0, 0));
+
+// The item with `change` applied; cleared settings are dropped, back to their defaults
+const withChange = (item, change) =>
+  Object.fromEntries(Object.entries({ ...item, ...change }).filter(([, value]) => value !== undefined));
+
+function NumberCell({ value, onChange, disabled, step = 1, placeholder }) {
+  return (
+    <td>
+      <input
+        type="number"
+        className="mission-input"
+        min="0"
+        step={step}
+        value={value ?? ''}
+        placeholder={placeholder ?? '0'}
+        onChange={(e) => onChange(numberOf(e.target.value))}
+        disabled={disabled}
+      />
+    </td>
+  );
+}
+
+// Altitude, loiter and speed cells of one item; speed is edited in m/s, kept in px/s.
+// Items without an altitude are flown at the take-off altitude.
+function ItemCells({ item, geo, altitude, onChange, disabled }) {
+  return (
+    <>
+      <td title={`(${item.x}, ${item.y})`}>{formatLatLon(simToGeodetic(item, geo))}</td>
+      <NumberCell
+        value={item.altitude}
+        onChange={(value) => onChange({ altitude: value })}
+        disabled={disabled}
+        placeholder={String(altitude)}
+      />
+      <NumberCell value={item.loiter} onChange={(loiter) => onChange({ loiter })} disabled={disabled} />
+      <NumberCell
+        value={item.speed ? Number((item.speed * geo.metresPerUnit).toFixed(2)) : undefined}
+        onChange={(speed) => onChange({ speed: speed && speed / geo.metresPerUnit })}
+        disabled={disabled}
+        step={0.5}
+        placeholder="cruise"
+      />
+    </>
+  );
+}
+
+const ITEM_HEADINGS = (
+  <>
+    <th>position</th>
+    <th>alt m</th>
+    <th>loiter s</th>
+    <th>speed m/s</th>
+  </>
+);
+
+/**
+ * @param {object} props
+ * @param {object} props.config - Engine config with start, waypoints, injectedMission, droneSpeed, altitude, geo, world
+ * @param {(config: object) => void} props.onChange - The config with an edited mission
+ */
+export default function MissionEditor({ config, onChange, disabled = false }) {
+  const fileRef = useRef(null);
+  const [error, setError] = useState(null);
+  const { waypoints, injectedMission, geo } = config;
+
+  const setWaypoint = (i, change) =>
+    onChange({ ...config, waypoints: waypoints.map((wp, j) => (j === i ? withChange(wp, change) : wp)) });
+  const removeWaypoint = (i) => onChange({ ...config, waypoints: waypoints.filter((_, j) => j !== i) });
+
+  const setEdit = (i, change) =>
+    onChange({ ...config, injectedMission: injectedMission.map((edit, j) => (j === i ? withChange(edit, change) : edit)) });
+  const removeEdit = (i) => onChange({ ...config, injectedMission: injectedMission.filter((_, j) => j !== i) });
+  // New edits start as a copy of the last, appended to the mission
+  const addEdit = () => {
+    const last = injectedMission[injectedMission.length - 1];
+    onChange({ ...config, injectedMission: [...injectedMission, { ...last, action: 'insert', seq: waypoints.length }] });
+  };
+
+  const exportAs = (format) => {
+    const { ext, type } = MISSION_FORMATS[format];
+    const content = format === 'plan' ? JSON.stringify(toQgcPlan(config), null, 2) : toWaypointsFile(config);
+    downloadFile(`mission.${ext}`, content, type);
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const { start, waypoints: imported, skipped } = file.name.endsWith('.plan')
+        ? parseQgcPlan(text, config)
+        : parseWaypointsFile(text, config);
+      setError(skipped > 0 ? `${skipped} items the simulation does not fly were skipped` : null);
+      onChange({ ...config, start, waypoints: imported });
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="mission-editor">
+      <div className="mission-toolbar">
+        <button onClick={() => fileRef.current.click()} className="control-button" disabled={disabled}>
+          ⬆ Import mission
+        </button>
+        <input ref={fileRef} type="file" accept=".plan,.waypoints,.txt" hidden onChange={importFile} />
+        <select
+          className="scenario-select"
+          value=""
+          onChange={(e) => exportAs(e.target.value)}
+          aria-label="Export mission"
+        >
+          <option value="">⬇ Export mission…</option>
+          {Object.entries(MISSION_FORMATS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {error && <span className="scenario-error">{error}</span>}
+
+      <div className="geo-positions">
+        <table className="mission-table">
+          <thead>
+            <tr><th>#</th>{ITEM_HEADINGS}<th /></tr>
+          </thead>
+          <tbody>
+            {waypoints.map((wp, i) => (
+              <tr key={i}>
+                <th>WP{i + 1}</th>
+                <ItemCells item={wp} geo={geo} altitude={config.altitude} onChange={(change) => setWaypoint(i, change)} disabled={disabled} />
+                <td>
+                  <button
+                    className="mission-remove"
+                    onClick={() => removeWaypoint(i)}
+                    disabled={disabled || waypoints.length <= 1}
+                    aria-label={`Remove WP${i + 1}`}
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h4 className="mission-heading">Injected mission items</h4>
+      <div className="geo-positions">
+        <table className="mission-table">
+          <thead>
+            <tr><th>edit</th><th>#</th>{ITEM_HEADINGS}<th /></tr>
+          </thead>
+          <tbody>
+            {injectedMission.map((edit, i) => (
+              <tr key={i} className="mission-injected">
+                <td>
+                  <select
+                    className="mission-input"
+                    value={edit.action}
+                    onChange={(e) => setEdit(i, { action: e.target.value })}
+                    disabled={disabled}
+                    aria-label="Edit"
+                  >
+                    {Object.entries(EDIT_ACTIONS).map(([action, label]) => (
+                      <option key={action} value={action}>{label}</option>
+                    ))}
+                  </select>
+                </td>
+                {/* Mission items are numbered from 1 here, as waypoints are */}
+                <NumberCell value={edit.seq + 1} onChange={(n) => setEdit(i, { seq: Math.max(Math.round(n ?? 1) - 1, 0) })} disabled={disabled} />
+                <ItemCells item={edit} geo={geo} altitude={config.altitude} onChange={(change) => setEdit(i, change)} disabled={disabled} />
+                <td>
+                  <button
+                    className="mission-remove"
+                    onClick={() => removeEdit(i)}
+                    disabled={disabled || injectedMission.length <= 1}
+                    aria-label={`Remove injected item ${i + 1}`}
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <small>Move waypoints and injected items in ✎ Edit Layout; with nothing selected, a click on the ground adds a waypoint.</small>
+      </div>
+      <button onClick={addEdit} className="control-button" disabled={disabled}>＋ Injected item</button>
+    </div>
+  );
+}
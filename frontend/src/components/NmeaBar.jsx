@@ -0,0 +1,44 @@
+import React, { useRef, useState } from "react";
+import { parseNmea } from "../sim/nmea.js";
+
+/* ── NMEA strip: receiver logs of the last run, and a recorded log to drive PERCEIVED ── */
+export default function NmeaBar({ log, track, onDownload, onLoad, onClear, disabled }) {
+  const fileRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  const importLog = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { fixes, skipped } = parseNmea(await file.text());
+      setError(skipped > 0 ? `${skipped} malformed sentences skipped` : null);
+      onLoad(file.name, fixes);
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="replay-bar">
+      <span className="nmea-label">NMEA</span>
+      <button onClick={() => onDownload("actual")} className="control-button" disabled={log.actual.length === 0}>
+        ⬇ Actual
+      </button>
+      <button onClick={() => onDownload("perceived")} className="control-button" disabled={log.perceived.length === 0}>
+        ⬇ Perceived
+      </button>
+      <button onClick={() => fileRef.current.click()} className="control-button" disabled={disabled}>
+        ⬆ Drive PERCEIVED from log
+      </button>
+      <input ref={fileRef} type="file" accept=".nmea,.txt,.log" hidden onChange={importLog} />
+      {track && (
+        <span className="nmea-track">
+          {track.name}: {track.points.length} fixes
+          <button onClick={onClear} className="control-button reset" disabled={disabled}>✕</button>
+        </span>
+      )}
+      {error && <span className="replay-error">{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import React, { useRef, useState } from "react";
+import { buildingsFromGeoJson, terrainFromHeightmap } from "../sim/obstacles.js";
+
+// Elevation of a white heightmap pixel, in metres
+const HEIGHTMAP_PEAK = 100;
+
+// RGBA pixels of a picked image
+async function imagePixels(file) {
+  const bitmap = await createImageBitmap(file);
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/* ── Obstacles for the scenario: buildings from GeoJSON, terrain from a heightmap ── */
+export default function ObstaclePicker({ obstacles, geo, onChange, disabled }) {
+  const buildingsRef = useRef(null);
+  const terrainRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  const choose = (value) => {
+    setError(null);
+    if (value === "buildings") buildingsRef.current.click();
+    else if (value === "terrain") terrainRef.current.click();
+    else if (value === "clear") onChange(null);
+  };
+
+  const importBuildings = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const buildings = buildingsFromGeoJson(JSON.parse(await file.text()), geo);
+      onChange({ ...obstacles, buildings });
+    } catch (err) {
+      setError(`Buildings failed: ${err.message}`);
+    }
+  };
+
+  const importTerrain = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const terrain = terrainFromHeightmap(await imagePixels(file), HEIGHTMAP_PEAK);
+      onChange({ ...obstacles, terrain });
+    } catch (err) {
+      setError(`Heightmap failed: ${err.message}`);
+    }
+  };
+
+  const count = obstacles?.buildings?.length || 0;
+  const summary = [count > 0 && `${count} buildings`, obstacles?.terrain && "terrain"].filter(Boolean).join(" + ");
+  return (
+    <span className="obstacle-picker">
+      <select
+        className="scenario-select"
+        value=""
+        onChange={(e) => choose(e.target.value)}
+        disabled={disabled}
+        aria-label="Obstacles"
+      >
+        <option value="">🏢 {summary || "No obstacles"}</option>
+        <option value="buildings">🏢 Buildings from GeoJSON…</option>
+        <option value="terrain">⛰ Terrain from heightmap (white = {HEIGHTMAP_PEAK} m)…</option>
+        {obstacles && <option value="clear">✕ Clear obstacles</option>}
+      </select>
+      <input ref={buildingsRef} type="file" accept=".geojson,.json,application/geo+json" hidden onChange={importBuildings} />
+      <input ref={terrainRef} type="file" accept="image/*" hidden onChange={importTerrain} />
+      {error && <span className="replay-error">{error}</span>}
+    </span>
+  );
+}
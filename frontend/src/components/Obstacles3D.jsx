@@ -0,0 +1,79 @@
+import React, { useEffect, useMemo } from "react";
+import * as THREE from "three";
+import { terrainHeight } from "../sim/obstacles.js";
+
+// Just above the grid (-0.04) so flat terrain does not flicker against it
+const TERRAIN_LIFT = -0.03;
+
+function Building({ building, terrain, world, toWorld, verticalScale }) {
+  const geometry = useMemo(() => {
+    // Shapes extrude along +z; laid flat, shape y becomes -z in the scene
+    const shape = new THREE.Shape(building.footprint.map((p) => {
+      const [x, , z] = toWorld(p.x, p.y);
+      return new THREE.Vector2(x, -z);
+    }));
+    return new THREE.ExtrudeGeometry(shape, { depth: building.height * verticalScale, bevelEnabled: false });
+  }, [building, toWorld, verticalScale]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  const cx = building.footprint.reduce((sum, p) => sum + p.x, 0) / building.footprint.length;
+  const cy = building.footprint.reduce((sum, p) => sum + p.y, 0) / building.footprint.length;
+  const base = terrainHeight(terrain, world, { x: cx, y: cy }) * verticalScale;
+
+  return (
+    <group position={[0, base, 0]} rotation={[-Math.PI / 2, 0, 0]}>
+      <mesh geometry={geometry}>
+        <meshStandardMaterial color="#1b2a44" transparent opacity={0.85} />
+      </mesh>
+      <mesh geometry={geometry}>
+        <meshBasicMaterial color="#4a6fa5" wireframe transparent opacity={0.35} />
+      </mesh>
+    </group>
+  );
+}
+
+function Terrain({ terrain, world, toWorld, verticalScale }) {
+  const [x0, , z0] = toWorld(0, 0);
+  const [x1, , z1] = toWorld(world.width, world.height);
+
+  const geometry = useMemo(() => {
+    const geo = new THREE.PlaneGeometry(x1 - x0, z1 - z0, terrain.cols - 1, terrain.rows - 1);
+    // Plane vertices run row by row from the top-left, like the height grid
+    const position = geo.attributes.position;
+    terrain.heights.forEach((h, i) => position.setZ(i, h * verticalScale));
+    geo.computeVertexNormals();
+    return geo;
+  }, [terrain, x0, z0, x1, z1, verticalScale]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  return (
+    <mesh geometry={geometry} position={[(x0 + x1) / 2, TERRAIN_LIFT, (z0 + z1) / 2]} rotation={[-Math.PI / 2, 0, 0]}>
+      <meshBasicMaterial color="#3a5a40" wireframe transparent opacity={0.45} />
+    </mesh>
+  );
+}
+
+/* ── Buildings and terrain from the config's obstacles (see sim/obstacles.js) ── */
+// Render inside the group that maps sim coordinates through `toWorld`;
+// verticalScale is scene units per metre of height
+export default function Obstacles3D({ obstacles, world, toWorld, verticalScale }) {
+  if (!obstacles) return null;
+  const { buildings = [], terrain = null } = obstacles;
+  return (
+    <group>
+      {terrain && <Terrain terrain={terrain} world={world} toWorld={toWorld} verticalScale={verticalScale} />}
+      {buildings.map((building) => (
+        <Building
+          key={building.id}
+          building={building}
+          terrain={terrain}
+          world={world}
+          toWorld={toWorld}
+          verticalScale={verticalScale}
+        />
+      ))}
+    </group>
+  );
+}
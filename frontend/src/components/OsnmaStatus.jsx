@@ -0,0 +1,49 @@
+import React from 'react';
+
+/* ═══════════════════════════════════════════
+   OSNMA STATUS
+   Per-satellite navigation message
+   authentication, and how long a counterfeit
+   message can go unchallenged before the key
+   that checks it is disclosed.
+   ═══════════════════════════════════════════ */
+
+const LABELS = {
+  authentic: '✓ AUTHENTIC',
+  failed: '✗ REJECTED',
+  awaiting: '… AWAITING KEY',
+};
+
+export default function OsnmaStatus({ satellites, status, time, config }) {
+  const { osnmaSubframe: subframe, osnmaKeyDelay: delay } = config;
+  const covered = satellites.filter((sat) => config.osnmaSystems.includes(sat.system));
+  const nextKey = subframe - (time % subframe);
+  const windowMs = (1 + delay) * subframe;
+
+  return (
+    <div className="osnma-status">
+      <p className="phase-description">
+        Window of vulnerability: up to {(windowMs / 1000).toFixed(1)}s between a message and the key
+        that checks it. Next key disclosure in {(nextKey / 1000).toFixed(1)}s.
+      </p>
+      {covered.length === 0 ? (
+        <p className="status-message">
+          The receiver tracks no {config.osnmaSystems.join(' / ')} satellites, so nothing is authenticated.
+        </p>
+      ) : (
+        <div className="osnma-grid">
+          {covered.map((sat) => {
+            const entry = status[sat.id];
+            const state = entry ? entry.state : 'awaiting';
+            return (
+              <span key={sat.id} className={`osnma-sat ${state}`}>
+                {sat.id} {LABELS[state]}
+                {entry && <small> sf {entry.subframe}</small>}
+              </span>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import React, { useMemo, useState } from 'react';
+import { decodeFrame, HEADER_LEN, CHECKSUM_LEN, COMMAND_NAMES } from '../sim/mavlink.js';
+import { fromHex } from '../lib/sha256.js';
+
+/* ═══════════════════════════════════════════
+   PACKET INSPECTOR
+   MAVLink 2 frames on the C2 link, newest
+   first: pick one to see its bytes split into
+   header, payload and checksum, and its decoded
+   fields. A sender whose sequence numbers jump
+   is flagged, which is how a second transmitter
+   using the ground station's ids shows up.
+   Signed frames show their link id, timestamp
+   and signature, and every frame what the
+   autopilot did with it.
+   ═══════════════════════════════════════════ */
+
+const LIST_SIZE = 10;
+const SOURCES = { gcs: 'GCS', attacker: 'ATTACKER' };
+const VERDICTS = {
+  accepted: '✓ accepted',
+  lost: '— lost on the air',
+  unsigned: '✗ dropped: unsigned',
+  'bad-signature': '✗ dropped: bad signature',
+  replayed: '✗ dropped: replayed',
+};
+
+// Header fields laid out in wire order, for the hex dump
+const HEADER_BYTES = ['STX', 'len', 'incompat', 'compat', 'seq', 'sysid', 'compid', 'msgid', 'msgid', 'msgid'];
+
+function formatField(message, name, value) {
+  if (name === 'command') return `${value} ${COMMAND_NAMES[value] || ''}`;
+  if (message === 'MISSION_ITEM_INT' && (name === 'x' || name === 'y')) return `${value} (${(value / 1e7).toFixed(7)}°)`;
+  if (name === 'type_mask') return `0x${value.toString(16).padStart(4, '0')}`;
+  return Number.isInteger(value) ? String(value) : value.toFixed(3);
+}
+
+// Decode the log, marking frames whose seq does not follow the last one from the same sysid/compid
+function decodeLog(frames) {
+  const lastSeq = {};
+  return frames.map((frame) => {
+    const bytes = fromHex(frame.hex);
+    const decoded = decodeFrame(bytes);
+    const sender = `${decoded.sysid}/${decoded.compid}`;
+    const gap = sender in lastSeq && decoded.seq !== ((lastSeq[sender] + 1) & 0xff);
+    lastSeq[sender] = decoded.seq;
+    return { ...frame, bytes, decoded, gap };
+  });
+}
+
+function HexDump({ bytes, decoded }) {
+  const payloadEnd = HEADER_LEN + bytes[1];
+  const part = (i) => {
+    if (i < HEADER_LEN) return 'header';
+    if (i < payloadEnd) return 'payload';
+    if (i < payloadEnd + CHECKSUM_LEN) return 'checksum';
+    return 'signature';
+  };
+  return (
+    <div className="packet-hex">
+      {Array.from(bytes, (b, i) => (
+        <span
+          key={i}
+          className={`hex-${part(i)}`}
+          title={i < HEADER_LEN ? HEADER_BYTES[i] : part(i)}
+        >
+          {b.toString(16).padStart(2, '0')}
+        </span>
+      ))}
+      <small>
+        header · payload ({bytes[1]} of its bytes sent) · checksum{' '}
+        {decoded.crcOk === null ? 'unchecked' : decoded.crcOk ? '✓' : '✗ BAD'}
+        {decoded.signature && ' · link id, timestamp, signature'}
+      </small>
+    </div>
+  );
+}
+
+export default function PacketInspector({ frames }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const log = useMemo(() => decodeLog(frames), [frames]);
+  const recent = log.slice(-LIST_SIZE).reverse();
+  const selected = log.find((f) => f.id === selectedId) || recent[0];
+
+  if (!selected) {
+    return <p className="phase-description">No MAVLink traffic yet. Frames appear once the run starts.</p>;
+  }
+  const { decoded } = selected;
+  return (
+    <div className="packet-inspector">
+      <div className="packet-list">
+        {recent.map((f) => (
+          <button
+            key={f.id}
+            className={`packet-row ${f.source} ${f.id === selected.id ? 'selected' : ''}`}
+            onClick={() => setSelectedId(f.id)}
+          >
+            <span>{(f.time / 1000).toFixed(2)}s</span>
+            <span>{SOURCES[f.source]}</span>
+            <span>#{f.decoded.seq}{f.gap && ' ⚠'}</span>
+            <span>{f.decoded.message || `MSG ${f.decoded.msgid}`}{f.verdict !== 'accepted' && ' ✗'}</span>
+          </button>
+        ))}
+      </div>
+      <HexDump bytes={selected.bytes} decoded={decoded} />
+      <div className="geo-positions">
+        <table>
+          <tbody>
+            <tr><th>sender</th><td>SYS {decoded.sysid} / COMP {decoded.compid} ({SOURCES[selected.source]})</td></tr>
+            <tr><th>seq</th><td>{decoded.seq}{selected.gap && ' ⚠ out of sequence for this sender'}</td></tr>
+            <tr><th>msgid</th><td>{decoded.msgid} {decoded.message}</td></tr>
+            <tr>
+              <th>signature</th>
+              <td>
+                {decoded.signature
+                  ? `link ${decoded.signature.linkId}, ts ${decoded.signature.timestamp}`
+                  : 'unsigned'}
+              </td>
+            </tr>
+            <tr><th>autopilot</th><td>{VERDICTS[selected.verdict]}</td></tr>
+            {decoded.fields && Object.entries(decoded.fields).map(([name, value]) => (
+              <tr key={name}><th>{name}</th><td>{formatField(decoded.message, name, value)}</td></tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
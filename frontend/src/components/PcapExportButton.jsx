@@ -0,0 +1,43 @@
+import React, { useState } from "react";
+import { buildTimeline, stateAt } from "../sim/recording.js";
+import { uploadFrames, pcapUrl } from "../lib/logClient.js";
+import { downloadFile } from "../lib/download.js";
+
+/**
+ * Download the C2 link traffic of a run as a pcap for Wireshark. The run is
+ * replayed for its MAVLink frames, which the backend wraps in UDP on port 14550.
+ * Only the uplink is simulated: frames from the ground station and the attacker
+ * to the drone, not the drone's telemetry back.
+ * @param {object} props
+ * @param {object|null} props.recording - Last run or the one being replayed; needs its runId
+ */
+export default function PcapExportButton({ page, engine, recording }) {
+  const [error, setError] = useState(null);
+
+  const exportPcap = async () => {
+    setError(null);
+    try {
+      const { frames } = stateAt(engine, buildTimeline(engine, recording), recording.ticks);
+      await uploadFrames(recording.runId, frames);
+      const res = await fetch(pcapUrl(recording.runId));
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      downloadFile(`${page}-c2-${recording.runId.slice(0, 8)}.pcap`, await res.blob());
+    } catch (err) {
+      setError(`pcap export failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <>
+      <button
+        onClick={exportPcap}
+        className="control-button"
+        disabled={!recording?.runId}
+        title="Ground station and attacker frames to the drone; the drone's telemetry downlink is not included"
+      >
+        ⬇ pcap (uplink)
+      </button>
+      {error && <span className="replay-error">{error}</span>}
+    </>
+  );
+}
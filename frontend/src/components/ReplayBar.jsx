@@ -0,0 +1,84 @@
+import React, { useRef, useState } from "react";
+import ClockControls from "./ClockControls.jsx";
+import { parseRecording } from "../sim/recording.js";
+import { downloadJson } from "../lib/download.js";
+
+const formatTime = (ticks, tickMs) => `${(ticks * tickMs / 1000).toFixed(2)}s`;
+
+/* ── Record / replay strip: last-run replay, timeline scrubber, JSON export & import ── */
+// Children (e.g. further export menus) sit after the export / import buttons
+export default function ReplayBar({ page, sim, replay, onRecord, children }) {
+  const fileRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  const enterReplay = (recording) => {
+    sim.pause();
+    setError(null);
+    replay.load(recording);
+  };
+
+  const exportRecording = () => {
+    const rec = replay.active ? replay.recording : sim.recording;
+    const id = rec.runId ? rec.runId.slice(0, 8) : rec.recordedAt.replace(/[:.]/g, "-");
+    downloadJson(`${page}-recording-${id}.json`, rec);
+  };
+
+  const importRecording = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      enterReplay(parseRecording(await file.text(), page));
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    }
+  };
+
+  if (replay.active) {
+    const { tickMs } = replay.recording;
+    return (
+      <div className="replay-bar active">
+        <span className="badge bad">⟲ REPLAY</span>
+        <ClockControls clock={replay.clock} disabled={replay.tick >= replay.length} />
+        <input
+          type="range"
+          className="replay-scrubber"
+          min={0}
+          max={replay.length}
+          value={replay.tick}
+          onChange={(e) => replay.seek(Number(e.target.value))}
+          aria-label="Replay position"
+        />
+        <span className="replay-time">
+          {formatTime(replay.tick, tickMs)} / {formatTime(replay.length, tickMs)}
+        </span>
+        <button onClick={exportRecording} className="control-button">⬇ Export</button>
+        {children}
+        <button onClick={replay.exit} className="control-button reset">✕ Exit Replay</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="replay-bar">
+      {sim.isRecording && <span className="replay-rec">● REC</span>}
+      {onRecord && (
+        <button onClick={sim.isRecording ? sim.stopRecording : onRecord} className="control-button">
+          {sim.isRecording ? "■ Stop Recording" : "● Record"}
+        </button>
+      )}
+      <button onClick={() => enterReplay(sim.recording)} className="control-button" disabled={!sim.recording}>
+        ⟲ Replay Last Run
+      </button>
+      <button onClick={exportRecording} className="control-button" disabled={!sim.recording}>
+        ⬇ Export
+      </button>
+      <button onClick={() => fileRef.current.click()} className="control-button">
+        ⬆ Import
+      </button>
+      <input ref={fileRef} type="file" accept=".json,application/json" hidden onChange={importRecording} />
+      {children}
+      {error && <span className="replay-error">{error}</span>}
+    </div>
+  );
+}
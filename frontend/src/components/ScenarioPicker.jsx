@@ -0,0 +1,54 @@
+import React, { useMemo, useRef, useState } from "react";
+import { bundledScenarios } from "../scenarios/index.js";
+import { parseScenario } from "../sim/scenario.js";
+
+/* ── "Load scenario": bundled exercises, JSON files from disk and layouts edited in the scene ── */
+export default function ScenarioPicker({ page, defaults, units, current, onLoad, extra = [], disabled = false }) {
+  const bundled = useMemo(() => bundledScenarios(page), [page]);
+  const [imported, setImported] = useState([]);
+  const [error, setError] = useState(null);
+  const fileRef = useRef(null);
+  const scenarios = [...bundled, ...imported, ...extra];
+
+  const load = (data) => {
+    try {
+      const { scenario, config } = parseScenario(data, page, defaults, units);
+      setError(null);
+      onLoad(scenario, config);
+      return scenario;
+    } catch (err) {
+      setError(`Invalid scenario: ${err.message}`);
+      return null;
+    }
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const scenario = load(await file.text());
+    if (scenario) setImported((prev) => [...prev.filter((s) => s.id !== scenario.id), scenario]);
+  };
+
+  return (
+    <div className="scenario-picker">
+      <select
+        className="scenario-select"
+        value={current}
+        onChange={(e) => load(scenarios.find((s) => s.id === e.target.value))}
+        disabled={disabled}
+        aria-label="Scenario"
+        title={scenarios.find((s) => s.id === current)?.description}
+      >
+        {scenarios.map((s) => (
+          <option key={s.id} value={s.id}>{s.name}</option>
+        ))}
+      </select>
+      <button onClick={() => fileRef.current.click()} className="control-button" disabled={disabled}>
+        ⬆ Load Scenario
+      </button>
+      <input ref={fileRef} type="file" accept=".json,application/json" hidden onChange={importFile} />
+      {error && <span className="scenario-error">{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import React, { useCallback, useState } from "react";
+import { Text } from "@react-three/drei";
+import * as THREE from "three";
+import { getPath } from "../sim/scenario.js";
+import { clamp, dist } from "../sim/geometry.js";
+
+/* ═══════════════════════════════════════════
+   IN-SCENE LAYOUT EDITOR
+   Lives inside a page's R3F scene, outside the
+   world-offset group, so the world centre is the
+   origin. Pointer hits on an invisible pick plane
+   are turned back into 2D sim coordinates (the
+   inverse of the pages' toWorld + worldOffset).
+   Drag a handle to move it, drag its knob to
+   resize, or select one and click the ground.
+   With nothing selected, a click on the ground
+   goes to `onPlace`, e.g. to add a waypoint.
+   ═══════════════════════════════════════════ */
+
+function EditHandle({ handle, config, toScene, scale, selected, onGrab }) {
+  const pos = getPath(config, handle.id);
+  const [x, , z] = toScene(pos);
+  const radii = (handle.radii || []).map((r, i) => ({ ...r, value: getPath(config, r.path) * (r.scale ?? 1), i }));
+
+  return (
+    <group>
+      <mesh position={[x, 0.2, z]} onPointerDown={(e) => onGrab(e, { id: handle.id })}>
+        <sphereGeometry args={[selected ? 0.26 : 0.2, 16, 16]} />
+        <meshBasicMaterial color={handle.color} transparent opacity={selected ? 0.9 : 0.6} />
+      </mesh>
+      <Text position={[x, 0.65, z]} fontSize={0.2} color={handle.color} anchorX="center">
+        {handle.label}
+      </Text>
+
+      {radii.map((r) => {
+        // Knobs fan out so several radii on one handle stay grabbable
+        const angle = r.i * 0.6;
+        const [kx, , kz] = toScene({ x: pos.x + Math.cos(angle) * r.value, y: pos.y + Math.sin(angle) * r.value });
+        return (
+          <group key={r.path}>
+            <mesh position={[x, 0.03, z]} rotation={[-Math.PI / 2, 0, 0]}>
+              <ringGeometry args={[Math.max(0, r.value * scale - 0.02), r.value * scale + 0.02, 64]} />
+              <meshBasicMaterial color={handle.color} transparent opacity={0.5} side={THREE.DoubleSide} />
+            </mesh>
+            <mesh position={[kx, 0.2, kz]} onPointerDown={(e) => onGrab(e, { id: handle.id, radius: r })}>
+              <boxGeometry args={[0.22, 0.22, 0.22]} />
+              <meshBasicMaterial color="#ffffff" transparent opacity={0.85} />
+            </mesh>
+          </group>
+        );
+      })}
+    </group>
+  );
+}
+
+export default function SceneEditor({ world, scale, config, handles, selected, onSelect, onMove, onResize, onPlace }) {
+  const [drag, setDrag] = useState(null);
+
+  const toScene = useCallback(
+    (p) => [(p.x - world.width / 2) * scale, 0, (p.y - world.height / 2) * scale],
+    [world.width, world.height, scale]
+  );
+
+  // Scene point on the ground → sim coordinates, kept inside the world
+  const toSim = (point) => ({
+    x: clamp(point.x / scale + world.width / 2, 0, world.width),
+    y: clamp(point.z / scale + world.height / 2, 0, world.height),
+  });
+
+  const grab = (e, target) => {
+    e.stopPropagation();
+    onSelect(target.id);
+    setDrag(target);
+  };
+
+  const handleMove = (e) => {
+    if (!drag) return;
+    e.stopPropagation();
+    const p = toSim(e.point);
+    if (drag.radius) {
+      const center = getPath(config, drag.id);
+      onResize(drag.radius.path, dist(center, p) / (drag.radius.scale ?? 1));
+    } else {
+      onMove(drag.id, p);
+    }
+  };
+
+  const pickSize = Math.max(world.width, world.height) * scale * 3;
+
+  return (
+    <group>
+      {/* Invisible pick plane: drags, and click-to-place for the selected handle (or onPlace) */}
+      <mesh
+        rotation={[-Math.PI / 2, 0, 0]}
+        position={[0, 0, 0]}
+        onPointerMove={handleMove}
+        onPointerUp={() => setDrag(null)}
+        onPointerLeave={() => setDrag(null)}
+        onClick={(e) => {
+          if (drag) return;
+          if (selected) onMove(selected, toSim(e.point));
+          else if (onPlace) onPlace(toSim(e.point));
+        }}
+      >
+        <planeGeometry args={[pickSize, pickSize]} />
+        <meshBasicMaterial transparent opacity={0} depthWrite={false} />
+      </mesh>
+
+      {handles.map((h) => (
+        <EditHandle
+          key={h.id}
+          handle={h}
+          config={config}
+          toScene={toScene}
+          scale={scale}
+          selected={selected === h.id}
+          onGrab={grab}
+        />
+      ))}
+    </group>
+  );
+}
@@ -0,0 +1,52 @@
+import React from "react";
+import { sampleRun } from "../sim/recording.js";
+import { toGeoJson, toKml, toCsv } from "../sim/trackExport.js";
+import { downloadFile, downloadJson } from "../lib/download.js";
+
+const FORMATS = {
+  geojson: { label: "GeoJSON", ext: "geojson" },
+  kml: { label: "KML", ext: "kml" },
+  csv: { label: "CSV (per tick)", ext: "csv" },
+};
+
+/**
+ * Export menu for the trajectories of a recorded run. The run is replayed
+ * through the engine to sample every tick.
+ * @param {object} props
+ * @param {object|null} props.recording - Last run or the one being replayed
+ * @param {(initial: object) => Array<{ id, name, role }>} props.tracksOf - Tracks of a run
+ * @param {(state: object) => Object<string, { x, y }>} props.positionsOf - Track positions in one state
+ */
+export default function TrackExportMenu({ page, engine, recording, tracksOf, positionsOf }) {
+  const exportAs = (format) => {
+    const samples = sampleRun(engine, recording, (state, tick) =>
+      ({ tick, time: state.time, phase: state.phase, positions: positionsOf(state) }));
+    const id = recording.runId ? recording.runId.slice(0, 8) : recording.recordedAt.replace(/[:.]/g, "-");
+    const run = {
+      tracks: tracksOf(recording.initial),
+      samples,
+      geo: recording.initial.config.geo,
+      start: Date.parse(recording.recordedAt),
+      name: `${page} ${id}`,
+    };
+    const filename = `${page}-tracks-${id}.${FORMATS[format].ext}`;
+    if (format === "geojson") downloadJson(filename, toGeoJson(run));
+    else if (format === "kml") downloadFile(filename, toKml(run), "application/vnd.google-earth.kml+xml");
+    else downloadFile(filename, toCsv(run), "text/csv");
+  };
+
+  return (
+    <select
+      className="scenario-select"
+      value=""
+      onChange={(e) => exportAs(e.target.value)}
+      disabled={!recording}
+      aria-label="Export tracks"
+    >
+      <option value="">⬇ Export tracks…</option>
+      {Object.entries(FORMATS).map(([key, { label }]) => (
+        <option key={key} value={key}>{label}</option>
+      ))}
+    </select>
+  );
+}
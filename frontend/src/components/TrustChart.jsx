@@ -0,0 +1,50 @@
+import React from 'react';
+
+/* ═══════════════════════════════════════════
+   TRUST CHART
+   The autopilot's trust score over the last
+   samples against the rejection threshold,
+   with markers where the drone left its plan
+   and where the score fell under the line.
+   ═══════════════════════════════════════════ */
+
+const WIDTH = 300;
+const HEIGHT = 110;
+const PAD = { left: 28, right: 6, top: 6, bottom: 14 };
+
+const yOf = (score) => PAD.top + (1 - score) * (HEIGHT - PAD.top - PAD.bottom);
+
+export default function TrustChart({ history, threshold, divertedAt, detectedAt }) {
+  if (history.length === 0) return <p className="phase-description">No trust samples yet.</p>;
+
+  const t0 = history[0].time;
+  const span = Math.max(history[history.length - 1].time - t0, 1);
+  const xOf = (time) => PAD.left + ((time - t0) / span) * (WIDTH - PAD.left - PAD.right);
+  const marker = (time, className) => time !== null && time >= t0 && (
+    <line x1={xOf(time)} x2={xOf(time)} y1={PAD.top} y2={HEIGHT - PAD.bottom} className={className} />
+  );
+
+  return (
+    <div className="trust-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none">
+        {[0, 0.5, 1].map((v) => (
+          <g key={v}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={yOf(v)} y2={yOf(v)} className="cn0-grid" />
+            <text x={PAD.left - 4} y={yOf(v) + 3} className="cn0-axis" textAnchor="end">{v.toFixed(1)}</text>
+          </g>
+        ))}
+        <line x1={PAD.left} x2={WIDTH - PAD.right} y1={yOf(threshold)} y2={yOf(threshold)} className="cn0-threshold" />
+        {marker(divertedAt, 'trust-diverted')}
+        {marker(detectedAt, 'trust-detected')}
+        <polyline
+          fill="none"
+          className="trust-score"
+          points={history.map((s) => `${xOf(s.time).toFixed(1)},${yOf(s.score).toFixed(1)}`).join(' ')}
+        />
+        <text x={WIDTH - PAD.right} y={HEIGHT - 3} className="cn0-axis" textAnchor="end">
+          T+{(history[history.length - 1].time / 1000).toFixed(1)}s
+        </text>
+      </svg>
+    </div>
+  );
+}
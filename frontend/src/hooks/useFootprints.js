@@ -0,0 +1,57 @@
+import { useState, useRef, useCallback } from 'react';
+import { shipLog, flushLogs, newRunId, openRun, closeRun } from '../lib/logClient.js';
+
+/**
+ * Digital footprint log for a simulation page.
+ *
+ * Keeps the entries shown in the InfoPanel and ships every one of them to
+ * the backend log store, tagged with the page and the current run id.
+ * Runs are registered with the backend under the page id as their scenario.
+ *
+ * @param {string} page - Page identifier stored with each entry (e.g. 'gnss-spoofing')
+ * @returns {{
+ *   footprints: Array<{ type: string, message: string, timestamp: string }>,
+ *   addFootprint: (type: string, message: string, simTime?: number) => void,
+ *   startRun: (params?: object) => string,
+ *   endRun: (outcome: string) => void,
+ *   getRunId: () => string | null,
+ *   clearFootprints: () => void,
+ * }}
+ */
+export default function useFootprints(page) {
+  const [footprints, setFootprints] = useState([]);
+  const runIdRef = useRef(null);
+
+  const addFootprint = useCallback((type, message, simTime = null) => {
+    const now = new Date();
+    const timestamp = now.toLocaleTimeString('en-US', { hour12: false });
+    setFootprints(prev => [...prev, { type, message, timestamp }]);
+    shipLog({
+      type,
+      message,
+      simTime,
+      page,
+      runId: runIdRef.current,
+      clientTime: now.toISOString(),
+    });
+  }, [page]);
+
+  // Begin a new run: clears the visible log and tags later entries with a fresh id
+  const startRun = useCallback((params = {}) => {
+    flushLogs();
+    runIdRef.current = newRunId();
+    openRun(runIdRef.current, page, params);
+    setFootprints([]);
+    return runIdRef.current;
+  }, [page]);
+
+  // Record how the current run ended (e.g. 'HIJACKED', 'DEFENDED')
+  const endRun = useCallback((outcome) => {
+    if (runIdRef.current) closeRun(runIdRef.current, outcome);
+  }, []);
+
+  const clearFootprints = useCallback(() => setFootprints([]), []);
+  const getRunId = useCallback(() => runIdRef.current, []);
+
+  return { footprints, addFootprint, startRun, endRun, getRunId, clearFootprints };
+}
@@ -0,0 +1,84 @@
+import { useState, useCallback } from 'react';
+import { getPath, setPath, createScenario, validateScenario } from '../sim/scenario.js';
+import { downloadJson } from '../lib/download.js';
+
+// Id of the unsaved layout while the user is editing
+const EDITED_ID = 'edited-layout';
+
+/**
+ * State for the in-scene layout editor (see components/SceneEditor.jsx).
+ *
+ * Handles are declared by the page as config paths: `{ id: 'radioTower', label,
+ * color, radii: [{ path: 'maxJammingRadius', scale: 1 }] }`. Every move or resize
+ * produces a new engine config, handed to `onEdit` together with a scenario
+ * document describing it, so the page can rebuild its idle state.
+ *
+ * @param {{ page: string, defaults: object, units: object, config: object,
+ *   onEdit: (config: object, scenario: object) => void }} options
+ * @returns {{
+ *   editing: boolean,
+ *   setEditing: (editing: boolean) => void,
+ *   selected: string | null,
+ *   select: (id: string | null) => void,
+ *   move: (id: string, pos: { x: number, y: number }) => void,
+ *   resize: (path: string, value: number) => void,
+ *   update: (config: object) => void,
+ *   save: (name: string) => boolean,
+ *   scenarios: Array<object>,
+ *   error: string | null,
+ * }}
+ */
+export default function useLayoutEditor({ page, defaults, units, config, onEdit }) {
+  const [editing, setEditing] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [saved, setSaved] = useState([]);
+  const [error, setError] = useState(null);
+
+  const update = useCallback((next) => {
+    const doc = createScenario(page, 'Edited layout (unsaved)', next);
+    doc.id = EDITED_ID;
+    setDraft(doc);
+    onEdit(next, doc);
+  }, [page, onEdit]);
+
+  const move = useCallback((id, pos) => {
+    const current = getPath(config, id);
+    update(setPath(config, id, { ...current, x: Math.round(pos.x), y: Math.round(pos.y) }));
+  }, [config, update]);
+
+  const resize = useCallback((path, value) => {
+    update(setPath(config, path, Math.max(1, Math.round(value))));
+  }, [config, update]);
+
+  // Validate, download and keep the layout as a named scenario
+  const save = useCallback((name) => {
+    const doc = createScenario(page, name.trim() || 'Custom layout', config);
+    const errors = validateScenario(doc, page, defaults, units);
+    if (errors.length > 0) {
+      setError(`Cannot save: ${errors.join('; ')}`);
+      return false;
+    }
+    setError(null);
+    downloadJson(`${doc.id}.json`, doc);
+    setSaved((prev) => [...prev.filter((s) => s.id !== doc.id), doc]);
+    setDraft(null);
+    onEdit(config, doc);
+    return true;
+  }, [page, defaults, units, config, onEdit]);
+
+  const select = useCallback((id) => setSelected(id), []);
+
+  return {
+    editing,
+    setEditing,
+    selected,
+    select,
+    move,
+    resize,
+    update,
+    save,
+    scenarios: draft ? [...saved, draft] : saved,
+    error,
+  };
+}
@@ -0,0 +1,84 @@
+import { useState, useRef, useCallback, useMemo } from 'react';
+import { TICK_MS } from '../sim/common.js';
+import { buildTimeline, stateAt, stepFrom, footprintsAt } from '../sim/recording.js';
+import useSimulationClock from './useSimulationClock.js';
+
+/**
+ * Plays back a recorded run (see sim/recording.js) on its own clock, leaving
+ * the live simulation untouched. While `active`, pages render `state` and
+ * `footprints` instead of their live ones.
+ *
+ * @param {{ step: Function, applyInput?: Function }} engine - Engine the run was recorded with
+ * @returns {{
+ *   active: boolean,
+ *   recording: object | null,
+ *   state: object | null,
+ *   footprints: Array<{ type: string, message: string, timestamp: string }>,
+ *   tick: number,
+ *   length: number,
+ *   clock: ReturnType<typeof useSimulationClock>,
+ *   load: (recording: object) => void,
+ *   seek: (tick: number) => void,
+ *   exit: () => void,
+ * }}
+ */
+export default function useReplay(engine) {
+  const [timeline, setTimeline] = useState(null);
+  const [view, setView] = useState({ tick: 0, state: null });
+  const timelineRef = useRef(null);
+  const viewRef = useRef(view);
+
+  const show = useCallback((next) => {
+    viewRef.current = next;
+    setView(next);
+  }, []);
+
+  const clock = useSimulationClock(() => {
+    const tl = timelineRef.current;
+    const { tick, state } = viewRef.current;
+    if (!tl || tick >= tl.length) return;
+    show({ tick: tick + 1, state: stepFrom(engine, tl, state, tick) });
+    if (tick + 1 >= tl.length) clock.pause();
+  }, TICK_MS);
+
+  const seek = useCallback((tick) => {
+    const tl = timelineRef.current;
+    if (!tl) return;
+    const t = Math.max(0, Math.min(Math.round(tick), tl.length));
+    show({ tick: t, state: stateAt(engine, tl, t) });
+  }, [engine, show]);
+
+  const load = useCallback((recording) => {
+    const tl = buildTimeline(engine, recording);
+    timelineRef.current = tl;
+    setTimeline(tl);
+    clock.pause();
+    show({ tick: 0, state: tl.keyframes[0] });
+  }, [engine, show, clock.pause]);
+
+  const exit = useCallback(() => {
+    clock.pause();
+    timelineRef.current = null;
+    setTimeline(null);
+    show({ tick: 0, state: null });
+  }, [show, clock.pause]);
+
+  const recording = timeline ? timeline.recording : null;
+  const footprints = useMemo(
+    () => (recording ? footprintsAt(recording, view.tick) : []),
+    [recording, view.tick]
+  );
+
+  return {
+    active: timeline !== null,
+    recording,
+    state: view.state,
+    footprints,
+    tick: view.tick,
+    length: timeline ? timeline.length : 0,
+    clock,
+    load,
+    seek,
+    exit,
+  };
+}
@@ -0,0 +1,107 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { TICK_MS } from '../sim/common.js';
+import { createRecording, recordTick, recordInput } from '../sim/recording.js';
+import useSimulationClock from './useSimulationClock.js';
+
+/**
+ * Drives a headless scenario engine (see src/sim) from the shared simulation
+ * clock, so every page gets pause, single-step and speed control for free.
+ *
+ * The engine state lives in a ref so the loop always steps the latest state,
+ * and is mirrored into React state for rendering. While recording, every tick
+ * and input is appended to a recording (see sim/recording.js) that becomes
+ * available as `recording` once the run finishes or is stopped.
+ *
+ * @param {{ step: Function, isFinished: Function, applyInput?: Function }} engine - Scenario engine module
+ * @param {() => object} createInitial - Builds the initial (idle) engine state
+ * @param {(next: object, prev: object) => void} [onStep] - Called after every applied
+ *   state with the new and previous state; use it to consume `next.events`
+ * @returns {{
+ *   state: object,
+ *   stateRef: { current: object },
+ *   playing: boolean,
+ *   play: () => void,
+ *   pause: () => void,
+ *   clock: ReturnType<typeof useSimulationClock>,
+ *   apply: (next: object) => void,
+ *   replace: (next: object) => void,
+ *   input: (input: object) => void,
+ *   record: (meta: { page: string, runId?: string }) => void,
+ *   stopRecording: () => void,
+ *   recording: object | null,
+ *   isRecording: boolean,
+ * }}
+ */
+export default function useSimulation(engine, createInitial, onStep) {
+  const [state, setState] = useState(createInitial);
+  const stateRef = useRef(state);
+  const onStepRef = useRef(onStep);
+  const recordingRef = useRef(null);
+  const [recording, setRecording] = useState(null);
+  const [isRecording, setIsRecording] = useState(false);
+
+  useEffect(() => {
+    onStepRef.current = onStep;
+  });
+
+  // Commit a new engine state and let the page react to its events
+  const apply = useCallback((next) => {
+    const prev = stateRef.current;
+    stateRef.current = next;
+    setState(next);
+    if (onStepRef.current) onStepRef.current(next, prev);
+  }, []);
+
+  // Swap the state without running onStep (resets, config tweaks mid-run)
+  const replace = useCallback((next) => {
+    stateRef.current = next;
+    setState(next);
+  }, []);
+
+  // Start recording from the current state, e.g. right after engine.start()
+  const record = useCallback((meta) => {
+    recordingRef.current = createRecording(stateRef.current, meta);
+    setIsRecording(true);
+  }, []);
+
+  const stopRecording = useCallback(() => {
+    if (!recordingRef.current) return;
+    setRecording(recordingRef.current);
+    recordingRef.current = null;
+    setIsRecording(false);
+  }, []);
+
+  // A user input mid-run; goes through the engine so replays can repeat it
+  const input = useCallback((userInput) => {
+    const next = engine.applyInput(stateRef.current, userInput);
+    if (recordingRef.current) recordInput(recordingRef.current, userInput, next.events);
+    apply(next);
+  }, [engine, apply]);
+
+  const clock = useSimulationClock((dt) => {
+    if (engine.isFinished(stateRef.current)) return;
+    const next = engine.step(stateRef.current, dt);
+    if (recordingRef.current) recordTick(recordingRef.current, next.events);
+    apply(next);
+    if (engine.isFinished(next)) {
+      clock.pause();
+      stopRecording();
+    }
+  }, TICK_MS);
+
+  return {
+    state,
+    stateRef,
+    playing: clock.playing,
+    play: clock.play,
+    pause: clock.pause,
+    clock,
+    apply,
+    replace,
+    input,
+    record,
+    stopRecording,
+    recording,
+    isRecording,
+  };
+}
@@ -0,0 +1,68 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+export const CLOCK_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+// Never run more than this many ticks per animation frame (e.g. after a background tab)
+const MAX_TICKS_PER_FRAME = 64;
+
+/**
+ * Shared simulation clock.
+ *
+ * Simulation time advances in fixed ticks of `tickMs`, so a run behaves the
+ * same at every speed: at 4x the clock simply fires four ticks per 1x tick's
+ * worth of wall time, and at 0.25x one tick every four. Paused, it can be
+ * advanced one tick at a time.
+ *
+ * @param {(dt: number) => void} onTick - Called once per tick with the tick length in sim ms
+ * @param {number} [tickMs=50] - Tick length in simulation milliseconds
+ * @returns {{
+ *   playing: boolean,
+ *   play: () => void,
+ *   pause: () => void,
+ *   stepOnce: () => void,
+ *   speed: number,
+ *   setSpeed: (speed: number) => void,
+ * }}
+ */
+export default function useSimulationClock(onTick, tickMs = 50) {
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const onTickRef = useRef(onTick);
+  const speedRef = useRef(speed);
+
+  useEffect(() => {
+    onTickRef.current = onTick;
+  });
+
+  useEffect(() => {
+    speedRef.current = speed;
+  }, [speed]);
+
+  const play = useCallback(() => setPlaying(true), []);
+  const pause = useCallback(() => setPlaying(false), []);
+  const stepOnce = useCallback(() => onTickRef.current(tickMs), [tickMs]);
+
+  useEffect(() => {
+    if (!playing) return;
+    let frame;
+    let last = performance.now();
+    let acc = 0;
+
+    const loop = (now) => {
+      acc += (now - last) * speedRef.current;
+      last = now;
+      let ticks = 0;
+      while (acc >= tickMs && ticks < MAX_TICKS_PER_FRAME) {
+        onTickRef.current(tickMs);
+        acc -= tickMs;
+        ticks++;
+      }
+      if (ticks === MAX_TICKS_PER_FRAME) acc = 0;
+      frame = requestAnimationFrame(loop);
+    };
+    frame = requestAnimationFrame(loop);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, tickMs]);
+
+  return { playing, play, pause, stepOnce, speed, setSpeed };
+}
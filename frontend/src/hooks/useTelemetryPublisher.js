@@ -0,0 +1,54 @@
+import { useRef, useCallback } from 'react';
+import { API_URL } from '../lib/api.js';
+
+// After a failed POST, stay quiet for a while instead of erroring every tick
+const RETRY_AFTER_MS = 5000;
+
+/**
+ * Publishes simulation ticks to the backend's live telemetry stream
+ * (GET /api/telemetry/stream), so a second screen can mirror the run.
+ *
+ * At most one request is in flight; ticks produced meanwhile are coalesced
+ * and only the newest one is sent. Footprints reach viewers separately,
+ * through the /api/logs pipeline.
+ *
+ * @param {string} channel - Channel name, normally the page id (e.g. 'gnss-spoofing')
+ * @returns {(frame: { runId?: string, simTime?: number, phase?: string, entities?: Array<object> }) => void}
+ */
+export default function useTelemetryPublisher(channel) {
+  const tickRef = useRef(0);
+  const inFlightRef = useRef(false);
+  const pendingRef = useRef(null);
+  const pausedUntilRef = useRef(0);
+
+  const send = useCallback((frame) => {
+    inFlightRef.current = true;
+    fetch(`${API_URL}/api/telemetry`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(frame),
+    })
+      .catch(() => {
+        pausedUntilRef.current = Date.now() + RETRY_AFTER_MS;
+        pendingRef.current = null;
+      })
+      .finally(() => {
+        inFlightRef.current = false;
+        const next = pendingRef.current;
+        pendingRef.current = null;
+        if (next) send(next);
+      });
+  }, []);
+
+  const publish = useCallback((frame) => {
+    if (Date.now() < pausedUntilRef.current) return;
+    const fullFrame = { channel, tick: tickRef.current++, sentAt: Date.now(), ...frame };
+    if (inFlightRef.current) {
+      pendingRef.current = fullFrame;
+    } else {
+      send(fullFrame);
+    }
+  }, [channel, send]);
+
+  return publish;
+}
@@ -0,0 +1,2 @@
+// Base URL of the Express backend (see backend/server.js)
+export const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
@@ -0,0 +1,127 @@
+import { geodeticToSim, simToGeodetic } from "../sim/geo.js";
+
+/* ═══════════════════════════════════════════
+   OFFLINE BASEMAPS
+   Map imagery draped under a scene, placed by
+   the scenario's geo-reference. Two sources,
+   neither needing a network:
+   - tile sets bundled with the app, as standard
+     z/x/y slippy-map tiles under
+     src/basemaps/<set name>/<z>/<x>/<y>.png|jpg
+   - an image the user picks together with its
+     world file (.pgw, .jgw, .wld …), in lon/lat
+     degrees or Web Mercator metres
+   Either way a source resolves to images with
+   their four corners in sim coordinates.
+   ═══════════════════════════════════════════ */
+
+const TILE_FILES = import.meta.glob("../basemaps/*/*/*/*.{png,jpg,jpeg}", { eager: true, query: "?url", import: "default" });
+
+// Most tiles drawn for one scene; picks the deepest bundled zoom that stays under it
+const MAX_TILES = 64;
+
+const MERCATOR_RADIUS = 6378137;
+const DEG = 180 / Math.PI;
+
+// { name → { zoom → { "x/y" → url } } }
+function indexTiles() {
+  const sets = {};
+  for (const [path, url] of Object.entries(TILE_FILES)) {
+    const [name, z, x, file] = path.split("/").slice(-4);
+    const y = file.replace(/\.\w+$/, "");
+    sets[name] = sets[name] || {};
+    sets[name][z] = sets[name][z] || {};
+    sets[name][z][`${x}/${y}`] = url;
+  }
+  return sets;
+}
+
+const TILE_SETS = indexTiles();
+
+export const bundledTileSets = () => Object.keys(TILE_SETS).sort();
+
+// Slippy-map tile edges (Web Mercator)
+const tileLon = (x, z) => (x / 2 ** z) * 360 - 180;
+const tileLat = (y, z) => Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / 2 ** z))) * DEG;
+const lonToTile = (lon, z) => Math.floor(((lon + 180) / 360) * 2 ** z);
+const latToTile = (lat, z) => {
+  const phi = lat / DEG;
+  return Math.floor(((1 - Math.log(Math.tan(phi) + 1 / Math.cos(phi)) / Math.PI) / 2) * 2 ** z);
+};
+
+// Corners in [top-left, top-right, bottom-right, bottom-left] order
+const boxCorners = (north, west, south, east) =>
+  [{ lat: north, lon: west }, { lat: north, lon: east }, { lat: south, lon: east }, { lat: south, lon: west }];
+
+function tileImages(set, bounds) {
+  const zooms = Object.keys(TILE_SETS[set] || {}).map(Number).sort((a, b) => b - a);
+  for (const z of zooms) {
+    const x0 = lonToTile(bounds.west, z), x1 = lonToTile(bounds.east, z);
+    const y0 = latToTile(bounds.north, z), y1 = latToTile(bounds.south, z);
+    if ((x1 - x0 + 1) * (y1 - y0 + 1) > MAX_TILES) continue;
+    const images = [];
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        const url = TILE_SETS[set][z][`${x}/${y}`];
+        if (url) images.push({ url, corners: boxCorners(tileLat(y, z), tileLon(x, z), tileLat(y + 1, z), tileLon(x + 1, z)) });
+      }
+    }
+    if (images.length > 0) return images;
+  }
+  return [];
+}
+
+/**
+ * Read a world file: six lines A, D, B, E, C, F mapping the centre of pixel
+ * (col, row) to x = A·col + B·row + C, y = D·col + E·row + F.
+ * @throws {Error} If the file is not six numbers
+ */
+export function parseWorldFile(text) {
+  const values = text.trim().split(/\s+/).map(Number);
+  if (values.length !== 6 || values.some((v) => !Number.isFinite(v))) {
+    throw new Error("A world file must hold six numbers, one per line");
+  }
+  const [A, D, B, E, C, F] = values;
+  if (A === 0 && B === 0) throw new Error("World file has a zero pixel size");
+  return { A, D, B, E, C, F };
+}
+
+// World files carry no CRS: anything beyond ±180 / ±90 is taken as Web Mercator metres
+function mapToGeodetic(x, y, mercator) {
+  if (!mercator) return { lat: y, lon: x };
+  return { lat: (2 * Math.atan(Math.exp(y / MERCATOR_RADIUS)) - Math.PI / 2) * DEG, lon: (x / MERCATOR_RADIUS) * DEG };
+}
+
+function worldFileImage({ url, width, height, worldFile }) {
+  const { A, D, B, E, C, F } = worldFile;
+  const mercator = Math.abs(C) > 180 || Math.abs(F) > 90;
+  // Outer edges of the image lie half a pixel beyond the centres of its edge pixels
+  const at = (col, row) => mapToGeodetic(A * col + B * row + C, D * col + E * row + F, mercator);
+  return {
+    url,
+    corners: [at(-0.5, -0.5), at(width - 0.5, -0.5), at(width - 0.5, height - 0.5), at(-0.5, height - 0.5)],
+  };
+}
+
+/**
+ * Images of a basemap source for one scene.
+ * @param {{ kind: "tiles", set: string } | { kind: "image", url, width, height, worldFile }} source
+ * @returns {Array<{ url: string, corners: Array<{ x, y }> }>} Corners TL, TR, BR, BL in sim units
+ */
+export function basemapImages(source, geo, world) {
+  let images;
+  if (source.kind === "tiles") {
+    const nw = simToGeodetic({ x: 0, y: 0 }, geo);
+    const se = simToGeodetic({ x: world.width, y: world.height }, geo);
+    images = tileImages(source.set, { north: nw.lat, west: nw.lon, south: se.lat, east: se.lon });
+  } else {
+    images = [worldFileImage(source)];
+  }
+  return images.map(({ url, corners }) => ({
+    url,
+    corners: corners.map((c) => {
+      const { x, y } = geodeticToSim({ ...c, alt: geo.alt }, geo);
+      return { x, y };
+    }),
+  }));
+}
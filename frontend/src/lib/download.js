@@ -0,0 +1,21 @@
+/* ═══════════════════════════════════════════
+   FILE EXPORT
+   Hands generated content to the browser as a
+   download, without a round trip to the backend.
+   ═══════════════════════════════════════════ */
+
+export function downloadFile(filename, content, type = "application/octet-stream") {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export const downloadJson = (filename, data) =>
+  downloadFile(filename, JSON.stringify(data, null, 2), "application/json");
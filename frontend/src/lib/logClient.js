@@ -0,0 +1,98 @@
+import { API_URL } from "./api.js";
+
+/* ═══════════════════════════════════════════
+   FOOTPRINT SHIPPING
+   Footprints are queued and POSTed to /api/logs
+   in small batches so a 20 Hz sim loop does not
+   turn into 20 requests per second.
+   ═══════════════════════════════════════════ */
+const FLUSH_DELAY = 1000;
+
+const queue = [];
+let flushTimer = null;
+let warned = false;
+
+export function flushLogs() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (queue.length === 0) return;
+
+  const batch = queue.splice(0, queue.length);
+  fetch(`${API_URL}/api/logs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(batch),
+    keepalive: true, // let the last batch out while the tab is closing
+  }).catch((err) => {
+    // The simulations must keep running without a backend; warn only once
+    if (!warned) {
+      console.warn("Footprint logging unavailable:", err);
+      warned = true;
+    }
+  });
+}
+
+export function shipLog(entry) {
+  queue.push(entry);
+  if (!flushTimer) flushTimer = setTimeout(flushLogs, FLUSH_DELAY);
+}
+
+export function newRunId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/* ═══════════════════════════════════════════
+   RUNS
+   A run groups the footprints of one press of
+   "Start" so runs can be queried and compared.
+   ═══════════════════════════════════════════ */
+function sendRunRequest(path, method, body) {
+  return fetch(`${API_URL}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    keepalive: true,
+  }).catch((err) => {
+    if (!warned) {
+      console.warn("Run tracking unavailable:", err);
+      warned = true;
+    }
+  });
+}
+
+export function openRun(id, scenario, params = {}) {
+  return sendRunRequest("/api/runs", "POST", {
+    id,
+    scenario,
+    params,
+    startedAt: new Date().toISOString(),
+  });
+}
+
+export function closeRun(id, outcome) {
+  flushLogs();
+  return sendRunRequest(`/api/runs/${encodeURIComponent(id)}`, "PATCH", {
+    endedAt: new Date().toISOString(),
+    outcome,
+  });
+}
+
+/* ═══════════════════════════════════════════
+   CAPTURES
+   A run's MAVLink frames, which the backend
+   wraps into a pcap for Wireshark.
+   ═══════════════════════════════════════════ */
+export async function uploadFrames(id, frames) {
+  const res = await fetch(`${API_URL}/api/runs/${encodeURIComponent(id)}/frames`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ frames }),
+  });
+  if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || `HTTP ${res.status}`);
+}
+
+export const pcapUrl = (id) => `${API_URL}/api/runs/${encodeURIComponent(id)}/pcap`;
+
+if (typeof window !== "undefined") {
+  window.addEventListener("pagehide", flushLogs);
+}
@@ -3,6 +3,8 @@ import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Line, Text } from "@react-three/drei";
 import * as THREE from "three";
 import GlassCard from "../components/GlassCard.jsx";
+import ClockControls from "../components/ClockControls.jsx";
+import useSimulationClock from "../hooks/useSimulationClock.js";
 
 /* ── Real-Time IMU Path (cyan) ── */
 function IMUPath({ points }) {
@@ -87,18 +89,7 @@ function generatePath(offset, noiseScale, count) {
 }
 
 /* ── Main 3D Scene ── */
-function DKFScene({ stealthy, latency, playing }) {
-  const timeRef = useRef(0);
-  const [pathLen, setPathLen] = useState(20);
-
-  useFrame((_, delta) => {
-    if (!playing) return;
-    timeRef.current += delta;
-    if (timeRef.current % 0.1 < delta) {
-      setPathLen((prev) => Math.min(prev + 1, 200));
-    }
-  });
-
+function DKFScene({ stealthy, latency, time, pathLen }) {
   const imuPath = useMemo(() => generatePath(0, 0.4, pathLen), [pathLen]);
   const delayedPath = useMemo(() => {
     const delayOffset = latency / 500;
@@ -113,7 +104,7 @@ function DKFScene({ stealthy, latency, playing }) {
 
       <GridFloor />
       <AcceptanceEllipsoid />
-      <InnovationVector stealthy={stealthy} time={timeRef.current} />
+      <InnovationVector stealthy={stealthy} time={time} />
       <IMUPath points={imuPath} />
       <DelayedPath points={delayedPath} />
 
@@ -131,10 +122,19 @@ function DKFScene({ stealthy, latency, playing }) {
   );
 }
 
+// One path sample is appended per clock tick
+const SAMPLE_MS = 100;
+const INITIAL_PATH_LEN = 20;
+const MAX_PATH_LEN = 200;
+
 export default function DKFSimulation() {
   const [stealthy, setStealthy] = useState(true);
   const [latency, setLatency] = useState(100);
-  const [playing, setPlaying] = useState(false);
+  const [time, setTime] = useState(0);
+
+  const clock = useSimulationClock((dt) => setTime((t) => t + dt), SAMPLE_MS);
+  const playing = clock.playing;
+  const pathLen = Math.min(INITIAL_PATH_LEN + Math.floor(time / SAMPLE_MS), MAX_PATH_LEN);
 
   return (
     <div className="sim-page">
@@ -153,7 +153,7 @@ export default function DKFSimulation() {
       <GlassCard className="sim-canvas-container" style={{ padding: 0, height: '500px' }}>
         <Canvas camera={{ position: [3, 2.5, 5], fov: 55 }} style={{ width: "100%", height: "100%" }}>
           <Suspense fallback={null}>
-            <DKFScene stealthy={stealthy} latency={latency} playing={playing} />
+            <DKFScene stealthy={stealthy} latency={latency} time={time / 1000} pathLen={pathLen} />
           </Suspense>
         </Canvas>
       </GlassCard>
@@ -161,11 +161,13 @@ export default function DKFSimulation() {
       <div className="sim-controls">
         <button
           className={`control-button ${playing ? "" : "btn-primary"}`}
-          onClick={() => setPlaying(!playing)}
+          onClick={playing ? clock.pause : clock.play}
         >
           {playing ? "❚❚ PAUSE" : "▶ PLAY"}
         </button>
 
+        <ClockControls clock={clock} showPlayPause={false} />
+
         <div className="sim-toggle">
           <input
             type="checkbox"
@@ -1,43 +1,105 @@
-import React, { useEffect, useRef, useState, useCallback, useMemo, Suspense } from "react";
+import React, { useEffect, useRef, useState, useMemo, Suspense } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Line, Text } from "@react-three/drei";
 import * as THREE from "three";
 import InfoPanel from "../components/InfoPanel.jsx";
+import ClockControls from "../components/ClockControls.jsx";
+import ReplayBar from "../components/ReplayBar.jsx";
+import TrackExportMenu from "../components/TrackExportMenu.jsx";
+import PcapExportButton from "../components/PcapExportButton.jsx";
+import ScenarioPicker from "../components/ScenarioPicker.jsx";
+import BasemapPicker from "../components/BasemapPicker.jsx";
+import Basemap from "../components/Basemap.jsx";
+import ObstaclePicker from "../components/ObstaclePicker.jsx";
+import Obstacles3D from "../components/Obstacles3D.jsx";
+import CoverageHeatmap, { CoverageLegend } from "../components/CoverageHeatmap.jsx";
+import CoveragePicker from "../components/CoveragePicker.jsx";
+import PacketInspector from "../components/PacketInspector.jsx";
+import TrustChart from "../components/TrustChart.jsx";
+import MissionEditor from "../components/MissionEditor.jsx";
+import LinkBudget, { formatDbm, formatDb, formatOdds, formatObstruction } from "../components/LinkBudget.jsx";
+import SceneEditor from "../components/SceneEditor.jsx";
+import EditorBar from "../components/EditorBar.jsx";
 import WireframeDrone from "../components/WireframeDrone.jsx";
 import useSirenSound from "../hooks/useSirenSound.js";
+import useFootprints from "../hooks/useFootprints.js";
+import useTelemetryPublisher from "../hooks/useTelemetryPublisher.js";
+import useSimulation from "../hooks/useSimulation.js";
+import useReplay from "../hooks/useReplay.js";
+import useLayoutEditor from "../hooks/useLayoutEditor.js";
+import * as engine from "../sim/dataInjection.js";
+import { randomSeed } from "../sim/rng.js";
 
 /* ═══════════════════════════════════════════
    COORDINATE SYSTEM & CONSTANTS
    ═══════════════════════════════════════════ */
 const SCALE = 0.02;
 const toWorld = (x, y) => [(x - 500) * SCALE, 0, (y - 325) * SCALE];
+// Shifts a scenario world of any size so that its centre sits at the origin
+const worldOffset = (world) => [(500 - world.width / 2) * SCALE, 0, (325 - world.height / 2) * SCALE];
 
-const AttackPhase = {
-  INACTIVE: 'INACTIVE',
-  NORMAL_FLIGHT: 'NORMAL_FLIGHT',
-  ATTACK_INJECT: 'ATTACK_INJECT',
-  HIJACKED: 'HIJACKED',
-  COMPLETED: 'COMPLETED'
-};
+const { AttackPhase, atLeast } = engine;
+
+// Trajectories offered for export: the real drone and the telemetry it reported
+const TRACKS = [
+  { id: "actual", name: "Actual drone", role: "actual" },
+  { id: "reported", name: "Reported telemetry", role: "reported" },
+];
 
-const SIMULATION_SPEED = 50;
-const DRONE_SPEED = 2;
 const DRONE_SIZE_OFFSET = 14;
 
+// What the autopilot did with the attacker's frames
+const VERDICTS = {
+  accepted: 'Accepted',
+  lost: 'Lost on the air',
+  unsigned: 'Dropped: unsigned',
+  'bad-signature': 'Dropped: bad signature',
+  replayed: 'Dropped: replayed',
+};
+
+// Trust readouts: sim px in metres, sim ms as mission time
+const formatMetres = (px, geo) => `${(px * geo.metresPerUnit).toFixed(1)} m`;
+const formatTime = (ms) => (ms === null ? '—' : `T+${(ms / 1000).toFixed(2)}s`);
+
+// Heatmaps over the ground, valued for a drone whose marker sits on the point
+const COVERAGE_MODES = [
+  {
+    id: "injection",
+    label: "Injection odds",
+    legend: "INJECTION ODDS / PACKET",
+    valueAt: (config, point) => engine.injectionLink(config, point).probability,
+  },
+];
+
+// Entities the layout editor can move (config paths); waypoints are added per config
+const editHandles = (config) => [
+  { id: "start", label: "START", color: "#00f2ff" },
+  ...config.waypoints.map((_, i) => ({ id: `waypoints.${i}`, label: `WP${i + 1}`, color: "#00ff88" })),
+  { id: "radioTower", label: "C2", color: "#ff3344" },
+  ...config.injectedMission.map((_, i) => ({ id: `injectedMission.${i}`, label: `INJ${i + 1}`, color: "#ff8800" })),
+];
+
+// A waypoint at a sim point, flown at the take-off altitude and cruise speed
+const newWaypoint = (config, point) =>
+  ({ x: Math.round(point.x), y: Math.round(point.y), altitude: config.altitude, loiter: 0, speed: 0 });
+
 /* ═══════════════════════════════════════════
    3D SCENE COMPONENTS
    ═══════════════════════════════════════════ */
 
-function GroundPlane() {
+function GroundPlane({ world }) {
+  const w = world.width * SCALE;
+  const h = world.height * SCALE;
+  const grid = Math.ceil(Math.max(w, h)) + 2;
   return (
     <group>
       <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -0.05, 0]}>
-        <planeGeometry args={[22, 15]} />
+        <planeGeometry args={[w + 2, h + 2]} />
         <meshBasicMaterial color="#060a14" transparent opacity={0.6} />
       </mesh>
-      <gridHelper args={[22, 44, "#0a1530", "#0a1530"]} position={[0, -0.04, 0]} />
+      <gridHelper args={[grid, grid * 2, "#0a1530", "#0a1530"]} position={[0, -0.04, 0]} />
       <lineSegments position={[0, 0.5, 0]}>
-        <edgesGeometry args={[new THREE.BoxGeometry(20, 1, 13)]} />
+        <edgesGeometry args={[new THREE.BoxGeometry(w, 1, h)]} />
         <lineBasicMaterial color="#00f2ff" transparent opacity={0.06} />
       </lineSegments>
     </group>
@@ -81,7 +143,7 @@ function Drone3D({ x, y, color, label, glitching = false, shieldActive = false }
 
 /* ── Waypoint Marker ── */
 function WaypointMarker({ x, y, index }) {
-  const [pos] = useState(() => toWorld(x, y));
+  const pos = useMemo(() => toWorld(x, y), [x, y]);
   return (
     <group position={pos}>
       <mesh position={[0, 0.2, 0]}>
@@ -97,7 +159,7 @@ function WaypointMarker({ x, y, index }) {
 
 /* ── Radio Tower (Attacker C2) ── */
 function AttackerTower({ x, y }) {
-  const [pos] = useState(() => toWorld(x, y));
+  const pos = useMemo(() => toWorld(x, y), [x, y]);
   const ref = useRef();
 
   useFrame(({ clock }) => {
@@ -132,8 +194,8 @@ function AttackerTower({ x, y }) {
 }
 
 /* ── Malicious Target Marker ── */
-function MaliciousTarget({ x, y }) {
-  const [pos] = useState(() => toWorld(x, y));
+function MaliciousTarget({ x, y, label }) {
+  const pos = useMemo(() => toWorld(x, y), [x, y]);
   const ref = useRef();
 
   useFrame(({ clock }) => {
@@ -154,20 +216,21 @@ function MaliciousTarget({ x, y }) {
         <meshBasicMaterial color="#ff3344" transparent opacity={0.5} />
       </mesh>
       <Text position={[0, 0.35, 0]} fontSize={0.16} color="#ff3344" anchorX="center">
-        INJECTED
+        {label}
       </Text>
     </group>
   );
 }
 
-/* ── Data Packets flying in 3D ── */
-function DataPackets3D({ packets, towerPos }) {
+/* ── MAVLink frames flying in 3D: ground station traffic and the attacker's forgeries ── */
+function DataPackets3D({ packets, towerPos, gcsPos, simTime, lifetime }) {
   return (
     <group>
       {packets.map(packet => {
-        const from = toWorld(towerPos.x, towerPos.y);
+        const origin = packet.source === "gcs" ? gcsPos : towerPos;
+        const from = toWorld(origin.x, origin.y);
         const to = toWorld(packet.targetX + DRONE_SIZE_OFFSET, packet.targetY + DRONE_SIZE_OFFSET);
-        const progress = ((Date.now() - (packet.startTime || Date.now())) % 1000) / 1000;
+        const progress = Math.min((simTime - packet.spawnedAt) / lifetime, 1);
         const x = from[0] + (to[0] - from[0]) * progress;
         const z = from[2] + (to[2] - from[2]) * progress;
         const y = 0.4 + Math.sin(progress * Math.PI) * 0.5;
@@ -175,7 +238,12 @@ function DataPackets3D({ packets, towerPos }) {
         return (
           <mesh key={packet.id} position={[x, y, z]}>
             <sphereGeometry args={[0.04, 8, 8]} />
-            <meshBasicMaterial color="#00f2ff" transparent opacity={1 - progress * 0.5} />
+            {/* Packets lost to obstacles fade out grey, those the autopilot drops orange */}
+            <meshBasicMaterial
+              color={packet.verdict === "lost" ? "#556070" : packet.blocked ? "#ffaa00" : packet.source === "gcs" ? "#00ff88" : "#00f2ff"}
+              transparent
+              opacity={packet.blocked ? 1 - progress : 1 - progress * 0.5}
+            />
           </mesh>
         );
       })}
@@ -223,8 +291,9 @@ function Footprints3D({ positions }) {
 /* ═══════════════════════════════════════════
    COMPLETE 3D SCENE
    ═══════════════════════════════════════════ */
-function InjectionScene({ drone, reportedDrone, dronePath, reportedPath, waypoints,
-  radioTower, maliciousTarget, attackPhase, dataPackets, finalPositions, trustNeutralized }) {
+function InjectionScene({ world, basemap, geo, obstacles, altitude, coverageAt, drone, reportedDrone, dronePath, reportedPath, waypoints,
+  radioTower, groundStation, injectedMission, attackRoute, attackPhase, dataPackets, packetLifetime, simTime, finalPositions, trustNeutralized,
+  editing = false, children }) {
 
   const actualPathPts = useMemo(() => {
     if (dronePath.length < 2) return null;
@@ -240,287 +309,239 @@ function InjectionScene({ drone, reportedDrone, dronePath, reportedPath, waypoin
     return waypoints.map(wp => { const [x,,z] = toWorld(wp.x, wp.y); return [x, 0.05, z]; });
   }, [waypoints]);
 
+  const attackRoutePts = useMemo(() => {
+    return attackRoute.map(p => { const [x,,z] = toWorld(p.x, p.y); return [x, 0.06, z]; });
+  }, [attackRoute]);
+
   return (
     <>
       <ambientLight intensity={0.25} />
       <pointLight position={[5, 8, 5]} intensity={0.4} color="#00f2ff" />
-      <OrbitControls enablePan maxPolarAngle={Math.PI / 2.2} minDistance={4} maxDistance={25} />
-
-      <GroundPlane />
-
-      {/* Waypoints */}
-      {waypoints.map((wp, idx) => (
-        <WaypointMarker key={idx} x={wp.x} y={wp.y} index={idx} />
-      ))}
-      {waypointLinePts.length >= 2 && (
-        <Line points={waypointLinePts} color="#00ff88" lineWidth={1.5} dashed dashSize={0.1} gapSize={0.05} transparent opacity={0.4} />
-      )}
-
-      {/* Attacker Tower */}
-      <AttackerTower x={radioTower.x} y={radioTower.y} />
-
-      {/* Malicious Target */}
-      <MaliciousTarget x={maliciousTarget.x} y={maliciousTarget.y} />
-
-      {/* Data Packets */}
-      <DataPackets3D packets={dataPackets} towerPos={radioTower} />
-
-      {/* Signal beam when hijacked */}
-      {attackPhase >= AttackPhase.HIJACKED && !trustNeutralized && (
-        <SignalBeam3D from={drone} to={radioTower} color="#ff3344" />
-      )}
-
-      {/* Ghost (Reported) Drone */}
-      <Drone3D
-        x={reportedDrone.x}
-        y={reportedDrone.y}
-        color="#8888bb"
-        label={trustNeutralized ? "VALIDATED" : "PERCEIVED"}
-      />
-
-      {/* Real Drone */}
-      <Drone3D
-        x={drone.x}
-        y={drone.y}
-        color={trustNeutralized ? "#00ff88" : "#00f2ff"}
-        label="ACTUAL"
-        glitching={attackPhase >= AttackPhase.HIJACKED && !trustNeutralized}
-        shieldActive={trustNeutralized}
-      />
-
-      {/* Paths */}
-      {reportedPathPts && <Line points={reportedPathPts} color="#8888bb" lineWidth={1.2} transparent opacity={0.4} />}
-      {actualPathPts && <Line points={actualPathPts} color="#ff3344" lineWidth={2} dashed dashSize={0.08} gapSize={0.04} />}
-
-      {/* Footprints */}
-      <Footprints3D positions={finalPositions} />
+      <OrbitControls enabled={!editing} enablePan maxPolarAngle={Math.PI / 2.2} minDistance={4} maxDistance={25} />
+
+      <GroundPlane world={world} />
+      {children}
+      <group position={worldOffset(world)}>
+        {basemap && <Basemap source={basemap} geo={geo} world={world} toWorld={toWorld} />}
+        {/* Heights scaled so the drone (y = 0.3) flies at its altitude */}
+        <Obstacles3D obstacles={obstacles} world={world} toWorld={toWorld} verticalScale={0.3 / altitude} />
+        {coverageAt && <CoverageHeatmap world={world} toWorld={toWorld} valueAt={coverageAt} />}
+        {/* Waypoints */}
+        {waypoints.map((wp, idx) => (
+          <WaypointMarker key={idx} x={wp.x} y={wp.y} index={idx} />
+        ))}
+        {waypointLinePts.length >= 2 && (
+          <Line points={waypointLinePts} color="#00ff88" lineWidth={1.5} dashed dashSize={0.1} gapSize={0.05} transparent opacity={0.4} />
+        )}
+
+        {/* Attacker Tower */}
+        <AttackerTower x={radioTower.x} y={radioTower.y} />
+
+        {/* Injected mission items, and the altered mission from the first of them */}
+        {injectedMission.map((item, i) => (
+          <MaliciousTarget key={i} x={item.x} y={item.y} label={injectedMission.length > 1 ? `INJECTED ${i + 1}` : "INJECTED"} />
+        ))}
+        {attackRoutePts.length >= 2 && (
+          <Line points={attackRoutePts} color="#ff8800" lineWidth={1.2} dashed dashSize={0.1} gapSize={0.08} transparent opacity={0.35} />
+        )}
+
+        {/* Data Packets */}
+        <DataPackets3D packets={dataPackets} towerPos={radioTower} gcsPos={groundStation} simTime={simTime} lifetime={packetLifetime} />
+
+        {/* Signal beam when hijacked */}
+        {atLeast(attackPhase, AttackPhase.HIJACKED) && !trustNeutralized && (
+          <SignalBeam3D from={drone} to={radioTower} color="#ff3344" />
+        )}
+
+        {/* Ghost (Reported) Drone */}
+        <Drone3D
+          x={reportedDrone.x}
+          y={reportedDrone.y}
+          color="#8888bb"
+          label={trustNeutralized ? "VALIDATED" : "PERCEIVED"}
+        />
+
+        {/* Real Drone */}
+        <Drone3D
+          x={drone.x}
+          y={drone.y}
+          color={trustNeutralized ? "#00ff88" : "#00f2ff"}
+          label="ACTUAL"
+          glitching={atLeast(attackPhase, AttackPhase.HIJACKED) && !trustNeutralized}
+          shieldActive={trustNeutralized}
+        />
+
+        {/* Paths */}
+        {reportedPathPts && <Line points={reportedPathPts} color="#8888bb" lineWidth={1.2} transparent opacity={0.4} />}
+        {actualPathPts && <Line points={actualPathPts} color="#ff3344" lineWidth={2} dashed dashSize={0.08} gapSize={0.04} />}
+
+        {/* Footprints */}
+        <Footprints3D positions={finalPositions} />
+      </group>
     </>
   );
 }
 
 /* ═══════════════════════════════════════════
-   MAIN COMPONENT (simulation logic 100% preserved)
+   MAIN COMPONENT
+   Simulation logic lives in sim/dataInjection.js
    ═══════════════════════════════════════════ */
 export default function DataInjectionSimulation() {
-  const world = { width: 1000, height: 650 };
-
-  const initialDroneState = { x: 50, y: 100 };
-  const [drone, setDrone] = useState(initialDroneState);
-  const [reportedDrone, setReportedDrone] = useState(initialDroneState);
-  const [radioTower] = useState({ x: 850, y: 325 });
-
-  const [waypoints] = useState([
-    { x: 300, y: 100 },
-    { x: 500, y: 300 },
-    { x: 300, y: 500 },
-    { x: 50, y: 500 },
-    { x: 50, y: 100 },
-  ]);
-  const [currentWaypointIdx, setCurrentWaypointIdx] = useState(0);
-  const [reportedWaypointIdx, setReportedWaypointIdx] = useState(0);
-
-  const [maliciousTarget] = useState({ x: 800, y: 500 });
-
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [simulationTime, setSimulationTime] = useState(0);
-  const [attackPhase, setAttackPhase] = useState(AttackPhase.INACTIVE);
-  const [status, setStatus] = useState("Use the playback controls to begin the simulation.");
-
-  const [dronePath, setDronePath] = useState([]);
-  const [reportedPath, setReportedPath] = useState([]);
-  const [dataPackets, setDataPackets] = useState([]);
-  const [finalPositions, setFinalPositions] = useState([]);
-  const [digitalFootprints, setDigitalFootprints] = useState([]);
+  // --- SCENARIO ---
+  const [scenario, setScenario] = useState({ id: "standard", config: engine.DEFAULT_CONFIG });
+  const [basemap, setBasemap] = useState(null); // offline map under the scene, see lib/basemap.js
 
   /* ── Trust Metric ── */
   const [trustMetric, setTrustMetric] = useState(false);
-  const [trustNeutralized, setTrustNeutralized] = useState(false);
-
-  const simulationRef = useRef(null);
-  const latestDronePos = useRef(initialDroneState);
-  const latestReportedPos = useRef(initialDroneState);
+  /* ── MAVLink signing (fixed for a run) ── */
+  const [signing, setSigning] = useState(false);
+  const [signingAttack, setSigningAttack] = useState("unsigned");
+  const [coverage, setCoverage] = useState(null); // COVERAGE_MODES id
 
   // --- SIREN SOUND ---
   const siren = useSirenSound();
 
-  const formatCoords = (x, y) => `(${Math.round(x)}, ${Math.round(y)})`;
-  const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  // --- FOOTPRINT LOG (persisted to the backend) ---
+  const { footprints: digitalFootprints, addFootprint, startRun, endRun, getRunId, clearFootprints } = useFootprints("data-injection");
 
-  const addFootprint = useCallback((type, message) => {
-    const timestamp = new Date().toLocaleTimeString('en-US', { hour12: false });
-    setDigitalFootprints(prev => [...prev, { type, message, timestamp }]);
-  }, []);
+  // --- LIVE TELEMETRY (second-screen mirror) ---
+  const publishTelemetry = useTelemetryPublisher("data-injection");
+
+  // --- ENGINE ---
+  const handleStep = (next, prev) => {
+    next.events.forEach((e) => addFootprint(e.type, e.message, e.time));
+    if (next.alarm !== prev.alarm) {
+      if (next.alarm) siren.play(); else siren.stop();
+    }
+    if (engine.isFinished(next) && !engine.isFinished(prev)) {
+      endRun(next.trustNeutralized || !next.commandDelivered ? 'DEFENDED' : 'HIJACKED');
+    }
+
+    publishTelemetry({
+      runId: getRunId(),
+      simTime: next.time,
+      phase: next.phase,
+      trustNeutralized: next.trustNeutralized,
+      trustScore: next.trust.score,
+      entities: [
+        { id: 'actual', role: 'drone', ...next.drone },
+        { id: 'reported', role: 'ghost', ...next.reported },
+        { id: 'c2', role: 'attacker', ...next.config.radioTower },
+      ],
+    });
+  };
 
-  const resetSimulation = useCallback(() => {
-    setIsPlaying(false);
-    clearInterval(simulationRef.current);
-    setSimulationTime(0);
-    setDrone(initialDroneState);
-    setReportedDrone(initialDroneState);
-    setDronePath([initialDroneState]);
-    setReportedPath([initialDroneState]);
-    latestDronePos.current = initialDroneState;
-    latestReportedPos.current = initialDroneState;
-    setCurrentWaypointIdx(0);
-    setReportedWaypointIdx(0);
-    setDigitalFootprints([]);
-    setDataPackets([]);
-    setFinalPositions([]);
-    setAttackPhase(AttackPhase.INACTIVE);
-    setTrustNeutralized(false);
-    setStatus("Simulation reset. Press play to start.");
+  const sim = useSimulation(engine, () => engine.createState(engine.DEFAULT_CONFIG), handleStep);
+
+  // --- REPLAY (recorded runs render instead of the live one) ---
+  const replay = useReplay(engine);
+  const view = replay.active ? replay.state : sim.state;
+  const { phase: attackPhase, status, config, drone, reported, trust, trustNeutralized } = view;
+  const isPlaying = sim.playing;
+  const trustOn = replay.active ? config.trustMetric : trustMetric;
+  const signingOn = replay.active ? config.signing : signing;
+  const attackMode = replay.active ? config.signingAttack : signingAttack;
+  // The altered mission from the attacker's first edit, drawn in the scene
+  const attackRoute = useMemo(() => {
+    const { items, from } = engine.alteredMission(config);
+    return items.slice(from);
+  }, [config]);
+  // Resampled whenever the config changes, e.g. the tower is dragged in the editor
+  const coverageMode = COVERAGE_MODES.find(({ id }) => id === coverage);
+  const coverageAt = useMemo(
+    () => coverageMode && ((point) => coverageMode.valueAt(config, {
+      x: point.x - DRONE_SIZE_OFFSET,
+      y: point.y - DRONE_SIZE_OFFSET,
+    })),
+    [coverageMode, config]
+  );
+
+  const resetSimulation = () => {
+    sim.pause();
+    sim.stopRecording();
+    sim.replace({
+      ...engine.createState({ ...scenario.config, trustMetric, signing, signingAttack }),
+      status: "Simulation reset. Press play to start.",
+    });
+    clearFootprints();
     siren.stop();
-  }, [siren]);
+  };
 
   const togglePlayPause = () => {
     if (attackPhase === AttackPhase.COMPLETED) return;
-    if (attackPhase === AttackPhase.INACTIVE && !isPlaying) {
-      addFootprint('AUTH', 'Simulation initiated. Drone systems nominal.');
-      addFootprint('AUTH', `Loaded mission plan with ${waypoints.length} waypoints.`);
+    if (isPlaying) {
+      sim.pause();
+      return;
     }
-    setIsPlaying(!isPlaying);
+    if (!sim.state.running) {
+      editor.setEditing(false);
+      const seed = randomSeed();
+      const runConfig = { ...scenario.config, trustMetric, signing, signingAttack };
+      startRun({ seed, scenario: scenario.id, config: runConfig });
+      sim.apply(engine.start(engine.createState(runConfig, seed)));
+      sim.record({ page: "data-injection", runId: getRunId() });
+    }
+    sim.play();
   };
 
-  const moveTowards = (from, to, speed) => {
-    const d = dist(from, to);
-    if (d < speed) return to;
-    const dx = to.x - from.x;
-    const dy = to.y - from.y;
-    return { ...from, x: from.x + (dx / d) * speed, y: from.y + (dy / d) * speed };
+  const loadScenario = (meta, scenarioConfig) => {
+    setScenario({ id: meta.id, config: scenarioConfig });
+    sim.replace(engine.createState({ ...scenarioConfig, trustMetric, signing, signingAttack }));
+    clearFootprints();
   };
 
-  const spawnDataPacket = () => {
-    const id = Math.random();
-    const newPacket = {
-      id,
-      x: radioTower.x,
-      y: radioTower.y,
-      targetX: latestDronePos.current.x,
-      targetY: latestDronePos.current.y,
-      startTime: Date.now(),
-    };
-    setDataPackets(prev => [...prev, newPacket]);
-    setTimeout(() => {
-      setDataPackets(prev => prev.filter(p => p.id !== id));
-    }, 1000);
+  // --- LAYOUT EDITOR ---
+  const editor = useLayoutEditor({
+    page: "data-injection",
+    defaults: engine.DEFAULT_CONFIG,
+    units: engine.CONFIG_UNITS,
+    config: scenario.config,
+    onEdit: (scenarioConfig, meta) => loadScenario(meta, scenarioConfig),
+  });
+  const handles = editHandles(scenario.config);
+
+  // New waypoints go halfway between the selected one and the next
+  const addWaypoint = () => {
+    const wps = scenario.config.waypoints;
+    const i = editor.selected && editor.selected.startsWith("waypoints.")
+      ? Number(editor.selected.split(".")[1])
+      : wps.length - 1;
+    const a = wps[i];
+    const b = wps[i + 1] || scenario.config.start;
+    const wp = newWaypoint(scenario.config, { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+    editor.update({ ...scenario.config, waypoints: [...wps.slice(0, i + 1), wp, ...wps.slice(i + 1)] });
+    editor.select(`waypoints.${i + 1}`);
   };
 
-  const runSimulationTick = useCallback(() => {
-    const newTime = simulationTime + SIMULATION_SPEED;
-    setSimulationTime(newTime);
-
-    let nextPhase = attackPhase;
-    if (newTime > 12000) { nextPhase = AttackPhase.COMPLETED; }
-    else if (newTime > 7000) { nextPhase = AttackPhase.HIJACKED; }
-    else if (newTime > 4000) { nextPhase = AttackPhase.ATTACK_INJECT; }
-    else if (newTime > 500) { nextPhase = AttackPhase.NORMAL_FLIGHT; }
-
-    /* ── Trust Metric Neutralization ── */
-    if (trustMetric && nextPhase >= AttackPhase.HIJACKED && !trustNeutralized) {
-      setTrustNeutralized(true);
-      addFootprint('AUTH', '🛡️ TRUST METRIC: Cross-validating delayed data against real-time kinematics...');
-      addFootprint('AUTH', '🛡️ ATTACK NEUTRALIZED: Inconsistency detected. Reverting to validated state.');
-      setStatus("Defense Active: Trust Metric has neutralized the attack. Drone returning to mission.");
-      siren.stop();
-    }
-
-    if (nextPhase !== attackPhase) {
-      setAttackPhase(nextPhase);
-      switch (nextPhase) {
-        case AttackPhase.ATTACK_INJECT:
-          setStatus("Phase 2: Attacker is injecting malicious MAVLink commands.");
-          addFootprint('ATTACK', 'Network intrusion detected. Injecting CMD_OVERRIDE...');
-          siren.play();
-          break;
-        case AttackPhase.HIJACKED:
-          if (!trustMetric) {
-            setStatus("Phase 3: Drone is following malicious commands. Attacker is spoofing telemetry.");
-            addFootprint('SPOOF', 'CMD_OVERRIDE ACK. Drone path diverted. Initiating telemetry spoof.');
-          }
-          setDataPackets([]);
-          break;
-        case AttackPhase.COMPLETED:
-          if (trustNeutralized || trustMetric) {
-            setStatus("Mission Complete: Trust Metric successfully defended against the attack.");
-            addFootprint('AUTH', '✅ Drone completed mission under Trust Metric protection.');
-          } else {
-            setStatus("Attack Complete: The drone is at the attacker's location.");
-            addFootprint('ATTACK', `ACTUAL DRONE LOCATION: ${formatCoords(latestDronePos.current.x, latestDronePos.current.y)}`);
-            addFootprint('SPOOF', `[FAKE TELEMETRY] Arrived at Waypoint #${reportedWaypointIdx}.`);
-          }
-          setIsPlaying(false);
-          siren.stop();
-          setFinalPositions([
-            { id: 'actual', x: latestDronePos.current.x, y: latestDronePos.current.y, status: 'actual' },
-            { id: 'reported', x: latestReportedPos.current.x, y: latestReportedPos.current.y, status: 'reported' }
-          ]);
-          break;
-        default: break;
-      }
-    }
-
-    if (nextPhase === AttackPhase.COMPLETED) return;
-
-    // Reported (Ghost) Drone
-    setReportedDrone(prev => {
-      if (reportedWaypointIdx >= waypoints.length) return prev;
-      const targetWp = waypoints[reportedWaypointIdx];
-      let newPos = moveTowards(prev, targetWp, DRONE_SPEED);
-      if (nextPhase >= AttackPhase.HIJACKED && !trustNeutralized) {
-        newPos.x += (Math.random() - 0.5) * 4;
-        newPos.y += (Math.random() - 0.5) * 4;
-      }
-      if (dist(newPos, targetWp) < DRONE_SPEED) {
-        const newIndex = reportedWaypointIdx + 1;
-        setReportedWaypointIdx(newIndex);
-      }
-      setReportedPath(path => [...path, newPos]);
-      latestReportedPos.current = newPos;
-      return newPos;
-    });
+  // A click on the ground with nothing selected appends a waypoint there
+  const placeWaypoint = (point) => {
+    editor.update({ ...scenario.config, waypoints: [...scenario.config.waypoints, newWaypoint(scenario.config, point)] });
+  };
 
-    // Actual Drone
-    setDrone(prev => {
-      let newPos;
-      const isNeutralized = trustMetric && (trustNeutralized || nextPhase >= AttackPhase.HIJACKED);
-      if (nextPhase < AttackPhase.HIJACKED || isNeutralized) {
-        if (currentWaypointIdx >= waypoints.length) return prev;
-        const targetWp = waypoints[currentWaypointIdx];
-        newPos = moveTowards(prev, targetWp, DRONE_SPEED);
-        if (dist(newPos, targetWp) < DRONE_SPEED) {
-          setCurrentWaypointIdx(i => i + 1);
-        }
-      } else {
-        newPos = moveTowards(prev, maliciousTarget, DRONE_SPEED);
-      }
-      setDronePath(path => [...path, newPos]);
-      latestDronePos.current = newPos;
-      return newPos;
-    });
+  const removeWaypoint = () => {
+    const i = Number(editor.selected.split(".")[1]);
+    editor.update({ ...scenario.config, waypoints: scenario.config.waypoints.filter((_, j) => j !== i) });
+    editor.select(null);
+  };
 
-    // Logging
-    if (newTime % 1000 < SIMULATION_SPEED) {
-      if (nextPhase === AttackPhase.NORMAL_FLIGHT) {
-        addFootprint('AUTH', `Telemetry: POS=${formatCoords(latestDronePos.current.x, latestDronePos.current.y)}, WP_TGT=${currentWaypointIdx + 1}`);
-      } else if (nextPhase >= AttackPhase.HIJACKED && !trustNeutralized) {
-        addFootprint('SPOOF', `[FAKE TELEMETRY] POS=${formatCoords(latestReportedPos.current.x, latestReportedPos.current.y)}, WP_TGT=${reportedWaypointIdx + 1}`);
-      }
-    }
+  // The defense can be switched on or off mid-run (recorded as an input)
+  const toggleTrustMetric = () => {
+    const next = !trustMetric;
+    setTrustMetric(next);
+    if (sim.stateRef.current.running) sim.input({ type: "trustMetric", enabled: next });
+  };
 
-    // Data packets
-    if (nextPhase === AttackPhase.ATTACK_INJECT && newTime % 200 < SIMULATION_SPEED) {
-      spawnDataPacket();
-    }
-  }, [simulationTime, attackPhase, addFootprint, waypoints, currentWaypointIdx, reportedWaypointIdx, maliciousTarget, trustMetric, trustNeutralized, siren]);
+  // So can its rejection threshold; before a run it goes into the scenario config
+  const changeTrustThreshold = (threshold) => {
+    const scenarioConfig = { ...scenario.config, trust: { ...scenario.config.trust, threshold } };
+    setScenario({ ...scenario, config: scenarioConfig });
+    if (sim.stateRef.current.running) sim.input({ type: "trustThreshold", threshold });
+    else sim.replace(engine.createState({ ...scenarioConfig, trustMetric, signing, signingAttack }));
+  };
 
   useEffect(() => {
-    if (isPlaying && attackPhase !== AttackPhase.COMPLETED) {
-      simulationRef.current = setInterval(runSimulationTick, SIMULATION_SPEED);
-    } else {
-      clearInterval(simulationRef.current);
-    }
-    return () => clearInterval(simulationRef.current);
-  }, [isPlaying, runSimulationTick, attackPhase]);
+    if (replay.active) siren.stop();
+  }, [replay.active]);
 
   useEffect(() => {
     return () => siren.stop();
@@ -532,61 +553,243 @@ export default function DataInjectionSimulation() {
         <div className="stage-head">
           <div className="title">📦 DATA & COMMAND INJECTION — 3D</div>
           <div className="playback-controls">
+            <ScenarioPicker
+              page="data-injection"
+              defaults={engine.DEFAULT_CONFIG}
+              units={engine.CONFIG_UNITS}
+              current={scenario.id}
+              onLoad={loadScenario}
+              extra={editor.scenarios}
+              disabled={editor.editing || replay.active || sim.state.running}
+            />
+            <BasemapPicker source={basemap} onChange={setBasemap} />
+            <ObstaclePicker
+              obstacles={scenario.config.obstacles}
+              geo={scenario.config.geo}
+              onChange={(obstacles) => loadScenario(scenario, { ...scenario.config, obstacles })}
+              disabled={editor.editing || replay.active || sim.state.running}
+            />
+            <EditorBar
+              editor={editor}
+              handles={handles}
+              disabled={replay.active || sim.state.running}
+              idleHint="Select a handle, or click the ground to add a waypoint"
+            >
+              <button onClick={addWaypoint} className="control-button">＋ Waypoint</button>
+              <button
+                onClick={removeWaypoint}
+                className="control-button"
+                disabled={!editor.selected?.startsWith("waypoints.") || scenario.config.waypoints.length <= 1}
+              >
+                − Waypoint
+              </button>
+            </EditorBar>
             {/* Trust Metric Toggle */}
-            <div className={`trust-toggle ${trustMetric ? 'active' : ''}`}>
+            <div className={`trust-toggle ${trustOn ? 'active' : ''}`}>
               <button
-                className={`trust-switch ${trustMetric ? 'on' : ''}`}
-                onClick={() => setTrustMetric(!trustMetric)}
+                className={`trust-switch ${trustOn ? 'on' : ''}`}
+                onClick={toggleTrustMetric}
+                disabled={replay.active}
                 aria-label="Toggle Trust Metric"
               />
               <span className="trust-label">
-                {trustMetric ? '🛡️ TRUST METRIC: ON' : 'TRUST METRIC: OFF'}
+                {trustOn ? '🛡️ TRUST METRIC: ON' : 'TRUST METRIC: OFF'} · {trust.score.toFixed(2)}
               </span>
             </div>
-            <button onClick={togglePlayPause} className="control-button" disabled={attackPhase === AttackPhase.COMPLETED}>
+            <div className="slider-control">
+              <label htmlFor="trustThreshold">Reject under: {config.trust.threshold.toFixed(2)}</label>
+              <input
+                type="range"
+                id="trustThreshold"
+                min="0.05"
+                max="0.95"
+                step="0.05"
+                value={config.trust.threshold}
+                onChange={(e) => changeTrustThreshold(Number(e.target.value))}
+                disabled={replay.active}
+              />
+            </div>
+            {/* MAVLink Signing Toggle */}
+            <div className={`trust-toggle ${signingOn ? 'active' : ''}`}>
+              <button
+                className={`trust-switch ${signingOn ? 'on' : ''}`}
+                onClick={() => setSigning(!signing)}
+                disabled={replay.active || sim.state.running}
+                aria-label="Toggle MAVLink signing"
+              />
+              <span className="trust-label">
+                {signingOn ? '🔏 MAVLINK SIGNING: ON' : 'MAVLINK SIGNING: OFF'}
+              </span>
+            </div>
+            <select
+              className="scenario-select"
+              value={attackMode}
+              onChange={(e) => setSigningAttack(e.target.value)}
+              disabled={replay.active || sim.state.running || !signingOn}
+              aria-label="Attacker against signing"
+            >
+              {Object.entries(engine.SIGNING_ATTACKS).map(([id, label]) => (
+                <option key={id} value={id}>Attacker: {label}</option>
+              ))}
+            </select>
+            <CoveragePicker modes={COVERAGE_MODES} mode={coverage} onChange={setCoverage} />
+            <button onClick={togglePlayPause} className="control-button" disabled={replay.active || attackPhase === AttackPhase.COMPLETED}>
               {isPlaying ? '❚❚ Pause' : '▶ Play'}
             </button>
-            <button onClick={resetSimulation} className="control-button reset">
+            <ClockControls clock={sim.clock} showPlayPause={false} disabled={replay.active || !sim.state.running} />
+            <button onClick={resetSimulation} className="control-button reset" disabled={replay.active}>
               ↻ Reset
             </button>
           </div>
         </div>
 
+        <ReplayBar page="data-injection" sim={sim} replay={replay}>
+          <TrackExportMenu
+            page="data-injection"
+            engine={engine}
+            recording={replay.active ? replay.recording : sim.recording}
+            tracksOf={() => TRACKS}
+            positionsOf={(s) => ({ actual: s.drone, reported: s.reported })}
+          />
+          <PcapExportButton
+            page="data-injection"
+            engine={engine}
+            recording={replay.active ? replay.recording : sim.recording}
+          />
+        </ReplayBar>
+
         {/* 3D Canvas */}
         <div className="sim-canvas-container" style={{ height: "600px", borderRadius: "var(--radius)", overflow: "hidden" }}>
           <Canvas camera={{ position: [0, 10, 12], fov: 50 }} style={{ width: "100%", height: "100%" }} gl={{ antialias: true }}>
             <Suspense fallback={null}>
               <InjectionScene
+                world={config.world}
+                basemap={basemap}
+                geo={config.geo}
+                obstacles={config.obstacles}
+                altitude={config.altitude}
+                coverageAt={coverageAt}
                 drone={drone}
-                reportedDrone={reportedDrone}
-                dronePath={dronePath}
-                reportedPath={reportedPath}
-                waypoints={waypoints}
-                radioTower={radioTower}
-                maliciousTarget={maliciousTarget}
+                reportedDrone={reported}
+                dronePath={view.dronePath}
+                reportedPath={view.reportedPath}
+                waypoints={config.waypoints}
+                radioTower={config.radioTower}
+                groundStation={config.start}
+                injectedMission={config.injectedMission}
+                attackRoute={attackRoute}
                 attackPhase={attackPhase}
-                dataPackets={dataPackets}
-                finalPositions={finalPositions}
+                dataPackets={view.packets}
+                packetLifetime={config.packetLifetime}
+                simTime={view.time}
+                finalPositions={view.finalPositions}
                 trustNeutralized={trustNeutralized}
-              />
+                editing={editor.editing}
+              >
+                {editor.editing && (
+                  <SceneEditor
+                    world={config.world}
+                    scale={SCALE}
+                    config={config}
+                    handles={handles}
+                    selected={editor.selected}
+                    onSelect={editor.select}
+                    onMove={editor.move}
+                    onResize={editor.resize}
+                    onPlace={placeWaypoint}
+                  />
+                )}
+              </InjectionScene>
             </Suspense>
           </Canvas>
+          {coverageMode && <CoverageLegend label={coverageMode.legend} />}
         </div>
       </div>
 
       <InfoPanel
         attackPhase={attackPhase}
         status={status}
-        digitalFootprints={digitalFootprints}
-        liveCoords={{
-          actual: formatCoords(latestDronePos.current.x, latestDronePos.current.y),
-          perceived: formatCoords(latestReportedPos.current.x, latestReportedPos.current.y),
-        }}
+        digitalFootprints={replay.active ? replay.footprints : digitalFootprints}
+        positions={[
+          { label: 'ACTUAL', ...drone },
+          { label: 'REPORTED', ...reported },
+        ]}
+        geo={config.geo}
         signalStrengths={{
-          satellite: (attackPhase < AttackPhase.ATTACK_INJECT ? 100 : 95),
-          spoofing: (attackPhase >= AttackPhase.ATTACK_INJECT ? (trustNeutralized ? 0 : 100) : 0),
+          satellite: (atLeast(attackPhase, AttackPhase.ATTACK_INJECT) ? 95 : 100),
+          spoofing: (atLeast(attackPhase, AttackPhase.ATTACK_INJECT) ? (trustNeutralized ? 0 : 100) : 0),
         }}
-      />
+      >
+        <div className="info-section">
+          <h3>Mission Plan</h3>
+          <MissionEditor
+            config={replay.active ? config : scenario.config}
+            onChange={editor.update}
+            disabled={replay.active || sim.state.running}
+          />
+        </div>
+        <div className="info-section">
+          <h3>Trust Metric</h3>
+          <TrustChart
+            history={trust.history}
+            threshold={config.trust.threshold}
+            divertedAt={trust.divertedAt}
+            detectedAt={trust.detectedAt}
+          />
+          <div className="geo-positions">
+            <table>
+              <tbody>
+                <tr><th>Score</th><td>{trust.score.toFixed(2)} (rejects under {config.trust.threshold})</td></tr>
+                <tr><th>Telemetry vs IMU</th><td>{formatMetres(trust.position, config.geo)}, {formatMetres(trust.velocity, config.geo)}/s</td></tr>
+                <tr><th>Track vs command</th><td>{trust.heading.toFixed(0)}°</td></tr>
+                <tr><th>Diverted</th><td>{formatTime(trust.divertedAt)}</td></tr>
+                <tr><th>Detected</th><td>{formatTime(trust.detectedAt)}</td></tr>
+                <tr>
+                  <th>Detection latency</th>
+                  <td>
+                    {trust.divertedAt !== null && trust.detectedAt !== null
+                      ? `${((trust.detectedAt - trust.divertedAt) / 1000).toFixed(2)} s`
+                      : '—'}
+                  </td>
+                </tr>
+                <tr><th>C2 commands</th><td>{trustNeutralized ? 'rejected' : 'obeyed'}</td></tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+        <div className="info-section">
+          <h3>C2 Link Budget</h3>
+          <LinkBudget
+            rows={[
+              { label: 'Attacker at drone', value: formatDbm(view.c2Link.power) },
+              { label: 'GCS at drone', value: formatDbm(view.c2Link.gcsPower) },
+              { label: 'Obstruction', value: formatObstruction(view.c2Link) },
+              { label: 'J/S', value: formatDb(view.c2Link.js) },
+              { label: 'Injection odds', value: `${formatOdds(view.c2Link.probability)} per packet` },
+              { label: 'Drone altitude', value: `${view.altitude.toFixed(0)} m` },
+              { label: 'Command delivered', value: view.commandDelivered ? 'yes' : 'no' },
+            ]}
+          />
+        </div>
+        <div className="info-section">
+          <h3>MAVLink Signing</h3>
+          <div className="geo-positions">
+            <table>
+              <tbody>
+                <tr><th>Signing</th><td>{signingOn ? 'on' : 'off'}</td></tr>
+                <tr><th>Attacker</th><td>{signingOn ? engine.SIGNING_ATTACKS[attackMode] : 'Forged unsigned frames'}</td></tr>
+                {Object.entries(VERDICTS).map(([verdict, label]) => (
+                  <tr key={verdict}><th>{label}</th><td>{view.attackVerdicts[verdict]}</td></tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+        <div className="info-section">
+          <h3>MAVLink Packet Inspector</h3>
+          <PacketInspector frames={view.frames} />
+        </div>
+      </InfoPanel>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -3,8 +3,20 @@ import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Text } from "@react-three/drei";
 import * as THREE from "three";
 import Dashboard from "../components/Dashboard.jsx";
+import ClockControls from "../components/ClockControls.jsx";
+import ReplayBar from "../components/ReplayBar.jsx";
+import ScenarioPicker from "../components/ScenarioPicker.jsx";
+import BasemapPicker from "../components/BasemapPicker.jsx";
+import Basemap from "../components/Basemap.jsx";
+import SceneEditor from "../components/SceneEditor.jsx";
+import EditorBar from "../components/EditorBar.jsx";
 import WireframeDrone from "../components/WireframeDrone.jsx";
 import useSirenSound from "../hooks/useSirenSound.js";
+import useSimulation from "../hooks/useSimulation.js";
+import useReplay from "../hooks/useReplay.js";
+import useLayoutEditor from "../hooks/useLayoutEditor.js";
+import * as engine from "../sim/droneSimulation.js";
+import { randomSeed } from "../sim/rng.js";
 
 /* ═══════════════════════════════════════════
    COORDINATE SYSTEM
@@ -13,28 +25,40 @@ import useSirenSound from "../hooks/useSirenSound.js";
    ═══════════════════════════════════════════ */
 const SCALE = 0.025;
 const toWorld = (x, y) => [(x - 360) * SCALE, 0, (y - 260) * SCALE];
+// Shifts a scenario world of any size so that its centre sits at the origin
+const worldOffset = (world) => [(360 - world.width / 2) * SCALE, 0, (260 - world.height / 2) * SCALE];
 
 /* ── Ground Plane ── */
-function GroundPlane() {
+function GroundPlane({ world }) {
+  const w = world.width * SCALE;
+  const h = world.height * SCALE;
+  const grid = Math.ceil(Math.max(w, h)) + 2;
   return (
     <group>
       <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -0.05, 0]}>
-        <planeGeometry args={[20, 15]} />
+        <planeGeometry args={[w + 2, h + 2]} />
         <meshBasicMaterial color="#060a14" transparent opacity={0.6} />
       </mesh>
-      <gridHelper args={[20, 40, "#0a1530", "#0a1530"]} position={[0, -0.04, 0]} />
+      <gridHelper args={[grid, grid * 2, "#0a1530", "#0a1530"]} position={[0, -0.04, 0]} />
       <lineSegments position={[0, 0.5, 0]}>
-        <edgesGeometry args={[new THREE.BoxGeometry(18, 1, 13)]} />
+        <edgesGeometry args={[new THREE.BoxGeometry(w, 1, h)]} />
         <lineBasicMaterial color="#00f2ff" transparent opacity={0.06} />
       </lineSegments>
     </group>
   );
 }
 
+// Entities the layout editor can move (config paths)
+const EDIT_HANDLES = [
+  { id: "start", label: "SPAWN", color: "#00f2ff" },
+  { id: "danger", label: "DANGER", color: "#ff3344", radii: [{ path: "danger.radius" }] },
+  { id: "safe", label: "SAFE", color: "#00ff88", radii: [{ path: "safe.radius" }] },
+];
+
 /* ── Zone (Danger / Safe) ── */
 function Zone3D({ x, y, radius, label, color, pulse = false }) {
   const ref = useRef();
-  const [pos] = useState(() => toWorld(x, y));
+  const pos = useMemo(() => toWorld(x, y), [x, y]);
   const r = radius * SCALE;
 
   useFrame(({ clock }) => {
@@ -63,7 +87,7 @@ function Zone3D({ x, y, radius, label, color, pulse = false }) {
 
 /* ── Warning Ring ── */
 function WarningRing({ x, y, innerRadius, outerRadius }) {
-  const [pos] = useState(() => toWorld(x, y));
+  const pos = useMemo(() => toWorld(x, y), [x, y]);
   const innerR = innerRadius * SCALE;
   const outerR = outerRadius * SCALE;
 
@@ -117,7 +141,7 @@ function InteractiveDrone({ x, y, spoofed, destroyed, color }) {
 /* ── Destruction FX ── */
 function DestructionFX({ active, x, y }) {
   const ref = useRef();
-  const [pos] = useState(() => toWorld(x, y));
+  const pos = useMemo(() => toWorld(x, y), [x, y]);
   const startTime = useRef(Date.now());
 
   useEffect(() => {
@@ -166,240 +190,95 @@ function SirenBanner({ warning, spoofed, destroyed }) {
 }
 
 /* ═══════════════════════════════════════════
-   MAIN COMPONENT (all game logic preserved)
+   MAIN COMPONENT
+   Game logic lives in sim/droneSimulation.js
    ═══════════════════════════════════════════ */
 export default function DroneSimulation() {
-  const world = { width: 720, height: 520 };
-
-  const danger = { x: 420, y: 200, radius: 70 };
-  const safe   = { x: 100, y: 380, radius: 48 };
-
-  const warningBuffer = 90;
-  const warningRadius = danger.radius + warningBuffer;
-
-  const [drone, setDrone] = useState({ x: 40, y: 40, width: 28, height: 28 });
-  const [speed] = useState(10);
-  const [spoofed, setSpoofed] = useState(false);
-  const [redirecting, setRedirecting] = useState(false);
-  const [warning, setWarning] = useState(false);
-  const [destroyed, setDestroyed] = useState(false);
-  const [status, setStatus] = useState("Use arrow keys or WASD to move the drone.");
-
-  const moveRef = useRef(null);
-  const lastWarnRef = useRef(false);
+  // --- SCENARIO ---
+  const [scenarioId, setScenarioId] = useState("standard");
+  const [basemap, setBasemap] = useState(null); // offline map under the scene, see lib/basemap.js
 
   // --- SIREN SOUND ---
   const siren = useSirenSound();
 
-  // utils
-  const clamp = (v, a, b) => Math.max(a, Math.min(v, b));
-  const centerOf = (d) => ({ x: d.x + d.width / 2, y: d.y + d.height / 2 });
-  const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
-  const angleOf = (C, P) => Math.atan2(P.y - C.y, P.x - C.x);
-  const pointOnCircle = (C, r, ang) => ({ x: C.x + r * Math.cos(ang), y: C.y + r * Math.sin(ang) });
-
-  const insideDanger = (pt) => dist(pt, { x: danger.x, y: danger.y }) <= danger.radius;
-  const insideWarningOnly = (pt) => {
-    const d = dist(pt, { x: danger.x, y: danger.y });
-    return d > danger.radius && d <= warningRadius;
-  };
-  const insideSafe = (pt) => dist(pt, { x: safe.x, y: safe.y }) <= safe.radius;
-
-  function segHitsCircle(A, B, C, r) {
-    const vx = B.x - A.x, vy = B.y - A.y;
-    const wx = C.x - A.x, wy = C.y - A.y;
-    const c1 = vx * wx + vy * wy;
-    const c2 = vx * vx + vy * vy;
-    const t = c2 === 0 ? 0 : c1 / c2;
-    const tt = Math.max(0, Math.min(1, t));
-    const Closest = { x: A.x + vx * tt, y: A.y + vy * tt };
-    return dist(Closest, C) <= r - 0.0001;
-  }
-
-  function animateTo(targetTL, step = 6, onStep, onDone) {
-    if (typeof onStep !== "function") onStep = () => {};
-    if (typeof onDone !== "function") onDone = () => {};
-    clearInterval(moveRef.current);
-    moveRef.current = setInterval(() => {
-      setDrone((prev) => {
-        const dx = targetTL.x - prev.x;
-        const dy = targetTL.y - prev.y;
-        const d = Math.hypot(dx, dy);
-        if (d <= step) {
-          clearInterval(moveRef.current);
-          onStep(targetTL);
-          onDone();
-          return { ...prev, x: targetTL.x, y: targetTL.y };
-        }
-        const nx = prev.x + (dx / d) * step;
-        const ny = prev.y + (dy / d) * step;
-        onStep({ x: nx, y: ny });
-        return { ...prev, x: nx, y: ny };
-      });
-    }, 16);
-  }
-
-  function buildArcThenSafePath(exitCenter, C, r, S, rs, droneWH) {
-    const bufferR = r + 10;
-    const a0 = angleOf(C, exitCenter);
-    const aTarget = angleOf(C, S);
-
-    let delta = aTarget - a0;
-    while (delta > Math.PI) delta -= 2 * Math.PI;
-    while (delta < -Math.PI) delta += 2 * Math.PI;
-
-    const stepLen = 12;
-    const arcLen = Math.abs(delta) * bufferR;
-    const steps = Math.max(8, Math.ceil(arcLen / stepLen));
-
-    const pointsTL = [];
-    let lastAng = a0;
-
-    for (let i = 1; i <= steps; i++) {
-      const ang = a0 + (i / steps) * delta;
-      const p = pointOnCircle(C, bufferR, ang);
-      pointsTL.push({ x: p.x - droneWH.w / 2, y: p.y - droneWH.h / 2 });
-      lastAng = ang;
+  const handleStep = (next, prev) => {
+    if (next.alarm !== prev.alarm) {
+      if (next.alarm) siren.play(); else siren.stop();
     }
+  };
 
-    const lastArcCenter = pointsTL.length
-      ? { x: pointsTL[pointsTL.length - 1].x + droneWH.w / 2, y: pointsTL[pointsTL.length - 1].y + droneWH.h / 2 }
-      : exitCenter;
-
-    const safeEdgeFrom = (P) => {
-      const dir = { x: P.x - S.x, y: P.y - S.y };
-      const d = Math.hypot(dir.x, dir.y) || 1;
-      return { x: S.x + (dir.x / d) * rs, y: S.y + (dir.y / d) * rs };
-    };
-
-    let edge = safeEdgeFrom(lastArcCenter);
-    let attempts = 0;
-    while (segHitsCircle(lastArcCenter, edge, C, r) && attempts < 24) {
-      const bump = (delta >= 0 ? 1 : -1) * (Math.PI / 36);
-      lastAng += bump;
-      const p = pointOnCircle(C, bufferR, lastAng);
-      pointsTL.push({ x: p.x - droneWH.w / 2, y: p.y - droneWH.h / 2 });
-      const newCenter = { x: p.x, y: p.y };
-      edge = safeEdgeFrom(newCenter);
-      attempts++;
-    }
-
-    const edgeTL = { x: edge.x - droneWH.w / 2, y: edge.y - droneWH.h / 2 };
-    const centerTL = { x: S.x - droneWH.w / 2, y: S.y - droneWH.h / 2 };
-
-    pointsTL.push(edgeTL);
-    pointsTL.push(centerTL);
+  const sim = useSimulation(engine, () => engine.createState(engine.DEFAULT_CONFIG, randomSeed()), handleStep);
 
-    return pointsTL;
-  }
+  // --- REPLAY (recorded sessions render instead of the live one) ---
+  const replay = useReplay(engine);
+  const view = replay.active ? replay.state : sim.state;
+  const { config, drone, spoofed, redirecting, warning, destroyed, status } = view;
+  const { danger, safe, keyStep: speed } = config;
+  const warningRadius = engine.warningRadius(config);
 
-  const triggerDestruction = () => {
-    clearInterval(moveRef.current);
-    setDestroyed(true);
-    setStatus("🛡️ Drone neutralized by defense system.");
+  // Swap the world under the running game; a recording cannot span two worlds
+  const loadScenario = (meta, scenarioConfig) => {
+    sim.stopRecording();
+    setScenarioId(meta.id);
+    sim.replace(engine.createState(scenarioConfig, randomSeed()));
     siren.stop();
-    setTimeout(() => {
-      setDrone({ x: 40, y: 40, width: 28, height: 28 });
-      setSpoofed(false);
-      setRedirecting(false);
-      setWarning(false);
-      setDestroyed(false);
-      setStatus("Use arrow keys or WASD to move the drone.");
-    }, 1400);
   };
 
-  const startSpoofSequence = (currentCenter) => {
-    setSpoofed(true);
-    setStatus("🚨 Spoof detected — moving out of danger zone...");
-    siren.play();
-
-    const C = { x: danger.x, y: danger.y };
-    const v = { x: currentCenter.x - C.x, y: currentCenter.y - C.y };
-    const d0 = Math.hypot(v.x, v.y) || 1;
-    const outward = { x: v.x / d0, y: v.y / d0 };
-
-    const exitCenter = {
-      x: C.x + outward.x * (danger.radius + 10),
-      y: C.y + outward.y * (danger.radius + 10),
-    };
-    const exitTL = { x: exitCenter.x - drone.width / 2, y: exitCenter.y - drone.height / 2 };
-
-    const S = { x: safe.x, y: safe.y };
-    const pathTL = buildArcThenSafePath(exitCenter, C, danger.radius, S, safe.radius, {
-      w: drone.width, h: drone.height,
-    });
-
-    const sequence = [exitTL, ...pathTL];
-    let i = 0;
-
-    const stepNext = () => {
-      if (i >= sequence.length) {
-        triggerDestruction();
-        return;
-      }
-      const target = sequence[i++];
-      setRedirecting(true);
-      animateTo(target, 6, undefined, stepNext);
-    };
+  // --- LAYOUT EDITOR (the game is paused while editing) ---
+  const editor = useLayoutEditor({
+    page: "drone-simulation",
+    defaults: engine.DEFAULT_CONFIG,
+    units: engine.CONFIG_UNITS,
+    config,
+    onEdit: (scenarioConfig, meta) => {
+      setScenarioId(meta.id);
+      sim.replace(engine.createState(scenarioConfig, randomSeed()));
+    },
+  });
 
-    animateTo(exitTL, 6, undefined, stepNext);
+  const setEditing = (editing) => {
+    if (editing) {
+      sim.pause();
+      sim.stopRecording();
+      siren.stop();
+    }
+    editor.setEditing(editing);
+    if (!editing) sim.play();
   };
 
-  // keyboard control + warning ring
+  // The engine runs continuously: it animates redirects and respawns
+  useEffect(() => {
+    sim.play();
+  }, []);
+
+  // keyboard control (frozen along with the clock while paused)
   useEffect(() => {
     const handler = (e) => {
-      if (spoofed || destroyed) return;
+      if (!sim.playing) return;
       const k = e.key.toLowerCase();
       let dx = 0, dy = 0;
-      if (k === "arrowup" || k === "w") dy = -speed;
-      if (k === "arrowdown" || k === "s") dy = speed;
-      if (k === "arrowleft" || k === "a") dx = -speed;
-      if (k === "arrowright" || k === "d") dx = speed;
+      if (k === "arrowup" || k === "w") dy = -1;
+      if (k === "arrowdown" || k === "s") dy = 1;
+      if (k === "arrowleft" || k === "a") dx = -1;
+      if (k === "arrowright" || k === "d") dx = 1;
       if (dx === 0 && dy === 0) return;
-
-      setDrone((prev) => {
-        const nx = clamp(prev.x + dx, 0, world.width - prev.width);
-        const ny = clamp(prev.y + dy, 0, world.height - prev.height);
-        const centerPt = { x: nx + prev.width / 2, y: ny + prev.height / 2 };
-
-        const warn = insideWarningOnly(centerPt);
-        setWarning(warn);
-        if (warn && !lastWarnRef.current) {
-          setStatus("⚠️ Approaching restricted airspace...");
-          lastWarnRef.current = true;
-        }
-        if (!warn && lastWarnRef.current) {
-          if (!spoofed) setStatus("Use arrow keys or WASD to move the drone.");
-          lastWarnRef.current = false;
-        }
-
-        if (insideDanger(centerPt)) {
-          startSpoofSequence(centerPt);
-          return { ...prev };
-        }
-
-        if (insideSafe(centerPt)) {
-          triggerDestruction();
-          return { ...prev, x: nx, y: ny };
-        }
-
-        return { ...prev, x: nx, y: ny };
-      });
+      sim.input({ type: "move", dx, dy });
     };
     window.addEventListener("keydown", handler);
     return () => window.removeEventListener("keydown", handler);
-  }, [spoofed, destroyed, speed]);
+  }, [sim.input, sim.playing]);
+
+  useEffect(() => {
+    if (replay.active) siren.stop();
+  }, [replay.active]);
 
   // cleanup
-  useEffect(() => () => {
-    clearInterval(moveRef.current);
-    siren.stop();
-  }, []);
+  useEffect(() => () => siren.stop(), []);
 
   // derived flags for dashboard
-  const droneCenter = centerOf(drone);
-  const inDanger = insideDanger(droneCenter);
-  const inSafe = insideSafe(droneCenter);
+  const droneCenter = engine.centerOf(drone);
+  const inDanger = engine.insideDanger(droneCenter, config);
+  const inSafe = engine.insideSafe(droneCenter, config);
 
   return (
     <div className="layout">
@@ -409,36 +288,71 @@ export default function DroneSimulation() {
           <div className={`badge ${spoofed ? "bad" : destroyed ? "bad" : warning ? "bad" : "good"}`}>
             {spoofed ? "SPOOFED" : destroyed ? "NEUTRALIZED" : warning ? "WARNING" : "LIVE"}
           </div>
+          <div className="playback-controls">
+            <ScenarioPicker
+              page="drone-simulation"
+              defaults={engine.DEFAULT_CONFIG}
+              units={engine.CONFIG_UNITS}
+              current={scenarioId}
+              onLoad={loadScenario}
+              extra={editor.scenarios}
+              disabled={editor.editing || replay.active}
+            />
+            <BasemapPicker source={basemap} onChange={setBasemap} />
+            <EditorBar editor={{ ...editor, setEditing }} handles={EDIT_HANDLES} disabled={replay.active} />
+            <ClockControls clock={sim.clock} disabled={editor.editing || replay.active} />
+          </div>
         </div>
 
+        <ReplayBar
+          page="drone-simulation"
+          sim={sim}
+          replay={replay}
+          onRecord={() => sim.record({ page: "drone-simulation" })}
+        />
+
         <div style={{ position: "relative" }}>
           <div className="sim-canvas-container" style={{ height: "520px", borderRadius: "var(--radius)", overflow: "hidden" }}>
             <Canvas camera={{ position: [0, 10, 10], fov: 50 }} style={{ width: "100%", height: "100%" }} gl={{ antialias: true }}>
               <Suspense fallback={null}>
                 <ambientLight intensity={0.25} />
                 <pointLight position={[5, 8, 5]} intensity={0.4} color="#00f2ff" />
-                <OrbitControls enablePan maxPolarAngle={Math.PI / 2.2} minDistance={4} maxDistance={20} />
-
-                <GroundPlane />
-
-                {/* Danger Zone */}
-                <Zone3D x={danger.x} y={danger.y} radius={danger.radius} label="DANGER" color="#ff3344" pulse />
-                {/* Safe Zone */}
-                <Zone3D x={safe.x} y={safe.y} radius={safe.radius} label="SAFE" color="#00ff88" />
-                {/* Warning Ring */}
-                <WarningRing x={danger.x} y={danger.y} innerRadius={danger.radius} outerRadius={warningRadius} />
-
-                {/* Drone */}
-                <InteractiveDrone
-                  x={drone.x + drone.width / 2}
-                  y={drone.y + drone.height / 2}
-                  spoofed={spoofed}
-                  destroyed={destroyed}
-                  color="#00f2ff"
-                />
-
-                {/* Destruction FX */}
-                <DestructionFX active={destroyed} x={safe.x} y={safe.y} />
+                <OrbitControls enabled={!editor.editing} enablePan maxPolarAngle={Math.PI / 2.2} minDistance={4} maxDistance={20} />
+
+                <GroundPlane world={config.world} />
+                {editor.editing && (
+                  <SceneEditor
+                    world={config.world}
+                    scale={SCALE}
+                    config={config}
+                    handles={EDIT_HANDLES}
+                    selected={editor.selected}
+                    onSelect={editor.select}
+                    onMove={editor.move}
+                    onResize={editor.resize}
+                  />
+                )}
+                <group position={worldOffset(config.world)}>
+                  {basemap && <Basemap source={basemap} geo={config.geo} world={config.world} toWorld={toWorld} />}
+                  {/* Danger Zone */}
+                  <Zone3D x={danger.x} y={danger.y} radius={danger.radius} label="DANGER" color="#ff3344" pulse />
+                  {/* Safe Zone */}
+                  <Zone3D x={safe.x} y={safe.y} radius={safe.radius} label="SAFE" color="#00ff88" />
+                  {/* Warning Ring */}
+                  <WarningRing x={danger.x} y={danger.y} innerRadius={danger.radius} outerRadius={warningRadius} />
+
+                  {/* Drone */}
+                  <InteractiveDrone
+                    x={drone.x + drone.width / 2}
+                    y={drone.y + drone.height / 2}
+                    spoofed={spoofed}
+                    destroyed={destroyed}
+                    color="#00f2ff"
+                  />
+
+                  {/* Destruction FX */}
+                  <DestructionFX active={destroyed} x={safe.x} y={safe.y} />
+                </group>
               </Suspense>
             </Canvas>
           </div>
@@ -467,6 +381,7 @@ export default function DroneSimulation() {
           safe:   { x: safe.x,   y: safe.y,   size: safe.radius * 2 },
           inDanger,
           inSafe,
+          geo: config.geo,
         }}
       />
     </div>
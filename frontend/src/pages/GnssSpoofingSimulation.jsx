@@ -3,8 +3,34 @@ import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Line, Text } from "@react-three/drei";
 import * as THREE from "three";
 import InfoPanel from "../components/InfoPanel.jsx";
+import Cn0Chart from "../components/Cn0Chart.jsx";
+import OsnmaStatus from "../components/OsnmaStatus.jsx";
+import ClockControls from "../components/ClockControls.jsx";
+import ReplayBar from "../components/ReplayBar.jsx";
+import TrackExportMenu from "../components/TrackExportMenu.jsx";
+import NmeaBar from "../components/NmeaBar.jsx";
+import ScenarioPicker from "../components/ScenarioPicker.jsx";
+import BasemapPicker from "../components/BasemapPicker.jsx";
+import Basemap from "../components/Basemap.jsx";
+import ObstaclePicker from "../components/ObstaclePicker.jsx";
+import Obstacles3D from "../components/Obstacles3D.jsx";
+import CoverageHeatmap, { CoverageLegend } from "../components/CoverageHeatmap.jsx";
+import CoveragePicker from "../components/CoveragePicker.jsx";
+import LinkBudget, { formatDbm, formatDb, formatOdds, formatObstruction } from "../components/LinkBudget.jsx";
+import SceneEditor from "../components/SceneEditor.jsx";
+import EditorBar from "../components/EditorBar.jsx";
 import WireframeDrone from "../components/WireframeDrone.jsx";
 import useSirenSound from "../hooks/useSirenSound.js";
+import useFootprints from "../hooks/useFootprints.js";
+import useTelemetryPublisher from "../hooks/useTelemetryPublisher.js";
+import useSimulation from "../hooks/useSimulation.js";
+import useReplay from "../hooks/useReplay.js";
+import useLayoutEditor from "../hooks/useLayoutEditor.js";
+import * as engine from "../sim/gnssSpoofing.js";
+import { SYSTEMS, BANDS, RECEIVER_MODES } from "../sim/gnss.js";
+import { randomSeed } from "../sim/rng.js";
+import { crossedInterval } from "../sim/common.js";
+import { downloadFile } from "../lib/download.js";
 
 /* ═══════════════════════════════════════════
    COORDINATE SYSTEM
@@ -13,34 +39,61 @@ import useSirenSound from "../hooks/useSirenSound.js";
    ═══════════════════════════════════════════ */
 const SCALE = 0.02;
 const toWorld = (x, y) => [(x - 500) * SCALE, 0, (y - 325) * SCALE];
+// Shifts a scenario world of any size so that its centre sits at the origin
+const worldOffset = (world) => [(500 - world.width / 2) * SCALE, 0, (325 - world.height / 2) * SCALE];
 
-/* ── Attack Phases (preserved exactly) ── */
-const AttackPhase = {
-  INACTIVE: 'INACTIVE',
-  NORMAL_FLIGHT: 'NORMAL_FLIGHT',
-  JAMMING: 'JAMMING',
-  SPOOFING: 'SPOOFING',
-  HIJACKED: 'HIJACKED',
-  COMPLETED: 'COMPLETED'
-};
+const { AttackPhase, atLeast } = engine;
+
+// Trajectories offered for export: the real drone and the receiver's fix
+const TRACKS = [
+  { id: "actual", name: "Actual drone", role: "actual" },
+  { id: "perceived", name: "Perceived (GNSS fix)", role: "reported" },
+];
 
 const DRONE_SIZE_OFFSET = 14;
 
+// Detectors the user can switch on; each key is an engine config flag and input type
+const DEFENSES = [
+  { key: "raim", label: "RAIM" },
+  { key: "powerMonitor", label: "C/N0 MONITOR" },
+  { key: "crossCheck", label: "CONSISTENCY" },
+  { key: "osnma", label: "OSNMA" },
+];
+
+// Entities the layout editor can move (config paths)
+const EDIT_HANDLES = [
+  { id: "start", label: "START", color: "#00f2ff" },
+  { id: "target", label: "TARGET", color: "#00ff88" },
+  { id: "spoofedTarget", label: "SPOOFED", color: "#ff3344" },
+  { id: "radioTower", label: "SPOOFER", color: "#ff8800", radii: [{ path: "maxJammingRadius" }] },
+];
+
+// Heatmaps over the ground, valued for a drone whose marker sits on the point
+const COVERAGE_MODES = [
+  { id: "jamming", label: "Jamming effectiveness", legend: "SKY JAMMED", valueAt: engine.jammingAt },
+  { id: "capture", label: "Spoofing capture", legend: "CAPTURE ODDS / ATTEMPT", valueAt: engine.captureOddsAt },
+];
+
+const systemColor = (satellites, id) => SYSTEMS[satellites.find((sat) => sat.id === id).system].color;
+
 /* ═══════════════════════════════════════════
    3D SCENE COMPONENTS
    ═══════════════════════════════════════════ */
 
 /* ── Ground Plane with Grid ── */
-function GroundPlane() {
+function GroundPlane({ world }) {
+  const w = world.width * SCALE;
+  const h = world.height * SCALE;
+  const grid = Math.ceil(Math.max(w, h)) + 2;
   return (
     <group>
       <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -0.05, 0]} receiveShadow>
-        <planeGeometry args={[22, 15]} />
+        <planeGeometry args={[w + 2, h + 2]} />
         <meshBasicMaterial color="#060a14" transparent opacity={0.6} />
       </mesh>
-      <gridHelper args={[22, 44, "#0a1530", "#0a1530"]} position={[0, -0.04, 0]} />
+      <gridHelper args={[grid, grid * 2, "#0a1530", "#0a1530"]} position={[0, -0.04, 0]} />
       <lineSegments position={[0, 0.5, 0]}>
-        <edgesGeometry args={[new THREE.BoxGeometry(20, 1, 13)]} />
+        <edgesGeometry args={[new THREE.BoxGeometry(w, 1, h)]} />
         <lineBasicMaterial color="#00f2ff" transparent opacity={0.06} />
       </lineSegments>
     </group>
@@ -73,7 +126,7 @@ function Drone3D({ x, y, color, ghost = false, label }) {
 
 /* ── Target Marker ── */
 function TargetMarker({ x, y, label, color }) {
-  const [pos] = useState(() => toWorld(x, y));
+  const pos = useMemo(() => toWorld(x, y), [x, y]);
   const ref = useRef();
 
   useFrame(({ clock }) => {
@@ -102,7 +155,7 @@ function TargetMarker({ x, y, label, color }) {
 
 /* ── Radio Tower (Spoofing Source) ── */
 function SpoofingTower({ x, y }) {
-  const [pos] = useState(() => toWorld(x, y));
+  const pos = useMemo(() => toWorld(x, y), [x, y]);
   const ringRef = useRef();
 
   useFrame(({ clock }) => {
@@ -143,41 +196,66 @@ function SpoofingTower({ x, y }) {
   );
 }
 
-/* ── Satellite Source ── */
-function SatelliteSource() {
-  const ref = useRef();
-
-  useFrame(({ clock }) => {
-    if (ref.current) {
-      ref.current.position.y = 5 + Math.sin(clock.elapsedTime * 0.5) * 0.3;
-    }
-  });
+/* ── Constellation ── */
+// Satellites are drawn on a sky dome above the world centre from their az/el
+const SKY_RADIUS = 9;
+const skyPosition = (sat, world) => {
+  const [cx, , cz] = toWorld(world.width / 2, world.height / 2);
+  const flat = SKY_RADIUS * Math.cos(sat.el);
+  return [cx + flat * Math.cos(sat.az), 1 + SKY_RADIUS * 0.6 * Math.sin(sat.el), cz + flat * Math.sin(sat.az)];
+};
 
+function Satellite({ sat, world, tracked }) {
+  const pos = skyPosition(sat, world);
+  const color = tracked ? SYSTEMS[sat.system].color : "#445566";
   return (
-    <group ref={ref} position={[0, 5, -5]}>
+    <group position={pos}>
       <mesh>
-        <boxGeometry args={[0.3, 0.1, 0.3]} />
-        <meshBasicMaterial color="#00f2ff" wireframe />
-      </mesh>
-      {/* Solar panels */}
-      <mesh position={[0.35, 0, 0]}>
-        <boxGeometry args={[0.4, 0.02, 0.2]} />
-        <meshBasicMaterial color="#00f2ff" transparent opacity={0.4} />
+        <boxGeometry args={[0.2, 0.08, 0.2]} />
+        <meshBasicMaterial color={color} wireframe />
       </mesh>
-      <mesh position={[-0.35, 0, 0]}>
-        <boxGeometry args={[0.4, 0.02, 0.2]} />
-        <meshBasicMaterial color="#00f2ff" transparent opacity={0.4} />
+      <mesh>
+        <boxGeometry args={[0.6, 0.02, 0.12]} />
+        <meshBasicMaterial color={color} transparent opacity={0.4} />
       </mesh>
-      <Text position={[0, 0.3, 0]} fontSize={0.15} color="#00f2ff" anchorX="center">
-        SATELLITES
+      <Text position={[0, 0.22, 0]} fontSize={0.12} color={color} anchorX="center">
+        {sat.id}
       </Text>
     </group>
   );
 }
 
+// One beam per satellite in the fix, coloured by system; counterfeit channels are red.
+// Systems the consistency monitor finds in disagreement get heavier beams.
+function Constellation({ satellites, measurements, suspects, world, drone }) {
+  const tracked = new Map(measurements.map((m) => [m.id, m]));
+  return (
+    <group>
+      {satellites.map((sat) => {
+        const m = tracked.get(sat.id);
+        return (
+          <group key={sat.id}>
+            <Satellite sat={sat} world={world} tracked={!!m} />
+            {m && (
+              <SignalBeam
+                from={drone}
+                toPoint={skyPosition(sat, world)}
+                color={m.spoofed ? "#ff3344" : SYSTEMS[sat.system].color}
+                width={suspects.includes(sat.system) ? 2.5 : 1}
+                opacity={0.4}
+                dashed
+              />
+            )}
+          </group>
+        );
+      })}
+    </group>
+  );
+}
+
 /* ── Jamming Sphere ── */
 function JammingSphere({ radius, towerPos }) {
-  const [pos] = useState(() => toWorld(towerPos.x, towerPos.y));
+  const pos = useMemo(() => toWorld(towerPos.x, towerPos.y), [towerPos.x, towerPos.y]);
   const r = radius * SCALE;
   const ref = useRef();
 
@@ -204,26 +282,26 @@ function JammingSphere({ radius, towerPos }) {
 }
 
 /* ── Signal Beam ── */
-function SignalBeam({ from, to, color, dashed = false }) {
+// `to` is a sim position on the ground; `toPoint` a scene point (e.g. a satellite)
+function SignalBeam({ from, to, toPoint, color, dashed = false, width = 2, opacity = 0.7 }) {
   const fromPos = useMemo(() => toWorld(from.x + DRONE_SIZE_OFFSET, from.y + DRONE_SIZE_OFFSET), [from.x, from.y]);
-  const toPos = useMemo(() => toWorld(to.x, to.y), [to.x, to.y]);
 
   // Elevate endpoints
   const pts = [
     [fromPos[0], 0.3, fromPos[2]],
-    [toPos[0], toPos[1] === undefined ? 0.5 : 0.5, toPos[2]],
+    toPoint || [toWorld(to.x, to.y)[0], 0.5, toWorld(to.x, to.y)[2]],
   ];
 
   return (
     <Line
       points={pts}
       color={color}
-      lineWidth={2}
+      lineWidth={width}
       dashed={dashed}
       dashSize={dashed ? 0.1 : undefined}
       gapSize={dashed ? 0.05 : undefined}
       transparent
-      opacity={0.7}
+      opacity={opacity}
     />
   );
 }
@@ -254,8 +332,8 @@ function Footprints3D({ positions }) {
 /* ═══════════════════════════════════════════
    MAIN 3D SCENE
    ═══════════════════════════════════════════ */
-function GnssScene({ drone, spoofedDrone, dronePath, radioTower, target, spoofedTarget,
-  attackPhase, jammingRadius, finalPositions }) {
+function GnssScene({ world, basemap, geo, obstacles, altitude, coverageAt, drone, spoofedDrone, dronePath, radioTower, target, spoofedTarget,
+  satellites, measurements, suspects, attackPhase, jammingRadius, finalPositions, editing = false, children }) {
 
   const dronePathPts = useMemo(() => {
     if (dronePath.length < 2) return null;
@@ -272,210 +350,209 @@ function GnssScene({ drone, spoofedDrone, dronePath, radioTower, target, spoofed
       <ambientLight intensity={0.25} />
       <pointLight position={[5, 8, 5]} intensity={0.4} color="#00f2ff" />
       <pointLight position={[-3, 5, -3]} intensity={0.2} color="#ff3344" />
-      <OrbitControls enablePan maxPolarAngle={Math.PI / 2.2} minDistance={4} maxDistance={25} />
+      <OrbitControls enabled={!editing} enablePan maxPolarAngle={Math.PI / 2.2} minDistance={4} maxDistance={25} />
 
-      <GroundPlane />
-      <SatelliteSource />
+      <GroundPlane world={world} />
+      {children}
+      <group position={worldOffset(world)}>
+        {basemap && <Basemap source={basemap} geo={geo} world={world} toWorld={toWorld} />}
+        {/* Heights scaled so the drone (y = 0.3) flies at its altitude */}
+        <Obstacles3D obstacles={obstacles} world={world} toWorld={toWorld} verticalScale={0.3 / altitude} />
+        {coverageAt && <CoverageHeatmap world={world} toWorld={toWorld} valueAt={coverageAt} />}
+        <Constellation satellites={satellites} measurements={measurements} suspects={suspects} world={world} drone={drone} />
 
-      {/* Targets */}
-      <TargetMarker x={target.x} y={target.y} label="TARGET" color="#00ff88" />
-      <TargetMarker x={spoofedTarget.x} y={spoofedTarget.y} label="SPOOFED" color="#ff3344" />
+        {/* Targets */}
+        <TargetMarker x={target.x} y={target.y} label="TARGET" color="#00ff88" />
+        <TargetMarker x={spoofedTarget.x} y={spoofedTarget.y} label="SPOOFED" color="#ff3344" />
 
-      {/* Spoofing Tower */}
-      <SpoofingTower x={radioTower.x} y={radioTower.y} />
+        {/* Spoofing Tower */}
+        <SpoofingTower x={radioTower.x} y={radioTower.y} />
 
-      {/* Jamming Sphere */}
-      <JammingSphere radius={jammingRadius} towerPos={radioTower} />
+        {/* Jamming Sphere */}
+        <JammingSphere radius={jammingRadius} towerPos={radioTower} />
 
-      {/* Signal beams */}
-      {attackPhase === AttackPhase.NORMAL_FLIGHT && (
-        <SignalBeam from={drone} to={{ x: 500, y: -200 }} color="#00ff88" dashed />
-      )}
-      {(attackPhase >= AttackPhase.JAMMING && attackPhase !== AttackPhase.COMPLETED) && (
-        <SignalBeam from={drone} to={radioTower} color="#ff3344" />
-      )}
+        {/* Signal beams */}
+        {(atLeast(attackPhase, AttackPhase.JAMMING) && attackPhase !== AttackPhase.COMPLETED) && (
+          <SignalBeam from={drone} to={radioTower} color="#ff3344" />
+        )}
 
-      {/* Ghost (Spoofed) Drone */}
-      <Drone3D x={spoofedDrone.x} y={spoofedDrone.y} color="#8888bb" ghost label="PERCEIVED" />
+        {/* Ghost (Spoofed) Drone */}
+        <Drone3D x={spoofedDrone.x} y={spoofedDrone.y} color="#8888bb" ghost label="PERCEIVED" />
 
-      {/* Real Drone */}
-      <Drone3D x={drone.x} y={drone.y} color="#00f2ff" label="ACTUAL" />
+        {/* Real Drone */}
+        <Drone3D x={drone.x} y={drone.y} color="#00f2ff" label="ACTUAL" />
 
-      {/* Paths */}
-      {spoofedPathPts && <Line points={spoofedPathPts} color="#00f2ff" lineWidth={1.5} transparent opacity={0.5} />}
-      {dronePathPts && <Line points={dronePathPts} color="#ff3344" lineWidth={2} dashed dashSize={0.08} gapSize={0.04} />}
+        {/* Paths */}
+        {spoofedPathPts && <Line points={spoofedPathPts} color="#00f2ff" lineWidth={1.5} transparent opacity={0.5} />}
+        {dronePathPts && <Line points={dronePathPts} color="#ff3344" lineWidth={2} dashed dashSize={0.08} gapSize={0.04} />}
 
-      {/* Footprints */}
-      <Footprints3D positions={finalPositions} />
+        {/* Footprints */}
+        <Footprints3D positions={finalPositions} />
+      </group>
     </>
   );
 }
 
 /* ═══════════════════════════════════════════
-   MAIN COMPONENT (simulation logic 100% preserved)
+   MAIN COMPONENT
+   Simulation logic lives in sim/gnssSpoofing.js
    ═══════════════════════════════════════════ */
 export default function GnssSpoofingSimulation() {
-  const world = { width: 1000, height: 650 };
-
-  // --- ENTITIES ---
-  const [drone, setDrone] = useState({ x: 50, y: 325, width: 28, height: 28 });
-  const [spoofedDrone, setSpoofedDrone] = useState({ x: 50, y: 325, path: [] });
-  const [radioTower] = useState({ x: 500, y: 620 });
-  const [target] = useState({ x: 920, y: 80 });
-  const [spoofedTarget] = useState({ x: 920, y: 550 });
-
-  // --- SIMULATION STATE ---
-  const [attackPhase, setAttackPhase] = useState(AttackPhase.INACTIVE);
-  const [status, setStatus] = useState("Start the simulation to begin the GNSS spoofing attack sequence.");
-  const [dronePath, setDronePath] = useState([]);
-  const [jammingRadius, setJammingRadius] = useState(0);
-  const [digitalFootprints, setDigitalFootprints] = useState([]);
-  const [finalPositions, setFinalPositions] = useState([]);
-
-  const simulationRef = useRef(null);
-  const logCounterRef = useRef(0);
-  const latestPositionsRef = useRef({});
+  // --- SCENARIO ---
+  const [scenario, setScenario] = useState({ id: "standard", config: engine.DEFAULT_CONFIG });
+  const [basemap, setBasemap] = useState(null); // offline map under the scene, see lib/basemap.js
+  const [coverage, setCoverage] = useState(null); // COVERAGE_MODES id
+
+  /* ── Defenses (engine config flags) ── */
+  const [defenses, setDefenses] = useState({ raim: false, powerMonitor: false, crossCheck: false, osnma: false });
+  // One row per finished run with a defense on: drag-off rate vs detection latency
+  const [detectionResults, setDetectionResults] = useState([]);
+
+  /* ── NMEA: 1 Hz receiver output of the current run, and a loaded log driving PERCEIVED ── */
+  const nmeaLog = useRef({ actual: [], perceived: [] });
+  const nmeaEpoch = useRef(Date.now()); // UTC of sim time 0
+  const [nmeaTrack, setNmeaTrack] = useState(null); // { name, fixes }
 
   // --- SIREN SOUND ---
   const siren = useSirenSound();
 
-  // --- UTILITY FUNCTIONS ---
-  const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
-  const formatCoords = (x, y) => `(${Math.round(x)}, ${Math.round(y)})`;
+  // --- FOOTPRINT LOG (persisted to the backend) ---
+  const { footprints: digitalFootprints, addFootprint, startRun, endRun, getRunId } = useFootprints("gnss-spoofing");
+
+  // --- LIVE TELEMETRY (second-screen mirror) ---
+  const publishTelemetry = useTelemetryPublisher("gnss-spoofing");
+
+  // --- ENGINE ---
+  const handleStep = (next, prev) => {
+    next.events.forEach((e) => addFootprint(e.type, e.message, e.time));
+    if (next.alarm !== prev.alarm) {
+      if (next.alarm) siren.play(); else siren.stop();
+    }
+    if (engine.isFinished(next) && !engine.isFinished(prev)) {
+      endRun(next.raimDetection || next.powerDetection || next.crossDetection || next.authDetection ? 'DETECTED' : 'DIVERTED');
+      if (DEFENSES.some(({ key }) => next.config[key])) {
+        setDetectionResults((rows) => [...rows, {
+          run: rows.length + 1,
+          dragOffRate: next.config.dragOffRate,
+          raim: next.config.raim ? next.raimDetection : undefined,
+          power: next.config.powerMonitor ? next.powerDetection : undefined,
+          cross: next.config.crossCheck ? next.crossDetection : undefined,
+          osnma: next.config.osnma ? next.authDetection : undefined,
+        }]);
+      }
+    }
+
+    let nmea;
+    if (crossedInterval(next.time, next.time - prev.time, 1000)) {
+      nmea = engine.nmeaEpoch(next, nmeaEpoch.current);
+      nmeaLog.current.actual.push(...nmea.actual);
+      nmeaLog.current.perceived.push(...nmea.perceived);
+    }
+
+    publishTelemetry({
+      runId: getRunId(),
+      simTime: next.time,
+      phase: next.phase,
+      entities: [
+        { id: 'actual', role: 'drone', ...next.drone },
+        { id: 'perceived', role: 'ghost', ...next.perceived },
+        { id: 'tower', role: 'spoofer', ...next.config.radioTower },
+      ],
+      ...(nmea && { nmea }),
+    });
+  };
+
+  const sim = useSimulation(engine, () => engine.createState(engine.DEFAULT_CONFIG), handleStep);
+
+  // --- REPLAY (recorded runs render instead of the live one) ---
+  const replay = useReplay(engine);
+  const view = replay.active ? replay.state : sim.state;
+  const { phase: attackPhase, status, config } = view;
+  const running = attackPhase !== AttackPhase.INACTIVE && attackPhase !== AttackPhase.COMPLETED;
+  // During a replay the toggles show what the recorded run had
+  const defensesOn = replay.active
+    ? Object.fromEntries(DEFENSES.map(({ key }) => [key, config[key]]))
+    : defenses;
+  // Resampled whenever the config changes, e.g. the tower is dragged in the editor
+  const coverageMode = COVERAGE_MODES.find(({ id }) => id === coverage);
+  const coverageAt = useMemo(
+    () => coverageMode && ((point) => coverageMode.valueAt(config, {
+      x: point.x - DRONE_SIZE_OFFSET,
+      y: point.y - DRONE_SIZE_OFFSET,
+    })),
+    [coverageMode, config]
+  );
+
+  // Idle or starting state for a config, with the loaded NMEA log (if any) driving PERCEIVED
+  const initialState = (runConfig, seed, track = nmeaTrack) => {
+    const state = engine.createState(runConfig, seed);
+    return track ? engine.withPerceivedTrack(state, track.name, track.fixes) : state;
+  };
+
+  const loadScenario = (meta, scenarioConfig) => {
+    setScenario({ id: meta.id, config: scenarioConfig });
+    sim.replace(initialState({ ...scenarioConfig, ...defenses }));
+  };
+
+  // Receiver / spoofer settings edit the loaded scenario in place
+  const changeConfig = (patch) => {
+    const scenarioConfig = { ...scenario.config, ...patch };
+    setScenario({ ...scenario, config: scenarioConfig });
+    sim.replace(initialState({ ...scenarioConfig, ...defenses }));
+  };
+
+  const loadNmeaTrack = (name, fixes) => {
+    const track = fixes ? { name, fixes } : null;
+    setNmeaTrack(track);
+    sim.replace(initialState({ ...scenario.config, ...defenses }, undefined, track));
+  };
 
-  const addFootprint = (type, message) => {
-    const timestamp = new Date().toLocaleTimeString('en-US', { hour12: false });
-    setDigitalFootprints(prev => [...prev, { type, message, timestamp }]);
+  const downloadNmea = (track) => {
+    const runId = getRunId();
+    const id = runId ? runId.slice(0, 8) : new Date(nmeaEpoch.current).toISOString().replace(/[:.]/g, "-");
+    downloadFile(`gnss-spoofing-${track}-${id}.nmea`, `${nmeaLog.current[track].join("\r\n")}\r\n`, "text/plain");
   };
 
-  const moveTowards = (from, to, speed) => {
-    const d = dist(from, to);
-    if (d < speed) return from;
-    const dx = to.x - from.x;
-    const dy = to.y - from.y;
-    return { ...from, x: from.x + (dx / d) * speed, y: from.y + (dy / d) * speed };
+  // Toggle a name in a list, never leaving it empty
+  const toggleIn = (list, name) => {
+    const next = list.includes(name) ? list.filter((n) => n !== name) : [...list, name];
+    return next.length > 0 ? next : list;
   };
 
-  // --- SIMULATION LOGIC (100% preserved) ---
+  // The defenses can be switched on or off mid-run (recorded as inputs)
+  const toggleDefense = (key) => {
+    const enabled = !defenses[key];
+    setDefenses({ ...defenses, [key]: enabled });
+    if (running) sim.input({ type: key, enabled });
+  };
+
+  // --- LAYOUT EDITOR ---
+  const editor = useLayoutEditor({
+    page: "gnss-spoofing",
+    defaults: engine.DEFAULT_CONFIG,
+    units: engine.CONFIG_UNITS,
+    config: scenario.config,
+    onEdit: (scenarioConfig, meta) => loadScenario(meta, scenarioConfig),
+  });
+
   const startSimulation = () => {
-    const startPoint = { x: 50, y: 325 };
-    setDrone({ ...startPoint, width: 28, height: 28 });
-    setSpoofedDrone({ ...startPoint, path: [startPoint] });
-    setDronePath([startPoint]);
-    setJammingRadius(0);
-    setDigitalFootprints([]);
-    setFinalPositions([]);
-    logCounterRef.current = 0;
-    latestPositionsRef.current = { drone: startPoint, spoofed: startPoint };
-
-    addFootprint('AUTH', 'Simulation initiated. Drone systems nominal.');
-    addFootprint('AUTH', `Flight plan loaded. Target destination: ${formatCoords(target.x, target.y)}`);
-
-    setAttackPhase(AttackPhase.NORMAL_FLIGHT);
-    setStatus("Phase 1: Drone is flying normally, following authentic satellite signals.");
-
-    if (simulationRef.current) clearInterval(simulationRef.current);
-
-    const startTime = Date.now();
-
-    simulationRef.current = setInterval(() => {
-      const elapsedTime = Date.now() - startTime;
-      const droneSpeed = 2;
-
-      setDrone(prevDrone => {
-        let nextPos;
-        if (attackPhase === AttackPhase.COMPLETED) return prevDrone;
-        if (elapsedTime < 8000) {
-          nextPos = moveTowards(prevDrone, target, droneSpeed);
-        } else {
-          nextPos = moveTowards(prevDrone, spoofedTarget, droneSpeed);
-        }
-        latestPositionsRef.current.drone = { x: nextPos.x, y: nextPos.y };
-        setDronePath(path => [...path, { x: nextPos.x, y: nextPos.y }]);
-        return nextPos;
-      });
-
-      setSpoofedDrone(prevSpoofed => {
-        if (attackPhase === AttackPhase.COMPLETED) return prevSpoofed;
-        const nextPos = moveTowards(prevSpoofed, target, droneSpeed);
-        latestPositionsRef.current.spoofed = { x: nextPos.x, y: nextPos.y };
-        return {
-          x: nextPos.x,
-          y: nextPos.y,
-          path: [...prevSpoofed.path, { x: nextPos.x, y: nextPos.y }]
-        };
-      });
-
-      setAttackPhase(prevPhase => {
-        if (prevPhase === AttackPhase.COMPLETED) return AttackPhase.COMPLETED;
-
-        let nextPhase = prevPhase;
-        if (elapsedTime > 8000) {
-          nextPhase = AttackPhase.HIJACKED;
-        } else if (elapsedTime > 6000) {
-          nextPhase = AttackPhase.SPOOFING;
-        } else if (elapsedTime > 3000) {
-          nextPhase = AttackPhase.JAMMING;
-        } else {
-          nextPhase = AttackPhase.NORMAL_FLIGHT;
-        }
-
-        if (nextPhase !== prevPhase) {
-          switch (nextPhase) {
-            case AttackPhase.JAMMING:
-              setStatus("Phase 2: Attacker is overpowering satellite signals with a stronger radio signal.");
-              addFootprint('WARN', 'Multiple satellite signals lost. Searching for signal...');
-              break;
-            case AttackPhase.SPOOFING:
-              setStatus("Phase 3: Drone's navigation is compromised. Fake GPS data is being injected.");
-              addFootprint('ATTACK', 'Strong signal lock acquired from terrestrial source. Re-calibrating...');
-              siren.play();
-              break;
-            case AttackPhase.HIJACKED:
-              setStatus("Phase 4: Drone is now fully hijacked, its path diverging towards a new target.");
-              addFootprint('SPOOF', 'Navigation re-established. Resuming flight to target.');
-              break;
-            default: break;
-          }
-        }
-
-        if (nextPhase === AttackPhase.JAMMING || nextPhase === AttackPhase.SPOOFING) {
-          setJammingRadius(r => Math.min(r + 4, 300));
-        }
-
-        logCounterRef.current++;
-        if (logCounterRef.current % 20 === 0) {
-          if (nextPhase === AttackPhase.NORMAL_FLIGHT) {
-            addFootprint('AUTH', `Position Verified: ${formatCoords(latestPositionsRef.current.drone.x, latestPositionsRef.current.drone.y)}`);
-          } else if (nextPhase >= AttackPhase.SPOOFING) {
-            addFootprint('SPOOF', `[FAKE TELEMETRY] Position: ${formatCoords(latestPositionsRef.current.spoofed.x, latestPositionsRef.current.spoofed.y)}`);
-          }
-        }
-
-        if (dist(latestPositionsRef.current.spoofed, target) < 10) {
-          nextPhase = AttackPhase.COMPLETED;
-          setStatus("Attack Complete: The drone believes it has arrived at the target, but it has been successfully diverted.");
-          addFootprint('SPOOF', `Spoofed Destination Reached: ${formatCoords(latestPositionsRef.current.spoofed.x, latestPositionsRef.current.spoofed.y)}`);
-          addFootprint('ATTACK', `ACTUAL DRONE LOCATION: ${formatCoords(latestPositionsRef.current.drone.x, latestPositionsRef.current.drone.y)}`);
-          clearInterval(simulationRef.current);
-          siren.stop();
-
-          setFinalPositions([
-            { id: 'actual', x: latestPositionsRef.current.drone.x, y: latestPositionsRef.current.drone.y, status: 'actual' },
-            { id: 'reported', x: latestPositionsRef.current.spoofed.x, y: latestPositionsRef.current.spoofed.y, status: 'reported' }
-          ]);
-        }
-
-        return nextPhase;
-      });
-    }, 50);
+    editor.setEditing(false);
+    const seed = randomSeed();
+    const runConfig = { ...scenario.config, ...defenses };
+    startRun({ seed, scenario: scenario.id, config: runConfig });
+    nmeaLog.current = { actual: [], perceived: [] };
+    nmeaEpoch.current = Date.now();
+    sim.apply(engine.start(initialState(runConfig, seed)));
+    sim.record({ page: "gnss-spoofing", runId: getRunId() });
+    sim.play();
   };
 
   useEffect(() => {
-    return () => {
-      clearInterval(simulationRef.current);
-      siren.stop();
-    };
+    if (replay.active) siren.stop();
+  }, [replay.active]);
+
+  useEffect(() => {
+    return () => siren.stop();
   }, []);
 
   return (
@@ -483,40 +560,287 @@ export default function GnssSpoofingSimulation() {
       <div className="stage-card large">
         <div className="stage-head">
           <div className="title">🛰️ GNSS SPOOFING ATTACK — 3D SIMULATION</div>
-          <button
-            onClick={startSimulation}
-            disabled={attackPhase !== AttackPhase.INACTIVE && attackPhase !== AttackPhase.COMPLETED}
-            className="spoof-button"
-          >
-            {attackPhase === AttackPhase.INACTIVE || attackPhase === AttackPhase.COMPLETED ? "Start Simulation" : "Simulation in Progress..."}
-          </button>
+          <div className="playback-controls">
+            <ScenarioPicker
+              page="gnss-spoofing"
+              defaults={engine.DEFAULT_CONFIG}
+              units={engine.CONFIG_UNITS}
+              current={scenario.id}
+              onLoad={loadScenario}
+              extra={editor.scenarios}
+              disabled={editor.editing || replay.active || (attackPhase !== AttackPhase.INACTIVE && attackPhase !== AttackPhase.COMPLETED)}
+            />
+            <BasemapPicker source={basemap} onChange={setBasemap} />
+            <ObstaclePicker
+              obstacles={scenario.config.obstacles}
+              geo={scenario.config.geo}
+              onChange={(obstacles) => changeConfig({ obstacles })}
+              disabled={editor.editing || replay.active || (attackPhase !== AttackPhase.INACTIVE && attackPhase !== AttackPhase.COMPLETED)}
+            />
+            <CoveragePicker modes={COVERAGE_MODES} mode={coverage} onChange={setCoverage} />
+            <EditorBar
+              editor={editor}
+              handles={EDIT_HANDLES}
+              disabled={replay.active || (attackPhase !== AttackPhase.INACTIVE && attackPhase !== AttackPhase.COMPLETED)}
+            />
+            <div className="slider-control">
+              <label htmlFor="dragOffRate">Drag-off: {config.dragOffRate} px/s</label>
+              <input
+                type="range"
+                id="dragOffRate"
+                min="10"
+                max="200"
+                step="10"
+                value={config.dragOffRate}
+                onChange={(e) => changeConfig({ dragOffRate: Number(e.target.value) })}
+                disabled={editor.editing || replay.active || running}
+              />
+            </div>
+            {DEFENSES.map(({ key, label }) => (
+              <div key={key} className={`trust-toggle ${defensesOn[key] ? 'active' : ''}`}>
+                <button
+                  className={`trust-switch ${defensesOn[key] ? 'on' : ''}`}
+                  onClick={() => toggleDefense(key)}
+                  disabled={replay.active}
+                  aria-label={`Toggle ${label}`}
+                />
+                <span className="trust-label">
+                  {defensesOn[key] ? `🛡️ ${label}: ON` : `${label}: OFF`}
+                </span>
+              </div>
+            ))}
+            <ClockControls
+              clock={sim.clock}
+              disabled={replay.active || attackPhase === AttackPhase.INACTIVE || attackPhase === AttackPhase.COMPLETED}
+            />
+            <button
+              onClick={startSimulation}
+              disabled={replay.active || (attackPhase !== AttackPhase.INACTIVE && attackPhase !== AttackPhase.COMPLETED)}
+              className="spoof-button"
+            >
+              {attackPhase === AttackPhase.INACTIVE || attackPhase === AttackPhase.COMPLETED ? "Start Simulation" : "Simulation in Progress..."}
+            </button>
+          </div>
         </div>
 
+        {/* Receiver and spoofer signal coverage */}
+        <div className="gnss-config">
+          <label>
+            Receiver
+            <select
+              className="scenario-select"
+              value={config.receiver.constellations.join("+")}
+              onChange={(e) => changeConfig({
+                receiver: { ...scenario.config.receiver, constellations: e.target.value.split("+") },
+              })}
+              disabled={editor.editing || replay.active || running}
+            >
+              {RECEIVER_MODES.map((mode) => (
+                <option key={mode.join("+")} value={mode.join("+")}>{mode.join(" + ")}</option>
+              ))}
+            </select>
+          </label>
+          <span className="chip-group">
+            Bands
+            {BANDS.map((band) => (
+              <label key={band} className="chip-toggle">
+                <input
+                  type="checkbox"
+                  checked={config.receiver.bands.includes(band)}
+                  onChange={() => changeConfig({
+                    receiver: { ...scenario.config.receiver, bands: toggleIn(scenario.config.receiver.bands, band) },
+                  })}
+                  disabled={editor.editing || replay.active || running}
+                />
+                {band}
+              </label>
+            ))}
+          </span>
+          <span className="chip-group spoofer">
+            Spoofer covers
+            {Object.keys(SYSTEMS).map((system) => (
+              <label key={system} className="chip-toggle">
+                <input
+                  type="checkbox"
+                  checked={config.spoofer.constellations.includes(system)}
+                  onChange={() => changeConfig({
+                    spoofer: { ...scenario.config.spoofer, constellations: toggleIn(scenario.config.spoofer.constellations, system) },
+                  })}
+                  disabled={editor.editing || replay.active || running}
+                />
+                {system}
+              </label>
+            ))}
+            {BANDS.map((band) => (
+              <label key={band} className="chip-toggle">
+                <input
+                  type="checkbox"
+                  checked={config.spoofer.bands.includes(band)}
+                  onChange={() => changeConfig({
+                    spoofer: { ...scenario.config.spoofer, bands: toggleIn(scenario.config.spoofer.bands, band) },
+                  })}
+                  disabled={editor.editing || replay.active || running}
+                />
+                {band}
+              </label>
+            ))}
+          </span>
+        </div>
+
+        <ReplayBar page="gnss-spoofing" sim={sim} replay={replay}>
+          <TrackExportMenu
+            page="gnss-spoofing"
+            engine={engine}
+            recording={replay.active ? replay.recording : sim.recording}
+            tracksOf={() => TRACKS}
+            positionsOf={(s) => ({ actual: s.drone, perceived: s.perceived })}
+          />
+        </ReplayBar>
+        <NmeaBar
+          log={nmeaLog.current}
+          track={view.perceivedTrack}
+          onDownload={downloadNmea}
+          onLoad={loadNmeaTrack}
+          onClear={() => loadNmeaTrack(null)}
+          disabled={editor.editing || replay.active || running}
+        />
+
         {/* 3D Canvas */}
         <div className="sim-canvas-container" style={{ height: "600px", borderRadius: "var(--radius)", overflow: "hidden" }}>
           <Canvas camera={{ position: [0, 10, 12], fov: 50 }} style={{ width: "100%", height: "100%" }} gl={{ antialias: true }}>
             <Suspense fallback={null}>
               <GnssScene
-                drone={drone}
-                spoofedDrone={spoofedDrone}
-                dronePath={dronePath}
-                radioTower={radioTower}
-                target={target}
-                spoofedTarget={spoofedTarget}
+                world={config.world}
+                basemap={basemap}
+                geo={config.geo}
+                obstacles={config.obstacles}
+                altitude={config.altitude}
+                coverageAt={coverageAt}
+                drone={view.drone}
+                spoofedDrone={{ ...view.perceived, path: view.perceivedPath }}
+                dronePath={view.dronePath}
+                radioTower={config.radioTower}
+                target={config.target}
+                spoofedTarget={config.spoofedTarget}
+                satellites={view.satellites.filter((sat) => config.receiver.constellations.includes(sat.system))}
+                measurements={view.measurements}
+                suspects={config.crossCheck && view.consistency?.fault ? view.consistency.suspects : []}
                 attackPhase={attackPhase}
-                jammingRadius={jammingRadius}
-                finalPositions={finalPositions}
-              />
+                jammingRadius={view.jammingRadius}
+                finalPositions={view.finalPositions}
+                editing={editor.editing}
+              >
+                {editor.editing && (
+                  <SceneEditor
+                    world={config.world}
+                    scale={SCALE}
+                    config={config}
+                    handles={EDIT_HANDLES}
+                    selected={editor.selected}
+                    onSelect={editor.select}
+                    onMove={editor.move}
+                    onResize={editor.resize}
+                  />
+                )}
+              </GnssScene>
             </Suspense>
           </Canvas>
+          {coverageMode && <CoverageLegend label={coverageMode.legend} />}
         </div>
+
+        {detectionResults.length > 0 && (
+          <div className="detection-results">
+            <h3>Detection Latency vs Drag-off Rate</h3>
+            <table>
+              <thead>
+                <tr>
+                  <th>Run</th><th>Drag-off</th><th>RAIM (after drag-off)</th>
+                  <th>C/N0 monitor (after capture)</th><th>Consistency (after drag-off)</th>
+                  <th>OSNMA (after capture)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {detectionResults.map(({ run, dragOffRate, raim, power, cross, osnma }) => (
+                  <tr key={run}>
+                    <td>#{run}</td>
+                    <td>{dragOffRate} px/s</td>
+                    <td>
+                      {raim === undefined ? "off" : raim
+                        ? `${(raim.latency / 1000).toFixed(2)} s (T=${raim.statistic.toFixed(1)} / ${raim.threshold.toFixed(1)})`
+                        : "not detected"}
+                    </td>
+                    <td>
+                      {power === undefined ? "off" : power
+                        ? `${(power.latency / 1000).toFixed(2)} s (spread ${power.spread.toFixed(2)} dB)`
+                        : "not detected"}
+                    </td>
+                    <td>
+                      {cross === undefined ? "off" : cross
+                        ? `${(cross.latency / 1000).toFixed(2)} s`
+                        : "not detected"}
+                    </td>
+                    <td>
+                      {osnma === undefined ? "off" : osnma
+                        ? `${(osnma.latency / 1000).toFixed(2)} s (${osnma.satellites.length} sats)`
+                        : "not detected"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
 
       <InfoPanel
         attackPhase={attackPhase}
         status={status}
-        digitalFootprints={digitalFootprints}
-      />
+        digitalFootprints={replay.active ? replay.footprints : digitalFootprints}
+        positions={[
+          { label: 'ACTUAL', ...view.drone },
+          { label: 'PERCEIVED', ...view.perceived },
+        ]}
+        geo={config.geo}
+      >
+        <div className="info-section">
+          <h3>Spoofer Link Budget</h3>
+          <LinkBudget
+            rows={[
+              { label: 'Jammer EIRP', value: view.jammerEirp === null ? 'off' : formatDbm(view.jammerEirp) },
+              { label: 'Spoofer EIRP', value: formatDbm(config.rf.spooferEirp) },
+              { label: 'Obstruction', value: formatObstruction(view.spooferLink) },
+              { label: 'J/S', value: formatDb(view.capture.js) },
+              { label: 'Capture odds', value: `${formatOdds(view.capture.probability)} per attempt` },
+              {
+                label: 'Receiver',
+                value: view.capture.at !== null
+                  ? `captured at ${(view.capture.at / 1000).toFixed(1)}s (attempt ${view.capture.attempts})`
+                  : `authentic${view.capture.attempts ? ` (${view.capture.attempts} attempts failed)` : ''}`,
+              },
+            ]}
+          />
+        </div>
+        <div className="info-section">
+          <h3>Satellite C/N0 (dB-Hz)</h3>
+          <Cn0Chart
+            history={view.cn0History}
+            signals={view.signals}
+            threshold={config.trackingThreshold}
+            colorOf={config.receiver.constellations.length > 1 ? (id) => systemColor(view.satellites, id) : undefined}
+          />
+        </div>
+        {defensesOn.osnma && (
+          <div className="info-section">
+            <h3>OSNMA Authentication</h3>
+            <OsnmaStatus
+              satellites={view.satellites.filter((sat) => config.receiver.constellations.includes(sat.system))}
+              status={view.auth.status}
+              time={view.time}
+              config={config}
+            />
+          </div>
+        )}
+      </InfoPanel>
     </div>
   );
-}
\ No newline at end of file
+}
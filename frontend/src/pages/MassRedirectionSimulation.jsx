@@ -1,52 +1,55 @@
-import React, { useEffect, useRef, useState, useCallback, useMemo, Suspense } from "react";
+import React, { useEffect, useRef, useState, useMemo, Suspense } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Line, Text, GizmoHelper, GizmoViewport } from "@react-three/drei";
 import * as THREE from "three";
 import InfoPanel from "../components/InfoPanel.jsx";
+import ClockControls from "../components/ClockControls.jsx";
+import ReplayBar from "../components/ReplayBar.jsx";
+import TrackExportMenu from "../components/TrackExportMenu.jsx";
+import ScenarioPicker from "../components/ScenarioPicker.jsx";
+import BasemapPicker from "../components/BasemapPicker.jsx";
+import Basemap from "../components/Basemap.jsx";
+import ObstaclePicker from "../components/ObstaclePicker.jsx";
+import Obstacles3D from "../components/Obstacles3D.jsx";
+import CoverageHeatmap, { CoverageLegend } from "../components/CoverageHeatmap.jsx";
+import CoveragePicker from "../components/CoveragePicker.jsx";
+import LinkBudget, { formatDbm, formatObstruction } from "../components/LinkBudget.jsx";
+import SceneEditor from "../components/SceneEditor.jsx";
+import EditorBar from "../components/EditorBar.jsx";
 import WireframeDrone from "../components/WireframeDrone.jsx";
+import useFootprints from "../hooks/useFootprints.js";
+import useTelemetryPublisher from "../hooks/useTelemetryPublisher.js";
+import useSimulation from "../hooks/useSimulation.js";
+import useReplay from "../hooks/useReplay.js";
+import useLayoutEditor from "../hooks/useLayoutEditor.js";
+import * as engine from "../sim/massRedirection.js";
+import { randomSeed } from "../sim/rng.js";
 
-/* ═══════════════════════════════════════════════════
-   SIMULATION LOGIC (100% preserved from original)
-   ═══════════════════════════════════════════════════ */
+const { AttackPhase, DroneStatus } = engine;
 
-const AttackPhase = {
-  INACTIVE: "INACTIVE",
-  NORMAL_FLIGHT: "NORMAL_FLIGHT",
-  REDIRECTING: "REDIRECTING",
-  SECURED: "SECURED",
-};
-
-const DroneStatus = {
-  NORMAL: "NORMAL",
-  REDIRECTED: "REDIRECTED",
-  SAFE: "SAFE",
-};
-
-const SIMULATION_SPEED = 50;
-const DRONE_SPEED = 1.5;
 const DRONE_SIZE_OFFSET = 14;
 
-const createDrone = (id, world) => {
-  const y = Math.random() * world.height;
-  const x = Math.random() * 100;
-  return { id, x, y, status: DroneStatus.NORMAL, path: [{ x, y }], navTarget: null };
-};
-
-function isPathBlocked(from, to, circle) {
-  const f = { x: from.x + DRONE_SIZE_OFFSET, y: from.y + DRONE_SIZE_OFFSET };
-  const t = { x: to.x, y: to.y };
-  const c = { x: circle.x, y: circle.y };
-  const r = circle.radius + 15;
-  const a = (t.x - f.x) ** 2 + (t.y - f.y) ** 2;
-  const b = 2 * ((t.x - f.x) * (f.x - c.x) + (t.y - f.y) * (f.y - c.y));
-  const cc = (f.x - c.x) ** 2 + (f.y - c.y) ** 2 - r * r;
-  let det = b * b - 4 * a * cc;
-  if (det < 0) return false;
-  det = Math.sqrt(det);
-  const t1 = (-b - det) / (2 * a);
-  const t2 = (-b + det) / (2 * a);
-  return (t1 >= 0 && t1 <= 1) || (t2 >= 0 && t2 <= 1);
-}
+// Heatmaps over the ground, valued for a drone centred on the point
+const COVERAGE_MODES = [
+  {
+    id: "detection",
+    label: "Detection probability",
+    legend: "DETECTION ODDS / SWEEP",
+    valueAt: (config, point) => engine.detectionAt(config, point).probability,
+  },
+];
+
+// Entities the layout editor can move (config paths); zone sizes are diameters
+const EDIT_HANDLES = [
+  {
+    id: "antiDroneTower",
+    label: "TOWER",
+    color: "#00f2ff",
+    radii: [{ path: "antiDroneTower.radius" }, { path: "antiDroneTower.detectionFenceRadius" }],
+  },
+  { id: "targetZone", label: "TARGET", color: "#ff3344", radii: [{ path: "targetZone.size", scale: 0.5 }] },
+  { id: "safeZone", label: "SAFE", color: "#00ff88", radii: [{ path: "safeZone.size", scale: 0.5 }] },
+];
 
 /* ═══════════════════════════════════════════════════
    3D SCENE COMPONENTS
@@ -55,19 +58,24 @@ function isPathBlocked(from, to, circle) {
 // Coordinate transform: 2D sim (1000×650, origin top-left) → 3D centered
 const SCALE = 0.02; // 1000px → 20 units
 const toWorld = (x, y) => [(x - 500) * SCALE, 0, (y - 325) * SCALE];
+// Shifts a scenario world of any size so that its centre sits at the origin
+const worldOffset = (world) => [(500 - world.width / 2) * SCALE, 0, (325 - world.height / 2) * SCALE];
 
 /* ── Ground Plane with Grid ── */
-function GroundPlane() {
+function GroundPlane({ world }) {
+  const w = world.width * SCALE;
+  const h = world.height * SCALE;
+  const grid = Math.ceil(Math.max(w, h)) + 2;
   return (
     <group>
       <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -0.05, 0]} receiveShadow>
-        <planeGeometry args={[22, 15]} />
+        <planeGeometry args={[w + 2, h + 2]} />
         <meshBasicMaterial color="#060a14" transparent opacity={0.6} />
       </mesh>
-      <gridHelper args={[22, 44, "#0a1530", "#0a1530"]} position={[0, -0.04, 0]} />
+      <gridHelper args={[grid, grid * 2, "#0a1530", "#0a1530"]} position={[0, -0.04, 0]} />
       {/* World boundary wireframe */}
       <lineSegments position={[0, 0.5, 0]}>
-        <edgesGeometry args={[new THREE.BoxGeometry(20, 1, 13)]} />
+        <edgesGeometry args={[new THREE.BoxGeometry(w, 1, h)]} />
         <lineBasicMaterial color="#00f2ff" transparent opacity={0.06} />
       </lineSegments>
     </group>
@@ -77,7 +85,7 @@ function GroundPlane() {
 /* ── Zone (Target or Safe) ── */
 function Zone3D({ x, y, size, label, color, pulse = false }) {
   const ref = useRef();
-  const [pos] = useState(() => toWorld(x, y));
+  const pos = useMemo(() => toWorld(x, y), [x, y]);
   const radius = (size / 2) * SCALE;
 
   useFrame(({ clock }) => {
@@ -116,7 +124,7 @@ function Zone3D({ x, y, size, label, color, pulse = false }) {
 
 /* ── Anti-Drone Tower ── */
 function Tower3D({ tower }) {
-  const [pos] = useState(() => toWorld(tower.x, tower.y));
+  const pos = useMemo(() => toWorld(tower.x, tower.y), [tower.x, tower.y]);
   const innerR = tower.radius * SCALE;
   const outerR = tower.detectionFenceRadius * SCALE;
   const ringRef = useRef();
@@ -257,12 +265,13 @@ function Footprints3D({ positions }) {
 }
 
 /* ── Complete 3D Scene ── */
-function SimulationScene({ drones, antiDroneTower, targetZone, safeZone, finalPositions }) {
+function SimulationScene({ world, basemap, geo, obstacles, altitude, coverageAt, drones, antiDroneTower, targetZone, safeZone, finalPositions, editing = false, children }) {
   return (
     <>
       <ambientLight intensity={0.25} />
       <pointLight position={[5, 8, 5]} intensity={0.4} color="#00f2ff" />
       <OrbitControls
+        enabled={!editing}
         enablePan
         maxPolarAngle={Math.PI / 2.2}
         minDistance={4}
@@ -270,223 +279,162 @@ function SimulationScene({ drones, antiDroneTower, targetZone, safeZone, finalPo
         target={[0, 0, 0]}
       />
 
-      <GroundPlane />
-
-      {/* Zones */}
-      <Zone3D
-        x={targetZone.x}
-        y={targetZone.y}
-        size={targetZone.size}
-        label="TARGET"
-        color="#ff3344"
-        pulse
-      />
-      <Zone3D
-        x={safeZone.x}
-        y={safeZone.y}
-        size={safeZone.size}
-        label="SAFE ZONE"
-        color="#00ff88"
-      />
-
-      {/* Tower */}
-      <Tower3D tower={antiDroneTower} />
-
-      {/* Drones */}
-      {drones.map((drone) => (
-        <Drone3D key={drone.id} drone={drone} />
-      ))}
-
-      {/* Paths */}
-      <DronePaths drones={drones} />
-
-      {/* Footprints */}
-      <Footprints3D positions={finalPositions} />
-
-      {/* Orientation Helper */}
-      <GizmoHelper alignment="bottom-right" margin={[60, 60]}>
-        <GizmoViewport labelColor="white" axisHeadScale={0.8} />
-      </GizmoHelper>
+      <GroundPlane world={world} />
+      {children}
+      <group position={worldOffset(world)}>
+        {basemap && <Basemap source={basemap} geo={geo} world={world} toWorld={toWorld} />}
+        {/* Heights scaled so the drones (y = 0.3) fly at their altitude */}
+        <Obstacles3D obstacles={obstacles} world={world} toWorld={toWorld} verticalScale={0.3 / altitude} />
+        {coverageAt && <CoverageHeatmap world={world} toWorld={toWorld} valueAt={coverageAt} />}
+        {/* Zones */}
+        <Zone3D
+          x={targetZone.x}
+          y={targetZone.y}
+          size={targetZone.size}
+          label="TARGET"
+          color="#ff3344"
+          pulse
+        />
+        <Zone3D
+          x={safeZone.x}
+          y={safeZone.y}
+          size={safeZone.size}
+          label="SAFE ZONE"
+          color="#00ff88"
+        />
+
+        {/* Tower */}
+        <Tower3D tower={antiDroneTower} />
+
+        {/* Drones */}
+        {drones.map((drone) => (
+          <Drone3D key={drone.id} drone={drone} />
+        ))}
+
+        {/* Paths */}
+        <DronePaths drones={drones} />
+
+        {/* Footprints */}
+        <Footprints3D positions={finalPositions} />
+
+        {/* Orientation Helper */}
+        <GizmoHelper alignment="bottom-right" margin={[60, 60]}>
+          <GizmoViewport labelColor="white" axisHeadScale={0.8} />
+        </GizmoHelper>
+      </group>
     </>
   );
 }
 
 /* ═══════════════════════════════════════════════════
-   MAIN COMPONENT (simulation logic preserved exactly)
+   MAIN COMPONENT
+   Simulation logic lives in sim/massRedirection.js
    ═══════════════════════════════════════════════════ */
 
 export default function MassRedirectionSimulation() {
-  const world = { width: 1000, height: 650 };
-
-  // --- ENTITIES ---
-  const [drones, setDrones] = useState([]);
-  const [droneCount, setDroneCount] = useState(10);
-  const [antiDroneTower] = useState({
-    x: 500,
-    y: 325,
-    radius: 150,
-    detectionFenceRadius: 300,
-  });
-  const [targetZone] = useState({ x: 850, y: 325, size: 100 });
-  const [safeZone] = useState({ x: 500, y: 600, size: 120 });
-
-  // --- Navigation waypoints ---
-  const navNodes = [
-    { x: antiDroneTower.x - antiDroneTower.radius - 50, y: antiDroneTower.y },
-    { x: antiDroneTower.x + antiDroneTower.radius + 50, y: antiDroneTower.y },
-  ];
-  const safeZoneTarget = { x: safeZone.x, y: safeZone.y };
-
-  // --- SIMULATION STATE ---
-  const [attackPhase, setAttackPhase] = useState(AttackPhase.INACTIVE);
-  const [status, setStatus] = useState("Adjust drone count and press 'Activate System' to begin.");
-  const [digitalFootprints, setDigitalFootprints] = useState([]);
-  const [finalPositions, setFinalPositions] = useState([]);
-
-  const simulationRef = useRef(null);
-
-  const formatCoords = (x, y) => `(${Math.round(x)}, ${Math.round(y)})`;
-  const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
-
-  const addFootprint = useCallback((type, message) => {
-    const timestamp = new Date().toLocaleTimeString("en-US", { hour12: false });
-    setDigitalFootprints((prev) => [...prev, { type, message, timestamp }]);
-  }, []);
-
-  const moveTowards = (from, to, speed) => {
-    const d = dist(from, to);
-    if (d < speed) return to;
-    const dx = to.x - from.x;
-    const dy = to.y - from.y;
-    return { x: from.x + (dx / d) * speed, y: from.y + (dy / d) * speed };
+  const [scenario, setScenario] = useState({ id: "standard", config: engine.DEFAULT_CONFIG });
+  const [basemap, setBasemap] = useState(null); // offline map under the scene, see lib/basemap.js
+  const [droneCount, setDroneCount] = useState(engine.DEFAULT_CONFIG.droneCount);
+  const [coverage, setCoverage] = useState(null); // COVERAGE_MODES id
+  const seedRef = useRef(randomSeed());
+
+  // --- FOOTPRINT LOG (persisted to the backend) ---
+  const { footprints: digitalFootprints, addFootprint, startRun, endRun, getRunId, clearFootprints } = useFootprints("mass-redirection");
+
+  // --- LIVE TELEMETRY (second-screen mirror) ---
+  const publishTelemetry = useTelemetryPublisher("mass-redirection");
+
+  // --- ENGINE ---
+  const handleStep = (next, prev) => {
+    next.events.forEach((e) => addFootprint(e.type, e.message, e.time));
+    if (engine.isFinished(next) && !engine.isFinished(prev)) endRun("SECURED");
+    if (next.phase === AttackPhase.INACTIVE) return;
+
+    publishTelemetry({
+      runId: getRunId(),
+      simTime: next.time,
+      phase: next.phase,
+      entities: next.drones.map((d) => ({ id: d.id, role: "drone", x: d.x, y: d.y, status: d.status })),
+    });
   };
 
+  const runConfig = { ...scenario.config, droneCount };
+  const sim = useSimulation(engine, () => engine.createState(runConfig, seedRef.current), handleStep);
+
+  // --- REPLAY (recorded runs render instead of the live one) ---
+  const replay = useReplay(engine);
+  const view = replay.active ? replay.state : sim.state;
+  const { phase: attackPhase, status, drones, config } = view;
+  // Resampled whenever the config changes, e.g. the tower is dragged in the editor
+  const coverageMode = COVERAGE_MODES.find(({ id }) => id === coverage);
+  const coverageAt = useMemo(
+    () => coverageMode && ((point) => coverageMode.valueAt(config, point)),
+    [coverageMode, config]
+  );
+  // Drone links the sensor only sees through obstacles
+  const shadowed = config.obstacles
+    ? drones.map((d) => engine.detectionAt(config, { x: d.x + DRONE_SIZE_OFFSET, y: d.y + DRONE_SIZE_OFFSET }))
+      .filter((link) => !link.clear)
+    : [];
+
   // --- SIMULATION CONTROLS ---
-  const initializeDrones = () => {
-    if (attackPhase !== AttackPhase.INACTIVE) return;
-    setDigitalFootprints([]);
-    setFinalPositions([]);
-    addFootprint("AUTH", `System armed. Preparing for ${droneCount} potential targets.`);
-    const newDrones = [];
-    for (let i = 0; i < droneCount; i++) {
-      newDrones.push(createDrone(i, world));
-    }
-    setDrones(newDrones);
-    setStatus("Drones initialized. Press 'Activate System' to start redirection.");
+  const initializeDrones = (count, base = scenario.config) => {
+    seedRef.current = randomSeed();
+    clearFootprints();
+    sim.apply(engine.createState({ ...base, droneCount: count }, seedRef.current));
   };
 
-  useEffect(() => {
-    if (attackPhase === AttackPhase.INACTIVE) {
-      initializeDrones();
-    }
-  }, [droneCount, attackPhase]);
+  const loadScenario = (meta, scenarioConfig) => {
+    setScenario({ id: meta.id, config: scenarioConfig });
+    setDroneCount(scenarioConfig.droneCount);
+    initializeDrones(scenarioConfig.droneCount, scenarioConfig);
+  };
+
+  const changeDroneCount = (count) => {
+    setDroneCount(count);
+    initializeDrones(count);
+  };
+
+  // Obstacles change the loaded scenario; the drones stay where they are
+  const changeObstacles = (obstacles) => {
+    const scenarioConfig = { ...scenario.config, obstacles };
+    setScenario({ ...scenario, config: scenarioConfig });
+    sim.replace(engine.createState({ ...scenarioConfig, droneCount }, seedRef.current));
+  };
+
+  // --- LAYOUT EDITOR (same drones, new layout) ---
+  const editor = useLayoutEditor({
+    page: "mass-redirection",
+    defaults: engine.DEFAULT_CONFIG,
+    units: engine.CONFIG_UNITS,
+    config: scenario.config,
+    onEdit: (scenarioConfig, meta) => {
+      setScenario({ id: meta.id, config: scenarioConfig });
+      sim.replace(engine.createState({ ...scenarioConfig, droneCount }, seedRef.current));
+    },
+  });
 
   const startSimulation = () => {
     if (attackPhase !== AttackPhase.INACTIVE) return;
-    initializeDrones();
-    setAttackPhase(AttackPhase.NORMAL_FLIGHT);
-    setStatus("Phase 1: Hostile drones are en route to the target zone.");
-    addFootprint("WARN", `${droneCount} drones detected, proceeding to target.`);
-    simulationRef.current = setInterval(runSimulationTick, SIMULATION_SPEED);
+    editor.setEditing(false);
+    startRun({ seed: seedRef.current, scenario: scenario.id, config: runConfig });
+    // Same seed as the preview, so the drones start where they were shown
+    sim.apply(engine.start(engine.createState(runConfig, seedRef.current)));
+    sim.record({ page: "mass-redirection", runId: getRunId() });
+    sim.play();
   };
 
   const resetSimulation = () => {
-    clearInterval(simulationRef.current);
-    setAttackPhase(AttackPhase.INACTIVE);
-    setDrones([]);
-    setDigitalFootprints([]);
-    setFinalPositions([]);
-    setStatus("System reset. Adjust drone count and press 'Activate System' to begin.");
+    sim.pause();
+    sim.stopRecording();
+    initializeDrones(droneCount);
   };
 
+  // Arm the system (and log it) as soon as the page opens
   useEffect(() => {
-    return () => clearInterval(simulationRef.current);
+    initializeDrones(droneCount);
   }, []);
 
-  // --- MAIN SIMULATION TICK (100% preserved) ---
-  const runSimulationTick = () => {
-    let nextPhase = attackPhase;
-    let allSecured = true;
-    let newDronesList = [];
-
-    setDrones((prevDrones) => {
-      newDronesList = prevDrones.map((drone) => {
-        let newPos = { x: drone.x, y: drone.y };
-        let newStatus = drone.status;
-        let newNavTarget = drone.navTarget;
-
-        if (drone.status === DroneStatus.NORMAL) {
-          allSecured = false;
-          const distanceToTower = dist(drone, antiDroneTower);
-          if (distanceToTower <= antiDroneTower.detectionFenceRadius) {
-            newStatus = DroneStatus.REDIRECTED;
-            if (attackPhase !== AttackPhase.REDIRECTING) {
-              nextPhase = AttackPhase.REDIRECTING;
-            }
-            if (drone.status !== DroneStatus.REDIRECTED) {
-              addFootprint("ATTACK", `Target ${drone.id}: Hostile intent detected at fence. Rerouting to safe zone.`);
-              if (isPathBlocked(drone, safeZoneTarget, antiDroneTower)) {
-                const distToNode0 = dist(drone, navNodes[0]);
-                const distToNode1 = dist(drone, navNodes[1]);
-                newNavTarget = distToNode0 < distToNode1 ? navNodes[0] : navNodes[1];
-                addFootprint("AUTH", `Target ${drone.id}: Path blocked. Rerouting via NavNode.`);
-              } else {
-                newNavTarget = safeZoneTarget;
-              }
-            }
-          }
-        }
-
-        let target;
-        if (newStatus === DroneStatus.NORMAL) {
-          target = { x: targetZone.x, y: targetZone.y };
-        } else {
-          target = newNavTarget || safeZoneTarget;
-        }
-
-        newPos = moveTowards(drone, target, DRONE_SPEED);
-
-        if (newStatus === DroneStatus.REDIRECTED && newNavTarget && newNavTarget !== safeZoneTarget) {
-          if (dist(newPos, newNavTarget) < DRONE_SPEED * 2) {
-            newNavTarget = safeZoneTarget;
-          }
-        }
-
-        if (newStatus === DroneStatus.REDIRECTED) {
-          allSecured = false;
-          const distanceToSafe = dist(newPos, safeZoneTarget);
-          if (distanceToSafe < safeZone.size / 2) {
-            newStatus = DroneStatus.SAFE;
-            addFootprint("SPOOF", `Target ${drone.id} has been secured in the safe zone.`);
-          }
-        }
-
-        return {
-          ...drone,
-          x: newPos.x,
-          y: newPos.y,
-          status: newStatus,
-          path: [...drone.path, newPos],
-          navTarget: newNavTarget,
-        };
-      });
-      return newDronesList;
-    });
-
-    if (nextPhase === AttackPhase.REDIRECTING && attackPhase !== AttackPhase.REDIRECTING) {
-      setAttackPhase(AttackPhase.REDIRECTING);
-      setStatus("Phase 2: Anti-drone system activated. Redirecting all hostile targets at the fence.");
-    }
-
-    if (allSecured && attackPhase !== AttackPhase.INACTIVE) {
-      setAttackPhase(AttackPhase.SECURED);
-      setStatus("Phase 3: All hostile drones have been successfully neutralized in the safe zone.");
-      addFootprint("AUTH", `All ${droneCount} threats secured. System standing by.`);
-      clearInterval(simulationRef.current);
-      setFinalPositions(newDronesList.map((d) => ({ id: d.id, x: d.x, y: d.y, status: "safe" })));
-    }
-  };
-
   /* ═══════════════════════════════════════════════════
      RENDER — R3F Canvas + DOM Overlay
      ═══════════════════════════════════════════════════ */
@@ -497,6 +445,23 @@ export default function MassRedirectionSimulation() {
         <div className="stage-head">
           <div className="title">🛡️ MASS REDIRECTION — 3D SIMULATION</div>
           <div className="playback-controls">
+            <ScenarioPicker
+              page="mass-redirection"
+              defaults={engine.DEFAULT_CONFIG}
+              units={engine.CONFIG_UNITS}
+              current={scenario.id}
+              onLoad={loadScenario}
+              extra={editor.scenarios}
+              disabled={editor.editing || replay.active || attackPhase !== AttackPhase.INACTIVE}
+            />
+            <BasemapPicker source={basemap} onChange={setBasemap} />
+            <ObstaclePicker
+              obstacles={scenario.config.obstacles}
+              geo={scenario.config.geo}
+              onChange={changeObstacles}
+              disabled={editor.editing || replay.active || attackPhase !== AttackPhase.INACTIVE}
+            />
+            <EditorBar editor={editor} handles={EDIT_HANDLES} disabled={replay.active || attackPhase !== AttackPhase.INACTIVE} />
             <div className="slider-control">
               <label htmlFor="droneCount">Targets: {droneCount}</label>
               <input
@@ -505,23 +470,38 @@ export default function MassRedirectionSimulation() {
                 min="1"
                 max="20"
                 value={droneCount}
-                onChange={(e) => setDroneCount(Number(e.target.value))}
-                disabled={attackPhase !== AttackPhase.INACTIVE}
+                onChange={(e) => changeDroneCount(Number(e.target.value))}
+                disabled={replay.active || attackPhase !== AttackPhase.INACTIVE}
               />
             </div>
+            <CoveragePicker modes={COVERAGE_MODES} mode={coverage} onChange={setCoverage} />
             <button
               onClick={startSimulation}
               className="control-button"
-              disabled={attackPhase !== AttackPhase.INACTIVE}
+              disabled={replay.active || attackPhase !== AttackPhase.INACTIVE}
             >
               ▶ Activate System
             </button>
-            <button onClick={resetSimulation} className="control-button reset">
+            <ClockControls
+              clock={sim.clock}
+              disabled={replay.active || attackPhase === AttackPhase.INACTIVE || attackPhase === AttackPhase.SECURED}
+            />
+            <button onClick={resetSimulation} className="control-button reset" disabled={replay.active}>
               ↻ Reset
             </button>
           </div>
         </div>
 
+        <ReplayBar page="mass-redirection" sim={sim} replay={replay}>
+          <TrackExportMenu
+            page="mass-redirection"
+            engine={engine}
+            recording={replay.active ? replay.recording : sim.recording}
+            tracksOf={(initial) => initial.drones.map((d) => ({ id: `drone-${d.id}`, name: `Drone ${d.id}`, role: "actual" }))}
+            positionsOf={(s) => Object.fromEntries(s.drones.map((d) => [`drone-${d.id}`, { x: d.x + DRONE_SIZE_OFFSET, y: d.y + DRONE_SIZE_OFFSET }]))}
+          />
+        </ReplayBar>
+
         {/* 3D Canvas replaces the old div.world */}
         <div
           className="sim-canvas-container"
@@ -534,14 +514,35 @@ export default function MassRedirectionSimulation() {
           >
             <Suspense fallback={null}>
               <SimulationScene
+                world={config.world}
+                basemap={basemap}
+                geo={config.geo}
+                obstacles={config.obstacles}
+                altitude={config.droneAltitude}
+                coverageAt={coverageAt}
                 drones={drones}
-                antiDroneTower={antiDroneTower}
-                targetZone={targetZone}
-                safeZone={safeZone}
-                finalPositions={finalPositions}
-              />
+                antiDroneTower={config.antiDroneTower}
+                targetZone={config.targetZone}
+                safeZone={config.safeZone}
+                finalPositions={view.finalPositions}
+                editing={editor.editing}
+              >
+                {editor.editing && (
+                  <SceneEditor
+                    world={config.world}
+                    scale={SCALE}
+                    config={config}
+                    handles={EDIT_HANDLES}
+                    selected={editor.selected}
+                    onSelect={editor.select}
+                    onMove={editor.move}
+                    onResize={editor.resize}
+                  />
+                )}
+              </SimulationScene>
             </Suspense>
           </Canvas>
+          {coverageMode && <CoverageLegend label={coverageMode.legend} />}
         </div>
       </div>
 
@@ -549,8 +550,29 @@ export default function MassRedirectionSimulation() {
       <InfoPanel
         attackPhase={attackPhase}
         status={status}
-        digitalFootprints={digitalFootprints}
-      />
+        digitalFootprints={replay.active ? replay.footprints : digitalFootprints}
+        positions={[
+          { label: 'TOWER', ...config.antiDroneTower },
+          { label: 'TARGET ZONE', ...config.targetZone },
+          { label: 'SAFE ZONE', ...config.safeZone },
+        ]}
+        geo={config.geo}
+      >
+        <div className="info-section">
+          <h3>Sensor Link Budget</h3>
+          <LinkBudget
+            rows={[
+              { label: 'Drone EIRP', value: formatDbm(config.rf.droneEirp) },
+              { label: 'Sensor gain', value: `${config.rf.sensorGain} dBi` },
+              { label: 'Sensitivity', value: `${formatDbm(engine.detectionAt(config, config.antiDroneTower).sensitivity)} (50% at the fence)` },
+              {
+                label: 'Shadowed drones',
+                value: shadowed.length === 0 ? 'none' : `${shadowed.length} (${formatObstruction(shadowed[0])})`,
+              },
+            ]}
+          />
+        </div>
+      </InfoPanel>
     </div>
   );
 }
\ No newline at end of file
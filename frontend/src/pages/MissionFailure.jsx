@@ -4,7 +4,9 @@ import { OrbitControls, Line, Text } from "@react-three/drei";
 import * as THREE from "three";
 import GlassCard from "../components/GlassCard.jsx";
 import WireframeDrone from "../components/WireframeDrone.jsx";
+import ClockControls from "../components/ClockControls.jsx";
 import useSirenSound from "../hooks/useSirenSound.js";
+import useSimulationClock from "../hooks/useSimulationClock.js";
 
 /* ── Trajectory Drone ── */
 function TrajectoryDrone({ path, progress, color }) {
@@ -331,10 +333,12 @@ function TelemetryPanel({ progress }) {
 /* ═══════════════════════════════════════════
    MAIN COMPONENT
    ═══════════════════════════════════════════ */
+const TIMELINE_MS = 8000;
+const FRAME_MS = 1000 / 60;
+
 export default function MissionFailure() {
-  const [playing, setPlaying] = useState(false);
   const [progress, setProgress] = useState(0);
-  const animRef = useRef(null);
+  const timeRef = useRef(0);
   const sirenTriggered = useRef(false);
 
   // --- SIREN SOUND ---
@@ -357,30 +361,30 @@ export default function MissionFailure() {
     return () => siren.stop();
   }, []);
 
+  // The timeline is driven by the shared clock, so it can be paused, stepped and sped up
+  const clock = useSimulationClock((dt) => {
+    timeRef.current = Math.min(timeRef.current + dt, TIMELINE_MS);
+    setProgress(timeRef.current / TIMELINE_MS);
+    if (timeRef.current >= TIMELINE_MS) clock.pause();
+  }, FRAME_MS);
+  const playing = clock.playing;
+
+  const seek = (p) => {
+    timeRef.current = p * TIMELINE_MS;
+    setProgress(p);
+  };
+
   const startPlayback = () => {
     if (playing) {
-      setPlaying(false);
-      cancelAnimationFrame(animRef.current);
+      clock.pause();
       return;
     }
-    setPlaying(true);
-    setProgress(0);
-    sirenTriggered.current = false;
-    siren.stop();
-    const startTime = Date.now();
-    const duration = 8000;
-
-    const tick = () => {
-      const elapsed = Date.now() - startTime;
-      const p = Math.min(elapsed / duration, 1);
-      setProgress(p);
-      if (p < 1) {
-        animRef.current = requestAnimationFrame(tick);
-      } else {
-        setPlaying(false);
-      }
-    };
-    animRef.current = requestAnimationFrame(tick);
+    if (timeRef.current >= TIMELINE_MS) {
+      seek(0);
+      sirenTriggered.current = false;
+      siren.stop();
+    }
+    clock.play();
   };
 
   // Computed values for stats
@@ -444,6 +448,8 @@ export default function MissionFailure() {
           {playing ? "❚❚ PAUSE" : "▶ PLAY TIMELINE"}
         </button>
 
+        <ClockControls clock={clock} showPlayPause={false} disabled={progress >= 1} />
+
         <div className="sim-toggle">
           <label>Progress: {Math.round(progress * 100)}%</label>
           <input
@@ -452,9 +458,8 @@ export default function MissionFailure() {
             max={100}
             value={Math.round(progress * 100)}
             onChange={(e) => {
-              setProgress(Number(e.target.value) / 100);
-              setPlaying(false);
-              cancelAnimationFrame(animRef.current);
+              seek(Number(e.target.value) / 100);
+              clock.pause();
             }}
             style={{ width: "200px" }}
           />
@@ -0,0 +1,15 @@
+/* ═══════════════════════════════════════════
+   BUNDLED SCENARIOS
+   One folder per page id; every JSON file in it
+   shows up in that page's scenario picker.
+   ═══════════════════════════════════════════ */
+
+const files = import.meta.glob("./*/*.json", { eager: true, import: "default" });
+
+// Scenarios for a page, the standard exercise first
+export function bundledScenarios(page) {
+  return Object.entries(files)
+    .filter(([path]) => path.startsWith(`./${page}/`))
+    .map(([, scenario]) => scenario)
+    .sort((a, b) => (a.id === "standard" ? -1 : b.id === "standard" ? 1 : a.name.localeCompare(b.name)));
+}
@@ -0,0 +1,37 @@
+import { simToGeodetic, formatLatLon } from "./geo.js";
+
+/* ═══════════════════════════════════════════
+   SHARED ENGINE HELPERS
+   Every scenario engine exposes the same shape:
+     createState(config, seed) → idle state
+     start(state)              → running state
+     step(state, dt)           → next state (dt in sim ms)
+     isFinished(state)
+   plus, for pages that take input mid-run,
+     applyInput(state, input)  → state after a user input
+   and reports what happened during a call through
+   `state.events` (footprints for the InfoPanel log).
+   ═══════════════════════════════════════════ */
+
+// Length of one simulation tick in ms; the pages' loops step by this much
+export const TICK_MS = 50;
+
+// Ordered phase enum: phases are plain strings, compared by declaration order
+export function definePhases(...names) {
+  const Phase = Object.freeze(Object.fromEntries(names.map((n) => [n, n])));
+  const rank = (p) => names.indexOf(p);
+  return {
+    Phase,
+    atLeast: (phase, other) => rank(phase) >= rank(other),
+  };
+}
+
+export const footprint = (time, type, message) => ({ time, type, message });
+
+// True once per `every` ms of sim time (on the step that crosses a multiple)
+export const crossedInterval = (time, dt, every) =>
+  Math.floor(time / every) > Math.floor((time - dt) / every);
+
+// Sim position, followed by where that is on the earth when the engine has a geo-reference
+export const formatCoords = (x, y, geo) =>
+  `(${Math.round(x)}, ${Math.round(y)})${geo ? ` ${formatLatLon(simToGeodetic({ x, y }, geo))}` : ""}`;
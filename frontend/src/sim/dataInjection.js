@@ -0,0 +1,664 @@
+import { definePhases, footprint, crossedInterval, formatCoords } from "./common.js";
+import { dist, moveTowards } from "./geometry.js";
+import { createRng } from "./rng.js";
+import { gaussian } from "./gnss.js";
+import { DEFAULT_GEO, GEO_UNITS, simToGeodetic, simToEnu } from "./geo.js";
+import { antennaAt, lineOfSight } from "./obstacles.js";
+import { receivedPower, slantRange, captureProbability } from "./rf.js";
+import {
+  encodeFrame, decodeFrame, verifySignature, signingTimestamp,
+  MAV_TYPE, MAV_AUTOPILOT, MAV_STATE, MAV_FRAME, MAV_CMD, COPTER_MODE, POSITION_ONLY,
+} from "./mavlink.js";
+import { MISSION_EDITS } from "./missionPlan.js";
+import { sha256, utf8, toHex, fromHex } from "../lib/sha256.js";
+
+/* ═══════════════════════════════════════════
+   DATA & COMMAND INJECTION ENGINE
+   The attacker C2 injects MAVLink commands that
+   insert or overwrite items of the mission, the
+   drone flies the altered mission from the first
+   edited item and the attacker replays plausible
+   fake telemetry of the original plan. A trust
+   score, MAVLink signing and the RF link budget
+   stand in the attack's way.
+   ═══════════════════════════════════════════ */
+
+export const { Phase: AttackPhase, atLeast } = definePhases(
+  "INACTIVE",
+  "NORMAL_FLIGHT",
+  "ATTACK_INJECT",
+  "HIJACKED",
+  "COMPLETED"
+);
+
+export const DEFAULT_CONFIG = {
+  world: { width: 1000, height: 650 },
+  geo: DEFAULT_GEO, // where the sim origin (top-left) is on the earth, and metres per px
+  start: { x: 50, y: 100 },
+  // altitude in m, loiter in s held at the waypoint, speed in px/s (0: droneSpeed);
+  // missionPlan.js reads and writes them as QGroundControl mission files
+  waypoints: [
+    { x: 300, y: 100, altitude: 40, loiter: 0, speed: 0 },
+    { x: 500, y: 300, altitude: 40, loiter: 0, speed: 0 },
+    { x: 300, y: 500, altitude: 40, loiter: 0, speed: 0 },
+    { x: 50, y: 500, altitude: 40, loiter: 0, speed: 0 },
+    { x: 50, y: 100, altitude: 40, loiter: 0, speed: 0 },
+  ],
+  radioTower: { x: 850, y: 325 },
+  // The attacker's edits, in order: "insert" an item before mission item `seq`
+  // (the mission's length appends) or "replace" item `seq`
+  injectedMission: [
+    { action: "insert", seq: 5, x: 800, y: 500, altitude: 40, loiter: 0, speed: 0 },
+  ],
+  droneSpeed: 40, // px/s
+  climbRate: 2, // m/s towards the altitude of the waypoint being flown to
+  phaseTimes: { flight: 500, inject: 4000, hijack: 7000, end: 12000 }, // ms
+  telemetryInterval: 1000,
+  packetInterval: 200,
+  packetLifetime: 1000,
+  telemetryJitter: 4, // px, spread of the attacker's fake telemetry
+  trustMetric: false, // reject C2 commands once the trust score falls under its threshold
+  trust: {
+    threshold: 0.4, // score under which the commands are rejected
+    decay: 0.6, // score lost per s for each tolerance-width over tolerance
+    recovery: 0.15, // score regained per s while all sources agree
+    positionTolerance: 5, // px between reported telemetry and dead reckoning
+    velocityTolerance: 12, // px/s between the telemetry's and the dead-reckoned velocity
+    velocityWindow: 2000, // ms both velocities are averaged over, so the telemetry's per-tick jitter averages out
+    headingTolerance: 25, // degrees between the dead-reckoned track and the commanded leg
+    imuDrift: 0.5, // px/√s random walk of the dead-reckoning estimate
+    sampleInterval: 100, // ms between chart samples
+    historyLength: 150, // samples kept for the chart
+  },
+  signing: false, // MAVLink 2 message signing on the C2 link
+  signingAttack: "unsigned", // what the attacker does against a signed link, see SIGNING_ATTACKS
+  altitude: 40, // m the drone takes off to above the geographic origin
+  c2AntennaHeight: 15, // m above the ground at the attacker's tower
+  gcsAntennaHeight: 2, // m above the ground at the ground station, at the start point
+  rf: {
+    frequency: 915, // MHz
+    propagation: "two-ray", // or "free-space"
+    attackerEirp: 30, // dBm
+    gcsEirp: 20, // dBm
+    rxGain: 2, // dBi of the drone's C2 antenna
+    sensitivity: -105, // dBm below which the drone's radio hears nothing
+    captureJs: 6, // dB of attacker over ground station at which half the injected packets are accepted
+    captureSpread: 2, // dB
+  },
+  obstacles: null, // optional buildings and terrain, see obstacles.js
+  mavlink: {
+    gcs: { sysid: 255, compid: 190, linkId: 0 }, // ground station (Mission Planner's ids)
+    drone: { sysid: 1, compid: 1 },
+    attacker: { sysid: 255, compid: 190 }, // forged as the ground station
+    heartbeatInterval: 1000, // ms
+    clockStart: Date.UTC(2025, 5, 1, 10), // UTC ms at sim time 0, for signing timestamps
+  },
+};
+
+// Settings in units that can be negative (dBm, dBi, dB, coordinates), as scenario.js checks them
+export const CONFIG_UNITS = {
+  geo: GEO_UNITS,
+  rf: { attackerEirp: "dBm", gcsEirp: "dBm", rxGain: "dBi", sensitivity: "dBm", captureJs: "dB" },
+};
+
+// What the attacker does once the ground station signs its frames; only a leaked key gets through
+export const SIGNING_ATTACKS = {
+  unsigned: "Unsigned frames",
+  "guessed-key": "Signed with a guessed key",
+  replay: "Replay captured signed frames",
+  "leaked-key": "Signed with a leaked key",
+};
+
+// Key the attacker signs with when it does not have the link's
+const GUESSED_KEY = sha256(utf8("attacker-guess"));
+
+export function createState(config = DEFAULT_CONFIG, seed = 1) {
+  return {
+    config,
+    rng: createRng(seed).state(),
+    time: 0,
+    running: false,
+    phase: AttackPhase.INACTIVE,
+    status: "Use the playback controls to begin the simulation.",
+    alarm: false,
+    drone: { ...config.start },
+    reported: { ...config.start },
+    altitude: config.altitude, // m, the drone's
+    waypointIdx: 0,
+    reportedWaypointIdx: 0,
+    hijackIdx: null, // item of the altered mission the hijacked drone flies to
+    loiterLeft: { plan: 0, reported: 0, hijack: 0 }, // ms still to hold at the current item
+    dronePath: [{ ...config.start }],
+    reportedPath: [{ ...config.start }],
+    packets: [],
+    nextPacketId: 0,
+    frames: [], // every MAVLink frame of the run, see mavlink.js
+    sequence: { gcs: 0, attacker: 0 }, // next MAVLink seq per sender
+    signingKey: toHex(sha256(utf8(`mavlink-signing-${seed}`))), // shared by the ground station and autopilot
+    signingStreams: {}, // newest timestamp the autopilot accepted per sysid/compid/link
+    attackVerdicts: { accepted: 0, lost: 0, unsigned: 0, "bad-signature": 0, replayed: 0 }, // attacker frames by outcome
+    deadReckoning: { ...config.start }, // the autopilot's own IMU estimate of where it is
+    trust: {
+      score: 1,
+      position: 0, // px between reported telemetry and dead reckoning
+      velocity: 0, // px/s between their velocities over the velocity window
+      window: [{ time: 0, reported: { ...config.start }, deadReckoning: { ...config.start } }], // samples the velocities are taken over
+      heading: 0, // degrees between the dead-reckoned track and the commanded leg
+      history: [], // { time, score } samples for the chart
+      divertedAt: null, // ms the drone first left its plan
+      detectedAt: null, // ms the score first fell under the threshold
+    },
+    trustNeutralized: false,
+    c2Link: injectionLink(config, config.start), // attacker's link to the drone, see injectionLink
+    commandDelivered: false, // an injected command has reached the drone
+    finalPositions: [],
+    events: [],
+  };
+}
+
+export function start(state) {
+  const { config } = state;
+  let link = state;
+  // The ground station uploads the plan before take-off, all items in the same instant:
+  // their signing timestamps go up by one each so none looks like a replay of the last
+  config.waypoints.forEach((wp, i) => {
+    link = { ...link, ...sendGcsFrame(link, state.time, "MISSION_ITEM_INT", missionItem(config, wp, i, MAV_CMD.NAV_WAYPOINT), i) };
+  });
+  const events = [
+    footprint(state.time, "AUTH", "Simulation initiated. Drone systems nominal."),
+    footprint(state.time, "AUTH", `Loaded mission plan with ${config.waypoints.length} waypoints.`),
+  ];
+  if (config.signing) {
+    events.push(footprint(state.time, "AUTH", "🔏 MAVLink 2 signing on: the autopilot only accepts frames signed with the link key."));
+  }
+  return {
+    ...state,
+    running: true,
+    frames: link.frames,
+    sequence: link.sequence,
+    signingStreams: link.signingStreams,
+    events,
+  };
+}
+
+export const isFinished = (state) => state.phase === AttackPhase.COMPLETED;
+
+// Mid-run user input: { type: "trustMetric", enabled } or { type: "trustThreshold", threshold }
+export function applyInput(state, input) {
+  if (input.type === "trustMetric") {
+    return { ...state, config: { ...state.config, trustMetric: input.enabled }, events: [] };
+  }
+  if (input.type === "trustThreshold") {
+    return { ...state, config: { ...state.config, trust: { ...state.config.trust, threshold: input.threshold } }, events: [] };
+  }
+  return { ...state, events: [] };
+}
+
+function phaseAt(time, current, { phaseTimes }) {
+  if (time > phaseTimes.end) return AttackPhase.COMPLETED;
+  if (time > phaseTimes.hijack) return AttackPhase.HIJACKED;
+  if (time > phaseTimes.inject) return AttackPhase.ATTACK_INJECT;
+  if (time > phaseTimes.flight) return AttackPhase.NORMAL_FLIGHT;
+  return current;
+}
+
+// Follow a mission from item `idx`, holding `loiterLeft` ms at it once reached;
+// returns the new position, index and hold
+function followWaypoints(pos, idx, loiterLeft, mission, dt, cruise) {
+  if (idx >= mission.length) return { pos, idx, loiterLeft };
+  if (loiterLeft > 0) {
+    const left = Math.max(loiterLeft - dt, 0);
+    return { pos, idx: left > 0 ? idx : idx + 1, loiterLeft: left };
+  }
+  const item = mission[idx];
+  const stepLen = (item.speed || cruise) * dt / 1000;
+  const next = moveTowards(pos, item, stepLen);
+  if (dist(next, item) >= stepLen) return { pos: next, idx, loiterLeft: 0 };
+  const loiter = (item.loiter || 0) * 1000;
+  return { pos: next, idx: loiter > 0 ? idx : idx + 1, loiterLeft: loiter };
+}
+
+// Where an edit lands in a mission of `length` items
+const editIndex = ({ action, seq }, length) => Math.min(seq, action === "insert" ? length : length - 1);
+
+/**
+ * The mission with the attacker's edits applied, the mission index each edit
+ * wrote to (the seq it goes out with) and the first edited item, where the
+ * hijacked drone is sent.
+ * @returns {{ items: Array<object>, seqs: number[], from: number }}
+ */
+export function alteredMission({ waypoints, injectedMission }) {
+  let items = waypoints;
+  const seqs = [];
+  for (const { action, seq, ...item } of injectedMission) {
+    if (!MISSION_EDITS.includes(action)) throw new Error(`Unknown mission edit "${action}"`);
+    const at = editIndex({ action, seq }, items.length);
+    items = action === "insert"
+      ? [...items.slice(0, at), item, ...items.slice(at)]
+      : items.map((wp, i) => (i === at ? item : wp));
+    seqs.push(at);
+  }
+  return { items, seqs, from: Math.min(...seqs) };
+}
+
+// MISSION_ITEM_INT fields for a mission item (or a bare sim point, at the flight altitude)
+function missionItem(config, point, seq, command) {
+  const { lat, lon } = simToGeodetic(point, config.geo);
+  return {
+    param1: point.loiter || 0, // hold time, s
+    x: Math.round(lat * 1e7),
+    y: Math.round(lon * 1e7),
+    z: point.altitude ?? config.altitude,
+    seq,
+    command,
+    target_system: config.mavlink.drone.sysid,
+    target_component: config.mavlink.drone.compid,
+    frame: MAV_FRAME.GLOBAL_RELATIVE_ALT_INT,
+    current: seq === 0 ? 1 : 0,
+    autocontinue: 1,
+  };
+}
+
+// Fields of the attacker's n-th forged frame. In turn: switch to GUIDED, write each
+// edited mission item, then steer to the first of them. They go out under the ground
+// station's system id, with the attacker's own sequence numbers
+function injectedFrame(config, n, time) {
+  const target = config.mavlink.drone;
+  const edits = config.injectedMission;
+  const { items, seqs, from } = alteredMission(config);
+  const k = n % (edits.length + 2);
+  if (k === 0) {
+    return ["COMMAND_LONG", {
+      command: MAV_CMD.DO_SET_MODE,
+      param1: 1, // custom mode enabled
+      param2: COPTER_MODE.GUIDED,
+      target_system: target.sysid,
+      target_component: target.compid,
+    }];
+  }
+  if (k <= edits.length) {
+    return ["MISSION_ITEM_INT", missionItem(config, edits[k - 1], seqs[k - 1], MAV_CMD.NAV_WAYPOINT)];
+  }
+  // Local NED from the home position at the start point
+  const first = items[from];
+  const { east, north } = simToEnu({ x: first.x - config.start.x, y: first.y - config.start.y }, config.geo);
+  return ["SET_POSITION_TARGET_LOCAL_NED", {
+    time_boot_ms: time,
+    x: north,
+    y: east,
+    z: -(first.altitude ?? config.altitude),
+    type_mask: POSITION_ONLY,
+    target_system: target.sysid,
+    target_component: target.compid,
+    coordinate_frame: MAV_FRAME.LOCAL_NED,
+  }];
+}
+
+const attackCount = (frames) => frames.filter((f) => f.source === "attacker").length;
+
+// Signing parameters for a frame sent at sim `time`; `ahead` is in timestamp units (10 µs)
+const signingAt = (config, key, time, ahead = 0) =>
+  ({ key, linkId: config.mavlink.gcs.linkId, timestamp: signingTimestamp(config.mavlink.clockStart + time) + ahead });
+
+// Encode the next frame from `source` ("gcs" or "attacker"), advancing its sequence number
+function nextFrame(sequence, config, source, message, fields, signing) {
+  const { sysid, compid } = config.mavlink[source];
+  const bytes = encodeFrame({ message, seq: sequence[source], sysid, compid, fields, signing });
+  return { bytes, sequence: { ...sequence, [source]: (sequence[source] + 1) & 0xff } };
+}
+
+// Append a frame and what the autopilot made of it to the run's log
+function logFrame(frames, time, source, bytes, verdict) {
+  const { seq, message } = decodeFrame(bytes);
+  return [...frames, { id: frames.length, time, source, seq, message, hex: toHex(bytes), verdict }];
+}
+
+// The autopilot's signing check: drop unsigned and badly signed frames, and any whose
+// timestamp is not newer than the last accepted on its sysid/compid/link stream (a replay)
+function authenticate(bytes, key, streams) {
+  const { sysid, compid, signature } = decodeFrame(bytes);
+  if (!signature) return { verdict: "unsigned", streams };
+  if (!verifySignature(bytes, key)) return { verdict: "bad-signature", streams };
+  const stream = `${sysid}/${compid}/${signature.linkId}`;
+  if (stream in streams && signature.timestamp <= streams[stream]) return { verdict: "replayed", streams };
+  return { verdict: "accepted", streams: { ...streams, [stream]: signature.timestamp } };
+}
+
+// The ground station's next frame, signed when signing is on; it always reaches the drone.
+// It uploads the mission at the start and then sends a heartbeat
+function sendGcsFrame({ config, frames, sequence, signingKey, signingStreams }, time, message, fields, ahead = 0) {
+  const key = fromHex(signingKey);
+  const signing = config.signing ? signingAt(config, key, time, ahead) : undefined;
+  const next = nextFrame(sequence, config, "gcs", message, fields, signing);
+  const { verdict, streams } = config.signing
+    ? authenticate(next.bytes, key, signingStreams)
+    : { verdict: "accepted", streams: signingStreams };
+  return { frames: logFrame(frames, time, "gcs", next.bytes, verdict), sequence: next.sequence, signingStreams: streams };
+}
+
+// Angle in degrees between two displacements
+function angleBetween(a, b) {
+  const d = Math.abs(Math.atan2(a.y, a.x) - Math.atan2(b.y, b.x)) * 180 / Math.PI;
+  return d > 180 ? 360 - d : d;
+}
+
+// The IMU's view of a move from `from` to `to`: the true displacement plus a random walk
+function deadReckon(estimate, from, to, dt, drift, rng) {
+  const sigma = drift * Math.sqrt(dt / 1000);
+  return {
+    x: estimate.x + (to.x - from.x) + gaussian(rng) * sigma,
+    y: estimate.y + (to.y - from.y) + gaussian(rng) * sigma,
+  };
+}
+
+// This tick's trust: the residuals of the reported position and velocity against the IMU
+// dead-reckoning estimate, and of the dead-reckoned track against the leg the ground station
+// commanded. The score decays by how far the worst is over its tolerance and recovers while all
+// are within; with the Trust Metric on, falling under the threshold makes the autopilot reject
+// the C2 commands and resume the plan
+function updateTrust(state, { time, dt, hijacked, reported, deadReckoning }) {
+  const { config, trust } = state;
+  const {
+    threshold, decay, recovery, positionTolerance, velocityTolerance, velocityWindow, headingTolerance, sampleInterval, historyLength,
+  } = config.trust;
+  const position = dist(reported, deadReckoning);
+  // Mean velocities since the oldest sample still inside the window
+  const recent = [...trust.window.filter((s) => s.time >= time - velocityWindow), { time, reported, deadReckoning }];
+  const [oldest] = recent;
+  const velocity = Math.hypot(
+    reported.x - oldest.reported.x - (deadReckoning.x - oldest.deadReckoning.x),
+    reported.y - oldest.reported.y - (deadReckoning.y - oldest.deadReckoning.y)
+  ) * 1000 / Math.max(time - oldest.time, dt);
+  // The commanded leg runs from where the autopilot was to the ground station's current waypoint;
+  // while it holds there, or over less than half a step, the track is IMU noise
+  const waypoint = state.loiterLeft.plan > 0 ? null : config.waypoints[state.waypointIdx];
+  const track = { x: deadReckoning.x - state.deadReckoning.x, y: deadReckoning.y - state.deadReckoning.y };
+  const heading = waypoint && Math.hypot(track.x, track.y) > (waypoint.speed || config.droneSpeed) * dt / 2000
+    ? angleBetween(track, { x: waypoint.x - state.drone.x, y: waypoint.y - state.drone.y })
+    : 0;
+  const excess = Math.max(position / positionTolerance, velocity / velocityTolerance, heading / headingTolerance) - 1;
+  const rate = excess > 0 ? -decay * excess : recovery;
+  const score = Math.min(Math.max(trust.score + rate * dt / 1000, 0), 1);
+  return {
+    score,
+    position,
+    velocity,
+    window: recent,
+    heading,
+    history: crossedInterval(time, dt, sampleInterval)
+      ? [...trust.history, { time, score }].slice(-historyLength)
+      : trust.history,
+    divertedAt: trust.divertedAt ?? (hijacked ? time : null),
+    detectedAt: trust.detectedAt ?? (score < threshold ? time : null),
+  };
+}
+
+/**
+ * The attacker's C2 link to a drone at `point` (`z` its altitude in m, the
+ * take-off altitude if left out): line of sight from the tower,
+ * received power (dBm) from it and from the ground station, their ratio (dB)
+ * and the chance an injected packet is accepted. The drone's radio has to hear
+ * the attacker's tower over the ground station (at the launch point), buildings
+ * and terrain included; the hijack waits for the first accepted command.
+ */
+export function injectionLink(config, point) {
+  const { rf, obstacles, world, geo } = config;
+  const drone = { ...point, z: point.z ?? config.altitude };
+  const hear = (site, height, eirp) => {
+    const antenna = antennaAt(site, height, obstacles, world);
+    const los = lineOfSight(antenna, drone, obstacles, world);
+    const power = receivedPower({
+      eirp,
+      rxGain: rf.rxGain,
+      distance: slantRange(antenna, drone, geo.metresPerUnit),
+      obstructionLoss: los.loss,
+      frequency: rf.frequency,
+      propagation: rf.propagation,
+      txHeight: height,
+      rxHeight: drone.z - antenna.z + height,
+    });
+    return { los, power };
+  };
+  const attacker = hear(config.radioTower, config.c2AntennaHeight, rf.attackerEirp);
+  const gcs = hear(config.start, config.gcsAntennaHeight, rf.gcsEirp);
+  const js = attacker.power - gcs.power;
+  const probability = attacker.power < rf.sensitivity ? 0 : captureProbability(js, rf.captureJs, rf.captureSpread);
+  return { ...attacker.los, power: attacker.power, gcsPower: gcs.power, js, probability };
+}
+
+export function step(state, dt) {
+  if (!state.running || isFinished(state)) return { ...state, events: [] };
+
+  const { config } = state;
+  const rng = createRng(state.rng);
+  const time = state.time + dt;
+  const events = [];
+  let { status, alarm, trustNeutralized, packets, nextPacketId, frames, sequence, signingStreams, attackVerdicts, commandDelivered } = state;
+  const attack = config.signing ? config.signingAttack : "unsigned";
+  if (!(attack in SIGNING_ATTACKS)) throw new Error(`Unknown signing attack "${attack}"`);
+
+  const c2Link = injectionLink(config, { ...state.drone, z: state.altitude });
+
+  let phase = phaseAt(time, state.phase, config);
+  // The override needs at least one injected command to have got through
+  if (phase === AttackPhase.HIJACKED && !commandDelivered && state.phase === AttackPhase.ATTACK_INJECT) {
+    phase = AttackPhase.ATTACK_INJECT;
+    if (state.time <= config.phaseTimes.hijack) {
+      status = "Phase 2: No injected command has reached the drone yet; the attacker keeps trying.";
+    }
+  }
+  if (phase !== state.phase) {
+    switch (phase) {
+      case AttackPhase.ATTACK_INJECT:
+        status = "Phase 2: Attacker is injecting malicious MAVLink commands.";
+        events.push(footprint(time, "ATTACK", attack === "replay"
+          ? "Network intrusion detected. Replaying captured signed frames from the ground station..."
+          : `Network intrusion detected. Forged MAVLink frames from SYS ${config.mavlink.attacker.sysid}/COMP ${config.mavlink.attacker.compid} ` +
+            `(the ground station's ids): GUIDED mode, ${config.injectedMission.length} altered mission item(s) and a position target...`));
+        alarm = true;
+        break;
+      case AttackPhase.HIJACKED:
+        status = "Phase 3: Drone is following malicious commands. Attacker is spoofing telemetry.";
+        events.push(footprint(time, "SPOOF", "CMD_OVERRIDE ACK. Drone path diverted. Initiating telemetry spoof."));
+        packets = [];
+        break;
+      case AttackPhase.COMPLETED:
+        if (trustNeutralized) {
+          status = "Mission Complete: Trust Metric successfully defended against the attack.";
+          events.push(footprint(time, "AUTH", "✅ Drone completed mission under Trust Metric protection."));
+        } else if (!commandDelivered && config.signing && attackVerdicts.accepted + attackVerdicts.lost < attackCount(frames)) {
+          status = "Mission Complete: MAVLink signing rejected the injected frames.";
+          events.push(footprint(time, "AUTH", "✅ 🔏 Signing kept every injected frame out. Mission flown as planned."));
+        } else if (!commandDelivered) {
+          status = "Mission Complete: No injected command got through to the drone.";
+          events.push(footprint(time, "AUTH", "✅ No forged MAVLink command reached the drone. Mission flown as planned."));
+        } else {
+          status = "Attack Complete: The drone is flying the attacker's mission.";
+          events.push(footprint(time, "ATTACK", `ACTUAL DRONE LOCATION: ${formatCoords(state.drone.x, state.drone.y, config.geo)}`));
+          events.push(footprint(time, "SPOOF", `[FAKE TELEMETRY] Arrived at Waypoint #${state.reportedWaypointIdx}.`));
+        }
+        return {
+          ...state,
+          time,
+          phase,
+          status,
+          alarm: false,
+          trustNeutralized,
+          c2Link,
+          frames,
+          sequence,
+          running: false,
+          finalPositions: [
+            { id: "actual", x: state.drone.x, y: state.drone.y, status: "actual" },
+            { id: "reported", x: state.reported.x, y: state.reported.y, status: "reported" },
+          ],
+          events,
+        };
+      default: break;
+    }
+  }
+
+  // Report the link when injection starts and whenever it changes
+  const wasClear = state.phase === AttackPhase.ATTACK_INJECT ? state.c2Link.clear : true;
+  if (phase === AttackPhase.ATTACK_INJECT && c2Link.clear !== wasClear) {
+    events.push(c2Link.clear
+      ? footprint(time, "ATTACK", "Attacker C2 link back in line of sight.")
+      : footprint(time, "AUTH", `Attacker C2 link obstructed by ${c2Link.blockers.join(", ")} (−${c2Link.loss} dB): ` +
+        `J/S ${c2Link.js.toFixed(1)} dB over the ground station.`));
+  }
+
+  const hijacked = atLeast(phase, AttackPhase.HIJACKED) && !trustNeutralized;
+
+  // Reported (ghost) drone: always claims to be flying the plan
+  const loiterLeft = { ...state.loiterLeft };
+  let { pos: reported, idx: reportedWaypointIdx, loiterLeft: reportedLoiter } = followWaypoints(
+    state.reported, state.reportedWaypointIdx, state.loiterLeft.reported, config.waypoints, dt, config.droneSpeed);
+  loiterLeft.reported = reportedLoiter;
+  if (hijacked) {
+    reported = {
+      x: reported.x + (rng.next() - 0.5) * config.telemetryJitter,
+      y: reported.y + (rng.next() - 0.5) * config.telemetryJitter,
+    };
+  }
+
+  // Actual drone: follows the plan until hijacked, then the altered mission from its first edit
+  let drone = state.drone;
+  let waypointIdx = state.waypointIdx;
+  let hijackIdx = state.hijackIdx;
+  let target;
+  if (hijacked) {
+    const { items, from } = alteredMission(config);
+    if (hijackIdx === null) hijackIdx = from;
+    ({ pos: drone, idx: hijackIdx, loiterLeft: loiterLeft.hijack } =
+      followWaypoints(drone, hijackIdx, loiterLeft.hijack, items, dt, config.droneSpeed));
+    target = items[hijackIdx];
+  } else {
+    ({ pos: drone, idx: waypointIdx, loiterLeft: loiterLeft.plan } =
+      followWaypoints(drone, waypointIdx, loiterLeft.plan, config.waypoints, dt, config.droneSpeed));
+    target = config.waypoints[waypointIdx];
+  }
+  const climb = config.climbRate * dt / 1000;
+  const altitude = target
+    ? state.altitude + Math.min(Math.max((target.altitude ?? config.altitude) - state.altitude, -climb), climb)
+    : state.altitude;
+  // Once the commands are rejected the autopilot's own telemetry replaces the attacker's
+  if (trustNeutralized) {
+    reported = drone;
+    reportedWaypointIdx = waypointIdx;
+    loiterLeft.reported = loiterLeft.plan;
+  }
+
+  /* ── Trust Metric ── */
+  const deadReckoning = deadReckon(state.deadReckoning, state.drone, drone, dt, config.trust.imuDrift, rng);
+  const trust = updateTrust(state, { time, dt, hijacked, reported, deadReckoning });
+  if (trust.detectedAt === time) {
+    events.push(footprint(time, "WARN", `🛡️ TRUST METRIC: Score ${trust.score.toFixed(2)} under ${config.trust.threshold}: ` +
+      `telemetry ${trust.position.toFixed(0)} px and ${trust.velocity.toFixed(0)} px/s from dead reckoning, ` +
+      `track ${trust.heading.toFixed(0)}° off the commanded leg.`));
+    if (!config.trustMetric) {
+      events.push(footprint(time, "WARN", "Trust Metric off: the autopilot keeps following the injected commands."));
+    }
+  }
+  if (config.trustMetric && !trustNeutralized && trust.score < config.trust.threshold) {
+    trustNeutralized = true;
+    reported = drone;
+    reportedWaypointIdx = waypointIdx;
+    loiterLeft.reported = loiterLeft.plan;
+    events.push(footprint(time, "AUTH", "🛡️ ATTACK NEUTRALIZED: Rejecting C2 commands. Reverting to the validated mission " +
+      `${((time - trust.divertedAt) / 1000).toFixed(2)} s after the diversion.`));
+    status = "Defense Active: Trust Metric has neutralized the attack. Drone returning to mission.";
+    alarm = false;
+  }
+
+  if (crossedInterval(time, dt, config.telemetryInterval)) {
+    if (phase === AttackPhase.NORMAL_FLIGHT) {
+      events.push(footprint(time, "AUTH", `Telemetry: POS=${formatCoords(drone.x, drone.y, config.geo)}, WP_TGT=${state.waypointIdx + 1}`));
+    } else if (hijacked) {
+      events.push(footprint(time, "SPOOF", `[FAKE TELEMETRY] POS=${formatCoords(reported.x, reported.y, config.geo)}, WP_TGT=${state.reportedWaypointIdx + 1}`));
+    }
+  }
+
+  // Frames fly to the drone as packets: the ground station's heartbeat, and the attacker's forgeries
+  packets = packets.filter((p) => time - p.spawnedAt < config.packetLifetime);
+  const launch = (source, verdict) => {
+    const frame = frames[frames.length - 1];
+    packets = [...packets, {
+      id: nextPacketId++, source, message: frame.message, frameId: frame.id,
+      targetX: drone.x, targetY: drone.y, spawnedAt: time, verdict, blocked: verdict !== "accepted",
+    }];
+  };
+  if (crossedInterval(time, dt, config.mavlink.heartbeatInterval)) {
+    ({ frames, sequence, signingStreams } = sendGcsFrame({ ...state, frames, sequence, signingStreams }, time, "HEARTBEAT",
+      { type: MAV_TYPE.GCS, autopilot: MAV_AUTOPILOT.INVALID, system_status: MAV_STATE.ACTIVE, mavlink_version: 3 }));
+    launch("gcs", "accepted");
+  }
+  if (phase === AttackPhase.ATTACK_INJECT && crossedInterval(time, dt, config.packetInterval)) {
+    const key = fromHex(state.signingKey);
+    const n = attackCount(frames);
+    let bytes;
+    if (attack === "replay") {
+      // Captured off the air earlier in the run, re-sent byte for byte
+      const captured = frames.filter((f) => f.source === "gcs");
+      bytes = fromHex(captured[n % captured.length].hex);
+    } else {
+      const [message, fields] = injectedFrame(config, n, time);
+      // With a key, the attacker's clock runs just ahead of the ground station's
+      const signing = attack === "unsigned" ? undefined : signingAt(config, attack === "leaked-key" ? key : GUESSED_KEY, time, 1);
+      ({ bytes, sequence } = nextFrame(sequence, config, "attacker", message, fields, signing));
+    }
+    let verdict = rng.next() < c2Link.probability ? "accepted" : "lost";
+    if (verdict === "accepted" && config.signing) ({ verdict, streams: signingStreams } = authenticate(bytes, key, signingStreams));
+    frames = logFrame(frames, time, "attacker", bytes, verdict);
+    launch("attacker", verdict);
+
+    const { message, seq, sysid, compid, signature } = decodeFrame(bytes);
+    if (attackVerdicts[verdict] === 0) {
+      if (verdict === "unsigned") {
+        events.push(footprint(time, "AUTH", `🔏 SIGNING: Autopilot dropped unsigned ${message} claiming SYS ${sysid}/COMP ${compid}.`));
+      } else if (verdict === "bad-signature") {
+        events.push(footprint(time, "AUTH", `🔏 SIGNING: Autopilot dropped ${message} with a bad signature: not signed with the link key.`));
+      } else if (verdict === "replayed") {
+        events.push(footprint(time, "AUTH",
+          `🔏 SIGNING: Autopilot dropped replayed ${message} (seq ${seq}): its timestamp is not newer than the last on link ${signature.linkId}.`));
+      } else if (verdict === "accepted" && config.signing && attack === "leaked-key") {
+        events.push(footprint(time, "ATTACK", `🔏 SIGNING: Forged ${message} passed the signature check. The link key has leaked.`));
+      }
+    }
+    attackVerdicts = { ...attackVerdicts, [verdict]: attackVerdicts[verdict] + 1 };
+    // Replayed frames carry the ground station's own commands
+    if (verdict === "accepted" && attack !== "replay" && !commandDelivered) {
+      events.push(footprint(time, "ATTACK", `Drone accepted forged ${message} (seq ${seq}).`));
+      commandDelivered = true;
+    }
+  }
+
+  return {
+    ...state,
+    rng: rng.state(),
+    time,
+    phase,
+    status,
+    alarm,
+    drone,
+    reported,
+    altitude,
+    waypointIdx,
+    reportedWaypointIdx,
+    hijackIdx,
+    loiterLeft,
+    dronePath: [...state.dronePath, drone],
+    reportedPath: [...state.reportedPath, reported],
+    deadReckoning,
+    trust,
+    packets,
+    nextPacketId,
+    frames,
+    sequence,
+    signingStreams,
+    attackVerdicts,
+    trustNeutralized,
+    c2Link,
+    commandDelivered,
+    events,
+  };
+}
@@ -0,0 +1,153 @@
+import { dist, clamp, moveTowards, buildArcThenSafePath } from "./geometry.js";
+import { createRng } from "./rng.js";
+import { DEFAULT_GEO, GEO_UNITS } from "./geo.js";
+
+/* ═══════════════════════════════════════════
+   INTERACTIVE DRONE ENGINE
+   The user flies the drone with the keyboard.
+   Entering the danger zone triggers a spoof that
+   steers the drone around the zone and into the
+   safe zone, where it is neutralized and respawns.
+   ═══════════════════════════════════════════ */
+
+const IDLE_STATUS = "Use arrow keys or WASD to move the drone.";
+
+export const DEFAULT_CONFIG = {
+  world: { width: 720, height: 520 },
+  geo: DEFAULT_GEO, // where the sim origin (top-left) is on the earth, and metres per px
+  start: { x: 40, y: 40 },
+  droneSize: { width: 28, height: 28 },
+  danger: { x: 420, y: 200, radius: 70 },
+  safe: { x: 100, y: 380, radius: 48 },
+  warningBuffer: 90,
+  keyStep: 10, // px per key press
+  redirectSpeed: 375, // px/s while being steered by the spoofer
+  respawnDelay: 1400, // ms after neutralization
+};
+
+// Only the geo-reference has settings that may be negative (see scenario.js)
+export const CONFIG_UNITS = { geo: GEO_UNITS };
+
+export function createState(config = DEFAULT_CONFIG, seed = 1) {
+  return {
+    config,
+    rng: createRng(seed).state(),
+    time: 0,
+    drone: { ...config.start, ...config.droneSize },
+    spoofed: false,
+    redirecting: false,
+    warning: false,
+    destroyed: false,
+    destroyedAt: null,
+    route: [],
+    status: IDLE_STATUS,
+    alarm: false,
+    events: [],
+  };
+}
+
+// Nothing to arm: the drone is live as soon as the page loads
+export const start = (state) => ({ ...state, events: [] });
+export const isFinished = () => false;
+
+export const warningRadius = ({ danger, warningBuffer }) => danger.radius + warningBuffer;
+export const centerOf = (d) => ({ x: d.x + d.width / 2, y: d.y + d.height / 2 });
+export const insideDanger = (pt, { danger }) => dist(pt, danger) <= danger.radius;
+export const insideSafe = (pt, { safe }) => dist(pt, safe) <= safe.radius;
+export function insideWarningOnly(pt, config) {
+  const d = dist(pt, config.danger);
+  return d > config.danger.radius && d <= warningRadius(config);
+}
+
+function neutralize(state, time) {
+  return {
+    ...state,
+    destroyed: true,
+    destroyedAt: time,
+    route: [],
+    status: "🛡️ Drone neutralized by defense system.",
+    alarm: false,
+  };
+}
+
+function startSpoofSequence(state, center) {
+  const { config, drone } = state;
+  const C = { x: config.danger.x, y: config.danger.y };
+  const d0 = dist(center, C) || 1;
+  const outward = { x: (center.x - C.x) / d0, y: (center.y - C.y) / d0 };
+
+  const exitCenter = {
+    x: C.x + outward.x * (config.danger.radius + 10),
+    y: C.y + outward.y * (config.danger.radius + 10),
+  };
+  const exitTL = { x: exitCenter.x - drone.width / 2, y: exitCenter.y - drone.height / 2 };
+  const pathTL = buildArcThenSafePath(exitCenter, C, config.danger.radius, config.safe, config.safe.radius, {
+    w: drone.width, h: drone.height,
+  });
+
+  return {
+    ...state,
+    spoofed: true,
+    route: [exitTL, ...pathTL],
+    status: "🚨 Spoof detected — moving out of danger zone...",
+    alarm: true,
+  };
+}
+
+// Keyboard input: dx/dy are -1, 0 or 1
+export function applyMove(state, dx, dy) {
+  if (state.spoofed || state.destroyed || (dx === 0 && dy === 0)) return { ...state, events: [] };
+
+  const { config, drone } = state;
+  const nx = clamp(drone.x + dx * config.keyStep, 0, config.world.width - drone.width);
+  const ny = clamp(drone.y + dy * config.keyStep, 0, config.world.height - drone.height);
+  const center = { x: nx + drone.width / 2, y: ny + drone.height / 2 };
+
+  const warning = insideWarningOnly(center, config);
+  let status = state.status;
+  if (warning && !state.warning) status = "⚠️ Approaching restricted airspace...";
+  if (!warning && state.warning) status = IDLE_STATUS;
+
+  const next = { ...state, warning, status, events: [] };
+  if (insideDanger(center, config)) return startSpoofSequence(next, center);
+
+  const moved = { ...next, drone: { ...drone, x: nx, y: ny } };
+  if (insideSafe(center, config)) return neutralize(moved, state.time);
+  return moved;
+}
+
+// Mid-run user input: { type: "move", dx, dy }
+export function applyInput(state, input) {
+  if (input.type === "move") return applyMove(state, input.dx, input.dy);
+  return { ...state, events: [] };
+}
+
+export function step(state, dt) {
+  const time = state.time + dt;
+  const { config } = state;
+
+  if (state.destroyed) {
+    if (time - state.destroyedAt < config.respawnDelay) return { ...state, time, events: [] };
+    return { ...createState(config, state.rng), time };
+  }
+
+  if (state.route.length === 0) return { ...state, time, events: [] };
+
+  // Spend this step's travel budget along the queued route
+  let budget = config.redirectSpeed * dt / 1000;
+  let pos = { x: state.drone.x, y: state.drone.y };
+  let route = state.route;
+  let redirecting = state.redirecting;
+  while (route.length > 0 && budget > 0) {
+    const d = dist(pos, route[0]);
+    pos = moveTowards(pos, route[0], budget);
+    budget -= d;
+    if (budget >= 0) {
+      route = route.slice(1);
+      redirecting = true;
+    }
+  }
+
+  const next = { ...state, time, drone: { ...state.drone, ...pos }, route, redirecting, events: [] };
+  return route.length === 0 ? neutralize(next, time) : next;
+}
@@ -0,0 +1,101 @@
+/* ═══════════════════════════════════════════
+   GEO-REFERENCE
+   Ties sim space to the earth. The sim origin
+   (top-left, x right, y down, z up) sits at a
+   geographic origin; one sim unit is
+   `metresPerUnit` metres. Sim → local ENU
+   (east, north, up) is a flip and a scale,
+   ENU ↔ WGS84 goes through earth-centred
+   coordinates, so it stays exact well beyond
+   the size of a sim world.
+   ═══════════════════════════════════════════ */
+
+// WGS84 ellipsoid
+const A = 6378137;
+const F = 1 / 298.257223563;
+const E2 = F * (2 - F);
+
+const RAD = Math.PI / 180;
+
+export const DEFAULT_GEO = { lat: 52.0116, lon: 4.3571, alt: 0, metresPerUnit: 1 };
+// Units of the geo-reference settings, for scenario validation (see scenario.js)
+export const GEO_UNITS = { lat: "°N", lon: "°E", alt: "m HAE", metresPerUnit: "m" };
+
+export function geodeticToEcef({ lat, lon, alt = 0 }) {
+  const phi = lat * RAD;
+  const lambda = lon * RAD;
+  const n = A / Math.sqrt(1 - E2 * Math.sin(phi) ** 2);
+  return {
+    x: (n + alt) * Math.cos(phi) * Math.cos(lambda),
+    y: (n + alt) * Math.cos(phi) * Math.sin(lambda),
+    z: (n * (1 - E2) + alt) * Math.sin(phi),
+  };
+}
+
+// Iterates latitude to convergence; a handful of passes reach sub-millimetre
+export function ecefToGeodetic({ x, y, z }) {
+  const p = Math.hypot(x, y);
+  const lon = Math.atan2(y, x);
+  let lat = Math.atan2(z, p * (1 - E2));
+  let alt = 0;
+  for (let i = 0; i < 6; i++) {
+    const n = A / Math.sqrt(1 - E2 * Math.sin(lat) ** 2);
+    alt = p / Math.cos(lat) - n;
+    lat = Math.atan2(z, p * (1 - E2 * n / (n + alt)));
+  }
+  return { lat: lat / RAD, lon: lon / RAD, alt };
+}
+
+export function enuToGeodetic({ east, north, up = 0 }, origin) {
+  const phi = origin.lat * RAD;
+  const lambda = origin.lon * RAD;
+  const o = geodeticToEcef(origin);
+  const sinPhi = Math.sin(phi), cosPhi = Math.cos(phi);
+  const sinLam = Math.sin(lambda), cosLam = Math.cos(lambda);
+  return ecefToGeodetic({
+    x: o.x - sinLam * east - sinPhi * cosLam * north + cosPhi * cosLam * up,
+    y: o.y + cosLam * east - sinPhi * sinLam * north + cosPhi * sinLam * up,
+    z: o.z + cosPhi * north + sinPhi * up,
+  });
+}
+
+export function geodeticToEnu(point, origin) {
+  const phi = origin.lat * RAD;
+  const lambda = origin.lon * RAD;
+  const o = geodeticToEcef(origin);
+  const p = geodeticToEcef(point);
+  const dx = p.x - o.x, dy = p.y - o.y, dz = p.z - o.z;
+  const sinPhi = Math.sin(phi), cosPhi = Math.cos(phi);
+  const sinLam = Math.sin(lambda), cosLam = Math.cos(lambda);
+  return {
+    east: -sinLam * dx + cosLam * dy,
+    north: -sinPhi * cosLam * dx - sinPhi * sinLam * dy + cosPhi * dz,
+    up: cosPhi * cosLam * dx + cosPhi * sinLam * dy + sinPhi * dz,
+  };
+}
+
+export const simToEnu = ({ x, y, z = 0 }, geo) =>
+  ({ east: x * geo.metresPerUnit, north: -y * geo.metresPerUnit, up: z * geo.metresPerUnit });
+
+export const enuToSim = ({ east, north, up = 0 }, geo) =>
+  ({ x: east / geo.metresPerUnit, y: -north / geo.metresPerUnit, z: up / geo.metresPerUnit });
+
+/**
+ * Sim point → WGS84.
+ * @param {{ x: number, y: number, z?: number }} point - Sim units; z up from the origin's altitude
+ * @param {{ lat, lon, alt, metresPerUnit }} geo - The scenario's geographic origin
+ * @returns {{ lat: number, lon: number, alt: number }} Degrees, metres above the ellipsoid
+ */
+export const simToGeodetic = (point, geo) => enuToGeodetic(simToEnu(point, geo), geo);
+
+export const geodeticToSim = (point, geo) => enuToSim(geodeticToEnu(point, geo), geo);
+
+/* ── Display ── */
+
+const hemisphere = (value, [pos, neg], digits) => `${Math.abs(value).toFixed(digits)}°${value < 0 ? neg : pos}`;
+
+export const formatLatLon = ({ lat, lon }, digits = 5) =>
+  `${hemisphere(lat, ["N", "S"], digits)} ${hemisphere(lon, ["E", "W"], digits)}`;
+
+export const formatEnu = ({ east, north }) =>
+  `${Math.abs(east).toFixed(0)} m ${east < 0 ? "W" : "E"}, ${Math.abs(north).toFixed(0)} m ${north < 0 ? "S" : "N"}`;
@@ -0,0 +1,97 @@
+/* ═══════════════════════════════════════════
+   2D GEOMETRY (sim pixel space, origin top-left)
+   ═══════════════════════════════════════════ */
+
+export const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+export const angleOf = (C, P) => Math.atan2(P.y - C.y, P.x - C.x);
+export const pointOnCircle = (C, r, ang) => ({ x: C.x + r * Math.cos(ang), y: C.y + r * Math.sin(ang) });
+export const clamp = (v, a, b) => Math.max(a, Math.min(v, b));
+
+// Advance `from` by `step` towards `to`, landing exactly on `to` when within reach
+export function moveTowards(from, to, step) {
+  const d = dist(from, to);
+  if (d <= step) return { x: to.x, y: to.y };
+  return { x: from.x + ((to.x - from.x) / d) * step, y: from.y + ((to.y - from.y) / d) * step };
+}
+
+// Does segment A→B pass strictly inside circle (C, r)?
+export function segHitsCircle(A, B, C, r) {
+  const vx = B.x - A.x, vy = B.y - A.y;
+  const wx = C.x - A.x, wy = C.y - A.y;
+  const c1 = vx * wx + vy * wy;
+  const c2 = vx * vx + vy * vy;
+  const t = c2 === 0 ? 0 : c1 / c2;
+  const tt = Math.max(0, Math.min(1, t));
+  const closest = { x: A.x + vx * tt, y: A.y + vy * tt };
+  return dist(closest, C) <= r - 0.0001;
+}
+
+// Does segment from→to cross the boundary of `circle` widened by `margin`?
+export function isPathBlocked(from, to, circle, margin = 15) {
+  const r = circle.radius + margin;
+  const a = (to.x - from.x) ** 2 + (to.y - from.y) ** 2;
+  const b = 2 * ((to.x - from.x) * (from.x - circle.x) + (to.y - from.y) * (from.y - circle.y));
+  const cc = (from.x - circle.x) ** 2 + (from.y - circle.y) ** 2 - r * r;
+  let det = b * b - 4 * a * cc;
+  if (det < 0) return false;
+  det = Math.sqrt(det);
+  const t1 = (-b - det) / (2 * a);
+  const t2 = (-b + det) / (2 * a);
+  return (t1 >= 0 && t1 <= 1) || (t2 >= 0 && t2 <= 1);
+}
+
+/*
+ * Escape route from a circular danger zone (C, r) to a safe zone (S, rs):
+ * follow an arc just outside the zone until the straight line to the safe
+ * zone's edge clears it, then head for the edge and the centre.
+ * Points are top-left corners of a drone of size droneWH.
+ */
+export function buildArcThenSafePath(exitCenter, C, r, S, rs, droneWH) {
+  const bufferR = r + 10;
+  const a0 = angleOf(C, exitCenter);
+  const aTarget = angleOf(C, S);
+
+  let delta = aTarget - a0;
+  while (delta > Math.PI) delta -= 2 * Math.PI;
+  while (delta < -Math.PI) delta += 2 * Math.PI;
+
+  const stepLen = 12;
+  const arcLen = Math.abs(delta) * bufferR;
+  const steps = Math.max(8, Math.ceil(arcLen / stepLen));
+
+  const pointsTL = [];
+  let lastAng = a0;
+
+  for (let i = 1; i <= steps; i++) {
+    const ang = a0 + (i / steps) * delta;
+    const p = pointOnCircle(C, bufferR, ang);
+    pointsTL.push({ x: p.x - droneWH.w / 2, y: p.y - droneWH.h / 2 });
+    lastAng = ang;
+  }
+
+  const lastArcCenter = pointsTL.length
+    ? { x: pointsTL[pointsTL.length - 1].x + droneWH.w / 2, y: pointsTL[pointsTL.length - 1].y + droneWH.h / 2 }
+    : exitCenter;
+
+  const safeEdgeFrom = (P) => {
+    const dir = { x: P.x - S.x, y: P.y - S.y };
+    const d = Math.hypot(dir.x, dir.y) || 1;
+    return { x: S.x + (dir.x / d) * rs, y: S.y + (dir.y / d) * rs };
+  };
+
+  let edge = safeEdgeFrom(lastArcCenter);
+  let attempts = 0;
+  while (segHitsCircle(lastArcCenter, edge, C, r) && attempts < 24) {
+    const bump = (delta >= 0 ? 1 : -1) * (Math.PI / 36);
+    lastAng += bump;
+    const p = pointOnCircle(C, bufferR, lastAng);
+    pointsTL.push({ x: p.x - droneWH.w / 2, y: p.y - droneWH.h / 2 });
+    edge = safeEdgeFrom(p);
+    attempts++;
+  }
+
+  pointsTL.push({ x: edge.x - droneWH.w / 2, y: edge.y - droneWH.h / 2 });
+  pointsTL.push({ x: S.x - droneWH.w / 2, y: S.y - droneWH.h / 2 });
+
+  return pointsTL;
+}
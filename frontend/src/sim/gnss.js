@@ -0,0 +1,263 @@
+/* ═══════════════════════════════════════════
+   GNSS MEASUREMENT MODEL
+   A simplified constellation in sim space (px,
+   z up), pseudoranges for a receiver, and an
+   iterative least-squares position/clock solver.
+   Satellites sit on a large dome above the world
+   and drift in azimuth; ranges are in px.
+   ═══════════════════════════════════════════ */
+
+// Standard normal sample from a uniform rng (Box–Muller)
+export function gaussian(rng) {
+  const u = 1 - rng.next();
+  const v = rng.next();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Navigation systems and the frequency bands each broadcasts on (by carrier:
+// Galileo E1/E5a share the GPS L1/L5 frequencies, GLONASS has no L5 signal)
+export const SYSTEMS = {
+  GPS: { prefix: "G", bands: ["L1", "L2", "L5"], color: "#00ff88" },
+  Galileo: { prefix: "E", bands: ["L1", "L5"], color: "#4d9fff" },
+  GLONASS: { prefix: "R", bands: ["L1", "L2"], color: "#ffcc00" },
+};
+export const BANDS = ["L1", "L2", "L5"];
+
+// Receiver presets offered on the GNSS page
+export const RECEIVER_MODES = [
+  ["GPS"],
+  ["GPS", "Galileo"],
+  ["GPS", "Galileo", "GLONASS"],
+];
+
+// Spread `count` satellites of one system around the sky; elevations between ~15° and ~75°
+export function createConstellation(count, rng, system = "GPS") {
+  const { prefix } = SYSTEMS[system];
+  const sats = [];
+  for (let i = 0; i < count; i++) {
+    sats.push({
+      id: `${prefix}${String(i + 1).padStart(2, "0")}`,
+      system,
+      az: (i / count) * 2 * Math.PI + rng.range(-0.3, 0.3),
+      el: rng.range(0.25, 1.3),
+    });
+  }
+  return sats;
+}
+
+// Satellite position at sim time `time` (ms), above the world centre
+export function satellitePosition(sat, time, { orbitRadius, driftRate }, world) {
+  const az = sat.az + driftRate * time / 1000;
+  const flat = orbitRadius * Math.cos(sat.el);
+  return {
+    id: sat.id,
+    system: sat.system,
+    az,
+    el: sat.el,
+    x: world.width / 2 + flat * Math.cos(az),
+    y: world.height / 2 + flat * Math.sin(az),
+    z: orbitRadius * Math.sin(sat.el),
+  };
+}
+
+export const geometricRange = (sat, p) => Math.hypot(sat.x - p.x, sat.y - p.y, sat.z - (p.z || 0));
+
+// Pseudoranges as a receiver at `position` would measure them; `sigma` is the noise level
+export function pseudoranges(sats, position, clockBias, noise, rng) {
+  return sats.map((sat) => ({
+    id: sat.id,
+    range: geometricRange(sat, position) + clockBias + noise * gaussian(rng),
+    sigma: noise,
+  }));
+}
+
+// Solve A·x = b (small dense system) by Gaussian elimination; null if singular
+function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-12) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = M[r][n];
+    for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c];
+    x[r] = sum / M[r][r];
+  }
+  return x;
+}
+
+/**
+ * Least-squares position and clock bias from pseudoranges (Gauss–Newton).
+ * @param {Array<{ id, x, y, z }>} sats - Satellite positions
+ * @param {Array<{ id, range }>} measurements - Pseudoranges; satellites without one are ignored
+ * @param {{ x, y, z, bias }} guess - Starting point, normally the previous fix
+ * @returns {{ ok: boolean, x, y, z, bias, residuals: Array<{ id, residual }>, used: number }}
+ */
+export function solvePosition(sats, measurements, guess, maxIterations = 10) {
+  const byId = new Map(sats.map((s) => [s.id, s]));
+  const obs = measurements.filter((m) => byId.has(m.id));
+  if (obs.length < 4) return { ...guess, ok: false, residuals: [], used: obs.length };
+
+  let est = [guess.x, guess.y, guess.z || 0, guess.bias || 0];
+  const residualsAt = ([x, y, z, bias]) =>
+    obs.map((m) => m.range - (geometricRange(byId.get(m.id), { x, y, z }) + bias));
+
+  for (let iter = 0; iter < maxIterations; iter++) {
+    const dRho = residualsAt(est);
+    const H = obs.map((m) => {
+      const s = byId.get(m.id);
+      const r = geometricRange(s, { x: est[0], y: est[1], z: est[2] }) || 1;
+      return [-(s.x - est[0]) / r, -(s.y - est[1]) / r, -(s.z - est[2]) / r, 1];
+    });
+    // Normal equations: (HᵀH) δ = Hᵀ dρ
+    const HtH = [0, 1, 2, 3].map((i) => [0, 1, 2, 3].map((j) => H.reduce((sum, row) => sum + row[i] * row[j], 0)));
+    const Htb = [0, 1, 2, 3].map((i) => H.reduce((sum, row, k) => sum + row[i] * dRho[k], 0));
+    const delta = solveLinear(HtH, Htb);
+    if (!delta) return { ...guess, ok: false, residuals: [], used: obs.length };
+    est = est.map((v, i) => v + delta[i]);
+    if (Math.hypot(...delta) < 1e-3) break;
+  }
+
+  const residuals = residualsAt(est).map((residual, i) => ({ id: obs[i].id, residual }));
+  return { ok: true, x: est[0], y: est[1], z: est[2], bias: est[3], residuals, used: obs.length };
+}
+
+// Dilution of precision of the satellites used for a fix at `position`: the
+// diagonal of (HᵀH)⁻¹, horizontal = x/y, vertical = z; null if the geometry is degenerate
+export function dilution(sats, position) {
+  if (sats.length < 4) return null;
+  const H = sats.map((s) => {
+    const r = geometricRange(s, position) || 1;
+    return [-(s.x - position.x) / r, -(s.y - position.y) / r, -(s.z - (position.z || 0)) / r, 1];
+  });
+  const HtH = [0, 1, 2, 3].map((i) => [0, 1, 2, 3].map((j) => H.reduce((sum, row) => sum + row[i] * row[j], 0)));
+  const diag = [];
+  for (let i = 0; i < 4; i++) {
+    const column = solveLinear(HtH, [0, 1, 2, 3].map((j) => (j === i ? 1 : 0)));
+    if (!column) return null;
+    diag.push(column[i]);
+  }
+  return {
+    gdop: Math.sqrt(diag[0] + diag[1] + diag[2] + diag[3]),
+    pdop: Math.sqrt(diag[0] + diag[1] + diag[2]),
+    hdop: Math.sqrt(diag[0] + diag[1]),
+    vdop: Math.sqrt(diag[2]),
+  };
+}
+
+/* ── Integrity monitoring (RAIM) ── */
+
+// Upper-tail χ² quantile for `dof` degrees of freedom (Wilson–Hilferty);
+// z is the matching standard-normal quantile, 3.09 ≈ 1e-3 false-alarm rate
+export function chiSquareThreshold(dof, z) {
+  const a = 2 / (9 * dof);
+  return dof * (1 - a + z * Math.sqrt(a)) ** 3;
+}
+
+/**
+ * Residual-based fault detection over a position fix: the normalised sum of
+ * squared residuals against a χ² threshold with n − 4 degrees of freedom.
+ * @param {Array<{ id, residual }>} residuals - From solvePosition
+ * @param {Array<{ id, sigma }>} measurements - Expected 1σ ranging noise per satellite
+ * @returns {{ available: boolean, statistic: number, threshold: number, dof: number, fault: boolean }}
+ */
+export function residualTest(residuals, measurements, z) {
+  const dof = residuals.length - 4;
+  if (dof < 1) return { available: false, statistic: 0, threshold: Infinity, dof, fault: false };
+  const sigmaOf = new Map(measurements.map((m) => [m.id, m.sigma]));
+  const statistic = residuals.reduce((sum, { id, residual }) => sum + (residual / (sigmaOf.get(id) || 1)) ** 2, 0);
+  const threshold = chiSquareThreshold(dof, z);
+  return { available: true, statistic, threshold, dof, fault: statistic > threshold };
+}
+
+/* ── Signal power (C/N0, dB-Hz) ── */
+
+// Authentic signals arrive weaker the lower the satellite sits
+export const authenticCn0 = (sat, zenithCn0, elevationLoss) =>
+  zenithCn0 - elevationLoss * (1 - Math.sin(sat.el));
+
+// Jamming raises the noise floor: C/(N0 + J0) for a jammer-to-noise ratio in dB
+export const jammedCn0 = (cn0, jnr) => cn0 - 10 * Math.log10(1 + 10 ** (jnr / 10));
+
+// Jammer-to-noise ratio that just pulls a signal of `cn0` down to `threshold`
+export const jnrForLoss = (cn0, threshold) => 10 * Math.log10(10 ** ((cn0 - threshold) / 10) - 1);
+
+/**
+ * Signal-power anomaly check: authentic satellites arrive at a spread of
+ * powers, while a single terrestrial transmitter delivers every channel at
+ * nearly the same C/N0.
+ * @param {Array<{ cn0 }>} measurements - Tracked channels
+ * @returns {{ available: boolean, mean: number, spread: number, fault: boolean }}
+ */
+export function uniformPowerTest(measurements, maxSpread) {
+  const n = measurements.length;
+  if (n < 4) return { available: false, mean: 0, spread: 0, fault: false };
+  const mean = measurements.reduce((sum, m) => sum + m.cn0, 0) / n;
+  const spread = Math.sqrt(measurements.reduce((sum, m) => sum + (m.cn0 - mean) ** 2, 0) / (n - 1));
+  return { available: true, mean, spread, fault: spread < maxSpread };
+}
+
+/* ── Cross-constellation / cross-band consistency ── */
+
+/**
+ * Independent fixes per navigation system, and the largest horizontal
+ * separation between any two of them. Systems with fewer than four
+ * satellites in view are skipped.
+ * @returns {{ fixes: Object<string, { x, y }>, separation: number, pair: string[] | null }}
+ */
+export function systemFixes(sats, measurements, guess) {
+  const systemOf = new Map(sats.map((s) => [s.id, s.system]));
+  const fixes = {};
+  for (const system of Object.keys(SYSTEMS)) {
+    const own = measurements.filter((m) => systemOf.get(m.id) === system);
+    const fix = solvePosition(sats, own, guess);
+    if (fix.ok) fixes[system] = { x: fix.x, y: fix.y };
+  }
+  let separation = 0;
+  let pair = null;
+  const names = Object.keys(fixes);
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const d = Math.hypot(fixes[names[i]].x - fixes[names[j]].x, fixes[names[i]].y - fixes[names[j]].y);
+      if (d > separation) {
+        separation = d;
+        pair = [names[i], names[j]];
+      }
+    }
+  }
+  return { fixes, separation, pair };
+}
+
+/**
+ * Pseudorange disagreement between bands of the same satellite. The signals
+ * share one orbit and clock, so beyond noise the ranges should match.
+ * @param {Array<{ id, band, range, sigma }>} channels - Every tracked channel
+ * @returns {{ split: number, z: number, id: string | null }} The worst satellite: its
+ *   split in px and in standard deviations of the expected noise
+ */
+export function bandSplit(channels) {
+  const bySat = new Map();
+  for (const ch of channels) {
+    if (!bySat.has(ch.id)) bySat.set(ch.id, []);
+    bySat.get(ch.id).push(ch);
+  }
+  let worst = { split: 0, z: 0, id: null };
+  for (const [id, chs] of bySat) {
+    for (let i = 1; i < chs.length; i++) {
+      const split = Math.abs(chs[i].range - chs[0].range);
+      const z = split / Math.hypot(chs[i].sigma, chs[0].sigma);
+      if (z > worst.z) worst = { split, z, id };
+    }
+  }
+  return worst;
+}
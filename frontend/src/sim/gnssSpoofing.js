@@ -0,0 +1,839 @@
+import { definePhases, footprint, crossedInterval, formatCoords, TICK_MS } from "./common.js";
+import { dist, moveTowards } from "./geometry.js";
+import { createRng } from "./rng.js";
+import {
+  createConstellation, satellitePosition, geometricRange, pseudoranges, solvePosition, residualTest,
+  authenticCn0, jammedCn0, jnrForLoss, uniformPowerTest, gaussian,
+  SYSTEMS, systemFixes, bandSplit, dilution,
+} from "./gnss.js";
+import { createKeyChain, verifyKey, deriveKey, navData, macTag, guessTag } from "./osnma.js";
+import { DEFAULT_GEO, GEO_UNITS, simToGeodetic, geodeticToSim } from "./geo.js";
+import { epochSentences } from "./nmea.js";
+import { antennaAt, lineOfSight } from "./obstacles.js";
+import { receivedPower, slantRange, noiseFloor, THERMAL_NOISE, captureProbability } from "./rf.js";
+
+/* ═══════════════════════════════════════════
+   GNSS SPOOFING ENGINE
+   The drone navigates on its own GNSS fix: a
+   least-squares solution over pseudoranges from
+   a drifting constellation. The attacker jams,
+   captures the receiver with counterfeit
+   pseudoranges aligned to the truth, then walks
+   the counterfeit position away at a set
+   drag-off rate. The autopilot corrects for the
+   fake offset and flies the real drone to the
+   spoofer's target; PERCEIVED is the solver output.
+   ═══════════════════════════════════════════ */
+
+export const { Phase: AttackPhase, atLeast } = definePhases(
+  "INACTIVE",
+  "NORMAL_FLIGHT",
+  "JAMMING",
+  "SPOOFING",
+  "HIJACKED",
+  "COMPLETED"
+);
+
+export const DEFAULT_CONFIG = {
+  world: { width: 1000, height: 650 },
+  start: { x: 50, y: 325 },
+  target: { x: 920, y: 80 },
+  spoofedTarget: { x: 920, y: 550 },
+  radioTower: { x: 500, y: 620 },
+  droneSpeed: 40, // px/s
+  phaseTimes: { jamming: 3000, spoofing: 6000, hijack: 8000 }, // ms after start
+  jammingGrowth: 80, // px/s the jammer's reach grows while it ramps up power
+  maxJammingRadius: 300, // px; inside it even the weakest satellites are lost
+  telemetryInterval: 1000, // ms between position footprints
+  arrivalRadius: 10,
+  constellation: { count: 8, orbitRadius: 20000, driftRate: 0.002 }, // per system; px, rad/s
+  receiver: { constellations: ["GPS"], bands: ["L1"] },
+  spoofer: { constellations: ["GPS", "Galileo", "GLONASS"], bands: ["L1", "L2", "L5"] }, // what it can fake
+  receiverClockBias: 250, // px of range; solved for alongside the position
+  pseudorangeNoise: 1, // px, 1σ at zenith C/N0; grows as the signal weakens
+  zenithCn0: 48, // dB-Hz of an authentic satellite overhead
+  elevationLoss: 14, // dB weaker at the horizon than overhead
+  cn0Noise: 0.3, // dB, 1σ
+  trackingThreshold: 30, // dB-Hz; weaker channels lose lock
+  cn0SampleInterval: 250, // ms between C/N0 chart samples
+  cn0HistoryLength: 120, // samples kept for the chart
+  dragOffRate: 40, // px/s the counterfeit position walks away from the truth
+  slipThreshold: 30, // px of counterfeit/authentic range split before a channel can slip
+  channelSlipRate: 0.005, // per channel per s, per threshold-width past the threshold
+  recaptureTime: 1000, // ms until the spoofer pulls a slipped channel back
+  raim: false,
+  raimFalseAlarmZ: 4.26, // normal quantile of the per-test false-alarm rate (≈1e-5)
+  raimConfirmTime: 250, // ms the test must keep failing before spoofing is declared
+  powerMonitor: false,
+  uniformPowerSpread: 0.75, // dB; a C/N0 spread below this looks like one transmitter
+  powerConfirmTime: 500, // ms the spread must stay low before spoofing is declared
+  crossCheck: false,
+  systemSeparation: 25, // px between per-system fixes before they count as inconsistent
+  bandSeparationZ: 6, // σ between one satellite's bands before they count as inconsistent
+  crossCheckConfirmTime: 250, // ms the inconsistency must persist before spoofing is declared
+  osnma: false,
+  osnmaSystems: ["Galileo"], // systems whose navigation data carries MAC tags
+  osnmaSubframe: 2000, // ms per authenticated subframe
+  osnmaKeyDelay: 1, // subframes between a tag and the disclosure of its key
+  osnmaTagBytes: 5,
+  osnmaChainLength: 300, // keys; enough for chainLength × subframe of flight
+  geo: DEFAULT_GEO, // where the sim origin (top-left) is on the earth, and metres per px
+  altitude: 120, // m the drone flies above the geographic origin
+  spooferAntennaHeight: 30, // m above the ground at the radio tower
+  rf: {
+    frequency: 1575.42, // MHz
+    propagation: "two-ray", // or "free-space"
+    spooferEirp: -38, // dBm of counterfeit signal per satellite
+    rxGain: 0, // dBi of the drone's GNSS antenna towards the tower
+    noiseFigure: 2, // dB
+    bandwidth: 2.046, // MHz receiver front end, for the jammer-to-noise ratio
+    captureJs: 3, // dB of counterfeit over authentic power at which half the capture attempts succeed
+    captureSpread: 1.5, // dB
+    captureInterval: 500, // ms between capture attempts
+  },
+  obstacles: null, // optional buildings and terrain, see obstacles.js
+};
+
+// Units of the signal powers and gains and the geo-reference, which may go negative in a scenario
+export const CONFIG_UNITS = {
+  geo: GEO_UNITS,
+  rf: { spooferEirp: "dBm", rxGain: "dBi", captureJs: "dB" },
+};
+
+export function createState(config = DEFAULT_CONFIG, seed = 1) {
+  const rng = createRng(seed);
+  const constellation = Object.keys(SYSTEMS)
+    .flatMap((system) => createConstellation(config.constellation.count, rng, system));
+  // The system operator's secret; only keyChain[0] is known to receivers up front
+  const keyChain = createKeyChain(config.osnmaChainLength, rng);
+  return {
+    config,
+    rng: rng.state(),
+    constellation,
+    keyChain,
+    satellites: constellation.map((sat) => satellitePosition(sat, 0, config.constellation, config.world)),
+    signals: [], // primary-band channel of each satellite the receiver tracks, for the C/N0 chart
+    channels: [], // every tracked satellite/band pseudorange
+    measurements: [], // one pseudorange per satellite, as used for the fix
+    cn0History: [],
+    solution: { ok: true, ...config.start, z: 0, bias: config.receiverClockBias, residuals: [], used: 0 },
+    spoofOffset: { x: 0, y: 0 },
+    slipped: {}, // satellite id → time the spoofer recaptures it
+    integrity: null, // latest residual test
+    raimFaultSince: null,
+    raimDetection: null,
+    powerCheck: null, // latest uniform-power test
+    powerFaultSince: null,
+    powerDetection: null,
+    consistency: null, // latest cross-system / cross-band check
+    crossFaultSince: null,
+    crossDetection: null,
+    // Receiver side of OSNMA: last trusted key, tags awaiting their key, result per satellite
+    auth: { anchor: { index: 0, key: keyChain[0] }, pending: [], status: {} },
+    authDetection: null,
+    perceivedTrack: null, // recorded receiver output that replaces the fix: { name, points: [{ time, x, y }] }
+    time: 0,
+    phase: AttackPhase.INACTIVE,
+    status: "Start the simulation to begin the GNSS spoofing attack sequence.",
+    alarm: false,
+    drone: { ...config.start },
+    perceived: { ...config.start },
+    dronePath: [],
+    perceivedPath: [],
+    jammingRadius: 0,
+    spooferLink: { clear: true, loss: 0, blockers: [] }, // line of sight from the tower to the drone
+    // Spoofer's hold on the receiver: when it took it, and the latest J/S and attempt odds
+    capture: { at: null, attempts: 0, js: null, probability: 0 },
+    hijackedAt: null,
+    jammerEirp: null, // dBm the jammer currently transmits
+    finalPositions: [],
+    events: [],
+  };
+}
+
+export function start(state) {
+  const { config, perceivedTrack } = state;
+  const events = [
+    footprint(0, "AUTH", "Simulation initiated. Drone systems nominal."),
+    footprint(0, "AUTH", `Flight plan loaded. Target destination: ${formatCoords(config.target.x, config.target.y, config.geo)}`),
+  ];
+  if (perceivedTrack) {
+    const { points } = perceivedTrack;
+    events.push(footprint(0, "WARN",
+      `Receiver output replaced by NMEA log "${perceivedTrack.name}": ${points.length} fixes over ${(points[points.length - 1].time / 1000).toFixed(0)}s.`));
+  }
+  return {
+    ...state,
+    phase: AttackPhase.NORMAL_FLIGHT,
+    status: "Phase 1: Drone is flying normally, following authentic satellite signals.",
+    dronePath: [{ ...config.start }],
+    perceivedPath: [{ ...state.perceived }],
+    events,
+  };
+}
+
+/**
+ * Drive PERCEIVED from a recorded receiver log instead of the simulated fix.
+ * The autopilot still steers by it, so the real drone flies whatever the log
+ * says. Apply to an idle state; the track is part of the state and so of any
+ * recording made from it.
+ * @param {object} state - From createState
+ * @param {string} name - Shown in the log, e.g. the file name
+ * @param {Array<{ time, lat, lon }>} fixes - From parseNmea, time in ms from the first fix
+ */
+export function withPerceivedTrack(state, name, fixes) {
+  const points = fixes.map(({ time, lat, lon }) => {
+    const { x, y } = geodeticToSim({ lat, lon, alt: state.config.geo.alt }, state.config.geo);
+    return { time, x, y };
+  });
+  return { ...state, perceivedTrack: { name, points }, perceived: { x: points[0].x, y: points[0].y } };
+}
+
+// Position along a recorded track, linear between fixes; null past its end
+function trackPosition(points, time) {
+  if (time > points[points.length - 1].time) return null;
+  const i = points.findIndex((p) => p.time >= time);
+  if (i <= 0) return { x: points[0].x, y: points[0].y };
+  const a = points[i - 1], b = points[i];
+  const t = (time - a.time) / (b.time - a.time);
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+export const isFinished = (state) => state.phase === AttackPhase.COMPLETED;
+
+// Mid-run user input: { type: "raim", enabled }
+export function applyInput(state, input) {
+  if (input.type === "raim") {
+    return {
+      ...state,
+      config: { ...state.config, raim: input.enabled },
+      raimFaultSince: input.enabled ? state.raimFaultSince : null,
+      events: [],
+    };
+  }
+  if (input.type === "powerMonitor") {
+    return {
+      ...state,
+      config: { ...state.config, powerMonitor: input.enabled },
+      powerFaultSince: input.enabled ? state.powerFaultSince : null,
+      events: [],
+    };
+  }
+  if (input.type === "osnma") {
+    return { ...state, config: { ...state.config, osnma: input.enabled }, events: [] };
+  }
+  if (input.type === "crossCheck") {
+    return {
+      ...state,
+      config: { ...state.config, crossCheck: input.enabled },
+      crossFaultSince: input.enabled ? state.crossFaultSince : null,
+      events: [],
+    };
+  }
+  return { ...state, events: [] };
+}
+
+function phaseAt(time, { phaseTimes }) {
+  if (time > phaseTimes.hijack) return AttackPhase.HIJACKED;
+  if (time > phaseTimes.spoofing) return AttackPhase.SPOOFING;
+  if (time > phaseTimes.jamming) return AttackPhase.JAMMING;
+  return AttackPhase.NORMAL_FLIGHT;
+}
+
+// Bands a receiver listens to on one satellite, in its order of preference
+const bandsFor = (config, sat) => config.receiver.bands.filter((band) => SYSTEMS[sat.system].bands.includes(band));
+
+// Jammer-to-noise ratio and counterfeit C/N0 the tower delivers at a point. The jammer
+// ramps its power so that its reach, where it pushes the weakest (horizon) satellites
+// under the threshold in the clear, is jammingRadius.
+export function towerSignals(config, point, jammingRadius, obstructionLoss = 0) {
+  const { rf, geo } = config;
+  const tower = antennaAt(config.radioTower, config.spooferAntennaHeight, config.obstacles, config.world);
+  const link = {
+    frequency: rf.frequency,
+    propagation: rf.propagation,
+    txHeight: config.spooferAntennaHeight,
+    rxHeight: config.altitude - tower.z + config.spooferAntennaHeight,
+    rxGain: rf.rxGain,
+  };
+  const drone = { ...point, z: config.altitude };
+  const noise = noiseFloor(rf.bandwidth, rf.noiseFigure);
+  const counterfeitCn0 = receivedPower({ ...link, eirp: rf.spooferEirp, distance: slantRange(tower, drone, geo.metresPerUnit), obstructionLoss })
+    - (THERMAL_NOISE + rf.noiseFigure);
+  if (!(jammingRadius > 0)) return { jnr: -Infinity, counterfeitCn0, jammerEirp: null };
+
+  const horizonCn0 = config.zenithCn0 - config.elevationLoss;
+  const edge = { x: tower.x + jammingRadius, y: tower.y, z: config.altitude };
+  const jammerEirp = jnrForLoss(horizonCn0, config.trackingThreshold) + noise
+    - receivedPower({ ...link, eirp: 0, distance: slantRange(tower, edge, geo.metresPerUnit) });
+  const jnr = receivedPower({ ...link, eirp: jammerEirp, distance: slantRange(tower, drone, geo.metresPerUnit), obstructionLoss }) - noise;
+  return { jnr, counterfeitCn0, jammerEirp };
+}
+
+/**
+ * Odds of one capture attempt at `point` with the jammer at full reach,
+ * against an authentic satellite at 45° elevation, for coverage maps.
+ * Jammer and counterfeit power follow the RF link budget (rf.js), weakened by
+ * buildings and terrain in the way.
+ */
+export function captureOddsAt(config, point) {
+  const tower = antennaAt(config.radioTower, config.spooferAntennaHeight, config.obstacles, config.world);
+  const { loss } = lineOfSight(tower, { ...point, z: config.altitude }, config.obstacles, config.world);
+  const { jnr, counterfeitCn0 } = towerSignals(config, point, config.maxJammingRadius, loss);
+  const authentic = jammedCn0(config.zenithCn0 - config.elevationLoss * (1 - Math.SQRT1_2), jnr);
+  return captureProbability(counterfeitCn0 - authentic, config.rf.captureJs, config.rf.captureSpread);
+}
+
+/**
+ * Share of the sky the jammer at full reach blanks out at `point`, for coverage maps.
+ * Satellites below an elevation e lose lock on the jammed bands; they cover sin(e)
+ * of the hemisphere.
+ */
+export function jammingAt(config, point) {
+  const tower = antennaAt(config.radioTower, config.spooferAntennaHeight, config.obstacles, config.world);
+  const { loss } = lineOfSight(tower, { ...point, z: config.altitude }, config.obstacles, config.world);
+  const { jnr } = towerSignals(config, point, config.maxJammingRadius, loss);
+  const margin = jammedCn0(config.zenithCn0, jnr) - config.trackingThreshold;
+  return Math.min(Math.max(1 - margin / config.elevationLoss, 0), 1);
+}
+
+// Counterfeit over authentic power (dB) on the channels the spoofer covers, at their mean
+function spoofingJs(config, satellites, { jnr, counterfeitCn0 }) {
+  const { spoofer } = config;
+  const authentic = satellites.flatMap((sat) => bandsFor(config, sat)
+    .filter((band) => spoofer.constellations.includes(sat.system) && spoofer.bands.includes(band))
+    .map(() => jammedCn0(authenticCn0(sat, config.zenithCn0, config.elevationLoss), jnr)));
+  if (authentic.length === 0) return null;
+  return counterfeitCn0 - authentic.reduce((sum, cn0) => sum + cn0, 0) / authentic.length;
+}
+
+// Received C/N0 of every satellite/band channel this step, authentic or counterfeit.
+// Authentic power falls with elevation and under jamming, counterfeit power with the
+// distance from the tower
+function receiveSignals(state, satellites, captured, { jnr, counterfeitCn0 }, slipped, rng) {
+  const { config } = state;
+  const { spoofer } = config;
+
+  // Once captured, the spoofer replays every system and band it covers from one
+  // antenna; slipped channels are back on the authentic signal. It only jams
+  // the bands it transmits on.
+  return satellites.flatMap((sat) => bandsFor(config, sat).map((band) => {
+    const covered = spoofer.constellations.includes(sat.system) && spoofer.bands.includes(band);
+    const spoofed = captured && covered && !(sat.id in slipped);
+    const cn0 = spoofed
+      ? counterfeitCn0
+      : jammedCn0(authenticCn0(sat, config.zenithCn0, config.elevationLoss), spoofer.bands.includes(band) ? jnr : -Infinity);
+    return { id: sat.id, system: sat.system, band, cn0: cn0 + config.cn0Noise * gaussian(rng), spoofed };
+  }));
+}
+
+// Pseudoranges for the channels still in lock; ranging noise grows as C/N0 drops
+function measure(state, drone, fake, satellites, signals, rng) {
+  const { config } = state;
+  const byId = new Map(satellites.map((sat) => [sat.id, sat]));
+  return signals
+    .filter((sig) => sig.cn0 >= config.trackingThreshold)
+    .map((sig) => {
+      const noise = config.pseudorangeNoise * 10 ** ((config.zenithCn0 - sig.cn0) / 20);
+      const [m] = pseudoranges([byId.get(sig.id)], sig.spoofed ? fake : drone, config.receiverClockBias, noise, rng);
+      return { ...m, system: sig.system, band: sig.band, cn0: sig.cn0, spoofed: sig.spoofed };
+    });
+}
+
+// One channel per satellite: the first band in the receiver's preference order
+function primaryChannels(channels) {
+  const seen = new Set();
+  return channels.filter((ch) => !seen.has(ch.id) && seen.add(ch.id));
+}
+
+// A channel can only break away once the counterfeit correlation peak has moved
+// clear of the authentic one, and does so more readily the further apart they are.
+// Back on the authentic signal it disagrees with the rest of the fix (see RAIM)
+function updateSlips(state, time, dt, drone, fake, satellites, rng) {
+  const { config } = state;
+  const slipped = Object.fromEntries(Object.entries(state.slipped).filter(([, until]) => until > time));
+  for (const sat of satellites) {
+    if (sat.id in slipped || !config.spoofer.constellations.includes(sat.system)) continue;
+    const split = Math.abs(geometricRange(sat, fake) - geometricRange(sat, drone));
+    if (split <= config.slipThreshold) continue;
+    const rate = config.channelSlipRate * (split / config.slipThreshold - 1);
+    if (rng.next() < 1 - Math.exp(-rate * dt / 1000)) slipped[sat.id] = time + config.recaptureTime;
+  }
+  return slipped;
+}
+
+// RAIM (optional): flag the first failed residual test, declare spoofing once it
+// persists. Slipped channels leave inconsistent residuals in a spoofed fix
+function monitorIntegrity(state, time, integrity, events) {
+  const { config } = state;
+  let { raimFaultSince, raimDetection, alarm } = state;
+  if (!config.raim || !integrity || !integrity.available || raimDetection) {
+    return { raimFaultSince: config.raim ? raimFaultSince : null, raimDetection, alarm };
+  }
+
+  const stat = `T=${integrity.statistic.toFixed(1)} > ${integrity.threshold.toFixed(1)} (${integrity.dof} dof)`;
+  if (!integrity.fault) {
+    if (raimFaultSince !== null) {
+      events.push(footprint(time, "AUTH", `RAIM: residuals back within threshold (T=${integrity.statistic.toFixed(1)}).`));
+    }
+    return { raimFaultSince: null, raimDetection, alarm };
+  }
+
+  if (raimFaultSince === null) {
+    events.push(footprint(time, "WARN", `RAIM integrity alert: pseudorange residuals inconsistent, ${stat}.`));
+    raimFaultSince = time;
+  }
+  if (time - raimFaultSince >= config.raimConfirmTime) {
+    const latency = time - state.hijackedAt;
+    raimDetection = { time, latency, statistic: integrity.statistic, threshold: integrity.threshold, dragOffRate: config.dragOffRate };
+    events.push(footprint(time, "ATTACK",
+      `RAIM: GNSS spoofing declared, ${stat}. Detection latency ${(latency / 1000).toFixed(2)}s after drag-off began at ${config.dragOffRate} px/s.`));
+    alarm = true;
+  }
+  return { raimFaultSince, raimDetection, alarm };
+}
+
+// Power monitor: a C/N0 spread too tight for real satellites means one transmitter
+function monitorPower(state, time, powerCheck, events) {
+  const { config } = state;
+  let { powerFaultSince, powerDetection, alarm } = state;
+  if (!config.powerMonitor || !powerCheck.available || powerDetection) {
+    return { powerFaultSince: config.powerMonitor ? powerFaultSince : null, powerDetection, alarm };
+  }
+
+  const stat = `C/N0 spread ${powerCheck.spread.toFixed(2)} dB < ${config.uniformPowerSpread} dB at ${powerCheck.mean.toFixed(1)} dB-Hz`;
+  if (!powerCheck.fault) return { powerFaultSince: null, powerDetection, alarm };
+
+  if (powerFaultSince === null) {
+    events.push(footprint(time, "WARN", `Power monitor: uniform signal power across channels, ${stat}.`));
+    powerFaultSince = time;
+  }
+  if (time - powerFaultSince >= config.powerConfirmTime) {
+    const latency = time - state.capture.at;
+    powerDetection = { time, latency, spread: powerCheck.spread, mean: powerCheck.mean };
+    events.push(footprint(time, "ATTACK",
+      `Power monitor: single terrestrial transmitter declared, ${stat}. Detection latency ${(latency / 1000).toFixed(2)}s after capture.`));
+    alarm = true;
+  }
+  return { powerFaultSince, powerDetection, alarm };
+}
+
+// Fixes from each system, and each satellite's bands, should agree with each other;
+// a spoofer covering only some of them leaves them apart
+function checkConsistency(config, satellites, measurements, channels, guess) {
+  const systems = systemFixes(satellites, measurements, guess);
+  const bands = bandSplit(channels);
+  const systemFault = systems.separation > config.systemSeparation;
+  const bandFault = bands.z > config.bandSeparationZ;
+  // Which systems the disagreement involves, for the scene to highlight
+  const suspects = new Set(systemFault ? systems.pair : []);
+  if (bandFault) suspects.add(satellites.find((sat) => sat.id === bands.id).system);
+  return {
+    available: Object.keys(systems.fixes).length > 1 || config.receiver.bands.length > 1,
+    separation: systems.separation,
+    pair: systems.pair,
+    bandSplit: bands.split,
+    bandZ: bands.z,
+    bandSatellite: bands.id,
+    suspects: [...suspects],
+    fault: systemFault || bandFault,
+  };
+}
+
+// Consistency monitor: same alert / declare pattern as RAIM
+function monitorConsistency(state, time, consistency, events) {
+  const { config } = state;
+  let { crossFaultSince, crossDetection, alarm } = state;
+  if (!config.crossCheck || !consistency.available || crossDetection) {
+    return { crossFaultSince: config.crossCheck ? crossFaultSince : null, crossDetection, alarm };
+  }
+  if (!consistency.fault) return { crossFaultSince: null, crossDetection, alarm };
+
+  const parts = [];
+  if (consistency.separation > config.systemSeparation) {
+    parts.push(`${consistency.pair.join(" and ")} fixes ${consistency.separation.toFixed(1)} px apart`);
+  }
+  if (consistency.bandZ > config.bandSeparationZ) {
+    parts.push(`${consistency.bandSatellite} bands ${consistency.bandSplit.toFixed(1)} px (${consistency.bandZ.toFixed(1)}σ) apart`);
+  }
+  const stat = parts.join(", ");
+  if (crossFaultSince === null) {
+    events.push(footprint(time, "WARN", `Consistency monitor: ${stat}.`));
+    crossFaultSince = time;
+  }
+  if (time - crossFaultSince >= config.crossCheckConfirmTime) {
+    const latency = time - state.hijackedAt;
+    crossDetection = { time, latency, separation: consistency.separation, bandSplit: consistency.bandSplit };
+    events.push(footprint(time, "ATTACK",
+      `Consistency monitor: GNSS spoofing declared, ${stat}. Detection latency ${(latency / 1000).toFixed(2)}s after drag-off began.`));
+    alarm = true;
+  }
+  return { crossFaultSince, crossDetection, alarm };
+}
+
+// OSNMA: at each subframe boundary store the tags just received, then check every
+// stored subframe the newly disclosed key covers. Only systems that carry TESLA MAC
+// tags are checked; satellites whose tags fail are dropped from the fix
+function authenticate(state, time, dt, satellites, signals, rng, events) {
+  const { config, keyChain } = state;
+  let { auth, authDetection, alarm } = state;
+  if (!crossedInterval(time, dt, config.osnmaSubframe)) return { auth, authDetection, alarm };
+
+  const k = Math.floor(time / config.osnmaSubframe);
+  const byId = new Map(satellites.map((sat) => [sat.id, sat]));
+  const tracked = signals.filter((sig) =>
+    config.osnmaSystems.includes(sig.system) && sig.cn0 >= config.trackingThreshold);
+  let { anchor, pending, status } = auth;
+
+  // Subframe k − 1 was authenticated under key k; counterfeit channels carry a guess
+  if (k < keyChain.length && tracked.length > 0) {
+    pending = [...pending, {
+      subframe: k - 1,
+      tags: tracked.map((sig) => {
+        const data = navData(byId.get(sig.id), k - 1);
+        const tag = sig.spoofed ? guessTag(config.osnmaTagBytes, rng) : macTag(keyChain[k], data, config.osnmaTagBytes);
+        return { id: sig.id, data, tag };
+      }),
+    }];
+  }
+
+  // The key of subframe j has just been disclosed. Once public the spoofer can
+  // relay it too, so any tracked satellite of the system delivers it.
+  const j = k - 1 - config.osnmaKeyDelay;
+  if (j < 0 || j + 1 >= keyChain.length || tracked.length === 0) {
+    return { auth: { anchor, pending, status }, authDetection, alarm };
+  }
+  const key = keyChain[j + 1];
+  if (!verifyKey(key, j + 1, anchor)) return { auth: { anchor, pending, status }, authDetection, alarm };
+
+  const previous = status;
+  status = { ...status };
+  const failed = [];
+  let checked = 0;
+  for (const { subframe, tags } of pending.filter((p) => p.subframe <= j)) {
+    const subKey = deriveKey(key, j - subframe);
+    for (const { id, data, tag } of tags) {
+      const ok = macTag(subKey, data, config.osnmaTagBytes) === tag;
+      status[id] = { state: ok ? "authentic" : "failed", subframe, time };
+      if (!ok && !failed.includes(id)) failed.push(id);
+      checked += 1;
+    }
+  }
+  pending = pending.filter((p) => p.subframe > j);
+
+  // Log changes only: newly failed satellites, recovered ones, and the first good check
+  const newlyFailed = failed.filter((id) => previous[id]?.state !== "failed");
+  const recovered = Object.keys(status)
+    .filter((id) => status[id].state === "authentic" && previous[id]?.state === "failed");
+  if (config.osnma && newlyFailed.length > 0) {
+    events.push(footprint(time, "ATTACK",
+      `OSNMA: MAC tags failed for ${newlyFailed.join(", ")} under key K${j + 1}; their navigation data is rejected.`));
+    if (!authDetection) {
+      authDetection = { time, latency: time - state.capture.at, satellites: newlyFailed };
+      alarm = true;
+    }
+  }
+  if (config.osnma && recovered.length > 0) {
+    events.push(footprint(time, "AUTH", `OSNMA: ${recovered.join(", ")} authenticated again under key K${j + 1}.`));
+  }
+  if (config.osnma && Object.keys(previous).length === 0 && checked > 0 && failed.length === 0) {
+    events.push(footprint(time, "AUTH",
+      `OSNMA: key K${j + 1} verified against the chain; ${checked} navigation messages authenticated.`));
+  }
+  return { auth: { anchor: { index: j + 1, key }, pending, status }, authDetection, alarm };
+}
+
+export function step(state, dt) {
+  if (state.phase === AttackPhase.INACTIVE || isFinished(state)) {
+    return { ...state, events: [] };
+  }
+
+  const { config } = state;
+  const rng = createRng(state.rng);
+  const time = state.time + dt;
+  const stepLen = config.droneSpeed * dt / 1000;
+  const events = [];
+  let { status, alarm, jammingRadius, spoofOffset } = state;
+
+  // The autopilot steers from where the receiver says the drone is
+  const course = moveTowards(state.perceived, config.target, stepLen);
+  const heading = { x: course.x - state.perceived.x, y: course.y - state.perceived.y };
+  const drone = { x: state.drone.x + heading.x, y: state.drone.y + heading.y };
+
+  let hijackedAt = state.hijackedAt;
+  let phase = phaseAt(time, config);
+  // The drag-off waits until the spoofer holds the receiver
+  if (phase === AttackPhase.HIJACKED && state.capture.at === null) phase = AttackPhase.SPOOFING;
+  if (phase !== state.phase) {
+    switch (phase) {
+      case AttackPhase.JAMMING:
+        status = "Phase 2: Attacker is overpowering satellite signals with a stronger radio signal.";
+        events.push(footprint(time, "WARN", "Multiple satellite signals lost. Searching for signal..."));
+        break;
+      case AttackPhase.SPOOFING:
+        status = "Phase 3: Attacker is transmitting counterfeit signals to capture the receiver.";
+        break;
+      case AttackPhase.HIJACKED:
+        hijackedAt = time;
+        status = "Phase 4: Drone is now fully hijacked, its path diverging towards a new target.";
+        events.push(footprint(time, "SPOOF", "Navigation re-established. Resuming flight to target."));
+        break;
+      default: break;
+    }
+  }
+
+  if (phase === AttackPhase.JAMMING || phase === AttackPhase.SPOOFING) {
+    jammingRadius = Math.min(jammingRadius + config.jammingGrowth * dt / 1000, config.maxJammingRadius);
+  }
+
+  // Drag-off: walk the counterfeit position until the autopilot's correction
+  // lands the real drone on the spoofer's target
+  if (atLeast(phase, AttackPhase.HIJACKED)) {
+    const goal = { x: config.target.x - config.spoofedTarget.x, y: config.target.y - config.spoofedTarget.y };
+    spoofOffset = moveTowards(spoofOffset, goal, config.dragOffRate * dt / 1000);
+  }
+
+  const satellites = state.constellation.map((sat) => satellitePosition(sat, time, config.constellation, config.world));
+  const fake = { x: drone.x + spoofOffset.x, y: drone.y + spoofOffset.y };
+  const slipped = atLeast(phase, AttackPhase.HIJACKED)
+    ? updateSlips(state, time, dt, drone, fake, satellites, rng)
+    : state.slipped;
+  const visible = satellites.filter((sat) => config.receiver.constellations.includes(sat.system));
+  const spooferLink = lineOfSight(antennaAt(config.radioTower, config.spooferAntennaHeight, config.obstacles, config.world),
+    { ...drone, z: config.altitude }, config.obstacles, config.world);
+  const wasClear = atLeast(state.phase, AttackPhase.JAMMING) ? state.spooferLink.clear : true;
+  if (atLeast(phase, AttackPhase.JAMMING) && spooferLink.clear !== wasClear) {
+    events.push(spooferLink.clear
+      ? footprint(time, "ATTACK", "Terrestrial transmitter back in line of sight.")
+      : footprint(time, "AUTH", `Terrestrial transmitter shadowed by ${spooferLink.blockers.join(", ")} (−${spooferLink.loss} dB).`));
+  }
+  const tower = towerSignals(config, drone, jammingRadius, spooferLink.loss);
+
+  // Capture: every attempt succeeds with a probability set by the power ratio
+  let capture = state.capture;
+  if (atLeast(phase, AttackPhase.SPOOFING)) {
+    const js = spoofingJs(config, visible, tower);
+    const probability = js === null ? 0 : captureProbability(js, config.rf.captureJs, config.rf.captureSpread);
+    capture = { ...capture, js, probability };
+    if (capture.at === null && crossedInterval(time, dt, config.rf.captureInterval)) {
+      const attempts = capture.attempts + 1;
+      const ratio = js === null ? "no shared channels" : `J/S ${js >= 0 ? "+" : ""}${js.toFixed(1)} dB`;
+      if (rng.next() < probability) {
+        capture = { ...capture, at: time, attempts };
+        status = "Phase 3: Drone's navigation is compromised. Fake GPS data is being injected.";
+        events.push(footprint(time, "ATTACK", `Strong signal lock acquired from terrestrial source (${ratio}). Re-calibrating...`));
+        alarm = true;
+      } else {
+        capture = { ...capture, attempts };
+        if (attempts === 1) {
+          events.push(footprint(time, "WARN",
+            `Counterfeit signals failed to capture the receiver (${ratio}, p = ${probability.toFixed(2)}). Spoofer retrying.`));
+        }
+      }
+    }
+  }
+  const received = receiveSignals(state, visible, capture.at !== null, tower, slipped, rng);
+  const signals = primaryChannels(received);
+  // Satellites whose navigation data failed authentication are left out of the fix
+  const rejected = (id) => config.osnma && state.auth.status[id]?.state === "failed";
+  const channels = measure(state, drone, fake, satellites, received, rng).filter((ch) => !rejected(ch.id));
+  const measurements = primaryChannels(channels);
+  const solution = solvePosition(satellites, measurements, state.solution);
+  const integrity = solution.ok ? residualTest(solution.residuals, measurements, config.raimFalseAlarmZ) : null;
+
+  // Without a fix the receiver coasts on the last commanded heading. A loaded
+  // log stands in for the receiver altogether (and holds its last fix once it ends);
+  // the simulated fix then only feeds the monitors.
+  const track = state.perceivedTrack;
+  const recorded = track && trackPosition(track.points, time);
+  let perceived;
+  if (track) {
+    perceived = recorded || { ...state.perceived };
+  } else {
+    perceived = solution.ok
+      ? { x: solution.x, y: solution.y }
+      : { x: state.perceived.x + heading.x, y: state.perceived.y + heading.y };
+    if (!solution.ok && state.solution.ok) {
+      events.push(footprint(time, "WARN", `GNSS fix lost: only ${solution.used} satellites tracked.`));
+    } else if (solution.ok && !state.solution.ok) {
+      events.push(footprint(time, "AUTH", `GNSS fix re-acquired with ${solution.used} satellites.`));
+    }
+  }
+
+  const raim = monitorIntegrity({ ...state, alarm, hijackedAt }, time, integrity, events);
+  alarm = raim.alarm;
+  // A transmitter faking one system gives that system away, whatever the others do
+  const powerCheck = Object.keys(SYSTEMS)
+    .map((system) => uniformPowerTest(measurements.filter((m) => m.system === system), config.uniformPowerSpread))
+    .filter((test) => test.available)
+    .reduce((worst, test) => (test.spread < worst.spread ? test : worst), { available: false, spread: Infinity, mean: 0, fault: false });
+  const power = monitorPower({ ...state, alarm, capture }, time, powerCheck, events);
+  alarm = power.alarm;
+  const consistency = checkConsistency(config, satellites, measurements, channels, state.solution);
+  const cross = monitorConsistency({ ...state, alarm, hijackedAt }, time, consistency, events);
+  alarm = cross.alarm;
+  const osnma = authenticate({ ...state, alarm, capture }, time, dt, satellites, signals, rng, events);
+  alarm = osnma.alarm;
+
+  const cn0History = crossedInterval(time, dt, config.cn0SampleInterval)
+    ? [...state.cn0History, { time, cn0: Object.fromEntries(signals.map((sig) => [sig.id, sig.cn0])) }]
+      .slice(-config.cn0HistoryLength)
+    : state.cn0History;
+
+  if (crossedInterval(time, dt, config.telemetryInterval)) {
+    if (phase === AttackPhase.NORMAL_FLIGHT) {
+      events.push(footprint(time, "AUTH", `Position Verified: ${formatCoords(perceived.x, perceived.y, config.geo)}`));
+    } else if (atLeast(phase, AttackPhase.SPOOFING)) {
+      events.push(footprint(time, "SPOOF", `[FAKE TELEMETRY] Position: ${formatCoords(perceived.x, perceived.y, config.geo)}`));
+    }
+  }
+
+  let finalPositions = state.finalPositions;
+  if (track && !recorded) {
+    phase = AttackPhase.COMPLETED;
+    status = "Recorded NMEA log ended.";
+    events.push(footprint(time, "WARN", `NMEA log "${track.name}" ended at ${formatCoords(perceived.x, perceived.y, config.geo)}.`));
+    events.push(footprint(time, "ATTACK", `ACTUAL DRONE LOCATION: ${formatCoords(drone.x, drone.y, config.geo)}`));
+    alarm = false;
+    finalPositions = [
+      { id: "actual", x: drone.x, y: drone.y, status: "actual" },
+      { id: "reported", x: perceived.x, y: perceived.y, status: "reported" },
+    ];
+  } else if (dist(perceived, config.target) < config.arrivalRadius && capture.at === null) {
+    phase = AttackPhase.COMPLETED;
+    status = "Mission Complete: The spoofer never captured the receiver; the drone reached its real target.";
+    events.push(footprint(time, "AUTH", `Destination reached: ${formatCoords(drone.x, drone.y, config.geo)}`));
+    alarm = false;
+    finalPositions = [
+      { id: "actual", x: drone.x, y: drone.y, status: "actual" },
+      { id: "reported", x: perceived.x, y: perceived.y, status: "reported" },
+    ];
+  } else if (dist(perceived, config.target) < config.arrivalRadius) {
+    phase = AttackPhase.COMPLETED;
+    status = "Attack Complete: The drone believes it has arrived at the target, but it has been successfully diverted.";
+    events.push(footprint(time, "SPOOF", `Spoofed Destination Reached: ${formatCoords(perceived.x, perceived.y, config.geo)}`));
+    events.push(footprint(time, "ATTACK", `ACTUAL DRONE LOCATION: ${formatCoords(drone.x, drone.y, config.geo)}`));
+    alarm = false;
+    if (raim.raimDetection) {
+      events.push(footprint(time, "WARN",
+        `RAIM flagged the spoofing ${((time - raim.raimDetection.time) / 1000).toFixed(2)}s before arrival.`));
+    }
+    finalPositions = [
+      { id: "actual", x: drone.x, y: drone.y, status: "actual" },
+      { id: "reported", x: perceived.x, y: perceived.y, status: "reported" },
+    ];
+  }
+
+  return {
+    ...state,
+    rng: rng.state(),
+    time,
+    phase,
+    status,
+    alarm,
+    drone,
+    perceived,
+    satellites,
+    signals,
+    channels,
+    measurements,
+    cn0History,
+    solution: solution.ok ? solution : { ...state.solution, ok: false, used: solution.used },
+    spoofOffset,
+    slipped,
+    integrity,
+    raimFaultSince: raim.raimFaultSince,
+    raimDetection: raim.raimDetection,
+    powerCheck,
+    powerFaultSince: power.powerFaultSince,
+    powerDetection: power.powerDetection,
+    consistency,
+    crossFaultSince: cross.crossFaultSince,
+    crossDetection: cross.crossDetection,
+    auth: osnma.auth,
+    authDetection: osnma.authDetection,
+    dronePath: [...state.dronePath, drone],
+    perceivedPath: [...state.perceivedPath, perceived],
+    jammingRadius,
+    spooferLink,
+    capture,
+    hijackedAt,
+    jammerEirp: tower.jammerEirp,
+    finalPositions,
+    events,
+  };
+}
+
+/* ── NMEA output ── */
+
+const DEG = 180 / Math.PI;
+
+// Ground speed (m/s) and course (degrees true) over the last second of a path
+function motion(path, geo) {
+  const last = path.length - 1;
+  const back = Math.min(last, Math.round(1000 / TICK_MS));
+  if (back === 0) return { speed: 0, course: 0 };
+  const east = (path[last].x - path[last - back].x) * geo.metresPerUnit;
+  const north = -(path[last].y - path[last - back].y) * geo.metresPerUnit;
+  return {
+    speed: Math.hypot(east, north) / (back * TICK_MS / 1000),
+    course: (Math.atan2(east, north) * DEG + 360) % 360,
+  };
+}
+
+// Sky position as a receiver reports it: elevation, azimuth clockwise from north
+const skyPosition = (sat) => ({
+  el: sat.el * DEG,
+  az: (Math.atan2(Math.cos(sat.az), -Math.sin(sat.az)) * DEG + 360) % 360,
+});
+
+/**
+ * One epoch of NMEA for each track: ACTUAL as an unspoofed receiver on the
+ * real drone would print it, PERCEIVED as the drone's own receiver did.
+ * @param {object} state - Engine state after a step
+ * @param {number} epoch - UTC ms of sim time 0
+ * @returns {{ actual: string[], perceived: string[] }}
+ */
+export function nmeaEpoch(state, epoch) {
+  const { config } = state;
+  const { geo } = config;
+  const time = epoch + state.time;
+  const visible = state.satellites.filter((sat) => config.receiver.constellations.includes(sat.system));
+  const flightZ = config.altitude / geo.metresPerUnit;
+
+  const actualSats = visible.map((sat) => {
+    const cn0 = authenticCn0(sat, config.zenithCn0, config.elevationLoss);
+    return { ...sat, ...skyPosition(sat), cn0, used: cn0 >= config.trackingThreshold };
+  });
+  const actual = epochSentences({
+    time,
+    position: simToGeodetic({ ...state.drone, z: flightZ }, geo),
+    ...motion(state.dronePath, geo),
+    quality: "gps",
+    satellites: actualSats,
+    dop: dilution(actualSats.filter((sat) => sat.used), state.drone),
+  });
+
+  const cn0Of = new Map(state.signals.map((sig) => [sig.id, sig.cn0]));
+  const used = new Set(state.measurements.map((m) => m.id));
+  const perceivedSats = visible.map((sat) => {
+    const cn0 = cn0Of.get(sat.id);
+    return {
+      ...sat,
+      ...skyPosition(sat),
+      cn0: cn0 >= config.trackingThreshold ? cn0 : null,
+      used: used.has(sat.id),
+    };
+  });
+  const fixed = state.perceivedTrack || state.solution.ok;
+  const perceived = epochSentences({
+    time,
+    position: simToGeodetic({ ...state.perceived, z: flightZ + (state.perceivedTrack ? 0 : state.solution.z) }, geo),
+    ...motion(state.perceivedPath, geo),
+    quality: fixed ? "gps" : "dr",
+    satellites: perceivedSats,
+    dop: dilution(perceivedSats.filter((sat) => sat.used), state.perceived),
+  });
+
+  return { actual, perceived };
+}
@@ -0,0 +1,220 @@
+import { definePhases, footprint, formatCoords, crossedInterval } from "./common.js";
+import { dist, moveTowards, isPathBlocked } from "./geometry.js";
+import { createRng } from "./rng.js";
+import { DEFAULT_GEO, GEO_UNITS } from "./geo.js";
+import { antennaAt, lineOfSight, routeAround } from "./obstacles.js";
+import { receivedPower, slantRange, detectionProbability } from "./rf.js";
+
+/* ═══════════════════════════════════════════
+   MASS REDIRECTION ENGINE
+   A swarm heads for the target zone; every drone
+   that crosses the anti-drone tower's detection
+   fence is rerouted (around the tower if needed)
+   into the safe zone. The tower's sensor sweeps
+   for the drones' radio emissions: each sweep
+   picks a drone up with a probability set by its
+   RF link budget (rf.js), even odds at the fence
+   in the clear, lower where buildings and terrain
+   stand in the way. Drones fly round buildings
+   taller than the swarm.
+   ═══════════════════════════════════════════ */
+
+export const { Phase: AttackPhase, atLeast } = definePhases(
+  "INACTIVE",
+  "NORMAL_FLIGHT",
+  "REDIRECTING",
+  "SECURED"
+);
+
+export const DroneStatus = {
+  NORMAL: "NORMAL",
+  REDIRECTED: "REDIRECTED",
+  SAFE: "SAFE",
+};
+
+// Drones are positioned by their top-left corner; paths test from the centre
+const DRONE_SIZE_OFFSET = 14;
+
+export const DEFAULT_CONFIG = {
+  world: { width: 1000, height: 650 },
+  geo: DEFAULT_GEO, // where the sim origin (top-left) is on the earth, and metres per px
+  droneCount: 10,
+  spawnWidth: 100, // drones appear in a strip this wide on the left edge
+  antiDroneTower: { x: 500, y: 325, radius: 150, detectionFenceRadius: 300 },
+  targetZone: { x: 850, y: 325, size: 100 },
+  safeZone: { x: 500, y: 600, size: 120 },
+  navNodeMargin: 50, // clearance of the detour nodes beside the tower
+  droneSpeed: 30, // px/s
+  droneAltitude: 30, // m the swarm flies above the geographic origin
+  sensorHeight: 20, // m above the ground at the anti-drone tower
+  buildingClearance: 20, // px rerouted drones keep from buildings they cannot overfly
+  rf: {
+    frequency: 2437, // MHz of the drones' control and video downlink
+    propagation: "two-ray", // or "free-space"
+    droneEirp: 20, // dBm
+    sensorGain: 6, // dBi
+    detectionSpread: 0.5, // dB; how sharply the odds per sweep change around the fence
+    scanInterval: 1000, // ms between sensor sweeps
+  },
+  obstacles: null, // optional buildings and terrain, see obstacles.js
+};
+
+// Powers and gains may be negative; their units tell scenario validation so
+export const CONFIG_UNITS = {
+  geo: GEO_UNITS,
+  rf: { droneEirp: "dBm", sensorGain: "dBi" },
+};
+
+function createDrone(id, config, rng) {
+  const y = rng.next() * config.world.height;
+  const x = rng.next() * config.spawnWidth;
+  return { id, x, y, status: DroneStatus.NORMAL, path: [{ x, y }], navTarget: null, route: routeTo({ x, y }, config.targetZone, config) };
+}
+
+export function createState(config = DEFAULT_CONFIG, seed = 1) {
+  const rng = createRng(seed);
+  const drones = [];
+  for (let i = 0; i < config.droneCount; i++) drones.push(createDrone(i, config, rng));
+
+  return {
+    config,
+    rng: rng.state(),
+    time: 0,
+    phase: AttackPhase.INACTIVE,
+    status: "Drones initialized. Press 'Activate System' to start redirection.",
+    drones,
+    finalPositions: [],
+    events: [footprint(0, "AUTH", `System armed. Preparing for ${config.droneCount} potential targets.`)],
+  };
+}
+
+export function start(state) {
+  return {
+    ...state,
+    phase: AttackPhase.NORMAL_FLIGHT,
+    status: "Phase 1: Hostile drones are en route to the target zone.",
+    events: [footprint(state.time, "WARN", `${state.config.droneCount} drones detected, proceeding to target.`)],
+  };
+}
+
+export const isFinished = (state) => state.phase === AttackPhase.SECURED;
+
+// Detour points left and right of the tower for drones whose direct route would cross it
+export function navNodes({ antiDroneTower: t, navNodeMargin }) {
+  return [
+    { x: t.x - t.radius - navNodeMargin, y: t.y },
+    { x: t.x + t.radius + navNodeMargin, y: t.y },
+  ];
+}
+
+/**
+ * What one sensor sweep sees of a drone centred at `point`: line of sight,
+ * received power (dBm), the power at the fence in the clear that the sensor
+ * is tuned to, and the chance of detection.
+ */
+export function detectionAt(config, point) {
+  const { antiDroneTower: tower, rf, obstacles, world, geo } = config;
+  const sensor = antennaAt(tower, config.sensorHeight, obstacles, world);
+  const link = {
+    eirp: rf.droneEirp,
+    rxGain: rf.sensorGain,
+    frequency: rf.frequency,
+    propagation: rf.propagation,
+    txHeight: config.droneAltitude - sensor.z + config.sensorHeight,
+    rxHeight: config.sensorHeight,
+  };
+  const range = (p) => slantRange(sensor, { ...p, z: config.droneAltitude }, geo.metresPerUnit);
+  const los = lineOfSight(sensor, { ...point, z: config.droneAltitude }, obstacles, world);
+  const power = receivedPower({ ...link, distance: range(point), obstructionLoss: los.loss });
+  const sensitivity = receivedPower({ ...link, distance: range({ x: tower.x + tower.detectionFenceRadius, y: tower.y }) });
+  return { ...los, power, sensitivity, probability: detectionProbability(power, sensitivity, rf.detectionSpread) };
+}
+
+// Legs from a drone to `goal` round the buildings in the way, both as top-left corners
+function routeTo(drone, goal, config) {
+  if (!config.obstacles) return null;
+  const shift = (p, d) => ({ x: p.x + d, y: p.y + d });
+  return routeAround(shift(drone, DRONE_SIZE_OFFSET), shift(goal, DRONE_SIZE_OFFSET), config.obstacles,
+    config.world, config.droneAltitude, config.buildingClearance + DRONE_SIZE_OFFSET)
+    .map((p) => shift(p, -DRONE_SIZE_OFFSET));
+}
+
+export function step(state, dt) {
+  if (state.phase === AttackPhase.INACTIVE || isFinished(state)) return { ...state, events: [] };
+
+  const { config } = state;
+  const { antiDroneTower, targetZone, safeZone } = config;
+  const rng = createRng(state.rng);
+  const time = state.time + dt;
+  const sweep = crossedInterval(time, dt, config.rf.scanInterval);
+  const stepLen = config.droneSpeed * dt / 1000;
+  const safeZoneTarget = { x: safeZone.x, y: safeZone.y };
+  const nodes = navNodes(config);
+  const events = [];
+  let detected = false;
+
+  const drones = state.drones.map((drone) => {
+    let status = drone.status;
+    let navTarget = drone.navTarget;
+    let route = drone.route;
+
+    const center = { x: drone.x + DRONE_SIZE_OFFSET, y: drone.y + DRONE_SIZE_OFFSET };
+    if (status === DroneStatus.NORMAL && sweep && rng.next() < detectionAt(config, center).probability) {
+      status = DroneStatus.REDIRECTED;
+      detected = true;
+      events.push(footprint(time, "ATTACK",
+        `Target ${drone.id}: Hostile intent detected at fence ${formatCoords(center.x, center.y, config.geo)}. Rerouting to safe zone.`));
+      if (isPathBlocked(center, safeZoneTarget, antiDroneTower)) {
+        navTarget = dist(drone, nodes[0]) < dist(drone, nodes[1]) ? nodes[0] : nodes[1];
+        events.push(footprint(time, "AUTH", `Target ${drone.id}: Path blocked. Rerouting via NavNode.`));
+      } else {
+        navTarget = safeZoneTarget;
+      }
+      route = routeTo(drone, navTarget, config);
+      if (route && route.length > 1) {
+        events.push(footprint(time, "AUTH", `Target ${drone.id}: Routing around buildings via ${route.length - 1} waypoints.`));
+      }
+    }
+
+    const goal = route?.[0] || (status === DroneStatus.NORMAL ? targetZone : navTarget || safeZoneTarget);
+    const pos = moveTowards(drone, goal, stepLen);
+    if (route && route.length > 0 && dist(pos, route[0]) < stepLen) route = route.slice(1);
+
+    if (status === DroneStatus.REDIRECTED && navTarget && navTarget !== safeZoneTarget && dist(pos, navTarget) < stepLen * 2) {
+      navTarget = safeZoneTarget;
+      route = routeTo(pos, navTarget, config);
+    }
+
+    if (status === DroneStatus.REDIRECTED && dist(pos, safeZoneTarget) < safeZone.size / 2) {
+      status = DroneStatus.SAFE;
+      events.push(footprint(time, "SPOOF", `Target ${drone.id} has been secured in the safe zone.`));
+    }
+
+    return {
+      ...drone,
+      x: pos.x,
+      y: pos.y,
+      status,
+      path: [...drone.path, pos],
+      navTarget,
+      route,
+    };
+  });
+
+  let { phase, status } = state;
+  let finalPositions = state.finalPositions;
+
+  if (detected && phase === AttackPhase.NORMAL_FLIGHT) {
+    phase = AttackPhase.REDIRECTING;
+    status = "Phase 2: Anti-drone system activated. Redirecting all hostile targets at the fence.";
+  }
+
+  if (drones.every((d) => d.status === DroneStatus.SAFE)) {
+    phase = AttackPhase.SECURED;
+    status = "Phase 3: All hostile drones have been successfully neutralized in the safe zone.";
+    events.push(footprint(time, "AUTH", `All ${config.droneCount} threats secured. System standing by.`));
+    finalPositions = drones.map((d) => ({ id: d.id, x: d.x, y: d.y, status: "safe" }));
+  }
+
+  return { ...state, rng: rng.state(), time, phase, status, drones, finalPositions, events };
+}
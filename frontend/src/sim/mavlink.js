@@ -0,0 +1,266 @@
+import { sha256 } from "../lib/sha256.js";
+
+/* ═══════════════════════════════════════════
+   MAVLINK 2
+   The C2 link's wire format. A frame is
+
+     STX 0xFD | len | incompat | compat | seq |
+     sysid | compid | msgid (3, LE) | payload |
+     checksum (2, LE)
+
+   with the payload's fields little-endian in
+   wire order (largest type first, extension
+   fields last) and its trailing zero bytes
+   dropped. The checksum is CRC-16/MCRF4XX
+   (X.25) over everything after STX, then over
+   the message's CRC_EXTRA byte, a digest of
+   its definition, so sender and receiver must
+   agree on the field layout.
+   A signed frame sets incompat flag 0x01 and
+   carries 13 more bytes after the checksum:
+   link id, a 48-bit timestamp (10 µs units
+   since 2015-01-01 UTC) and the first 6 bytes
+   of SHA-256(key | header | payload | checksum
+   | link id | timestamp) for a 32-byte key
+   shared by the ground station and autopilot.
+   ═══════════════════════════════════════════ */
+
+export const MAGIC = 0xfd;
+export const HEADER_LEN = 10;
+export const CHECKSUM_LEN = 2;
+export const SIGNATURE_LEN = 13;
+export const IFLAG_SIGNED = 0x01;
+export const SIGNING_EPOCH = Date.UTC(2015, 0, 1);
+
+const TYPES = {
+  uint8_t: { size: 1, get: "getUint8", set: "setUint8" },
+  uint16_t: { size: 2, get: "getUint16", set: "setUint16" },
+  uint32_t: { size: 4, get: "getUint32", set: "setUint32" },
+  int32_t: { size: 4, get: "getInt32", set: "setInt32" },
+  float: { size: 4, get: "getFloat32", set: "setFloat32" },
+};
+
+// Field lists are in wire order; `extensions` follow the base fields and are left out of CRC_EXTRA
+export const MESSAGES = {
+  HEARTBEAT: {
+    id: 0,
+    crcExtra: 50,
+    fields: [
+      ["custom_mode", "uint32_t"],
+      ["type", "uint8_t"],
+      ["autopilot", "uint8_t"],
+      ["base_mode", "uint8_t"],
+      ["system_status", "uint8_t"],
+      ["mavlink_version", "uint8_t"],
+    ],
+  },
+  MISSION_ITEM_INT: {
+    id: 73,
+    crcExtra: 38,
+    fields: [
+      ["param1", "float"],
+      ["param2", "float"],
+      ["param3", "float"],
+      ["param4", "float"],
+      ["x", "int32_t"],
+      ["y", "int32_t"],
+      ["z", "float"],
+      ["seq", "uint16_t"],
+      ["command", "uint16_t"],
+      ["target_system", "uint8_t"],
+      ["target_component", "uint8_t"],
+      ["frame", "uint8_t"],
+      ["current", "uint8_t"],
+      ["autocontinue", "uint8_t"],
+    ],
+    extensions: [["mission_type", "uint8_t"]],
+  },
+  COMMAND_LONG: {
+    id: 76,
+    crcExtra: 152,
+    fields: [
+      ["param1", "float"],
+      ["param2", "float"],
+      ["param3", "float"],
+      ["param4", "float"],
+      ["param5", "float"],
+      ["param6", "float"],
+      ["param7", "float"],
+      ["command", "uint16_t"],
+      ["target_system", "uint8_t"],
+      ["target_component", "uint8_t"],
+      ["confirmation", "uint8_t"],
+    ],
+  },
+  SET_POSITION_TARGET_LOCAL_NED: {
+    id: 84,
+    crcExtra: 143,
+    fields: [
+      ["time_boot_ms", "uint32_t"],
+      ["x", "float"],
+      ["y", "float"],
+      ["z", "float"],
+      ["vx", "float"],
+      ["vy", "float"],
+      ["vz", "float"],
+      ["afx", "float"],
+      ["afy", "float"],
+      ["afz", "float"],
+      ["yaw", "float"],
+      ["yaw_rate", "float"],
+      ["type_mask", "uint16_t"],
+      ["target_system", "uint8_t"],
+      ["target_component", "uint8_t"],
+      ["coordinate_frame", "uint8_t"],
+    ],
+  },
+};
+
+const BY_ID = Object.fromEntries(Object.entries(MESSAGES).map(([name, def]) => [def.id, { name, ...def }]));
+
+// Enum values the simulation sends, named for the inspector
+export const MAV_TYPE = { QUADROTOR: 2, GCS: 6 };
+export const MAV_AUTOPILOT = { ARDUPILOTMEGA: 3, INVALID: 8 };
+export const MAV_STATE = { ACTIVE: 4 };
+export const MAV_FRAME = { GLOBAL: 0, LOCAL_NED: 1, MISSION: 2, GLOBAL_RELATIVE_ALT: 3, GLOBAL_RELATIVE_ALT_INT: 6 };
+export const MAV_CMD = {
+  NAV_WAYPOINT: 16,
+  NAV_LOITER_TIME: 19,
+  NAV_RETURN_TO_LAUNCH: 20,
+  NAV_LAND: 21,
+  NAV_TAKEOFF: 22,
+  DO_SET_MODE: 176,
+  DO_CHANGE_SPEED: 178,
+};
+export const COPTER_MODE = { AUTO: 3, GUIDED: 4 };
+// SET_POSITION_TARGET type_mask: ignore velocity, acceleration, yaw and yaw rate
+export const POSITION_ONLY = 0x0df8;
+
+export const COMMAND_NAMES = Object.fromEntries(Object.entries(MAV_CMD).map(([name, id]) => [id, `MAV_CMD_${name}`]));
+
+const allFields = (def) => [...def.fields, ...(def.extensions || [])];
+const payloadSize = (def) => allFields(def).reduce((sum, [, type]) => sum + TYPES[type].size, 0);
+
+/** CRC-16/MCRF4XX of `bytes`, continuing from `crc` */
+export function crcX25(bytes, crc = 0xffff) {
+  for (const byte of bytes) {
+    let tmp = byte ^ (crc & 0xff);
+    tmp = (tmp ^ (tmp << 4)) & 0xff;
+    crc = ((crc >> 8) ^ (tmp << 8) ^ (tmp << 3) ^ (tmp >> 4)) & 0xffff;
+  }
+  return crc;
+}
+
+// Checksum of a frame's header and payload (without STX), seeded with the message's CRC_EXTRA
+const frameCrc = (body, crcExtra) => crcX25([crcExtra], crcX25(body));
+
+/** Signing timestamp (10 µs units since SIGNING_EPOCH) of a UTC time in ms */
+export const signingTimestamp = (utcMs) => Math.round((utcMs - SIGNING_EPOCH) * 100);
+
+// The 6-byte signature of `signed` (a frame up to its checksum) with a link id and timestamp
+function signature(key, signed, linkId, timestamp) {
+  const block = new Uint8Array(7);
+  block[0] = linkId;
+  for (let i = 0; i < 6; i++) block[1 + i] = Math.floor(timestamp / 2 ** (8 * i)) & 0xff;
+  const message = new Uint8Array(key.length + signed.length + block.length);
+  message.set(key);
+  message.set(signed, key.length);
+  message.set(block, key.length + signed.length);
+  return { block, signature: sha256(message).subarray(0, 6) };
+}
+
+/**
+ * Build a MAVLink 2 frame.
+ * @param {object} frame
+ * @param {string} frame.message - Key of MESSAGES
+ * @param {number} frame.seq - Sender's sequence number (wraps at 256)
+ * @param {number} frame.sysid
+ * @param {number} frame.compid
+ * @param {object} frame.fields - Values by field name; missing ones are zero
+ * @param {{ key: Uint8Array, linkId: number, timestamp: number }} [frame.signing] - Sign with this key
+ * @returns {Uint8Array}
+ */
+export function encodeFrame({ message, seq, sysid, compid, fields, signing }) {
+  const def = MESSAGES[message];
+  if (!def) throw new Error(`Unknown MAVLink message "${message}"`);
+
+  const payload = new Uint8Array(payloadSize(def));
+  const view = new DataView(payload.buffer);
+  let offset = 0;
+  for (const [name, type] of allFields(def)) {
+    view[TYPES[type].set](offset, fields[name] || 0, true);
+    offset += TYPES[type].size;
+  }
+  // Trailing zeros are not sent; at least one payload byte is
+  let len = payload.length;
+  while (len > 1 && payload[len - 1] === 0) len--;
+
+  const unsigned = HEADER_LEN + len + CHECKSUM_LEN;
+  const frame = new Uint8Array(unsigned + (signing ? SIGNATURE_LEN : 0));
+  const flags = signing ? IFLAG_SIGNED : 0;
+  frame.set([MAGIC, len, flags, 0, seq & 0xff, sysid, compid, def.id & 0xff, (def.id >> 8) & 0xff, def.id >> 16]);
+  frame.set(payload.subarray(0, len), HEADER_LEN);
+  const crc = frameCrc(frame.subarray(1, HEADER_LEN + len), def.crcExtra);
+  frame[HEADER_LEN + len] = crc & 0xff;
+  frame[HEADER_LEN + len + 1] = crc >> 8;
+  if (signing) {
+    const { block, signature: sig } = signature(signing.key, frame.subarray(0, unsigned), signing.linkId, signing.timestamp);
+    frame.set(block, unsigned);
+    frame.set(sig, unsigned + block.length);
+  }
+  return frame;
+}
+
+/**
+ * Whether a signed frame's signature matches `key`. Checks the bytes only:
+ * the receiver still has to reject timestamps it has already seen (replays).
+ * @param {Uint8Array} bytes - A whole frame, as decodeFrame takes it
+ */
+export function verifySignature(bytes, key) {
+  const frame = decodeFrame(bytes);
+  if (!frame.signature) return false;
+  const unsigned = frame.length - SIGNATURE_LEN;
+  const { signature: expected } = signature(key, bytes.subarray(0, unsigned), frame.signature.linkId, frame.signature.timestamp);
+  return expected.every((b, i) => b === bytes[unsigned + 7 + i]);
+}
+
+/**
+ * Parse a MAVLink 2 frame. Messages this module does not define come back
+ * with `message` and `fields` null and the checksum unchecked.
+ * @param {Uint8Array} bytes
+ * @returns {{ seq, sysid, compid, msgid, message: string | null, fields: object | null,
+ *   checksum: number, crcOk: boolean | null, incompatFlags: number, length: number,
+ *   signature: { linkId: number, timestamp: number } | null }}
+ */
+export function decodeFrame(bytes) {
+  if (bytes.length < HEADER_LEN + CHECKSUM_LEN || bytes[0] !== MAGIC) throw new Error("Not a MAVLink 2 frame");
+  const len = bytes[1];
+  const signed = (bytes[2] & IFLAG_SIGNED) !== 0;
+  const length = HEADER_LEN + len + CHECKSUM_LEN + (signed ? SIGNATURE_LEN : 0);
+  if (bytes.length < length) throw new Error(`Truncated frame: ${bytes.length} of ${length} bytes`);
+
+  const msgid = bytes[7] | (bytes[8] << 8) | (bytes[9] << 16);
+  const checksum = bytes[HEADER_LEN + len] | (bytes[HEADER_LEN + len + 1] << 8);
+  let signature = null;
+  if (signed) {
+    const at = HEADER_LEN + len + CHECKSUM_LEN;
+    const timestamp = bytes.subarray(at + 1, at + 7).reduce((sum, b, i) => sum + b * 2 ** (8 * i), 0);
+    signature = { linkId: bytes[at], timestamp };
+  }
+  const header = { seq: bytes[4], sysid: bytes[5], compid: bytes[6], msgid, checksum, incompatFlags: bytes[2], length, signature };
+  const def = BY_ID[msgid];
+  if (!def) return { ...header, message: null, fields: null, crcOk: null };
+
+  // Put back the zeros the sender truncated
+  const payload = new Uint8Array(Math.max(payloadSize(def), len));
+  payload.set(bytes.subarray(HEADER_LEN, HEADER_LEN + len));
+  const view = new DataView(payload.buffer);
+  const fields = {};
+  let offset = 0;
+  for (const [name, type] of allFields(def)) {
+    fields[name] = view[TYPES[type].get](offset, true);
+    offset += TYPES[type].size;
+  }
+  const crcOk = frameCrc(bytes.subarray(1, HEADER_LEN + len), def.crcExtra) === checksum;
+  return { ...header, message: def.name, fields, crcOk };
+}
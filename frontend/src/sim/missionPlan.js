@@ -0,0 +1,182 @@
+import { simToGeodetic, geodeticToSim } from "./geo.js";
+import { MAV_CMD, MAV_FRAME } from "./mavlink.js";
+
+/* ═══════════════════════════════════════════
+   MISSION FILES
+   A mission plan as QGroundControl reads and
+   writes it: the JSON `.plan` and the legacy
+   tab-separated `.waypoints` (QGC WPL 110, also
+   Mission Planner's). A plan is the launch
+   point plus waypoints
+     { x, y, altitude, loiter, speed }
+   in sim units, altitude in m above the launch
+   point (left out: the take-off altitude),
+   loiter in s and speed in px/s (0: the cruise
+   speed). On file a waypoint is a NAV_WAYPOINT
+   with its hold time in param1, and a leg at
+   another speed is preceded by a
+   DO_CHANGE_SPEED, which holds until the next.
+   Positions are geo-referenced through
+   config.geo.
+   ═══════════════════════════════════════════ */
+
+// How an injected mission item edits the plan: inserted before, or in place of, item #seq
+export const MISSION_EDITS = ["insert", "replace"];
+
+export const MISSION_FORMATS = {
+  plan: { label: "QGroundControl .plan", ext: "plan", type: "application/json" },
+  waypoints: { label: "Legacy .waypoints", ext: "waypoints", type: "text/plain" },
+};
+
+const WPL_HEADER = "QGC WPL 110";
+const FIRMWARE_ARDUPILOT = 3;
+const VEHICLE_QUADROTOR = 2;
+const SPEED_GROUND = 1; // DO_CHANGE_SPEED param1
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// The plan's items on file, with all seven params: speed changes, then each waypoint
+function missionItems({ waypoints, droneSpeed, altitude, geo }) {
+  const items = [];
+  let speed = droneSpeed;
+  for (const wp of waypoints) {
+    const legSpeed = wp.speed || droneSpeed;
+    if (legSpeed !== speed) {
+      items.push({ command: MAV_CMD.DO_CHANGE_SPEED, frame: MAV_FRAME.MISSION, params: [SPEED_GROUND, round(legSpeed * geo.metresPerUnit, 2), -1, 0, 0, 0, 0] });
+      speed = legSpeed;
+    }
+    const { lat, lon } = simToGeodetic(wp, geo);
+    items.push({
+      command: MAV_CMD.NAV_WAYPOINT,
+      frame: MAV_FRAME.GLOBAL_RELATIVE_ALT,
+      params: [wp.loiter || 0, 0, 0, 0, round(lat, 8), round(lon, 8), wp.altitude ?? altitude],
+    });
+  }
+  return items;
+}
+
+/** The mission as a QGroundControl `.plan` document */
+export function toQgcPlan(config) {
+  const { lat, lon } = simToGeodetic(config.start, config.geo);
+  const cruise = round(config.droneSpeed * config.geo.metresPerUnit, 2);
+  return {
+    fileType: "Plan",
+    version: 1,
+    groundStation: "QGroundControl",
+    mission: {
+      version: 2,
+      firmwareType: FIRMWARE_ARDUPILOT,
+      vehicleType: VEHICLE_QUADROTOR,
+      cruiseSpeed: cruise,
+      hoverSpeed: cruise,
+      plannedHomePosition: [round(lat, 8), round(lon, 8), config.geo.alt],
+      items: missionItems(config).map((item, i) => ({
+        type: "SimpleItem",
+        autoContinue: true,
+        command: item.command,
+        doJumpId: i + 1,
+        frame: item.frame,
+        params: item.params,
+        ...(item.command === MAV_CMD.NAV_WAYPOINT && { Altitude: item.params[6], AltitudeMode: 1, AMSLAltAboveTerrain: null }),
+      })),
+    },
+    geoFence: { circles: [], polygons: [], version: 2 },
+    rallyPoints: { points: [], version: 2 },
+  };
+}
+
+/** The mission as a `.waypoints` text file; row 0 is the launch point, in absolute altitude */
+export function toWaypointsFile(config) {
+  const { lat, lon } = simToGeodetic(config.start, config.geo);
+  const rows = [
+    [0, 1, MAV_FRAME.GLOBAL, MAV_CMD.NAV_WAYPOINT, 0, 0, 0, 0, round(lat, 8), round(lon, 8), config.geo.alt, 1],
+    ...missionItems(config).map((item, i) => [i + 1, 0, item.frame, item.command, ...item.params, 1]),
+  ];
+  return [WPL_HEADER, ...rows.map((row) => row.join("\t"))].join("\n") + "\n";
+}
+
+// Plan of file items { command, frame, params } after the launch point `home` ({ lat, lon, alt })
+function planOf(items, home, config) {
+  const { geo, world } = config;
+  const waypoints = [];
+  let speed = 0;
+  let skipped = 0;
+  // Sim point of a position on file, which has to lie on the map
+  const toSim = (lat, lon, what) => {
+    const p = geodeticToSim({ lat, lon, alt: geo.alt }, geo);
+    const point = { x: Math.round(p.x), y: Math.round(p.y) };
+    if (point.x < 0 || point.y < 0 || point.x > world.width || point.y > world.height) {
+      throw new Error(`${what} (${lat}, ${lon}) is outside the map`);
+    }
+    return point;
+  };
+
+  items.forEach(({ command, frame, params }, i) => {
+    if (command === MAV_CMD.DO_CHANGE_SPEED) {
+      // Back at the cruise speed is the default again
+      if (params[1] > 0) speed = round(params[1] / geo.metresPerUnit, 2);
+      if (speed === config.droneSpeed) speed = 0;
+    } else if (command === MAV_CMD.NAV_WAYPOINT || command === MAV_CMD.NAV_LOITER_TIME) {
+      const [hold, , , , lat, lon, alt] = params;
+      const point = toSim(lat, lon, `Item ${i + 1}`);
+      const altitude = frame === MAV_FRAME.GLOBAL ? alt - home.alt : alt;
+      if (!(altitude >= 0)) throw new Error(`Item ${i + 1} has a negative altitude`);
+      waypoints.push({ ...point, altitude: round(altitude, 1), loiter: Math.max(hold, 0), speed });
+    } else {
+      // Take-off, landing and return to launch are flown implicitly; other commands are not simulated
+      skipped++;
+    }
+  });
+  if (waypoints.length === 0) throw new Error("The mission has no waypoints");
+  const start = home.lat === undefined ? config.start : toSim(home.lat, home.lon, "The launch point");
+  return { start, waypoints, skipped };
+}
+
+/**
+ * Read a QGroundControl `.plan` document (text or parsed).
+ * @returns {{ start: { x, y }, waypoints: Array<object>, skipped: number }} skipped: items not simulated
+ * @throws {Error} If it is not a plan, has complex items or no waypoints, or a waypoint is off the map
+ */
+export function parseQgcPlan(data, config) {
+  const doc = typeof data === "string" ? JSON.parse(data) : data;
+  if (doc?.fileType !== "Plan" || !Array.isArray(doc.mission?.items)) throw new Error("Not a QGroundControl plan");
+  const items = doc.mission.items.map((item, i) => {
+    if (item.type !== "SimpleItem") throw new Error(`Item ${i + 1} is a ${item.complexItemType || item.type}; only simple items are supported`);
+    return { command: item.command, frame: item.frame, params: item.params.map((p) => p ?? 0) };
+  });
+  const [lat, lon, alt = config.geo.alt] = doc.mission.plannedHomePosition || [];
+  return planOf(items, { lat, lon, alt }, config);
+}
+
+/**
+ * Read a `.waypoints` text file (QGC WPL 110).
+ * @returns {{ start: { x, y }, waypoints: Array<object>, skipped: number }}
+ * @throws {Error} On a missing header, malformed rows, or as parseQgcPlan
+ */
+export function parseWaypointsFile(text, config) {
+  const [header, ...lines] = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (!/^QGC WPL 1\d0$/.test(header?.trim())) throw new Error(`Missing "${WPL_HEADER}" header`);
+  const rows = lines.map((line, i) => {
+    const cols = line.trim().split(/\s+/).map(Number);
+    if (cols.length !== 12 || cols.some((v) => !Number.isFinite(v))) throw new Error(`Line ${i + 2} is not 12 numbers`);
+    return cols;
+  });
+  if (rows.length === 0) throw new Error("The mission has no waypoints");
+  const [, , , , , , , , lat, lon, alt] = rows[0];
+  const items = rows.slice(1).map(([, , frame, command, ...rest]) => ({ command, frame, params: rest.slice(0, 7) }));
+  return planOf(items, { lat, lon, alt }, config);
+}
+
+/**
+ * Check the attacker's mission edits of a scenario; positions and numbers are
+ * checked against the defaults already.
+ * @returns {string[]} Problems found
+ */
+export function validateMissionEdits(edits, path = "config.injectedMission") {
+  const errors = [];
+  edits.forEach(({ action, seq }, i) => {
+    if (!MISSION_EDITS.includes(action)) errors.push(`${path}[${i}].action must be one of ${MISSION_EDITS.join(", ")}`);
+    if (!(Number.isInteger(seq) && seq >= 0)) errors.push(`${path}[${i}].seq must be a whole number, 0 or more`);
+  });
+  return errors;
+}
@@ -0,0 +1,191 @@
+/* ═══════════════════════════════════════════
+   NMEA 0183
+   What a GNSS receiver prints on its serial
+   port: GGA (fix), RMC (course and speed), GSA
+   (satellites used, DOP) and GSV (satellites in
+   view). Each sentence is `$<talker><type>,...`
+   followed by `*` and the XOR of the characters
+   in between as two hex digits. Times are UTC.
+   Parsing goes the other way, recovering the
+   fixes of a recorded receiver log.
+   ═══════════════════════════════════════════ */
+
+// Talker per system, and the combined talker for fixes from more than one
+const TALKERS = { GPS: "GP", Galileo: "GA", GLONASS: "GL" };
+const MULTI_TALKER = "GN";
+// NMEA 4.10 system IDs, appended to GSA when several systems share a fix
+const SYSTEM_IDS = { GPS: 1, GLONASS: 2, Galileo: 3 };
+// GLONASS slots are numbered 65–96 in NMEA; GPS and Galileo use their own PRNs
+const PRN_OFFSET = { GPS: 0, Galileo: 0, GLONASS: 64 };
+
+const KNOTS_PER_MS = 1.943844;
+const DAY_MS = 86400000;
+
+export const checksum = (body) =>
+  [...body].reduce((sum, ch) => sum ^ ch.charCodeAt(0), 0).toString(16).toUpperCase().padStart(2, "0");
+
+const sentence = (fields) => {
+  const body = fields.join(",");
+  return `$${body}*${checksum(body)}`;
+};
+
+const pad = (n, width) => String(n).padStart(width, "0");
+
+// ddmm.mmmmm / dddmm.mmmmm plus hemisphere
+function formatAngle(deg, degWidth, [pos, neg]) {
+  const abs = Math.abs(deg);
+  let whole = Math.floor(abs);
+  let minutes = Number(((abs - whole) * 60).toFixed(5));
+  if (minutes >= 60) { whole += 1; minutes -= 60; }
+  return [`${pad(whole, degWidth)}${minutes.toFixed(5).padStart(8, "0")}`, deg < 0 ? neg : pos];
+}
+
+const formatLat = (lat) => formatAngle(lat, 2, ["N", "S"]);
+const formatLon = (lon) => formatAngle(lon, 3, ["E", "W"]);
+
+function formatTime(epochMs) {
+  const d = new Date(epochMs);
+  const hundredths = Math.floor(d.getUTCMilliseconds() / 10);
+  return `${pad(d.getUTCHours(), 2)}${pad(d.getUTCMinutes(), 2)}${pad(d.getUTCSeconds(), 2)}.${pad(hundredths, 2)}`;
+}
+
+function formatDate(epochMs) {
+  const d = new Date(epochMs);
+  return `${pad(d.getUTCDate(), 2)}${pad(d.getUTCMonth() + 1, 2)}${pad(d.getUTCFullYear() % 100, 2)}`;
+}
+
+export const nmeaPrn = (sat) => Number(sat.id.slice(1)) + PRN_OFFSET[sat.system];
+
+/**
+ * The sentences a receiver prints for one epoch.
+ * @param {object} fix
+ * @param {number} fix.time - UTC, ms since the epoch
+ * @param {{ lat, lon, alt }} fix.position - Degrees, metres
+ * @param {number} fix.speed - m/s over ground
+ * @param {number} fix.course - Degrees true
+ * @param {"gps" | "dr" | "none"} fix.quality - Satellite fix, dead reckoning, or no fix
+ * @param {Array<{ id, system, el, az, cn0, used }>} fix.satellites - In view; el/az in degrees
+ * @param {{ pdop, hdop, vdop } | null} fix.dop
+ * @returns {string[]} GGA, RMC, one GSA per system, GSV per system
+ */
+export function epochSentences({ time, position, speed, course, quality, satellites, dop }) {
+  const systems = [...new Set(satellites.map((sat) => sat.system))];
+  const talker = systems.length === 1 ? TALKERS[systems[0]] : MULTI_TALKER;
+  const [lat, ns] = formatLat(position.lat);
+  const [lon, ew] = formatLon(position.lon);
+  const used = satellites.filter((sat) => sat.used);
+  const d = dop || { pdop: 99.99, hdop: 99.99, vdop: 99.99 };
+  const valid = quality !== "none";
+
+  const sentences = [
+    sentence([
+      `${talker}GGA`, formatTime(time), lat, ns, lon, ew,
+      { gps: 1, dr: 6, none: 0 }[quality], pad(used.length, 2), d.hdop.toFixed(2),
+      position.alt.toFixed(1), "M", "0.0", "M", "", "",
+    ]),
+    sentence([
+      `${talker}RMC`, formatTime(time), valid ? "A" : "V", lat, ns, lon, ew,
+      (speed * KNOTS_PER_MS).toFixed(2), course.toFixed(1), formatDate(time), "", "",
+      { gps: "A", dr: "E", none: "N" }[quality],
+    ]),
+  ];
+
+  for (const system of systems) {
+    const prns = used.filter((sat) => sat.system === system).map(nmeaPrn).slice(0, 12);
+    sentences.push(sentence([
+      `${talker}GSA`, "A", valid ? "3" : "1",
+      ...Array.from({ length: 12 }, (_, i) => (prns[i] !== undefined ? pad(prns[i], 2) : "")),
+      d.pdop.toFixed(2), d.hdop.toFixed(2), d.vdop.toFixed(2),
+      ...(systems.length > 1 ? [SYSTEM_IDS[system]] : []),
+    ]));
+  }
+
+  // GSV: up to four satellites per sentence
+  for (const system of systems) {
+    const inView = satellites.filter((sat) => sat.system === system);
+    const total = Math.ceil(inView.length / 4);
+    for (let i = 0; i < total; i++) {
+      const group = inView.slice(i * 4, i * 4 + 4).flatMap((sat) => [
+        pad(nmeaPrn(sat), 2),
+        pad(Math.round(sat.el), 2),
+        pad(Math.round(sat.az) % 360, 3),
+        sat.cn0 === null ? "" : pad(Math.round(sat.cn0), 2),
+      ]);
+      sentences.push(sentence([`${TALKERS[system]}GSV`, total, i + 1, pad(inView.length, 2), ...group]));
+    }
+  }
+  return sentences;
+}
+
+/* ── Parsing ── */
+
+const parseAngle = (value, hemisphere, degWidth) => {
+  if (!value || !hemisphere) return null;
+  const deg = Number(value.slice(0, degWidth)) + Number(value.slice(degWidth)) / 60;
+  if (!Number.isFinite(deg)) return null;
+  return hemisphere === "S" || hemisphere === "W" ? -deg : deg;
+};
+
+// hhmmss.ss → ms since midnight
+const parseTime = (value) => {
+  const match = /^(\d{2})(\d{2})(\d{2}(?:\.\d+)?)$/.exec(value || "");
+  if (!match) return null;
+  return ((Number(match[1]) * 60 + Number(match[2])) * 60 + Number(match[3])) * 1000;
+};
+
+/**
+ * Position fixes from a receiver log. Uses GGA, or RMC if the log has no GGA;
+ * sentences with a bad checksum, other types and no-fix epochs are skipped.
+ * Throws with a readable message if nothing usable is left.
+ * @param {string} text
+ * @returns {{ fixes: Array<{ time, lat, lon, alt }>, skipped: number }} time in ms from the first fix
+ */
+export function parseNmea(text) {
+  const gga = [];
+  const rmc = [];
+  let skipped = 0;
+  let sentences = 0;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line.startsWith("$")) continue;
+    const match = /^\$([^*]+)\*([0-9A-Fa-f]{2})$/.exec(line);
+    if (!match || checksum(match[1]) !== match[2].toUpperCase()) {
+      skipped += 1;
+      continue;
+    }
+    sentences += 1;
+    const f = match[1].split(",");
+    const type = f[0].slice(2);
+    if (type === "GGA") {
+      const time = parseTime(f[1]);
+      const lat = parseAngle(f[2], f[3], 2);
+      const lon = parseAngle(f[4], f[5], 3);
+      if (time === null || lat === null || lon === null || Number(f[6]) === 0) continue;
+      gga.push({ time, lat, lon, alt: Number(f[9]) || 0 });
+    } else if (type === "RMC") {
+      const time = parseTime(f[1]);
+      const lat = parseAngle(f[3], f[4], 2);
+      const lon = parseAngle(f[5], f[6], 3);
+      if (time === null || lat === null || lon === null || f[2] !== "A") continue;
+      rmc.push({ time, lat, lon, alt: 0 });
+    }
+  }
+
+  if (sentences === 0) throw new Error("No valid NMEA sentences found");
+  const source = gga.length > 0 ? gga : rmc;
+  if (source.length === 0) throw new Error("The log has no GGA or RMC position fixes");
+
+  // Times of day: unwrap past midnight, drop repeats, count from the first fix
+  const fixes = [];
+  let dayOffset = 0;
+  for (const fix of source) {
+    const last = fixes[fixes.length - 1];
+    if (last && fix.time + dayOffset < last.time - DAY_MS / 2) dayOffset += DAY_MS;
+    const time = fix.time + dayOffset;
+    if (last && time <= last.time) continue;
+    fixes.push({ ...fix, time });
+  }
+  const t0 = fixes[0].time;
+  return { fixes: fixes.map((fix) => ({ ...fix, time: fix.time - t0 })), skipped };
+}
@@ -0,0 +1,314 @@
+import { geodeticToSim } from "./geo.js";
+
+/* ═══════════════════════════════════════════
+   OBSTACLES & LINE OF SIGHT
+   An engine config can carry optional obstacles:
+
+   obstacles: {
+     buildings: [{ id, footprint: [{ x, y }, …], height }],
+     terrain: { cols, rows, heights: [ … ] },
+     buildingLoss: 20, terrainLoss: 30,   // optional, dB
+   }
+
+   Footprints are sim units; heights metres. A
+   building stands on the terrain under its
+   footprint. The terrain is a cols × rows grid of
+   elevations (metres above the geographic origin,
+   row-major from the top-left) stretched over the
+   world and interpolated between posts.
+   A radio path between two antennas loses
+   buildingLoss for every building it passes
+   through and terrainLoss when the ground rises
+   above it; routes for flying drones go around
+   buildings taller than their altitude.
+   ═══════════════════════════════════════════ */
+
+export const BUILDING_LOSS = 20; // dB through one building
+export const TERRAIN_LOSS = 30; // dB over a terrain ridge
+
+// Storey height used when a GeoJSON building only gives building:levels
+const LEVEL_HEIGHT = 3;
+// Largest terrain grid made from a heightmap image, per side
+const MAX_TERRAIN_POSTS = 64;
+// Most terrain samples taken along one path
+const MAX_TERRAIN_SAMPLES = 200;
+
+const EPS = 1e-9;
+
+/* ── Terrain ── */
+
+/** Ground elevation (m) at a sim point; 0 without terrain */
+export function terrainHeight(terrain, world, point) {
+  if (!terrain) return 0;
+  const { cols, rows, heights } = terrain;
+  const gx = Math.min(Math.max(point.x / world.width, 0), 1) * (cols - 1);
+  const gy = Math.min(Math.max(point.y / world.height, 0), 1) * (rows - 1);
+  const i = Math.min(Math.floor(gx), cols - 2), j = Math.min(Math.floor(gy), rows - 2);
+  const fx = gx - i, fy = gy - j;
+  const at = (c, r) => heights[r * cols + c];
+  const top = at(i, j) * (1 - fx) + at(i + 1, j) * fx;
+  const bottom = at(i, j + 1) * (1 - fx) + at(i + 1, j + 1) * fx;
+  return top * (1 - fy) + bottom * fy;
+}
+
+/**
+ * Terrain grid from a grayscale heightmap: black is 0 m, white maxElevation.
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} image RGBA pixels, as from a canvas
+ * @throws {Error} If the image is narrower or lower than 2 pixels, too small to interpolate
+ */
+export function terrainFromHeightmap({ data, width, height }, maxElevation) {
+  if (width < 2 || height < 2) throw new Error("Heightmap must be at least 2×2 pixels");
+  const cols = Math.min(width, MAX_TERRAIN_POSTS), rows = Math.min(height, MAX_TERRAIN_POSTS);
+  const heights = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const px = Math.round((c / (cols - 1)) * (width - 1));
+      const py = Math.round((r / (rows - 1)) * (height - 1));
+      const k = (py * width + px) * 4;
+      const gray = (data[k] + data[k + 1] + data[k + 2]) / 3;
+      heights.push(Math.round((gray / 255) * maxElevation * 10) / 10);
+    }
+  }
+  return { cols, rows, heights };
+}
+
+/* ── Polygons ── */
+
+function pointInPolygon(p, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i], b = polygon[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+// Parameter t along a→b where it crosses segment c→d, or null
+function crossing(a, b, c, d) {
+  const rx = b.x - a.x, ry = b.y - a.y, sx = d.x - c.x, sy = d.y - c.y;
+  const denom = rx * sy - ry * sx;
+  if (Math.abs(denom) < EPS) return null;
+  const t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denom;
+  const u = ((c.x - a.x) * ry - (c.y - a.y) * rx) / denom;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+// Stretches [t0, t1] of segment a→b that run inside the polygon
+function insideSpans(a, b, polygon) {
+  const ts = [0, 1];
+  for (let i = 0; i < polygon.length; i++) {
+    const t = crossing(a, b, polygon[i], polygon[(i + 1) % polygon.length]);
+    if (t !== null) ts.push(t);
+  }
+  ts.sort((x, y) => x - y);
+  const spans = [];
+  for (let i = 1; i < ts.length; i++) {
+    const t0 = ts[i - 1], t1 = ts[i];
+    if (t1 - t0 < EPS) continue;
+    const mid = (t0 + t1) / 2;
+    if (pointInPolygon({ x: a.x + (b.x - a.x) * mid, y: a.y + (b.y - a.y) * mid }, polygon)) spans.push([t0, t1]);
+  }
+  return spans;
+}
+
+const centroid = (polygon) => ({
+  x: polygon.reduce((sum, p) => sum + p.x, 0) / polygon.length,
+  y: polygon.reduce((sum, p) => sum + p.y, 0) / polygon.length,
+});
+
+const signedArea = (polygon) => polygon.reduce((sum, p, i) => {
+  const q = polygon[(i + 1) % polygon.length];
+  return sum + p.x * q.y - q.x * p.y;
+}, 0) / 2;
+
+// Vertices pushed `margin` outwards along their corner bisectors (mitre capped at 2×)
+function inflate(polygon, margin) {
+  const outward = signedArea(polygon) > 0 ? 1 : -1;
+  return polygon.map((p, i) => {
+    const prev = polygon[(i + polygon.length - 1) % polygon.length];
+    const next = polygon[(i + 1) % polygon.length];
+    const normal = (a, b) => {
+      const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+      return { x: (outward * (b.y - a.y)) / len, y: (-outward * (b.x - a.x)) / len };
+    };
+    const n1 = normal(prev, p), n2 = normal(p, next);
+    const bx = n1.x + n2.x, by = n1.y + n2.y;
+    const len = Math.hypot(bx, by);
+    if (len < EPS) return { x: p.x + n1.x * margin, y: p.y + n1.y * margin };
+    const mitre = Math.min(margin / ((bx * n1.x + by * n1.y) / len), margin * 2);
+    return { x: p.x + (bx / len) * mitre, y: p.y + (by / len) * mitre };
+  });
+}
+
+/* ── Line of sight ── */
+
+/** An antenna `height` metres above the ground at a sim point */
+export function antennaAt(point, height, obstacles, world) {
+  return { x: point.x, y: point.y, z: terrainHeight(obstacles?.terrain, world, point) + height };
+}
+
+/**
+ * Radio path between two points { x, y, z }: sim units across, z in metres
+ * above the geographic origin.
+ * @returns {{ clear: boolean, loss: number, blockers: string[] }} Loss in dB; blockers are building ids and "terrain"
+ */
+export function lineOfSight(a, b, obstacles, world) {
+  if (!obstacles) return { clear: true, loss: 0, blockers: [] };
+  const { buildings = [], terrain = null } = obstacles;
+  const heightAt = (t) => a.z + (b.z - a.z) * t;
+  const blockers = [];
+  let loss = 0;
+
+  for (const building of buildings) {
+    const roof = terrainHeight(terrain, world, centroid(building.footprint)) + building.height;
+    // The path is straight, so it is lowest at one end of each stretch inside
+    const blocked = insideSpans(a, b, building.footprint)
+      .some(([t0, t1]) => Math.min(heightAt(t0), heightAt(t1)) < roof);
+    if (blocked) {
+      blockers.push(String(building.id));
+      loss += obstacles.buildingLoss ?? BUILDING_LOSS;
+    }
+  }
+
+  if (terrain) {
+    const cell = Math.min(world.width / (terrain.cols - 1), world.height / (terrain.rows - 1));
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    const samples = Math.min(Math.ceil((2 * length) / cell), MAX_TERRAIN_SAMPLES);
+    for (let i = 1; i < samples; i++) {
+      const t = i / samples;
+      const ground = terrainHeight(terrain, world, { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+      if (ground > heightAt(t)) {
+        blockers.push("terrain");
+        loss += obstacles.terrainLoss ?? TERRAIN_LOSS;
+        break;
+      }
+    }
+  }
+
+  return { clear: blockers.length === 0, loss, blockers };
+}
+
+/* ── Routing ── */
+
+/**
+ * Shortest route from → to for a drone at `altitude` that keeps `margin` sim
+ * units clear of every building it cannot overfly (a visibility graph over
+ * the widened corners). Buildings holding either end are ignored.
+ * @returns {Array<{ x, y }>} Points to fly through after `from`, ending at `to`
+ */
+export function routeAround(from, to, obstacles, world, altitude, margin) {
+  const { buildings = [], terrain = null } = obstacles || {};
+  const walls = buildings
+    .filter((b) => terrainHeight(terrain, world, centroid(b.footprint)) + b.height > altitude)
+    .map((b) => b.footprint)
+    .filter((fp) => !pointInPolygon(from, fp) && !pointInPolygon(to, fp));
+  // Legs are tested against a thinner outline so they may run along the widened corners
+  const keepOut = walls.map((fp) => inflate(fp, margin * 0.5));
+  const open = (p, q) => keepOut.every((fp) => insideSpans(p, q, fp).length === 0);
+  if (open(from, to)) return [{ ...to }];
+
+  const nodes = [from, to, ...walls.flatMap((fp) => inflate(fp, margin))
+    .filter((p) => p.x >= 0 && p.y >= 0 && p.x <= world.width && p.y <= world.height)
+    .filter((p) => keepOut.every((fp) => !pointInPolygon(p, fp)))];
+
+  // Dijkstra from node 0 to node 1 over legs with a clear view
+  const cost = nodes.map(() => Infinity);
+  const prev = nodes.map(() => -1);
+  const done = nodes.map(() => false);
+  cost[0] = 0;
+  for (;;) {
+    let u = -1;
+    nodes.forEach((_, i) => {
+      if (!done[i] && cost[i] < Infinity && (u < 0 || cost[i] < cost[u])) u = i;
+    });
+    if (u < 0 || u === 1) break;
+    done[u] = true;
+    nodes.forEach((node, v) => {
+      if (done[v]) return;
+      const c = cost[u] + Math.hypot(node.x - nodes[u].x, node.y - nodes[u].y);
+      if (c < cost[v] && open(nodes[u], node)) {
+        cost[v] = c;
+        prev[v] = u;
+      }
+    });
+  }
+  // No way round: fly straight
+  if (prev[1] < 0) return [{ ...to }];
+  const route = [];
+  for (let i = 1; i > 0; i = prev[i]) route.unshift({ x: nodes[i].x, y: nodes[i].y });
+  return route;
+}
+
+/* ── Loading & checking ── */
+
+// "12", "12 m", 12 → 12; anything else → NaN
+const metres = (value) => (typeof value === "number" ? value : parseFloat(value));
+
+/**
+ * Buildings from GeoJSON polygons (outer rings), placed through the scenario's
+ * geo-reference. Heights come from `height`, else `building:levels`, else defaultHeight.
+ * @throws {Error} If the document holds no polygons
+ */
+export function buildingsFromGeoJson(geojson, geo, defaultHeight = 10) {
+  const features = geojson?.type === "FeatureCollection" ? geojson.features
+    : geojson?.type === "Feature" ? [geojson] : [];
+  const buildings = [];
+  features.forEach((feature, i) => {
+    const { type, coordinates } = feature.geometry || {};
+    const rings = type === "Polygon" ? [coordinates[0]] : type === "MultiPolygon" ? coordinates.map((poly) => poly[0]) : [];
+    const props = feature.properties || {};
+    const levels = metres(props["building:levels"]);
+    const height = metres(props.height) > 0 ? metres(props.height)
+      : levels > 0 ? levels * LEVEL_HEIGHT : defaultHeight;
+    rings.forEach((ring, k) => {
+      // GeoJSON rings repeat their first position at the end
+      const footprint = ring.slice(0, -1).map(([lon, lat]) => {
+        const { x, y } = geodeticToSim({ lat, lon, alt: geo.alt }, geo);
+        return { x: Math.round(x * 10) / 10, y: Math.round(y * 10) / 10 };
+      });
+      if (footprint.length < 3) return;
+      const id = feature.id ?? props.name ?? `b${i + 1}`;
+      buildings.push({ id: rings.length > 1 ? `${id}-${k + 1}` : String(id), footprint, height });
+    });
+  });
+  if (buildings.length === 0) throw new Error("No building polygons found in the GeoJSON");
+  return buildings;
+}
+
+/**
+ * Check a config's obstacles; scenario validation calls this as the engine
+ * defaults carry no obstacles to compare against.
+ * @returns {string[]} Problems found
+ */
+export function validateObstacles(obstacles, path = "config.obstacles") {
+  if (obstacles == null) return [];
+  if (typeof obstacles !== "object" || Array.isArray(obstacles)) return [`${path} must be an object`];
+  const errors = [];
+  const positive = (v) => typeof v === "number" && Number.isFinite(v) && v > 0;
+  for (const key of Object.keys(obstacles)) {
+    if (!["buildings", "terrain", "buildingLoss", "terrainLoss"].includes(key)) errors.push(`${path}.${key} is not a known setting`);
+  }
+  for (const key of ["buildingLoss", "terrainLoss"]) {
+    if (key in obstacles && !(Number.isFinite(obstacles[key]) && obstacles[key] >= 0)) errors.push(`${path}.${key} must not be negative`);
+  }
+  const { buildings = [], terrain = null } = obstacles;
+  if (!Array.isArray(buildings)) {
+    errors.push(`${path}.buildings must be a list`);
+  } else {
+    buildings.forEach((b, i) => {
+      const at = `${path}.buildings[${i}]`;
+      if (!Array.isArray(b?.footprint) || b.footprint.length < 3) errors.push(`${at}.footprint must have at least three points`);
+      else if (b.footprint.some((p) => !Number.isFinite(p?.x) || !Number.isFinite(p?.y))) errors.push(`${at}.footprint points need a numeric x and y`);
+      if (!positive(b?.height)) errors.push(`${at}.height must be positive`);
+    });
+  }
+  if (terrain !== null) {
+    const { cols, rows, heights } = terrain;
+    if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols < 2 || rows < 2) {
+      errors.push(`${path}.terrain needs whole cols and rows of at least 2`);
+    } else if (!Array.isArray(heights) || heights.length !== cols * rows || heights.some((h) => !Number.isFinite(h))) {
+      errors.push(`${path}.terrain.heights must hold cols × rows (${cols * rows}) numbers`);
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,54 @@
+import { sha256, hmacSha256, utf8, toHex, fromHex } from "../lib/sha256.js";
+
+/* ═══════════════════════════════════════════
+   NAVIGATION MESSAGE AUTHENTICATION
+   A TESLA scheme in the style of Galileo OSNMA.
+   The system owns a one-way key chain: each key
+   hashes to the one before it, and only the root
+   key K0 is public. Every subframe s a satellite
+   broadcasts its navigation data plus a short MAC
+   tag under K(s+1); that key itself is disclosed
+   only `delay` subframes later. A receiver checks
+   a disclosed key by hashing it back to one it
+   already trusts, then checks the stored tags.
+   Tag bits cannot be known before they are sent,
+   so a spoofer synthesising the signal in step
+   with the real one has to guess them.
+   ═══════════════════════════════════════════ */
+
+const KEY_BYTES = 16;
+
+const nextKey = (key) => sha256(key).slice(0, KEY_BYTES);
+
+// Key chain as hex strings; chain[0] is the public root, chain[i] = H(chain[i + 1])
+export function createKeyChain(length, rng) {
+  let key = new Uint8Array(KEY_BYTES).map(() => Math.floor(rng.next() * 256));
+  const chain = new Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    chain[i] = toHex(key);
+    key = nextKey(key);
+  }
+  return chain;
+}
+
+// Hash a key `steps` times down the chain
+export function deriveKey(keyHex, steps) {
+  let key = fromHex(keyHex);
+  for (let i = 0; i < steps; i++) key = nextKey(key);
+  return toHex(key);
+}
+
+// A disclosed key is genuine if it hashes back to a key already trusted
+export const verifyKey = (keyHex, index, anchor) =>
+  index > anchor.index && deriveKey(keyHex, index - anchor.index) === anchor.key;
+
+// The navigation data a satellite broadcasts in one subframe (its ephemeris, simplified)
+export const navData = (sat, subframe) =>
+  `${sat.id}|${subframe}|az=${sat.az.toFixed(6)}|el=${sat.el.toFixed(6)}`;
+
+export const macTag = (keyHex, data, tagBytes) =>
+  toHex(hmacSha256(fromHex(keyHex), utf8(data)).slice(0, tagBytes));
+
+// What a spoofer without the key can put in the tag field
+export const guessTag = (tagBytes, rng) =>
+  toHex(new Uint8Array(tagBytes).map(() => Math.floor(rng.next() * 256)));
@@ -0,0 +1,129 @@
+import { TICK_MS } from "./common.js";
+
+/* ═══════════════════════════════════════════
+   RUN RECORDINGS
+   Engines are deterministic, so a run is fully
+   described by its starting state plus the user
+   inputs that hit it and when (in ticks). The
+   footprints are kept alongside as a readable
+   event log. Replays re-run the engine from the
+   nearest keyframe to reach any tick.
+   ═══════════════════════════════════════════ */
+
+export const RECORDING_FORMAT = "uav-sim-recording";
+export const RECORDING_VERSION = 1;
+
+// Snapshot interval used when seeking (100 ticks = 5 s of sim time)
+const KEYFRAME_EVERY = 100;
+
+// Start a recording from the state the run begins in; meta = { page, runId }
+export function createRecording(initial, { page, runId = null }) {
+  return {
+    format: RECORDING_FORMAT,
+    version: RECORDING_VERSION,
+    page,
+    runId,
+    recordedAt: new Date().toISOString(),
+    tickMs: TICK_MS,
+    ticks: 0,
+    initial: { ...initial, events: [] },
+    inputs: [],
+    footprints: initial.events.map((e) => ({ tick: 0, ...e })),
+  };
+}
+
+// The recorders below append in place: a recording grows every tick
+export function recordTick(recording, events) {
+  recording.ticks += 1;
+  for (const e of events) recording.footprints.push({ tick: recording.ticks, ...e });
+}
+
+export function recordInput(recording, input, events) {
+  recording.inputs.push({ tick: recording.ticks, ...input });
+  for (const e of events) recording.footprints.push({ tick: recording.ticks, ...e });
+}
+
+// Validate an imported recording; throws with a readable message
+export function parseRecording(text, page) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error("Not a JSON file");
+  }
+  if (!data || data.format !== RECORDING_FORMAT) throw new Error("Not a simulation recording");
+  if (data.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${data.version} (expected ${RECORDING_VERSION})`);
+  }
+  if (data.page !== page) throw new Error(`Recording is for "${data.page}", not "${page}"`);
+  if (data.tickMs !== TICK_MS) throw new Error(`Recording uses ${data.tickMs} ms ticks, expected ${TICK_MS}`);
+  if (!Number.isInteger(data.ticks) || data.ticks < 0) throw new Error("Recording has an invalid length");
+  if (!data.initial || typeof data.initial !== "object" || !data.initial.config) {
+    throw new Error("Recording has no initial state");
+  }
+  if (!Array.isArray(data.inputs) || !Array.isArray(data.footprints)) {
+    throw new Error("Recording is missing its inputs or footprints");
+  }
+  return data;
+}
+
+function inputsByTick(recording) {
+  const byTick = new Map();
+  for (const { tick, ...input } of recording.inputs) {
+    if (!byTick.has(tick)) byTick.set(tick, []);
+    byTick.get(tick).push(input);
+  }
+  return byTick;
+}
+
+const applyInputsAt = (engine, byTick, state, tick) =>
+  (byTick.get(tick) || []).reduce((s, input) => engine.applyInput(s, input), state);
+
+// Replay from a known state at `from` up to tick `to`
+function advance(engine, timeline, state, from, to) {
+  let s = state;
+  for (let t = from + 1; t <= to; t++) {
+    s = applyInputsAt(engine, timeline.byTick, engine.step(s, timeline.recording.tickMs), t);
+  }
+  return s;
+}
+
+// Replay the whole run once, keeping a keyframe every KEYFRAME_EVERY ticks
+export function buildTimeline(engine, recording) {
+  const timeline = { recording, byTick: inputsByTick(recording), keyframes: [], length: recording.ticks };
+  let state = applyInputsAt(engine, timeline.byTick, recording.initial, 0);
+  timeline.keyframes.push(state);
+  for (let t = KEYFRAME_EVERY; t <= recording.ticks; t += KEYFRAME_EVERY) {
+    state = advance(engine, timeline, state, t - KEYFRAME_EVERY, t);
+    timeline.keyframes.push(state);
+  }
+  return timeline;
+}
+
+// Engine state at any tick of the recording
+export function stateAt(engine, timeline, tick) {
+  const k = Math.min(Math.floor(tick / KEYFRAME_EVERY), timeline.keyframes.length - 1);
+  return advance(engine, timeline, timeline.keyframes[k], k * KEYFRAME_EVERY, tick);
+}
+
+// One tick forward from the state at `tick`
+export const stepFrom = (engine, timeline, state, tick) =>
+  advance(engine, timeline, state, tick, tick + 1);
+
+// Replay the whole run, collecting sample(state, tick) at every tick from 0 to the end
+export function sampleRun(engine, recording, sample) {
+  const byTick = inputsByTick(recording);
+  let state = applyInputsAt(engine, byTick, recording.initial, 0);
+  const samples = [sample(state, 0)];
+  for (let t = 1; t <= recording.ticks; t++) {
+    state = applyInputsAt(engine, byTick, engine.step(state, recording.tickMs), t);
+    samples.push(sample(state, t));
+  }
+  return samples;
+}
+
+// Footprints up to a tick, shaped like the InfoPanel's live entries
+export const footprintsAt = (recording, tick) =>
+  recording.footprints
+    .filter((f) => f.tick <= tick)
+    .map((f) => ({ type: f.type, message: f.message, timestamp: `T+${(f.time / 1000).toFixed(2)}s` }));
@@ -0,0 +1,78 @@
+import { dist } from "./geometry.js";
+
+/* ═══════════════════════════════════════════
+   RF LINK BUDGET
+   Received power of a transmitter at a point:
+
+     P_rx = EIRP + G_rx − path loss − obstruction
+
+   in dBm / dBi / dB. Path loss is free-space, or
+   two-ray (ground reflection) beyond the
+   crossover distance where the reflected ray
+   starts cancelling the direct one. Obstruction
+   loss comes from line of sight (obstacles.js).
+   Who wins a receiver is decided on the power
+   ratio: a counterfeit or injected signal
+   captures it with a probability that rises
+   along a logistic curve in J/S (dB), and a
+   sensor detects an emitter the same way in its
+   margin over sensitivity.
+   ═══════════════════════════════════════════ */
+
+export const SPEED_OF_LIGHT = 299792458; // m/s
+export const THERMAL_NOISE = -174; // dBm/Hz at 290 K
+export const PROPAGATION_MODELS = ["free-space", "two-ray"];
+
+export const wavelength = (mhz) => SPEED_OF_LIGHT / (mhz * 1e6);
+
+/** Free-space path loss (dB) over `distance` metres at `mhz` */
+export const freeSpaceLoss = (distance, mhz) => 20 * Math.log10(Math.max(distance, 1)) + 20 * Math.log10(mhz) - 27.55;
+
+/**
+ * Path loss (dB). Two-ray follows free space up to the crossover distance
+ * 4π·h_t·h_r/λ and falls off at 40 dB/decade beyond it.
+ * @param {{ frequency: number, propagation?: string, txHeight?: number, rxHeight?: number }} link MHz, metres
+ */
+export function pathLoss(distance, { frequency, propagation = "two-ray", txHeight = 1, rxHeight = 1 }) {
+  const fsl = freeSpaceLoss(distance, frequency);
+  if (propagation === "free-space") return fsl;
+  if (propagation !== "two-ray") throw new Error(`Unknown propagation model "${propagation}"`);
+  const ht = Math.max(txHeight, 1), hr = Math.max(rxHeight, 1);
+  const crossover = (4 * Math.PI * ht * hr) / wavelength(frequency);
+  if (distance <= crossover) return fsl;
+  return 40 * Math.log10(distance) - 20 * Math.log10(ht) - 20 * Math.log10(hr);
+}
+
+/** Slant distance (m) between { x, y, z } points: x, y in sim units, z in metres */
+export const slantRange = (a, b, metresPerUnit) => Math.hypot(dist(a, b) * metresPerUnit, b.z - a.z);
+
+/** Received power (dBm) */
+export function receivedPower({ eirp, rxGain = 0, distance, obstructionLoss = 0, ...link }) {
+  return eirp + rxGain - pathLoss(distance, link) - obstructionLoss;
+}
+
+/** Noise power (dBm) in a receiver bandwidth (MHz) */
+export const noiseFloor = (bandwidth, noiseFigure = 0) => THERMAL_NOISE + 10 * Math.log10(bandwidth * 1e6) + noiseFigure;
+
+const logistic = (x, midpoint, spread) => 1 / (1 + Math.exp(-(x - midpoint) / spread));
+
+/** Chance a signal `js` dB above the one the receiver holds takes it over */
+export const captureProbability = (js, threshold, spread) => logistic(js, threshold, spread);
+
+/** Chance a sensor picks up a signal received at `power` dBm */
+export const detectionProbability = (power, sensitivity, spread) => logistic(power, sensitivity, spread);
+
+/**
+ * Sample `valueAt(point)` over the world on a grid `cols` wide, for coverage maps.
+ * @returns {{ cols: number, rows: number, values: Float32Array }} Row-major from the top-left, cell centres
+ */
+export function coverageGrid(world, cols, valueAt) {
+  const rows = Math.max(1, Math.round((cols * world.height) / world.width));
+  const values = new Float32Array(cols * rows);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      values[r * cols + c] = valueAt({ x: ((c + 0.5) / cols) * world.width, y: ((r + 0.5) / rows) * world.height });
+    }
+  }
+  return { cols, rows, values };
+}
@@ -0,0 +1,32 @@
+/* ═══════════════════════════════════════════
+   SEEDABLE RNG (mulberry32)
+   Engines keep the 32-bit generator state in
+   their own state object so step() stays pure
+   and a run replays exactly from its seed.
+   ═══════════════════════════════════════════ */
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+export function createRng(seed) {
+  let s = seed >>> 0;
+  return {
+    // Uniform float in [0, 1)
+    next() {
+      s = (s + 0x6d2b79f5) >>> 0;
+      let t = s;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    // Uniform float in [min, max)
+    range(min, max) {
+      return min + this.next() * (max - min);
+    },
+    // Current generator state, to store back into the engine state
+    state() {
+      return s;
+    },
+  };
+}
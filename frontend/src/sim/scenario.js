@@ -0,0 +1,210 @@
+import { validateObstacles } from "./obstacles.js";
+import { validateMissionEdits } from "./missionPlan.js";
+
+/* ═══════════════════════════════════════════
+   SCENARIO FILES
+   A scenario is a JSON document that overrides
+   parts of one engine's DEFAULT_CONFIG:
+
+   {
+     "schema": "uav-sim-scenario",
+     "version": 2,
+     "id": "coastal-approach",
+     "name": "Coastal approach",
+     "description": "optional",
+     "page": "gnss-spoofing",
+     "config": { "radioTower": { "x": 300, "y": 600 } }
+   }
+
+   The engine defaults double as the schema: every
+   key in `config` must exist there with the same
+   shape. Objects are merged, arrays replaced.
+   Numbers must not be negative unless the
+   engine's CONFIG_UNITS gives them a unit that
+   can be (SIGNED_UNITS), such as dBm.
+   Obstacles have no defaults and are checked
+   on their own (see obstacles.js). Files of an
+   older version are upgraded on load.
+   ═══════════════════════════════════════════ */
+
+export const SCENARIO_SCHEMA = "uav-sim-scenario";
+export const SCENARIO_VERSION = 2;
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Units whose values may be negative, with their bounds
+export const SIGNED_UNITS = {
+  "°N": [-90, 90],
+  "°E": [-180, 180],
+  "m HAE": [-1000, 10000], // height above the WGS84 ellipsoid
+  dBm: [-200, 100], // power
+  dBi: [-50, 50], // antenna gain
+  dB: [-100, 100], // power ratio
+};
+
+// Compare `value` against the default at the same path, `units` being the units at that
+// path (a unit name for a number); appends to `errors`
+function checkShape(value, expected, units, path, errors) {
+  if (typeof expected === "number") {
+    const bounds = SIGNED_UNITS[units];
+    if (typeof value !== "number" || !Number.isFinite(value)) errors.push(`${path} must be a number`);
+    else if (bounds && (value < bounds[0] || value > bounds[1])) errors.push(`${path} must be between ${bounds[0]} and ${bounds[1]}`);
+    else if (!bounds && value < 0) errors.push(`${path} must not be negative`);
+  } else if (typeof expected === "boolean") {
+    if (typeof value !== "boolean") errors.push(`${path} must be true or false`);
+  } else if (typeof expected === "string") {
+    if (typeof value !== "string") errors.push(`${path} must be text`);
+  } else if (Array.isArray(expected)) {
+    if (!Array.isArray(value) || value.length === 0) {
+      errors.push(`${path} must be a non-empty list`);
+      return;
+    }
+    value.forEach((item, i) => checkShape(item, expected[0], units?.[0], `${path}[${i}]`, errors));
+  } else if (isObject(expected)) {
+    if (!isObject(value)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    for (const key of Object.keys(value)) {
+      if (!(key in expected)) errors.push(`${path}.${key} is not a known setting`);
+      else checkShape(value[key], expected[key], units?.[key], `${path}.${key}`, errors);
+    }
+  }
+}
+
+export function mergeConfig(defaults, overrides) {
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isObject(value) && isObject(defaults[key]) ? mergeConfig(defaults[key], value) : value;
+  }
+  return merged;
+}
+
+// Every { x, y } in the resolved config has to lie inside the world
+function checkInsideWorld(value, world, path, errors) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => checkInsideWorld(item, world, `${path}[${i}]`, errors));
+  } else if (isObject(value)) {
+    if (typeof value.x === "number" && typeof value.y === "number" &&
+        (value.x > world.width || value.y > world.height)) {
+      errors.push(`${path} (${value.x}, ${value.y}) is outside the ${world.width}×${world.height} world`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (key !== "world") checkInsideWorld(child, world, `${path}.${key}`, errors);
+    }
+  }
+}
+
+// Phase timings must keep the order they are declared in the defaults
+function checkPhaseOrder(phaseTimes, defaults, errors) {
+  const keys = Object.keys(defaults);
+  for (let i = 1; i < keys.length; i++) {
+    if (phaseTimes[keys[i]] <= phaseTimes[keys[i - 1]]) {
+      errors.push(`config.phaseTimes.${keys[i]} must come after config.phaseTimes.${keys[i - 1]}`);
+    }
+  }
+}
+
+/**
+ * Check a parsed scenario against the engine it targets.
+ * @param {object} units - The engine's CONFIG_UNITS
+ * @returns {string[]} Problems found; empty when the scenario is usable
+ */
+export function validateScenario(data, page, defaults, units = {}) {
+  if (!isObject(data)) return ["Scenario must be a JSON object"];
+  const errors = [];
+  if (data.schema !== SCENARIO_SCHEMA) errors.push(`schema must be "${SCENARIO_SCHEMA}"`);
+  if (data.version !== SCENARIO_VERSION) {
+    errors.push(`Unsupported scenario version ${data.version} (expected ${SCENARIO_VERSION})`);
+  }
+  if (typeof data.id !== "string" || !data.id) errors.push("id is required");
+  if (typeof data.name !== "string" || !data.name) errors.push("name is required");
+  if (data.page !== page) errors.push(`Scenario is for "${data.page}", not "${page}"`);
+  if (!isObject(data.config)) {
+    errors.push("config must be an object");
+    return errors;
+  }
+
+  checkShape(data.config, defaults, units, "config", errors);
+  if (errors.length > 0) return errors;
+
+  const resolved = mergeConfig(defaults, data.config);
+  if (!(resolved.world.width > 0 && resolved.world.height > 0)) {
+    errors.push("config.world must have a positive width and height");
+    return errors;
+  }
+  errors.push(...validateObstacles(resolved.obstacles));
+  checkInsideWorld(resolved, resolved.world, "config", errors);
+  if (resolved.geo && !(resolved.geo.metresPerUnit > 0)) errors.push("config.geo.metresPerUnit must be positive");
+  if (defaults.phaseTimes) checkPhaseOrder(resolved.phaseTimes, defaults.phaseTimes, errors);
+  if (defaults.injectedMission) errors.push(...validateMissionEdits(resolved.injectedMission));
+  return errors;
+}
+
+// Each step upgrades a document of that version to the next, given the engine defaults
+const MIGRATIONS = {
+  // v2: the data injection attack edits the mission instead of sending the drone to one malicious target
+  1: (data, defaults) => {
+    const { maliciousTarget, ...config } = data.config;
+    if (data.page !== "data-injection" || !isObject(maliciousTarget)) return data;
+    const waypoints = Array.isArray(config.waypoints) ? config.waypoints : defaults.waypoints;
+    const { x, y } = maliciousTarget;
+    return { ...data, config: { ...config, injectedMission: [{ action: "insert", seq: waypoints.length, x, y }] } };
+  },
+};
+
+// Upgrade a scenario document to SCENARIO_VERSION; anything else is returned as it is
+function migrateScenario(data, defaults) {
+  let doc = data;
+  while (isObject(doc) && isObject(doc.config) && MIGRATIONS[doc.version]) {
+    doc = { ...MIGRATIONS[doc.version](doc, defaults), version: doc.version + 1 };
+  }
+  return doc;
+}
+
+/**
+ * Parse and validate a scenario file, migrating older versions.
+ * @returns {{ scenario: object, config: object }} The scenario and its resolved engine config
+ * @throws {Error} Listing what is wrong with the file
+ */
+export function parseScenario(text, page, defaults, units = {}) {
+  let data;
+  try {
+    data = typeof text === "string" ? JSON.parse(text) : text;
+  } catch (err) {
+    throw new Error("Not a JSON file");
+  }
+  data = migrateScenario(data, defaults);
+  const errors = validateScenario(data, page, defaults, units);
+  if (errors.length > 0) throw new Error(errors.join("; "));
+  return { scenario: data, config: mergeConfig(defaults, data.config) };
+}
+
+/* ── Layout editing ── */
+
+// Dotted paths into a config: "radioTower", "waypoints.2", "antiDroneTower.radius"
+export const getPath = (obj, path) =>
+  path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+export function setPath(obj, path, value) {
+  const [key, ...rest] = path.split(".");
+  const child = rest.length === 0 ? value : setPath(obj[key], rest.join("."), value);
+  if (Array.isArray(obj)) return obj.map((item, i) => (i === Number(key) ? child : item));
+  return { ...obj, [key]: child };
+}
+
+const slugify = (name) =>
+  name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "scenario";
+
+// Wrap an engine config as a scenario document for `page`
+export function createScenario(page, name, config, description = "") {
+  return {
+    schema: SCENARIO_SCHEMA,
+    version: SCENARIO_VERSION,
+    id: slugify(name),
+    name,
+    description,
+    page,
+    config,
+  };
+}
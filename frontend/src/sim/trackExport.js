@@ -0,0 +1,106 @@
+import { simToEnu, simToGeodetic } from "./geo.js";
+
+/* ═══════════════════════════════════════════
+   TRACK EXPORT
+   Trajectories of a run for GIS tools. A run is
+   sampled once per tick (see sampleRun) into
+     { tick, time, phase, positions: { <track id>: { x, y } } }
+   and each track is described by
+     { id, name, role: "actual" | "reported" }
+   so the drone's real path and what it reported
+   can be styled apart. Positions are sim units,
+   geo-referenced through the run's config.geo;
+   `start` is the UTC time (ms) of sim time 0.
+   ═══════════════════════════════════════════ */
+
+const ROLE_STYLES = {
+  actual: { color: "fffff200", width: 3 }, // KML colours are aabbggrr
+  reported: { color: "ff4433ff", width: 2 },
+};
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const lonLat = (position, geo) => {
+  const { lat, lon } = simToGeodetic(position, geo);
+  return [round(lon, 7), round(lat, 7)];
+};
+
+const pointsOf = (samples, id) => samples.filter((s) => s.positions[id]).map((s) => ({ ...s, position: s.positions[id] }));
+
+/** One LineString feature per track */
+export function toGeoJson({ tracks, samples, geo, start, name }) {
+  return {
+    type: "FeatureCollection",
+    name,
+    features: tracks.map((track) => {
+      const points = pointsOf(samples, track.id);
+      return {
+        type: "Feature",
+        properties: {
+          id: track.id,
+          name: track.name,
+          role: track.role,
+          start: new Date(start + (points[0]?.time || 0)).toISOString(),
+          end: new Date(start + (points[points.length - 1]?.time || 0)).toISOString(),
+        },
+        geometry: { type: "LineString", coordinates: points.map((p) => lonLat(p.position, geo)) },
+      };
+    }),
+  };
+}
+
+const escapeXml = (text) =>
+  String(text).replace(/[<>&"']/g, (ch) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[ch]);
+
+/** A time-stamped gx:Track placemark per track, styled by role */
+export function toKml({ tracks, samples, geo, start, name }) {
+  const styles = Object.entries(ROLE_STYLES).map(([role, { color, width }]) =>
+    `    <Style id="${role}"><LineStyle><color>${color}</color><width>${width}</width></LineStyle>` +
+    `<IconStyle><color>${color}</color></IconStyle></Style>`);
+  const placemarks = tracks.map((track) => {
+    const points = pointsOf(samples, track.id);
+    const when = points.map((p) => `        <when>${new Date(start + p.time).toISOString()}</when>`);
+    const coords = points.map((p) => `        <gx:coord>${lonLat(p.position, geo).join(" ")} 0</gx:coord>`);
+    return [
+      "    <Placemark>",
+      `      <name>${escapeXml(track.name)}</name>`,
+      `      <styleUrl>#${track.role}</styleUrl>`,
+      "      <gx:Track>",
+      "        <altitudeMode>clampToGround</altitudeMode>",
+      ...when,
+      ...coords,
+      "      </gx:Track>",
+      "    </Placemark>",
+    ].join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(name)}</name>`,
+    ...styles,
+    ...placemarks,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+/** One row per tick per track */
+export function toCsv({ tracks, samples, geo, start }) {
+  const rows = [["tick", "time_s", "utc", "phase", "track", "role", "x", "y", "east_m", "north_m", "lat", "lon"].join(",")];
+  for (const s of samples) {
+    const utc = new Date(start + s.time).toISOString();
+    for (const track of tracks) {
+      const p = s.positions[track.id];
+      if (!p) continue;
+      const { east, north } = simToEnu(p, geo);
+      const { lat, lon } = simToGeodetic(p, geo);
+      rows.push([
+        s.tick, (s.time / 1000).toFixed(3), utc, s.phase ?? "", track.id, track.role,
+        p.x.toFixed(2), p.y.toFixed(2), east.toFixed(2), north.toFixed(2), lat.toFixed(7), lon.toFixed(7),
+      ].join(","));
+    }
+  }
+  return `${rows.join("\n")}\n`;
+}
@@ -0,0 +1,149 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as engine from "../src/sim/dataInjection.js";
+import { decodeFrame } from "../src/sim/mavlink.js";
+import { fromHex } from "../src/lib/sha256.js";
+import { run } from "./helpers.js";
+
+const { DEFAULT_CONFIG } = engine;
+
+test("the C2 link carries valid MAVLink 2 frames from the ground station and the attacker", () => {
+  const { state } = run(engine, DEFAULT_CONFIG, 7);
+  const sources = new Set(state.frames.map((f) => f.source));
+  assert.deepEqual([...sources].sort(), ["attacker", "gcs"]);
+  for (const frame of state.frames) {
+    const decoded = decodeFrame(fromHex(frame.hex));
+    assert.equal(decoded.crcOk, true);
+    assert.equal(decoded.message, frame.message);
+    assert.equal(decoded.sysid, DEFAULT_CONFIG.mavlink.gcs.sysid, "the attacker forges the ground station's system id");
+  }
+});
+
+test("without signing an injected command hijacks the drone", () => {
+  const { state } = run(engine, DEFAULT_CONFIG, 7);
+  assert.equal(state.commandDelivered, true);
+  assert.ok(state.attackVerdicts.accepted > 0);
+  assert.match(state.status, /^Attack Complete/);
+});
+
+for (const [signingAttack, verdict] of [["unsigned", "unsigned"], ["guessed-key", "bad-signature"], ["replay", "replayed"]]) {
+  test(`MAVLink signing drops the ${signingAttack} attacker's frames as ${verdict}`, () => {
+    const { state } = run(engine, { ...DEFAULT_CONFIG, signing: true, signingAttack }, 7);
+    assert.equal(state.commandDelivered, false);
+    assert.equal(state.attackVerdicts.accepted, 0);
+    assert.ok(state.attackVerdicts[verdict] > 0);
+    assert.ok(state.frames.filter((f) => f.source === "gcs").every((f) => f.verdict === "accepted"));
+    assert.equal(state.status, "Mission Complete: MAVLink signing rejected the injected frames.");
+  });
+}
+
+test("a leaked signing key gets the attacker through", () => {
+  const { state } = run(engine, { ...DEFAULT_CONFIG, signing: true, signingAttack: "leaked-key" }, 7);
+  assert.equal(state.commandDelivered, true);
+  assert.ok(state.attackVerdicts.accepted > 0);
+});
+
+test("the trust score holds on the planned route and falls once the drone is diverted", () => {
+  for (let seed = 1; seed <= 5; seed++) {
+    let s = engine.start(engine.createState({ ...DEFAULT_CONFIG, trustMetric: true }, seed));
+    while (!engine.isFinished(s)) {
+      s = engine.step(s, 50);
+      if (s.trust.divertedAt === null) assert.ok(s.trust.score >= DEFAULT_CONFIG.trust.threshold, `false alarm at ${s.time} ms`);
+    }
+    const { divertedAt, detectedAt } = s.trust;
+    assert.ok(divertedAt !== null && detectedAt > divertedAt, `seed ${seed} undetected`);
+    assert.equal(s.trustNeutralized, true);
+    assert.equal(s.status, "Mission Complete: Trust Metric successfully defended against the attack.");
+  }
+});
+
+test("the attacker's telemetry jitter alone keeps the velocity residual in tolerance", () => {
+  // Slow enough to be hijacked before the first waypoint, into a mission that flies on to it:
+  // only the jitter differs from the plan
+  const config = { ...DEFAULT_CONFIG, droneSpeed: 20, injectedMission: [{ action: "replace", seq: 0, ...DEFAULT_CONFIG.waypoints[0] }] };
+  let hijacked = 0;
+  for (let seed = 1; seed <= 8; seed++) {
+    let s = engine.start(engine.createState(config, seed));
+    let worst = 0;
+    while (!engine.isFinished(s)) {
+      s = engine.step(s, 50);
+      worst = Math.max(worst, s.trust.velocity);
+    }
+    if (s.trust.divertedAt !== null) hijacked++;
+    assert.ok(worst < config.trust.velocityTolerance, `seed ${seed}: ${worst.toFixed(1)} px/s`);
+  }
+  assert.ok(hijacked >= 4);
+});
+
+test("detection follows the diversion, not the telemetry jitter", () => {
+  const median = (telemetryJitter) => {
+    const latencies = [];
+    for (let seed = 1; seed <= 9; seed++) {
+      const { state } = run(engine, { ...DEFAULT_CONFIG, telemetryJitter, trustMetric: true }, seed);
+      latencies.push(state.trust.detectedAt - state.trust.divertedAt);
+    }
+    return latencies.sort((a, b) => a - b)[4];
+  };
+  assert.ok(Math.abs(median(DEFAULT_CONFIG.telemetryJitter) - median(0)) <= 500);
+});
+
+test("with the Trust Metric off the score still falls, but nothing is rejected", () => {
+  const { state } = run(engine, DEFAULT_CONFIG, 3);
+  assert.ok(state.trust.detectedAt !== null);
+  assert.equal(state.trustNeutralized, false);
+});
+
+test("the trust metric toggles and its threshold moves mid-run", () => {
+  const s = engine.start(engine.createState(DEFAULT_CONFIG, 1));
+  assert.equal(engine.applyInput(s, { type: "trustMetric", enabled: true }).config.trustMetric, true);
+  const moved = engine.applyInput(s, { type: "trustThreshold", threshold: 0.7 }).config.trust;
+  assert.deepEqual(moved, { ...DEFAULT_CONFIG.trust, threshold: 0.7 });
+});
+
+test("a higher threshold rejects the commands sooner", () => {
+  const detectedAt = (threshold) =>
+    run(engine, { ...DEFAULT_CONFIG, trustMetric: true, trust: { ...DEFAULT_CONFIG.trust, threshold } }, 4).state.trust.detectedAt;
+  assert.ok(detectedAt(0.8) < detectedAt(0.4));
+});
+
+test("alteredMission applies the attacker's edits in order", () => {
+  const waypoints = [{ x: 1, y: 1 }, { x: 2, y: 2 }, { x: 3, y: 3 }];
+  const a = { x: 10, y: 10 };
+  const b = { x: 20, y: 20 };
+  assert.deepEqual(
+    engine.alteredMission({ waypoints, injectedMission: [{ action: "insert", seq: 1, ...a }] }),
+    { items: [waypoints[0], a, waypoints[1], waypoints[2]], seqs: [1], from: 1 }
+  );
+  assert.deepEqual(
+    engine.alteredMission({ waypoints, injectedMission: [{ action: "replace", seq: 9, ...a }, { action: "insert", seq: 0, ...b }] }),
+    { items: [b, waypoints[0], waypoints[1], a], seqs: [2, 0], from: 0 }
+  );
+  assert.throws(() => engine.alteredMission({ waypoints, injectedMission: [{ action: "delete", seq: 0 }] }), /Unknown mission edit/);
+});
+
+test("each injected mission item goes out with its seq in the altered mission", () => {
+  const injectedMission = [
+    { action: "insert", seq: 5, x: 800, y: 500, altitude: 40 },
+    { action: "insert", seq: 9, x: 900, y: 600, altitude: 60 },
+    { action: "replace", seq: 0, x: 700, y: 200, altitude: 50 },
+  ];
+  const config = { ...DEFAULT_CONFIG, injectedMission };
+  const { items } = engine.alteredMission(config);
+  const { state } = run(engine, config, 7);
+  const sent = state.frames
+    .filter((f) => f.source === "attacker" && f.message === "MISSION_ITEM_INT")
+    .map((f) => decodeFrame(fromHex(f.hex)).fields);
+  assert.ok(sent.length >= injectedMission.length);
+  for (const { seq, z } of sent) assert.equal(z, items[seq].altitude, `item ${seq}`);
+  assert.deepEqual([...new Set(sent.map((f) => f.seq))].sort(), [0, 5, 6]);
+});
+
+test("the hijacked drone flies the altered mission", () => {
+  const { items, from } = engine.alteredMission(DEFAULT_CONFIG);
+  let s = engine.start(engine.createState(DEFAULT_CONFIG, 7));
+  while (s.hijackIdx === null) s = engine.step(s, 50);
+  assert.equal(s.hijackIdx, from);
+  const before = Math.hypot(s.drone.x - items[from].x, s.drone.y - items[from].y);
+  s = engine.step(s, 50);
+  assert.ok(Math.hypot(s.drone.x - items[from].x, s.drone.y - items[from].y) < before);
+});
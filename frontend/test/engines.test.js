@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ENGINES, loadEngine, run, runToEnd } from "./helpers.js";
+import { createRecording, recordTick, recordInput, parseRecording, buildTimeline, stateAt } from "../src/sim/recording.js";
+
+const ATTACK_PAGES = ["gnss-spoofing", "data-injection", "mass-redirection"];
+
+for (const page of Object.keys(ENGINES)) {
+  test(`${page}: the same seed replays the same run`, async () => {
+    const engine = await loadEngine(page);
+    const runs = [1, 2].map(() => {
+      let s = engine.start(engine.createState(engine.DEFAULT_CONFIG, 42));
+      for (let i = 0; i < 200; i++) s = engine.step(s, 50);
+      return JSON.stringify(s);
+    });
+    assert.equal(runs[0], runs[1]);
+  });
+
+  test(`${page}: step leaves its input state untouched`, async () => {
+    const engine = await loadEngine(page);
+    const state = engine.start(engine.createState(engine.DEFAULT_CONFIG, 5));
+    const before = JSON.stringify(state);
+    const next = engine.step(state, 50);
+    assert.equal(JSON.stringify(state), before);
+    assert.equal(next.time, state.time + 50);
+  });
+}
+
+for (const page of ATTACK_PAGES) {
+  test(`${page}: a different seed gives a different run`, async () => {
+    const engine = await loadEngine(page);
+    const [a, b] = [1, 2].map((seed) => JSON.stringify(run(engine, engine.DEFAULT_CONFIG, seed).state));
+    assert.notEqual(a, b);
+  });
+
+  test(`${page}: runs to the end and then stops`, async () => {
+    const engine = await loadEngine(page);
+    const idle = engine.createState(engine.DEFAULT_CONFIG, 3);
+    assert.equal(engine.isFinished(idle), false);
+    assert.equal(engine.step(idle, 50).phase, idle.phase, "an idle engine waits for start");
+
+    const { state } = run(engine, engine.DEFAULT_CONFIG, 3);
+    assert.equal(engine.isFinished(state), true);
+    assert.ok(state.finalPositions);
+    const after = engine.step(state, 50);
+    assert.equal(engine.isFinished(after), true);
+    assert.deepEqual(after.events, []);
+  });
+}
+
+test("gnss-spoofing: the undefended drone is diverted", async () => {
+  const engine = await loadEngine("gnss-spoofing");
+  const { state } = run(engine, engine.DEFAULT_CONFIG, 3);
+  assert.ok(state.hijackedAt > 0);
+  assert.match(state.status, /diverted/);
+});
+
+test("mass-redirection: every drone ends in the safe zone", async () => {
+  const engine = await loadEngine("mass-redirection");
+  const { state } = run(engine, engine.DEFAULT_CONFIG, 3);
+  assert.ok(state.drones.every((d) => d.status === engine.DroneStatus.SAFE));
+});
+
+test("drone-simulation: flying into the danger zone gets the drone steered to the safe zone", async () => {
+  const engine = await loadEngine("drone-simulation");
+  let s = engine.start(engine.createState(engine.DEFAULT_CONFIG, 3));
+  assert.equal(engine.isFinished(s), false);
+  for (let i = 0; i < 60 && !s.spoofed; i++) s = engine.applyInput(s, { type: "move", dx: 1, dy: 0.5 });
+  assert.equal(s.spoofed, true);
+  assert.ok(s.route.length > 0);
+
+  for (let i = 0; i < 400 && !s.destroyed; i++) s = engine.step(s, 50);
+  assert.equal(s.destroyed, true);
+  assert.ok(engine.insideSafe(engine.centerOf(s.drone), s.config));
+
+  // It respawns at the start after the delay
+  ({ state: s } = runToEnd(engine, s, s.config.respawnDelay / 50 + 1));
+  assert.equal(s.destroyed, false);
+  assert.deepEqual({ x: s.drone.x, y: s.drone.y }, s.config.start);
+});
+
+// Events are kept in the recording's footprints, not its states
+const snapshot = (state) => JSON.stringify({ ...state, events: undefined });
+
+test("a recording replays the run it was made from, inputs included", async () => {
+  const engine = await loadEngine("data-injection");
+  let s = engine.start(engine.createState(engine.DEFAULT_CONFIG, 9));
+  const recording = createRecording(s, { page: "data-injection" });
+  const states = [snapshot(s)];
+  for (let tick = 0; tick < 250; tick++) {
+    if (tick === 120) {
+      const input = { type: "trustMetric", enabled: true };
+      s = engine.applyInput(s, input);
+      recordInput(recording, input, s.events);
+      states[tick] = snapshot(s);
+    }
+    s = engine.step(s, recording.tickMs);
+    recordTick(recording, s.events);
+    states.push(snapshot(s));
+  }
+
+  const timeline = buildTimeline(engine, parseRecording(JSON.stringify(recording), "data-injection"));
+  for (const tick of [0, 119, 120, 121, 250]) {
+    assert.ok(snapshot(stateAt(engine, timeline, tick)) === states[tick], `tick ${tick} differs`);
+  }
+});
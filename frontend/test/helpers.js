@@ -0,0 +1,23 @@
+/* ── Shared by the engine tests ── */
+
+export const ENGINES = {
+  "drone-simulation": "droneSimulation",
+  "gnss-spoofing": "gnssSpoofing",
+  "data-injection": "dataInjection",
+  "mass-redirection": "massRedirection",
+};
+
+export const loadEngine = (page) => import(`../src/sim/${ENGINES[page]}.js`);
+
+// Step a started run until it finishes (or `maxTicks` pass); returns the final state and every event
+export function runToEnd(engine, state, maxTicks = 5000, dt = 50) {
+  const events = [...state.events];
+  let s = state;
+  for (let i = 0; i < maxTicks && !engine.isFinished(s); i++) {
+    s = engine.step(s, dt);
+    events.push(...s.events);
+  }
+  return { state: s, events };
+}
+
+export const run = (engine, config, seed) => runToEnd(engine, engine.start(engine.createState(config, seed)));
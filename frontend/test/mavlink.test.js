@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  crcX25, encodeFrame, decodeFrame, verifySignature, signingTimestamp,
+  MAGIC, HEADER_LEN, CHECKSUM_LEN, SIGNATURE_LEN, SIGNING_EPOCH, MAV_TYPE, MAV_AUTOPILOT, MAV_STATE,
+} from "../src/sim/mavlink.js";
+import { sha256, utf8 } from "../src/lib/sha256.js";
+
+const heartbeat = {
+  message: "HEARTBEAT",
+  seq: 300,
+  sysid: 255,
+  compid: 190,
+  fields: { type: MAV_TYPE.GCS, autopilot: MAV_AUTOPILOT.INVALID, system_status: MAV_STATE.ACTIVE, mavlink_version: 3 },
+};
+const key = sha256(utf8("test key"));
+const signing = { key, linkId: 1, timestamp: signingTimestamp(Date.UTC(2025, 5, 1)) };
+
+test("crcX25 is CRC-16/MCRF4XX", () => {
+  assert.equal(crcX25(utf8("123456789")), 0x6f91);
+});
+
+test("a frame decodes back to what was encoded", () => {
+  const bytes = encodeFrame(heartbeat);
+  assert.equal(bytes[0], MAGIC);
+  const frame = decodeFrame(bytes);
+  assert.equal(frame.message, "HEARTBEAT");
+  assert.equal(frame.crcOk, true);
+  assert.equal(frame.seq, 300 & 0xff);
+  assert.equal(frame.sysid, 255);
+  assert.equal(frame.compid, 190);
+  assert.equal(frame.signature, null);
+  assert.equal(frame.length, bytes.length);
+  for (const [name, value] of Object.entries(heartbeat.fields)) assert.equal(frame.fields[name], value, name);
+  assert.equal(frame.fields.custom_mode, 0);
+});
+
+test("trailing zeros of the payload are not sent", () => {
+  const bytes = encodeFrame({ ...heartbeat, fields: { type: MAV_TYPE.GCS } });
+  assert.equal(bytes.length, HEADER_LEN + bytes[1] + CHECKSUM_LEN);
+  assert.ok(bytes[1] < 9);
+  assert.equal(decodeFrame(bytes).crcOk, true);
+});
+
+test("a corrupted frame fails its checksum", () => {
+  const bytes = encodeFrame(heartbeat);
+  bytes[HEADER_LEN] ^= 0xff;
+  assert.equal(decodeFrame(bytes).crcOk, false);
+});
+
+test("decodeFrame rejects what is not a whole MAVLink 2 frame", () => {
+  const bytes = encodeFrame(heartbeat);
+  assert.throws(() => decodeFrame(new Uint8Array([0xfe, ...bytes.subarray(1)])), /Not a MAVLink 2 frame/);
+  assert.throws(() => decodeFrame(bytes.subarray(0, bytes.length - 1)), /Truncated frame/);
+  assert.throws(() => encodeFrame({ ...heartbeat, message: "NOPE" }), /Unknown MAVLink message/);
+});
+
+test("a signed frame carries its link id and timestamp and verifies only with its key", () => {
+  const bytes = encodeFrame({ ...heartbeat, signing });
+  const frame = decodeFrame(bytes);
+  assert.equal(frame.length, bytes.length);
+  assert.equal(bytes.length, encodeFrame(heartbeat).length + SIGNATURE_LEN);
+  assert.deepEqual(frame.signature, { linkId: 1, timestamp: signing.timestamp });
+  assert.equal(frame.crcOk, true);
+  assert.equal(verifySignature(bytes, key), true);
+  assert.equal(verifySignature(bytes, sha256(utf8("guessed key"))), false);
+  assert.equal(verifySignature(encodeFrame(heartbeat), key), false);
+
+  const tampered = Uint8Array.from(bytes);
+  tampered[bytes.length - 1] ^= 1;
+  assert.equal(verifySignature(tampered, key), false);
+});
+
+test("signing timestamps count 10 µs units since 2015", () => {
+  assert.equal(signingTimestamp(SIGNING_EPOCH), 0);
+  assert.equal(signingTimestamp(SIGNING_EPOCH + 1000), 100000);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toQgcPlan, toWaypointsFile, parseQgcPlan, parseWaypointsFile } from "../src/sim/missionPlan.js";
+import { DEFAULT_CONFIG } from "../src/sim/dataInjection.js";
+import { MAV_CMD, MAV_FRAME } from "../src/sim/mavlink.js";
+
+const waypoints = DEFAULT_CONFIG.waypoints.map((wp) => ({ ...wp }));
+waypoints[0] = { ...waypoints[0], altitude: 80, loiter: 2, speed: 80 };
+waypoints[3] = { ...waypoints[3], speed: 25.5 };
+const config = { ...DEFAULT_CONFIG, waypoints };
+
+test("a .plan round-trips the launch point and every waypoint", () => {
+  const plan = toQgcPlan(config);
+  assert.equal(plan.fileType, "Plan");
+  const { start, waypoints: read, skipped } = parseQgcPlan(JSON.stringify(plan), config);
+  assert.deepEqual(start, config.start);
+  assert.deepEqual(read, waypoints);
+  assert.equal(skipped, 0);
+});
+
+test("a .waypoints file round-trips, with either line ending", () => {
+  const text = toWaypointsFile(config);
+  assert.match(text, /^QGC WPL 110\n/);
+  for (const file of [text, text.replace(/\n/g, "\r\n")]) {
+    const { start, waypoints: read } = parseWaypointsFile(file, config);
+    assert.deepEqual(start, config.start);
+    assert.deepEqual(read, waypoints);
+  }
+});
+
+test("a leg at another speed is preceded by DO_CHANGE_SPEED", () => {
+  const items = toQgcPlan(config).mission.items;
+  assert.deepEqual(items.map((item) => item.command), [
+    MAV_CMD.DO_CHANGE_SPEED, MAV_CMD.NAV_WAYPOINT, MAV_CMD.DO_CHANGE_SPEED, MAV_CMD.NAV_WAYPOINT,
+    MAV_CMD.NAV_WAYPOINT, MAV_CMD.DO_CHANGE_SPEED, MAV_CMD.NAV_WAYPOINT, MAV_CMD.DO_CHANGE_SPEED, MAV_CMD.NAV_WAYPOINT,
+  ]);
+  assert.deepEqual(items[1].params.slice(0, 1).concat(items[1].params[6]), [2, 80]);
+});
+
+test("take-off, landing and return to launch are skipped", () => {
+  const plan = toQgcPlan(config);
+  const extra = (command) => ({ type: "SimpleItem", command, frame: MAV_FRAME.MISSION, params: [0, 0, 0, 0, 0, 0, 0] });
+  plan.mission.items = [extra(MAV_CMD.NAV_TAKEOFF), ...plan.mission.items, extra(MAV_CMD.NAV_RETURN_TO_LAUNCH)];
+  const { waypoints: read, skipped } = parseQgcPlan(plan, config);
+  assert.deepEqual(read, waypoints);
+  assert.equal(skipped, 2);
+});
+
+test("absolute altitudes are read relative to the launch point", () => {
+  const text = toWaypointsFile({ ...config, geo: { ...config.geo, alt: 100 } })
+    .replace(/\t3\t16\t/g, "\t0\t16\t")
+    .replace(/\t(40|80)\t1$/gm, (_, alt) => `\t${Number(alt) + 100}\t1`);
+  assert.deepEqual(parseWaypointsFile(text, { ...config, geo: { ...config.geo, alt: 100 } }).waypoints, waypoints);
+});
+
+test("malformed mission files are rejected", () => {
+  const bad = (parse, data, message) => assert.throws(() => parse(data, config), message);
+  bad(parseQgcPlan, "{}", /Not a QGroundControl plan/);
+  bad(parseQgcPlan, { fileType: "Plan", mission: { items: [{ type: "ComplexItem", complexItemType: "survey" }] } }, /Item 1 is a survey/);
+  bad(parseQgcPlan, { fileType: "Plan", mission: { items: [] } }, /no waypoints/);
+  bad(parseWaypointsFile, "hello", /Missing "QGC WPL 110" header/);
+  bad(parseWaypointsFile, "QGC WPL 110\n0 1 0 16 0 0 0 0 52 4\n", /Line 2 is not 12 numbers/);
+  bad(parseWaypointsFile, "QGC WPL 110\n0\t1\t0\t16\t0\t0\t0\t0\t52\t4\t0\t1\n1\t0\t3\t16\t0\t0\t0\t0\t53\t4\t40\t1\n", /Item 1 .* is outside the map/);
+  bad(parseWaypointsFile, toWaypointsFile(config).replace("\t80\t1", "\t-5\t1"), /Item 2 has a negative altitude/);
+});
+
+test("waypoints without altitude, loiter or speed are written with the flight defaults", () => {
+  const bare = { ...config, waypoints: [{ x: 300, y: 100 }, { x: 500, y: 300, altitude: 60 }] };
+  const expected = [
+    { x: 300, y: 100, altitude: config.altitude, loiter: 0, speed: 0 },
+    { x: 500, y: 300, altitude: 60, loiter: 0, speed: 0 },
+  ];
+  const text = toWaypointsFile(bare);
+  assert.ok(text.split("\n").filter(Boolean).slice(1).every((line) => line.split("\t").every((col) => col !== "")));
+  assert.deepEqual(parseWaypointsFile(text, bare).waypoints, expected);
+  assert.deepEqual(parseQgcPlan(JSON.stringify(toQgcPlan(bare)), bare).waypoints, expected);
+});
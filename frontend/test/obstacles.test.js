@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { terrainFromHeightmap, terrainHeight } from "../src/sim/obstacles.js";
+
+// RGBA pixels of a grayscale image, row by row
+const image = (width, height, grays) => ({
+  width,
+  height,
+  data: Uint8ClampedArray.from(grays.flatMap((g) => [g, g, g, 255])),
+});
+
+test("a heightmap becomes terrain interpolated between its posts", () => {
+  const terrain = terrainFromHeightmap(image(2, 2, [0, 255, 0, 255]), 100);
+  assert.deepEqual(terrain, { cols: 2, rows: 2, heights: [0, 100, 0, 100] });
+  const world = { width: 1000, height: 650 };
+  assert.equal(terrainHeight(terrain, world, { x: 500, y: 300 }), 50);
+  assert.equal(terrainHeight(terrain, world, { x: 1000, y: 650 }), 100);
+});
+
+test("a heightmap under 2×2 pixels is rejected", () => {
+  for (const [width, height] of [[1, 5], [5, 1], [1, 1]]) {
+    assert.throws(() => terrainFromHeightmap(image(width, height, Array(width * height).fill(128)), 100), /at least 2×2 pixels/);
+  }
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  freeSpaceLoss, pathLoss, wavelength, receivedPower, noiseFloor, captureProbability, detectionProbability, coverageGrid,
+} from "../src/sim/rf.js";
+import * as dataInjection from "../src/sim/dataInjection.js";
+import * as gnssSpoofing from "../src/sim/gnssSpoofing.js";
+
+const near = (actual, expected, tolerance = 0.01) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not ${expected} ± ${tolerance}`);
+
+test("free-space loss grows 20 dB a decade", () => {
+  near(freeSpaceLoss(1000, 2400), 100.05);
+  near(freeSpaceLoss(10000, 2400) - freeSpaceLoss(1000, 2400), 20);
+  assert.equal(freeSpaceLoss(0, 2400), freeSpaceLoss(1, 2400), "distances under 1 m count as 1 m");
+});
+
+test("two-ray follows free space up to the crossover and falls 40 dB a decade beyond it", () => {
+  const link = { frequency: 2400, txHeight: 10, rxHeight: 40 };
+  const crossover = (4 * Math.PI * 10 * 40) / wavelength(2400);
+  near(pathLoss(crossover / 2, link), freeSpaceLoss(crossover / 2, 2400));
+  near(pathLoss(crossover * 100, link) - pathLoss(crossover * 10, link), 40);
+  near(pathLoss(5000, { ...link, propagation: "free-space" }), freeSpaceLoss(5000, 2400));
+  assert.throws(() => pathLoss(100, { ...link, propagation: "ducting" }), /Unknown propagation model/);
+});
+
+test("received power is EIRP plus gain less path and obstruction loss", () => {
+  const link = { frequency: 2400, propagation: "free-space", distance: 1000 };
+  near(receivedPower({ ...link, eirp: 30 }), 30 - 100.05);
+  near(receivedPower({ ...link, eirp: 30, rxGain: -3, obstructionLoss: 20 }), 30 - 3 - 20 - 100.05);
+  near(noiseFloor(1), -114);
+});
+
+test("capture and detection odds are even at their thresholds", () => {
+  assert.equal(captureProbability(3, 3, 1.5), 0.5);
+  assert.ok(captureProbability(9, 3, 1.5) > 0.95);
+  assert.ok(detectionProbability(-100, -90, 2) < 0.01);
+});
+
+test("coverageGrid samples cell centres row by row", () => {
+  const { cols, rows, values } = coverageGrid({ width: 100, height: 50 }, 4, (p) => p.x + 1000 * p.y);
+  assert.equal(cols, 4);
+  assert.equal(rows, 2);
+  assert.equal(values[0], 12.5 + 1000 * 12.5);
+  assert.equal(values[5], 37.5 + 1000 * 37.5);
+});
+
+test("a building between the attacker and the drone weakens the injection link", () => {
+  const config = dataInjection.DEFAULT_CONFIG;
+  const point = { x: 500, y: 325 };
+  const clear = dataInjection.injectionLink(config, point);
+  const footprint = [{ x: 640, y: 300 }, { x: 700, y: 300 }, { x: 700, y: 350 }, { x: 640, y: 350 }];
+  const blocked = dataInjection.injectionLink(
+    { ...config, obstacles: { buildings: [{ id: "b1", footprint, height: 200 }] } },
+    point
+  );
+  assert.equal(clear.clear, true);
+  assert.equal(blocked.clear, false);
+  near(clear.power - blocked.power, 20);
+  assert.ok(blocked.probability < clear.probability);
+});
+
+test("the spoofer captures the receiver more easily near its tower", () => {
+  const config = gnssSpoofing.DEFAULT_CONFIG;
+  const away = gnssSpoofing.captureOddsAt(config, config.start);
+  const below = gnssSpoofing.captureOddsAt(config, config.radioTower);
+  assert.ok(below > away);
+  assert.ok(below <= 1 && away >= 0);
+});
@@ -0,0 +1,140 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { ENGINES, loadEngine } from "./helpers.js";
+import {
+  SCENARIO_SCHEMA, SCENARIO_VERSION, validateScenario, parseScenario, createScenario, getPath, setPath,
+} from "../src/sim/scenario.js";
+
+const SCENARIO_DIR = new URL("../src/scenarios/", import.meta.url);
+
+const scenario = (page, config) => ({ schema: SCENARIO_SCHEMA, version: SCENARIO_VERSION, id: "test", name: "Test", page, config });
+
+for (const page of Object.keys(ENGINES)) {
+  test(`${page}: every bundled scenario and the defaults validate`, async () => {
+    const { DEFAULT_CONFIG, CONFIG_UNITS } = await loadEngine(page);
+    const dir = new URL(`${page}/`, SCENARIO_DIR);
+    for (const file of fs.readdirSync(dir)) {
+      const text = fs.readFileSync(new URL(file, dir), "utf8");
+      assert.doesNotThrow(() => parseScenario(text, page, DEFAULT_CONFIG, CONFIG_UNITS), file);
+    }
+    const defaults = createScenario(page, "Defaults", DEFAULT_CONFIG);
+    assert.deepEqual(validateScenario(defaults, page, DEFAULT_CONFIG, CONFIG_UNITS), []);
+  });
+}
+
+test("parseScenario merges objects and replaces arrays", async () => {
+  const { DEFAULT_CONFIG } = await loadEngine("data-injection");
+  const { config } = parseScenario(
+    scenario("data-injection", { radioTower: { x: 700 }, waypoints: [{ x: 10, y: 20 }] }),
+    "data-injection",
+    DEFAULT_CONFIG
+  );
+  assert.deepEqual(config.radioTower, { ...DEFAULT_CONFIG.radioTower, x: 700 });
+  assert.deepEqual(config.waypoints, [{ x: 10, y: 20 }]);
+  assert.equal(config.droneSpeed, DEFAULT_CONFIG.droneSpeed);
+});
+
+test("validateScenario reports what is wrong", async () => {
+  const { DEFAULT_CONFIG, CONFIG_UNITS } = await loadEngine("mass-redirection");
+  const check = (doc) => validateScenario(doc, "mass-redirection", DEFAULT_CONFIG, CONFIG_UNITS);
+
+  assert.deepEqual(check("text"), ["Scenario must be a JSON object"]);
+  assert.match(check({ ...scenario("mass-redirection", {}), version: 99 })[0], /Unsupported scenario version 99/);
+  assert.match(check(scenario("gnss-spoofing", {}))[0], /is for "gnss-spoofing"/);
+  assert.deepEqual(check(scenario("mass-redirection", { towerRange: 5 })), ["config.towerRange is not a known setting"]);
+  assert.deepEqual(check(scenario("mass-redirection", { droneSpeed: -1 })), ["config.droneSpeed must not be negative"]);
+  assert.deepEqual(check(scenario("mass-redirection", { droneSpeed: "fast" })), ["config.droneSpeed must be a number"]);
+  assert.deepEqual(check(scenario("mass-redirection", { geo: { lat: 91 } })), ["config.geo.lat must be between -90 and 90"]);
+  assert.match(check(scenario("mass-redirection", { safeZone: { x: 5000 } }))[0], /outside the 1000×650 world/);
+});
+
+test("powers, gains and dB margins may be negative, within their unit's bounds", async () => {
+  const check = async (page, rf) => {
+    const { DEFAULT_CONFIG, CONFIG_UNITS } = await loadEngine(page);
+    return validateScenario(scenario(page, { rf }), page, DEFAULT_CONFIG, CONFIG_UNITS);
+  };
+  assert.deepEqual(await check("gnss-spoofing", { spooferEirp: -60, rxGain: -3, captureJs: -2 }), []);
+  assert.deepEqual(await check("data-injection", { gcsEirp: -10, rxGain: -5, sensitivity: -120, captureJs: -4 }), []);
+  assert.deepEqual(await check("mass-redirection", { droneEirp: -5, sensorGain: -2 }), []);
+
+  assert.deepEqual(await check("data-injection", { rxGain: -80 }), ["config.rf.rxGain must be between -50 and 50"]);
+  assert.deepEqual(await check("data-injection", { sensitivity: -250 }), ["config.rf.sensitivity must be between -200 and 100"]);
+  // Spreads, frequencies and intervals have no signed unit
+  assert.deepEqual(await check("data-injection", { captureSpread: -2 }), ["config.rf.captureSpread must not be negative"]);
+  assert.deepEqual(await check("gnss-spoofing", { frequency: -1575 }), ["config.rf.frequency must not be negative"]);
+});
+
+test("without its units an engine's settings are all checked as non-negative", async () => {
+  const { DEFAULT_CONFIG } = await loadEngine("data-injection");
+  assert.deepEqual(
+    validateScenario(scenario("data-injection", { rf: { rxGain: -3 } }), "data-injection", DEFAULT_CONFIG),
+    ["config.rf.rxGain must not be negative"]
+  );
+});
+
+test("validateScenario checks the action and seq of each injected mission item", async () => {
+  const { DEFAULT_CONFIG, CONFIG_UNITS } = await loadEngine("data-injection");
+  const check = (edit) =>
+    validateScenario(scenario("data-injection", { injectedMission: [edit] }), "data-injection", DEFAULT_CONFIG, CONFIG_UNITS);
+  assert.deepEqual(check({ action: "replace", seq: 2, x: 400, y: 300 }), []);
+  assert.deepEqual(check({ action: "bogus", seq: 2, x: 400, y: 300 }), [
+    "config.injectedMission[0].action must be one of insert, replace",
+  ]);
+  assert.deepEqual(check({ action: "insert", seq: 1.5, x: 400, y: 300 }), [
+    "config.injectedMission[0].seq must be a whole number, 0 or more",
+  ]);
+  assert.deepEqual(check({ action: "insert", seq: -1, x: 400, y: 300 }), ["config.injectedMission[0].seq must not be negative"]);
+});
+
+test("validateScenario keeps the phase timings in order", async () => {
+  const { DEFAULT_CONFIG } = await loadEngine("data-injection");
+  const errors = validateScenario(scenario("data-injection", { phaseTimes: { hijack: 100 } }), "data-injection", DEFAULT_CONFIG);
+  assert.deepEqual(errors, ["config.phaseTimes.hijack must come after config.phaseTimes.inject"]);
+});
+
+test("parseScenario rejects what is not JSON", async () => {
+  const { DEFAULT_CONFIG } = await loadEngine("data-injection");
+  assert.throws(() => parseScenario("{", "data-injection", DEFAULT_CONFIG), /Not a JSON file/);
+});
+
+test("getPath and setPath follow dotted paths into objects and arrays", () => {
+  const config = { tower: { x: 1, y: 2 }, waypoints: [{ x: 3 }, { x: 4 }] };
+  assert.equal(getPath(config, "waypoints.1.x"), 4);
+  assert.equal(getPath(config, "missing.x"), undefined);
+  const next = setPath(config, "waypoints.0", { x: 9 });
+  assert.deepEqual(next.waypoints, [{ x: 9 }, { x: 4 }]);
+  assert.equal(next.tower, config.tower);
+  assert.deepEqual(config.waypoints[0], { x: 3 });
+});
+
+test("a version 1 data injection scenario has its malicious target appended to the mission", async () => {
+  const { DEFAULT_CONFIG } = await loadEngine("data-injection");
+  const v1 = {
+    schema: SCENARIO_SCHEMA,
+    version: 1,
+    id: "old-layout",
+    name: "Old layout",
+    page: "data-injection",
+    config: { waypoints: [{ x: 300, y: 100 }, { x: 500, y: 300 }], maliciousTarget: { x: 900, y: 550 }, droneSpeed: 30 },
+  };
+  const { scenario: doc, config } = parseScenario(JSON.stringify(v1), "data-injection", DEFAULT_CONFIG);
+  assert.equal(doc.version, SCENARIO_VERSION);
+  assert.equal("maliciousTarget" in config, false);
+  assert.deepEqual(config.injectedMission, [{ action: "insert", seq: 2, x: 900, y: 550 }]);
+  assert.equal(config.droneSpeed, 30);
+
+  // Without its own waypoints the target goes after the default plan's
+  const { maliciousTarget } = v1.config;
+  const { config: defaults } = parseScenario({ ...v1, config: { maliciousTarget } }, "data-injection", DEFAULT_CONFIG);
+  assert.equal(defaults.injectedMission[0].seq, DEFAULT_CONFIG.waypoints.length);
+});
+
+test("a version 1 layout saved with the full engine config still loads", async () => {
+  const { DEFAULT_CONFIG, CONFIG_UNITS } = await loadEngine("data-injection");
+  const config = { ...DEFAULT_CONFIG, injectedMission: undefined, maliciousTarget: { x: 800, y: 500 } };
+  const saved = { ...createScenario("data-injection", "Saved", config), version: 1 };
+  const { config: loaded } = parseScenario(JSON.stringify(saved), "data-injection", DEFAULT_CONFIG, CONFIG_UNITS);
+  assert.deepEqual(loaded.injectedMission, [{ action: "insert", seq: 5, x: 800, y: 500 }]);
+  assert.deepEqual(loaded.waypoints, DEFAULT_CONFIG.waypoints);
+});